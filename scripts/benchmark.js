@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+/**
+ * Board Representation Benchmark
+ * Compares cell-by-cell grid checks with bitboards for AI move generation and cloning
+ *
+ * Usage:
+ *   node scripts/benchmark.js [--size 14] [--fill 0.3] [--iterations 200] [--seed 42]
+ */
+
+import { GameService } from '../src/core/game/GameService.js'
+import { cloneGameState } from '../src/core/game/GameState.js'
+import { placePiece } from '../src/core/board/Board.js'
+import { createBitboard, cloneBitboard, placeOnBitboard } from '../src/core/board/Bitboard.js'
+import {
+  isLegalPlacement,
+  enumerateLegalMoves,
+  hasLegalMove,
+  createMove
+} from '../src/core/placement/PlacementService.js'
+import { pieceLibrary } from '../src/core/pieces/PieceLibrary.js'
+import { getBounds } from '../src/core/geometry/Transform.js'
+import { createRandom } from '../src/utils/random.js'
+
+/**
+ * Parse --key value pairs from the command line
+ */
+function parseArgs(argv) {
+  const args = {}
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (!arg.startsWith('--')) {
+      throw new Error(`Unexpected argument: ${arg}`)
+    }
+    args[arg.slice(2)] = argv[i + 1]
+    i++
+  }
+  return args
+}
+
+/**
+ * Enumerate legal moves with the cell-by-cell grid test, as before bitboards
+ */
+function enumerateByGrid(gameState, playerId) {
+  const moves = []
+
+  for (const [pieceId, quantity] of Object.entries(gameState.players[playerId].arsenal)) {
+    if (quantity === 0) continue
+
+    for (const { transform, cells } of pieceLibrary.getUniqueTransforms(pieceId)) {
+      const bounds = getBounds(cells)
+      for (let y = 0; y <= gameState.board.rows - bounds.height; y++) {
+        for (let x = 0; x <= gameState.board.cols - bounds.width; x++) {
+          if (isLegalPlacement(gameState.board, cells, [x, y])) {
+            moves.push(createMove(playerId, pieceId, transform, [x, y]))
+          }
+        }
+      }
+    }
+  }
+
+  return moves
+}
+
+/**
+ * Check for any legal move with the cell-by-cell grid test, as before bitboards
+ */
+function hasLegalMoveByGrid(gameState, playerId) {
+  for (const [pieceId, quantity] of Object.entries(gameState.players[playerId].arsenal)) {
+    if (quantity === 0) continue
+
+    for (const { cells } of pieceLibrary.getUniqueTransforms(pieceId)) {
+      const bounds = getBounds(cells)
+      for (let y = 0; y <= gameState.board.rows - bounds.height; y++) {
+        for (let x = 0; x <= gameState.board.cols - bounds.width; x++) {
+          if (isLegalPlacement(gameState.board, cells, [x, y])) return true
+        }
+      }
+    }
+  }
+
+  return false
+}
+
+/**
+ * Create a placement position: every piece in Player 1's arsenal and a share
+ * of the board filled at random
+ */
+function createPosition(size, fill, seed) {
+  const gameState = GameService.createNew(size, size, { seed })
+  const random = createRandom(seed)
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (random() < fill) {
+        gameState.board.grid[y][x] = random() < 0.5 ? 1 : 2
+      }
+    }
+  }
+
+  gameState.players[1].arsenal = Object.fromEntries(pieceLibrary.list().map(piece => [piece.id, 1]))
+  return gameState
+}
+
+/**
+ * Time a function over a number of iterations
+ * @returns {number} Average milliseconds per call
+ */
+function time(fn, iterations) {
+  fn() // Warm up caches and the JIT
+  const start = process.hrtime.bigint()
+  for (let i = 0; i < iterations; i++) {
+    fn()
+  }
+  return Number(process.hrtime.bigint() - start) / 1e6 / iterations
+}
+
+/**
+ * Print one benchmark as grid vs. bitboard timings
+ */
+function report(name, gridMs, bitboardMs) {
+  const speedup = (gridMs / bitboardMs).toFixed(1)
+  console.log(`${name.padEnd(28)} grid ${gridMs.toFixed(3).padStart(9)} ms   ` +
+    `bitboard ${bitboardMs.toFixed(3).padStart(9)} ms   ${speedup}x`)
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2))
+  const size = args.size ? parseInt(args.size, 10) : 14
+  const fill = args.fill ? parseFloat(args.fill) : 0.3
+  const iterations = args.iterations ? parseInt(args.iterations, 10) : 200
+  const seed = args.seed ? parseInt(args.seed, 10) : 42
+
+  const gameState = createPosition(size, fill, seed)
+  const bitboardNode = { ...gameState, bitboard: createBitboard(gameState.board) }
+
+  const gridMoves = enumerateByGrid(gameState, 1).length
+  const bitboardMoves = enumerateLegalMoves(bitboardNode, 1, Infinity).length
+  if (gridMoves !== bitboardMoves) {
+    throw new Error(`Move counts differ: grid ${gridMoves}, bitboard ${bitboardMoves}`)
+  }
+
+  // A full board has no legal moves, so every anchor is tested
+  const blocked = createPosition(size, 1, seed)
+  const blockedNode = { ...blocked, bitboard: createBitboard(blocked.board) }
+
+  console.log(`${size}x${size} board, ${Math.round(fill * 100)}% filled, ` +
+    `${gridMoves} legal moves, ${iterations} iterations\n`)
+
+  report('Enumerate legal moves',
+    time(() => enumerateByGrid(gameState, 1), iterations),
+    time(() => enumerateLegalMoves(bitboardNode, 1, Infinity), iterations))
+  report('Has legal move (blocked)',
+    time(() => hasLegalMoveByGrid(blocked, 1), iterations),
+    time(() => hasLegalMove(blockedNode, 1), iterations))
+
+  const [move] = enumerateLegalMoves(bitboardNode, 1, 1)
+  report('Place piece (search step)',
+    time(() => placePiece(gameState.board, move.absCells, 1), iterations),
+    time(() => placeOnBitboard(bitboardNode.bitboard, move.absCells, 1), iterations))
+  report('Clone game state',
+    time(() => cloneGameState(gameState), iterations),
+    time(() => cloneBitboard(bitboardNode.bitboard), iterations))
+}
+
+try {
+  main()
+} catch (error) {
+  console.error(`Benchmark failed: ${error.message}`)
+  process.exit(1)
+}
\ No newline at end of file
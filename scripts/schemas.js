@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+/**
+ * Game State Schema Publisher
+ * Writes the JSON Schema of every save format version to schemas/
+ *
+ * Usage:
+ *   node scripts/schemas.js [--out schemas]
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { GAME_STATE_SCHEMAS, getSchemaFileName } from '../src/core/game/GameStateSchema.js'
+
+const outIndex = process.argv.indexOf('--out')
+const outDir = outIndex >= 0 ? process.argv[outIndex + 1] : 'schemas'
+
+fs.mkdirSync(outDir, { recursive: true })
+
+for (const [version, schema] of Object.entries(GAME_STATE_SCHEMAS)) {
+  const file = path.join(outDir, getSchemaFileName(version))
+  fs.writeFileSync(file, JSON.stringify(schema, null, 2))
+  console.log(`Wrote ${file}`)
+}
\ No newline at end of file
@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+/**
+ * Online Game Server
+ * Hosts networked two-player games for browser clients on this machine
+ *
+ * Usage:
+ *   node scripts/server.js [--port 8787]     (or PORT=8787)
+ */
+
+import { createWebSocketServer } from '../src/server/WebSocketServer.js'
+import { RoomManager } from '../src/server/RoomManager.js'
+import { DEFAULT_SERVER_PORT } from '../src/network/Protocol.js'
+
+// How often idle rooms are cleaned up
+const PRUNE_INTERVAL = 5 * 60 * 1000
+
+// How often the clocks of timed games are checked for players out of time
+const CLOCK_CHECK_INTERVAL = 250
+
+const portIndex = process.argv.indexOf('--port')
+const port = Number(portIndex >= 0 ? process.argv[portIndex + 1] : process.env.PORT) || DEFAULT_SERVER_PORT
+
+const rooms = new RoomManager()
+
+const server = createWebSocketServer(connection => {
+  connection.on('message', data => rooms.handleMessage(connection, data))
+  connection.on('close', () => rooms.handleDisconnect(connection))
+})
+
+setInterval(() => rooms.pruneRooms(), PRUNE_INTERVAL).unref()
+setInterval(() => rooms.checkClocks(), CLOCK_CHECK_INTERVAL).unref()
+
+server.listen(port, () => {
+  console.log(`SumZero game server listening on ws://localhost:${port}`)
+})
\ No newline at end of file
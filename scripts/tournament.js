@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/**
+ * AI Tournament CLI
+ * Plays AI vs. AI games headlessly and prints win rates, scores and Elo
+ *
+ * Usage:
+ *   node scripts/tournament.js --a hard --b medium [--games 20] [--shapes cross,diamond]
+ *                              [--size 10] [--seed 42] [--format json|csv] [--out report.json]
+ */
+
+import fs from 'fs'
+import { runTournament, formatReport, REPORT_FORMATS } from '../src/ai/Tournament.js'
+import { BoardShapes } from '../src/core/board/BoardShapes.js'
+import { AI_DIFFICULTIES } from '../src/utils/constants.js'
+
+/**
+ * Parse --key value pairs from the command line
+ */
+function parseArgs(argv) {
+  const args = {}
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (!arg.startsWith('--')) {
+      throw new Error(`Unexpected argument: ${arg}`)
+    }
+    args[arg.slice(2)] = argv[i + 1]
+    i++
+  }
+  return args
+}
+
+/**
+ * Parse a whole number argument, or return the default when it is missing
+ */
+function parseWholeNumber(value, label, defaultValue, minimum = 0) {
+  if (value === undefined) {
+    return defaultValue
+  }
+  if (!/^\d+$/.test(value) || parseInt(value, 10) < minimum) {
+    throw new Error(`--${label} must be a whole number of at least ${minimum}, got: ${value}`)
+  }
+  return parseInt(value, 10)
+}
+
+/**
+ * Validate a difficulty argument
+ */
+function parseDifficulty(value, label) {
+  if (!AI_DIFFICULTIES.includes(value)) {
+    throw new Error(`--${label} must be one of: ${AI_DIFFICULTIES.join(', ')}`)
+  }
+  return value
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2))
+
+  const format = args.format || 'json'
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new Error(`--format must be one of: ${REPORT_FORMATS.join(', ')}`)
+  }
+
+  const allShapes = BoardShapes.getAllShapeNames()
+  const shapes = args.shapes ? args.shapes.split(',') : allShapes
+  const unknownShapes = shapes.filter(shape => !allShapes.includes(shape))
+  if (unknownShapes.length > 0) {
+    throw new Error(`Unknown board shapes: ${unknownShapes.join(', ')}`)
+  }
+
+  const games = parseWholeNumber(args.games, 'games', 20, 1)
+
+  const report = runTournament({
+    configA: { difficulty: parseDifficulty(args.a || 'hard', 'a') },
+    configB: { difficulty: parseDifficulty(args.b || 'medium', 'b') },
+    games,
+    shapes,
+    boardSize: parseWholeNumber(args.size, 'size', 10, 4),
+    seed: parseWholeNumber(args.seed, 'seed', undefined),
+    onGame: (result) => {
+      process.stderr.write(`Game ${result.game}/${games} on ${result.shape}: ${result.winner} wins ` +
+        `(${result.scores.A} - ${result.scores.B})\n`)
+    }
+  })
+
+  const output = formatReport(report, format)
+
+  if (args.out) {
+    fs.writeFileSync(args.out, output)
+    process.stderr.write(`Report written to ${args.out}\n`)
+  } else {
+    console.log(output)
+  }
+}
+
+try {
+  main()
+} catch (error) {
+  console.error(`Tournament failed: ${error.message}`)
+  process.exit(1)
+}
\ No newline at end of file
@@ -0,0 +1,10 @@
+/**
+ * AI Web Worker
+ * Runs AI decisions off the main thread so the board and spinner stay responsive
+ */
+
+import { handleAIRequest } from './AIWorkerProtocol.js'
+
+self.onmessage = event => {
+  handleAIRequest(event.data, response => self.postMessage(response))
+}
\ No newline at end of file
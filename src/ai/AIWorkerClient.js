@@ -0,0 +1,139 @@
+/**
+ * AI Worker Client
+ * UI side of the AI Web Worker: requests moves, reports search progress and
+ * cancels requests that are no longer wanted
+ */
+
+import { AI_REQUESTS, AI_RESPONSES, handleAIRequest } from './AIWorkerProtocol.js'
+
+/**
+ * Start the bundled AI worker
+ * @returns {Worker} Module worker running AIWorker.js
+ */
+function createDefaultWorker() {
+  return new Worker(new URL('./AIWorker.js', import.meta.url), { type: 'module' })
+}
+
+/**
+ * Runs AI decisions in a Web Worker, one request at a time
+ */
+export class AIWorkerClient {
+  /**
+   * @param {Object} options - Environment {createWorker} (defaults to the bundled worker;
+   *   without Web Worker support decisions run on the main thread)
+   */
+  constructor(options = {}) {
+    this.createWorker = options.createWorker ||
+      (typeof globalThis.Worker === 'function' ? createDefaultWorker : null)
+    this.worker = null
+    this.pending = null
+    this.nextRequestId = 1
+  }
+
+  /**
+   * Request the AI's next action; cancels any request still running
+   * @param {Object} gameState - Current game state
+   * @param {number} playerId - AI player ID
+   * @param {Function} onProgress - Search progress callback {depth, maxDepth}
+   * @returns {Promise<Object|null>} Decision (see computeAIDecision), or null if cancelled
+   */
+  requestMove(gameState, playerId, onProgress = null) {
+    this.cancel()
+
+    const requestId = this.nextRequestId++
+    const request = { type: AI_REQUESTS.MOVE, requestId, gameState, playerId }
+
+    return new Promise((resolve, reject) => {
+      this.pending = { requestId, resolve, reject, onProgress }
+
+      if (this.createWorker) {
+        this.getWorker().postMessage(request)
+      } else {
+        // Let the caller finish rendering before the main thread is busy
+        setTimeout(() => {
+          if (this.pending?.requestId === requestId) {
+            handleAIRequest(request, response => this.handleResponse(response))
+          }
+        }, 0)
+      }
+    })
+  }
+
+  /**
+   * Cancel the running request; its promise resolves with null
+   * A running search cannot read messages, so the worker is stopped and the
+   * next request starts a new one
+   */
+  cancel() {
+    if (!this.pending) return
+
+    const { resolve } = this.pending
+    this.pending = null
+    this.stopWorker()
+    resolve(null)
+  }
+
+  /**
+   * Cancel any request and stop the worker (when leaving the game)
+   */
+  dispose() {
+    this.cancel()
+    this.stopWorker()
+  }
+
+  /**
+   * Get the worker, starting it if needed
+   * @returns {Worker} AI worker
+   */
+  getWorker() {
+    if (!this.worker) {
+      const worker = this.createWorker()
+      worker.onmessage = event => this.handleResponse(event.data)
+      worker.onerror = event => {
+        this.stopWorker()
+        this.handleResponse({
+          type: AI_RESPONSES.ERROR,
+          requestId: this.pending?.requestId,
+          message: `AI worker failed: ${event.message}`
+        })
+      }
+      this.worker = worker
+    }
+    return this.worker
+  }
+
+  /**
+   * Terminate the worker
+   */
+  stopWorker() {
+    if (this.worker) {
+      this.worker.terminate()
+      this.worker = null
+    }
+  }
+
+  /**
+   * Handle a response for the pending request; responses to cancelled requests are dropped
+   * @param {Object} response - Worker response
+   */
+  handleResponse(response) {
+    const pending = this.pending
+    if (!pending || response.requestId !== pending.requestId) return
+
+    switch (response.type) {
+      case AI_RESPONSES.PROGRESS:
+        if (pending.onProgress) {
+          pending.onProgress({ depth: response.depth, maxDepth: response.maxDepth })
+        }
+        break
+      case AI_RESPONSES.MOVE:
+        this.pending = null
+        pending.resolve(response.decision)
+        break
+      case AI_RESPONSES.ERROR:
+        this.pending = null
+        pending.reject(new Error(response.message))
+        break
+    }
+  }
+}
\ No newline at end of file
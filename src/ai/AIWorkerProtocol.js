@@ -0,0 +1,69 @@
+/**
+ * AI Worker Protocol
+ * Messages between the UI and the AI Web Worker, and the decision the worker computes
+ */
+
+import { SimpleAI } from './SimpleAI.js'
+import { isAuctionDraft } from '../core/draft/CostModels.js'
+import { GAME_PHASES } from '../utils/constants.js'
+
+// UI -> worker messages
+export const AI_REQUESTS = {
+  MOVE: 'move'
+}
+
+// Worker -> UI messages
+export const AI_RESPONSES = {
+  PROGRESS: 'progress',
+  MOVE: 'move',
+  ERROR: 'error'
+}
+
+/**
+ * Compute the AI's next action for the player to move
+ * @param {Object} gameState - Current game state
+ * @param {number} playerId - AI player ID
+ * @param {Function} onProgress - Search progress callback {depth, maxDepth}
+ * @returns {Object} Decision {phase, pieceId} in the draft (null pieceId passes),
+ *   {phase, bid} in an auction draft (0 passes on the lot)
+ *   or {phase, move} in the placement phase (null move: no legal moves)
+ * @throws {Error} If the game is not in the draft or placement phase
+ */
+export function computeAIDecision(gameState, playerId, onProgress = null) {
+  if (gameState.phase === GAME_PHASES.DRAFT && isAuctionDraft(gameState)) {
+    return { phase: gameState.phase, bid: SimpleAI.makeBidDecision(gameState, playerId) }
+  }
+
+  if (gameState.phase === GAME_PHASES.DRAFT) {
+    return { phase: gameState.phase, pieceId: SimpleAI.makeDraftDecision(gameState, playerId) }
+  }
+
+  if (gameState.phase === GAME_PHASES.PLACEMENT) {
+    return { phase: gameState.phase, move: SimpleAI.makePlacementDecision(gameState, playerId, { onProgress }) }
+  }
+
+  throw new Error(`AI cannot move in phase ${gameState.phase}`)
+}
+
+/**
+ * Answer a request sent to the AI worker
+ * @param {Object} request - Request {type, requestId, gameState, playerId}
+ * @param {Function} post - Sends a response back to the UI
+ */
+export function handleAIRequest(request, post) {
+  const { requestId } = request
+
+  if (request.type !== AI_REQUESTS.MOVE) {
+    post({ type: AI_RESPONSES.ERROR, requestId, message: `Unknown AI request: ${request.type}` })
+    return
+  }
+
+  try {
+    const decision = computeAIDecision(request.gameState, request.playerId, progress => {
+      post({ type: AI_RESPONSES.PROGRESS, requestId, ...progress })
+    })
+    post({ type: AI_RESPONSES.MOVE, requestId, decision })
+  } catch (error) {
+    post({ type: AI_RESPONSES.ERROR, requestId, message: error.message })
+  }
+}
\ No newline at end of file
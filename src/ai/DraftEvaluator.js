@@ -0,0 +1,241 @@
+/**
+ * Board-Aware Draft Evaluator for SumZero
+ * Values draft pieces against the actual board, the budgets and the opponent's arsenal
+ */
+
+import { isLegalPlacement } from '../core/placement/PlacementService.js'
+import { pieceLibrary, getGamePieces } from '../core/pieces/PieceLibrary.js'
+import { getDraftCost } from '../core/draft/CostModels.js'
+import { getBounds } from '../core/geometry/Transform.js'
+import { getRivals } from '../core/game/GameState.js'
+import { STOCK_MODES } from '../utils/constants.js'
+
+// Weights of the evaluation terms
+const PLACEMENT_WEIGHT = 3.0
+const CORRIDOR_WEIGHT = 2.0
+const EFFICIENCY_WEIGHT = 2.0
+const DENIAL_WEIGHT = 2.5
+const WASTE_WEIGHT = 1.5
+
+// A free run of at most this many cells (across a row or column) makes a cell part of a corridor
+const CORRIDOR_WIDTH = 2
+
+// Budget ratio limits when scaling the efficiency term
+const MIN_BUDGET_RATIO = 0.5
+const MAX_BUDGET_RATIO = 2
+
+/**
+ * Evaluates draft pieces on the actual board
+ */
+export class DraftEvaluator {
+
+  /**
+   * Choose the best affordable piece to buy
+   * @param {Object} gameState - Current game state (draft phase)
+   * @param {number} playerId - Buying player ID
+   * @param {Array<string>} affordablePieces - Piece IDs the player can buy
+   * @returns {string|null} Piece ID to buy, or null to pass when nothing fits the board
+   */
+  static chooseDraftPiece(gameState, playerId, affordablePieces) {
+    const evaluations = this.evaluatePieces(gameState, playerId, affordablePieces)
+    const best = evaluations[0]
+
+    if (!best || best.anchors === 0) {
+      return null
+    }
+
+    return best.pieceId
+  }
+
+  /**
+   * Score every candidate piece
+   * @param {Object} gameState - Current game state (draft phase)
+   * @param {number} playerId - Buying player ID
+   * @param {Array<string>} pieceIds - Candidate piece IDs
+   * @returns {Array<Object>} Evaluations {pieceId, score, anchors, placement, corridor,
+   *   efficiency, denial, waste}, best first
+   */
+  static evaluatePieces(gameState, playerId, pieceIds) {
+    const board = gameState.board
+    const player = gameState.players[playerId]
+    // With several rivals, weigh the pieces against the best-funded one
+    const opponent = getRivals(gameState, playerId)
+      .map(opponentId => gameState.players[opponentId])
+      .reduce((best, other) => other.budget > best.budget ? other : best)
+
+    const pieces = getGamePieces(gameState)
+    const corridorCells = this.findCorridorCells(board)
+    const reach = new Map(pieceIds.map(pieceId => [pieceId, this.getReach(board, pieceId, pieces)]))
+    const opponentCoverage = this.getArsenalCoverage(board, opponent.arsenal, pieces)
+
+    const maxAnchors = Math.max(1, ...[...reach.values()].map(r => r.anchors))
+    const maxEfficiency = Math.max(...pieceIds.map(pieceId => this.getEfficiency(gameState, pieceId)))
+    const efficiencyScale = this.getBudgetParityScale(player.budget, opponent.budget)
+    const denialEnabled = gameState.config?.stockMode === STOCK_MODES.SINGLETON
+
+    const evaluations = pieceIds.map(pieceId => {
+      const cost = getDraftCost(gameState, pieceId)
+      const { anchors, cells } = reach.get(pieceId)
+
+      // Placement potential: legal anchors relative to the most flexible candidate
+      const placement = anchors / maxAnchors
+
+      // Corridor fit: share of the board's narrow cells this piece can still fill
+      const corridor = corridorCells.size > 0
+        ? [...corridorCells].filter(key => cells.has(key)).length / corridorCells.size
+        : 0
+
+      // Cells per budget point, weighted by how the budgets compare
+      const efficiency = (this.getEfficiency(gameState, pieceId) / maxEfficiency) * efficiencyScale
+
+      // Denial: cells the opponent could newly reach with this piece, if they can still buy it
+      let denial = 0
+      if (denialEnabled && opponent.budget >= cost && cells.size > 0) {
+        const uncovered = [...cells].filter(key => !opponentCoverage.has(key)).length
+        denial = (uncovered / cells.size) * placement
+      }
+
+      const waste = this.getBudgetWaste(gameState, player.budget, pieceId)
+
+      const score = placement * PLACEMENT_WEIGHT +
+        corridor * CORRIDOR_WEIGHT +
+        efficiency * EFFICIENCY_WEIGHT +
+        denial * DENIAL_WEIGHT -
+        waste * WASTE_WEIGHT
+
+      return { pieceId, score, anchors, placement, corridor, efficiency, denial, waste }
+    })
+
+    return evaluations.sort((a, b) => b.score - a.score)
+  }
+
+  /**
+   * Count a piece's legal anchors on the board and the cells it can cover
+   * @param {Object} board - Board object
+   * @param {string} pieceId - Piece ID
+   * @param {PieceLibrary} pieces - The game's pieces (see getGamePieces), the built-in pieces by default
+   * @returns {Object} Reach {anchors, cells: Set of 'x,y' keys}
+   */
+  static getReach(board, pieceId, pieces = pieceLibrary) {
+    const cells = new Set()
+    let anchors = 0
+
+    for (const { cells: transformedCells } of pieces.getUniqueTransforms(pieceId)) {
+      const bounds = getBounds(transformedCells)
+
+      for (let y = 0; y <= board.rows - bounds.height; y++) {
+        for (let x = 0; x <= board.cols - bounds.width; x++) {
+          if (!isLegalPlacement(board, transformedCells, [x, y])) continue
+
+          anchors++
+          for (const [dx, dy] of transformedCells) {
+            cells.add(`${x + dx},${y + dy}`)
+          }
+        }
+      }
+    }
+
+    return { anchors, cells }
+  }
+
+  /**
+   * Collect the cells the pieces of an arsenal can cover
+   * @param {Object} board - Board object
+   * @param {Object} arsenal - Arsenal {pieceId: count}
+   * @param {PieceLibrary} pieces - The game's pieces (see getGamePieces), the built-in pieces by default
+   * @returns {Set<string>} Covered cells as 'x,y' keys
+   */
+  static getArsenalCoverage(board, arsenal, pieces = pieceLibrary) {
+    const coverage = new Set()
+
+    for (const [pieceId, count] of Object.entries(arsenal)) {
+      if (count <= 0) continue
+      for (const key of this.getReach(board, pieceId, pieces).cells) {
+        coverage.add(key)
+      }
+    }
+
+    return coverage
+  }
+
+  /**
+   * Find empty cells in narrow corridors: cells whose free run across a row
+   * or a column is at most CORRIDOR_WIDTH cells (arms, gaps between holes)
+   * @param {Object} board - Board object
+   * @returns {Set<string>} Corridor cells as 'x,y' keys
+   */
+  static findCorridorCells(board) {
+    const corridorCells = new Set()
+    const isFree = (x, y) => x >= 0 && y >= 0 && x < board.cols && y < board.rows && board.grid[y][x] === 0
+    const runLength = (x, y, dx, dy) => {
+      let length = 1
+      for (let i = 1; isFree(x + dx * i, y + dy * i); i++) length++
+      for (let i = 1; isFree(x - dx * i, y - dy * i); i++) length++
+      return length
+    }
+
+    for (let y = 0; y < board.rows; y++) {
+      for (let x = 0; x < board.cols; x++) {
+        if (!isFree(x, y)) continue
+
+        if (runLength(x, y, 1, 0) <= CORRIDOR_WIDTH || runLength(x, y, 0, 1) <= CORRIDOR_WIDTH) {
+          corridorCells.add(`${x},${y}`)
+        }
+      }
+    }
+
+    return corridorCells
+  }
+
+  /**
+   * Cells per budget point at the game's current price
+   * @param {Object} gameState - Current game state
+   * @param {string} pieceId - Piece ID
+   * @returns {number} Efficiency
+   */
+  static getEfficiency(gameState, pieceId) {
+    return getGamePieces(gameState).get(pieceId).relCells.length / getDraftCost(gameState, pieceId)
+  }
+
+  /**
+   * Scale the efficiency term by budget parity: a player behind on budget
+   * must get more cells per point to keep up, one ahead can afford to spend
+   * @param {number} ownBudget - Buying player's remaining budget
+   * @param {number} opponentBudget - Opponent's remaining budget
+   * @returns {number} Scale factor
+   */
+  static getBudgetParityScale(ownBudget, opponentBudget) {
+    if (ownBudget <= 0) {
+      return MAX_BUDGET_RATIO
+    }
+
+    const ratio = opponentBudget / ownBudget
+    return Math.min(MAX_BUDGET_RATIO, Math.max(MIN_BUDGET_RATIO, ratio))
+  }
+
+  /**
+   * Share of the budget that would be stranded after buying a piece:
+   * leftover budget too small for any piece still in stock
+   * @param {Object} gameState - Current game state
+   * @param {number} budget - Buying player's budget
+   * @param {string} pieceId - Piece ID to buy
+   * @returns {number} Stranded budget as a share of the current budget (0-1)
+   */
+  static getBudgetWaste(gameState, budget, pieceId) {
+    const remaining = budget - getDraftCost(gameState, pieceId)
+    if (remaining <= 0 || budget <= 0) {
+      return 0
+    }
+
+    const stock = { ...gameState.stock }
+    if (stock[pieceId] > 0) {
+      stock[pieceId] -= 1
+    }
+
+    const affordableLater = Object.entries(stock).some(([id, count]) =>
+      count !== 0 && getDraftCost(gameState, id) <= remaining
+    )
+
+    return affordableLater ? 0 : remaining / budget
+  }
+}
\ No newline at end of file
@@ -0,0 +1,333 @@
+/**
+ * Search-Based AI for SumZero
+ * Alpha-beta search with iterative deepening, used by the "expert" difficulty
+ */
+
+import { enumerateLegalMoves, hasLegalMove } from '../core/placement/PlacementService.js'
+import { placePiece } from '../core/board/Board.js'
+import { createBitboard, placeOnBitboard } from '../core/board/Bitboard.js'
+import { getPlayerIds, getRivals, passPlacementTurn } from '../core/game/GameState.js'
+import { getEndCondition } from '../core/game/EndConditions.js'
+import { isSameSide } from '../core/game/Teams.js'
+import { ScoringService } from '../core/scoring/ScoringService.js'
+import { getScoringPreset, WIN_CONDITIONS } from '../core/scoring/ScoringPresets.js'
+
+// Share of the time budget the search may use; the rest covers move generation and overhead
+const SEARCH_BUDGET_SHARE = 0.8
+const MAX_SEARCH_DEPTH = 6
+
+// Depth searched without a time budget, e.g. in reproducible tournaments
+export const UNTIMED_SEARCH_DEPTH = 2
+
+// Candidate moves searched at the root and at inner nodes (best-first after cheap ordering)
+const ROOT_BREADTH = 16
+const NODE_BREADTH = 8
+
+// Evaluation weights
+const WIN_SCORE = 10000
+const MOBILITY_WEIGHT = 0.05
+const MOBILITY_CAP = 60
+
+const ORTHOGONAL_NEIGHBORS = [[1, 0], [-1, 0], [0, 1], [0, -1]]
+const LINE_DIRECTIONS = [[1, 0], [0, 1], [1, 1], [1, -1]]
+
+/**
+ * Raised internally when the search runs past its deadline
+ */
+class SearchTimeoutError extends Error {
+  constructor() {
+    super('Search deadline exceeded')
+  }
+}
+
+/**
+ * Search-based AI that looks ahead at the opponent's replies
+ */
+export class SearchAI {
+
+  /**
+   * Find the best placement with iterative deepening alpha-beta search
+   * Returns the best move of the deepest fully searched depth
+   * @param {Object} gameState - Current game state
+   * @param {number} playerId - AI player ID
+   * @param {Array} legalMoves - Legal moves for the AI player
+   * @param {Object} options - Search options
+   * @param {number|null} options.timeBudget - Time budget in milliseconds, null to search every depth up to maxDepth
+   * @param {number} options.maxDepth - Maximum search depth in plies
+   * @param {Function} options.onProgress - Called with {depth, maxDepth} after each completed depth
+   * @returns {Object|null} Best move or null if there are no legal moves
+   */
+  static findBestMove(gameState, playerId, legalMoves, options = {}) {
+    const { timeBudget = 1000, maxDepth = MAX_SEARCH_DEPTH, onProgress = null } = options
+
+    if (legalMoves.length === 0) {
+      return null
+    }
+
+    const deadline = timeBudget === null ? Infinity : Date.now() + timeBudget * SEARCH_BUDGET_SHARE
+    const root = this.createSearchNode(gameState)
+    let candidates = this.expandMoves(root, legalMoves, ROOT_BREADTH)
+    let bestMove = candidates[0].move
+
+    for (let depth = 1; depth <= maxDepth; depth++) {
+      try {
+        const best = this.searchRoot(candidates, playerId, depth, deadline)
+        bestMove = best.move
+
+        // Search the previous best move first on the next iteration
+        candidates = [best, ...candidates.filter(candidate => candidate !== best)]
+
+        if (onProgress) {
+          onProgress({ depth, maxDepth })
+        }
+      } catch (error) {
+        if (error instanceof SearchTimeoutError) break
+        throw error
+      }
+    }
+
+    return bestMove
+  }
+
+  /**
+   * Search all root candidates to a fixed depth
+   * @param {Array} candidates - Root candidates {move, node}
+   * @param {number} playerId - AI player ID
+   * @param {number} depth - Depth in plies, including the root move
+   * @param {number} deadline - Timestamp after which the search aborts
+   * @returns {Object} Best candidate
+   */
+  static searchRoot(candidates, playerId, depth, deadline) {
+    let best = null
+    let alpha = -Infinity
+
+    for (const candidate of candidates) {
+      const value = this.alphaBeta(candidate.node, depth - 1, alpha, Infinity, playerId, deadline)
+
+      if (best === null || value > alpha) {
+        best = candidate
+        alpha = value
+      }
+    }
+
+    return best
+  }
+
+  /**
+   * Minimax search with alpha-beta pruning
+   * Turns do not strictly alternate (a blocked player is skipped), so the
+   * side to move decides whether a node maximizes or minimizes; a partner's
+   * move maximizes like the AI's own
+   * @param {Object} node - Search node
+   * @param {number} depth - Remaining depth in plies
+   * @param {number} alpha - Lower bound for the maximizing player
+   * @param {number} beta - Upper bound for the minimizing player
+   * @param {number} playerId - AI player ID
+   * @param {number} deadline - Timestamp after which the search aborts
+   * @returns {number} Node value from the AI player's perspective
+   * @throws {SearchTimeoutError} If the deadline has passed
+   */
+  static alphaBeta(node, depth, alpha, beta, playerId, deadline) {
+    if (Date.now() > deadline) {
+      throw new SearchTimeoutError()
+    }
+
+    if (node.gameOver || depth === 0) {
+      return this.evaluate(node, playerId)
+    }
+
+    const moves = enumerateLegalMoves(node, node.currentPlayer)
+    const children = this.expandMoves(node, moves, NODE_BREADTH)
+    const maximizing = isSameSide(node, node.currentPlayer, playerId)
+
+    let best = maximizing ? -Infinity : Infinity
+
+    for (const { node: child } of children) {
+      const value = this.alphaBeta(child, depth - 1, alpha, beta, playerId, deadline)
+
+      if (maximizing) {
+        best = Math.max(best, value)
+        alpha = Math.max(alpha, best)
+      } else {
+        best = Math.min(best, value)
+        beta = Math.min(beta, best)
+      }
+
+      if (alpha >= beta) break
+    }
+
+    return best
+  }
+
+  /**
+   * Pick the most promising moves and apply them
+   * Moves are pre-ranked with a cheap local heuristic, then the kept moves
+   * are ordered by the points they actually score
+   * @param {Object} node - Search node
+   * @param {Array} moves - Legal moves for the side to move
+   * @param {number} breadth - Number of moves to keep
+   * @returns {Array} Candidates {move, node, points}, best first
+   */
+  static expandMoves(node, moves, breadth) {
+    const ranked = moves
+      .map(move => ({ move, rank: this.rankMove(node.board, move) }))
+      .sort((a, b) => b.rank - a.rank)
+      .slice(0, breadth)
+
+    return ranked
+      .map(({ move }) => this.applyMove(node, move))
+      .sort((a, b) => b.points - a.points)
+  }
+
+  /**
+   * Cheap move ordering heuristic: the longest own line through each placed
+   * cell (pattern building and completion) plus contact with own cells and
+   * opponent cells (blocking)
+   * @param {Object} board - Board object
+   * @param {Object} move - Move to rank
+   * @returns {number} Rank, higher is more promising
+   */
+  static rankMove(board, move) {
+    const placed = new Set(move.absCells.map(([x, y]) => `${x},${y}`))
+    const ownerAt = (x, y) => {
+      if (x < 0 || y < 0 || x >= board.cols || y >= board.rows) return -1
+      return placed.has(`${x},${y}`) ? move.player : board.grid[y][x]
+    }
+
+    let rank = 0
+
+    for (const [x, y] of move.absCells) {
+      let longestLine = 0
+      for (const [dx, dy] of LINE_DIRECTIONS) {
+        let length = 1
+        for (let i = 1; ownerAt(x + dx * i, y + dy * i) === move.player; i++) length++
+        for (let i = 1; ownerAt(x - dx * i, y - dy * i) === move.player; i++) length++
+        longestLine = Math.max(longestLine, length)
+      }
+      rank += longestLine
+
+      for (const [dx, dy] of ORTHOGONAL_NEIGHBORS) {
+        const owner = ownerAt(x + dx, y + dy)
+        if (owner > 0 && !placed.has(`${x + dx},${y + dy}`)) {
+          rank += 1
+        }
+      }
+    }
+
+    return rank
+  }
+
+  /**
+   * Build a lightweight search node from a game state
+   * Only the fields needed by move generation, scoring and the end condition
+   * are kept (of the history, only the last placement), plus a bitboard of
+   * the board for move generation
+   * @param {Object} gameState - Current game state
+   * @returns {Object} Search node
+   */
+  static createSearchNode(gameState) {
+    return {
+      config: { scoringPreset: gameState.config?.scoringPreset, customPieces: gameState.config?.customPieces },
+      board: gameState.board,
+      bitboard: createBitboard(gameState.board),
+      players: Object.fromEntries(getPlayerIds(gameState).map(playerId =>
+        [playerId, { arsenal: { ...gameState.players[playerId].arsenal } }])),
+      scoring: {
+        ...Object.fromEntries(getPlayerIds(gameState).map(playerId =>
+          [`player${playerId}Score`, ScoringService.getScore(gameState, playerId)])),
+        scoringHistory: [],
+        patternIndex: gameState.scoring.patternIndex,
+        ...(gameState.scoring.teams && { teams: gameState.scoring.teams })
+      },
+      endCondition: gameState.endCondition,
+      history: gameState.history.slice(-1),
+      currentPlayer: gameState.currentPlayer,
+      gameOver: false,
+      winner: null
+    }
+  }
+
+  /**
+   * Apply a move to a search node
+   * @param {Object} node - Search node
+   * @param {Object} move - Legal move for the side to move
+   * @returns {Object} Candidate {move, node, points}
+   */
+  static applyMove(node, move) {
+    const arsenal = node.players[move.player].arsenal
+    const { bitboard, ...state } = node
+    const placed = {
+      ...state,
+      board: placePiece(node.board, move.absCells, move.player),
+      players: {
+        ...node.players,
+        [move.player]: { arsenal: { ...arsenal, [move.pieceId]: arsenal[move.pieceId] - 1 } }
+      }
+    }
+
+    const scoringResult = ScoringService.awardPoints(placed, move.player, move.absCells, 'search')
+    // Scoring clones the state through JSON, so the bitboard is kept out of it
+    // and the config is shared again, which keeps the game's piece library
+    const scored = {
+      ...scoringResult.gameState,
+      config: node.config,
+      bitboard: placeOnBitboard(bitboard, move.absCells, move.player),
+      scoring: { ...scoringResult.gameState.scoring, scoringHistory: [] },
+      history: [move]
+    }
+
+    return {
+      move,
+      node: this.advanceTurn(scored, move.player),
+      points: scoringResult.pointsEarned
+    }
+  }
+
+  /**
+   * Pass the turn like GameService.startTurn: count rounds, skip blocked
+   * players and end the game through the game's end condition
+   * @param {Object} node - Search node after a move
+   * @param {number} moverId - Player who just moved
+   * @returns {Object} Search node with the next player to move, or the game over and its winner
+   */
+  static advanceTurn(node, moverId) {
+    const canMove = {}
+    const playerCanMove = (state, playerId) => (canMove[playerId] ??= hasLegalMove(state, playerId))
+
+    let next = passPlacementTurn({ ...node, currentPlayer: moverId })
+    let endResult = ScoringService.checkGameEnd(next, playerCanMove)
+    while (!endResult.gameEnded && !playerCanMove(next, next.currentPlayer)) {
+      next = passPlacementTurn(next)
+      endResult = ScoringService.checkGameEnd(next, playerCanMove)
+    }
+
+    return endResult.gameEnded ? { ...next, gameOver: true, winner: endResult.winner } : next
+  }
+
+  /**
+   * Evaluate a node from the AI player's perspective
+   * With several rivals the search plays against the leading one; team games
+   * compare team scores. Where the last placement wins (last-move presets and
+   * sudden death), points do not count and until the end mobility decides
+   * @param {Object} node - Search node
+   * @param {number} playerId - AI player ID
+   * @returns {number} Score difference, plus mobility or a win/loss bonus
+   */
+  static evaluate(node, playerId) {
+    const opponentId = ScoringService.rankPlayers(node, getRivals(node, playerId))[0]
+    const lastMoveWins = getScoringPreset(node.config?.scoringPreset).winCondition === WIN_CONDITIONS.LAST_MOVE ||
+      !getEndCondition(node.endCondition?.type).scored
+    const scoreDiff = lastMoveWins
+      ? 0
+      : ScoringService.getSideScore(node, playerId) - ScoringService.getSideScore(node, opponentId)
+
+    if (node.gameOver) {
+      return (isSameSide(node, node.winner, playerId) ? WIN_SCORE : -WIN_SCORE) + scoreDiff
+    }
+
+    const mobility = enumerateLegalMoves(node, playerId, MOBILITY_CAP).length -
+      enumerateLegalMoves(node, opponentId, MOBILITY_CAP).length
+
+    return lastMoveWins ? mobility : scoreDiff + mobility * MOBILITY_WEIGHT
+  }
+}
\ No newline at end of file
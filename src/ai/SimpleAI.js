@@ -4,11 +4,20 @@
  */
 
 import { getAvailablePieces } from '../core/draft/DraftService.js'
+import { getDraftCost } from '../core/draft/CostModels.js'
 import { enumerateLegalMoves } from '../core/placement/PlacementService.js'
-import { pieceLibrary } from '../core/pieces/PieceLibrary.js'
+import { getGamePieces } from '../core/pieces/PieceLibrary.js'
+import { SearchAI, UNTIMED_SEARCH_DEPTH } from './SearchAI.js'
+import { DraftEvaluator } from './DraftEvaluator.js'
+import { getNextPlayer, getSeatDifficulty } from '../core/game/GameState.js'
+import { createRandom, deriveSeed, pickRandom } from '../utils/random.js'
+import { PLAYERS } from '../utils/constants.js'
+
+// Time a decision may take before the fallback is used (ms)
+export const AI_TIME_LIMIT = 1000
 
 /**
- * Simple AI that makes strategic decisions for Player 2
+ * Simple AI that makes strategic decisions for either player
  */
 export class SimpleAI {
 
@@ -16,23 +25,29 @@ export class SimpleAI {
    * Make a draft decision for the AI player with timeout protection
    * @param {Object} gameState - Current game state
    * @param {number} playerId - AI player ID
+   * @param {Object} options - Decision options
+   * @param {number|null} options.timeLimit - Time limit in ms, null to play untimed and reproducibly
    * @returns {string|null} - Piece ID to buy or null to pass
    */
-  static makeDraftDecision(gameState, playerId) {
+  static makeDraftDecision(gameState, playerId, options = {}) {
+    const { timeLimit = AI_TIME_LIMIT } = options
+    this.playerId = playerId
+    this.opponentId = getNextPlayer(gameState, playerId)
+    this.random = this.createDecisionRandom(gameState, playerId)
+
     return this.withTimeout(() => {
       const player = gameState.players[playerId]
       const availablePieces = getAvailablePieces(gameState, playerId)
-      const difficulty = gameState.config?.aiDifficulty || 'normal'
+      const difficulty = getSeatDifficulty(gameState, playerId)
 
       if (availablePieces.length === 0) {
         return null // Pass if no pieces available
       }
 
       // Filter pieces we can afford
-      const affordablePieces = availablePieces.filter(pieceId => {
-        const piece = pieceLibrary.get(pieceId)
-        return piece.cost <= player.budget
-      })
+      const affordablePieces = availablePieces.filter(pieceId =>
+        getDraftCost(gameState, pieceId) <= player.budget
+      )
 
       if (affordablePieces.length === 0) {
         return null // Pass if can't afford anything
@@ -40,45 +55,87 @@ export class SimpleAI {
 
       // Apply difficulty-based decision making
       if (difficulty === 'easy') {
-        return this.makeEasyDraftDecision(affordablePieces)
+        return this.makeEasyDraftDecision(affordablePieces, gameState)
       } else if (difficulty === 'medium') {
         return this.makeMediumDraftDecision(affordablePieces, gameState, playerId)
       } else if (difficulty === 'hard') {
         return this.makeHardDraftDecision(affordablePieces, gameState, playerId)
+      } else if (difficulty === 'expert') {
+        return DraftEvaluator.chooseDraftPiece(gameState, playerId, affordablePieces)
       } else {
-        return this.makeNormalDraftDecision(affordablePieces)
+        return this.makeNormalDraftDecision(affordablePieces, gameState)
       }
-    }, null) // Fallback to pass
+    }, null, timeLimit) // Fallback to pass
+  }
+
+  /**
+   * Make an auction bid on the revealed lot
+   * The bid values the lot against the listed cost and never looks at the
+   * opponent's sealed bid
+   * @param {Object} gameState - Current game state (auction draft)
+   * @param {number} playerId - AI player ID
+   * @returns {number} Bid in budget points (0 passes on the lot)
+   */
+  static makeBidDecision(gameState, playerId) {
+    this.playerId = playerId
+    this.opponentId = getNextPlayer(gameState, playerId)
+    this.random = this.createDecisionRandom(gameState, playerId)
+
+    const pieceId = gameState.draftState.auction?.pieceId
+    const budget = gameState.players[playerId].budget
+    if (!pieceId || budget <= 0) {
+      return 0
+    }
+
+    const piece = getGamePieces(gameState).get(pieceId)
+    const listedCost = getDraftCost(gameState, pieceId)
+    const difficulty = getSeatDifficulty(gameState, playerId)
+    let value = listedCost
+
+    if (difficulty === 'easy') {
+      value = listedCost * (0.5 + this.random())
+    } else if (difficulty === 'expert') {
+      // Rank the lot among everything still in stock; pieces that no longer fit are worthless
+      const candidates = Object.keys(gameState.stock).filter(id => gameState.stock[id] !== 0)
+      const evaluations = DraftEvaluator.evaluatePieces(gameState, playerId, candidates)
+      const rank = evaluations.findIndex(evaluation => evaluation.pieceId === pieceId)
+      value = evaluations[rank].anchors === 0 ? 0 : listedCost * (1.5 - rank / evaluations.length)
+    } else if (difficulty !== 'normal' && piece.relCells.length >= this.getLargestPieceSize(gameState)) {
+      value += 1
+    }
+
+    return Math.max(0, Math.min(budget, Math.round(value)))
   }
 
   /**
    * Easy AI: Sometimes makes suboptimal choices
    */
-  static makeEasyDraftDecision(affordablePieces) {
+  static makeEasyDraftDecision(affordablePieces, gameState) {
     // 50% chance to pick randomly, 50% chance to pick optimally
-    if (Math.random() < 0.5) {
-      return affordablePieces[Math.floor(Math.random() * affordablePieces.length)]
+    if (this.random() < 0.5) {
+      return pickRandom(this.random, affordablePieces)
     }
-    return this.makeNormalDraftDecision(affordablePieces)
+    return this.makeNormalDraftDecision(affordablePieces, gameState)
   }
 
   /**
    * Normal AI: Enhanced value-based strategy with pattern analysis
    */
-  static makeNormalDraftDecision(affordablePieces) {
+  static makeNormalDraftDecision(affordablePieces, gameState) {
     let bestPiece = null
     let bestValue = 0
+    const largest = this.getLargestPieceSize(gameState)
 
     for (const pieceId of affordablePieces) {
-      const piece = pieceLibrary.get(pieceId)
-      let value = piece.relCells.length / piece.cost // Base cells per cost
+      const piece = getGamePieces(gameState).get(pieceId)
+      let value = piece.relCells.length / getDraftCost(gameState, pieceId) // Base cells per cost
 
       // Bonus for pieces that can form patterns
       const shapeComplexity = this.calculateShapeComplexity(piece.relCells)
       value += shapeComplexity * 0.3
 
       // Bonus for larger pieces (strategic value)
-      if (piece.relCells.length >= 4) {
+      if (piece.relCells.length >= largest - 1) {
         value += 1
       }
 
@@ -101,15 +158,16 @@ export class SimpleAI {
   static makeMediumDraftDecision(affordablePieces, gameState, playerId) {
     let bestPiece = null
     let bestScore = 0
+    const largest = this.getLargestPieceSize(gameState)
 
     for (const pieceId of affordablePieces) {
-      const piece = pieceLibrary.get(pieceId)
-      let score = piece.relCells.length / piece.cost // Base efficiency
+      const piece = getGamePieces(gameState).get(pieceId)
+      let score = piece.relCells.length / getDraftCost(gameState, pieceId) // Base efficiency
 
       // Strong bonus for strategic piece sizes
-      if (piece.relCells.length >= 5) {
+      if (piece.relCells.length >= largest) {
         score += 3.5
-      } else if (piece.relCells.length >= 3) {
+      } else if (piece.relCells.length >= largest - 2) {
         score += 1.5
       }
 
@@ -144,15 +202,16 @@ export class SimpleAI {
   static makeHardDraftDecision(affordablePieces, gameState, playerId) {
     let bestPiece = null
     let bestScore = 0
+    const largest = this.getLargestPieceSize(gameState)
 
     for (const pieceId of affordablePieces) {
-      const piece = pieceLibrary.get(pieceId)
-      let score = piece.relCells.length / piece.cost // Base efficiency
+      const piece = getGamePieces(gameState).get(pieceId)
+      let score = piece.relCells.length / getDraftCost(gameState, pieceId) // Base efficiency
 
       // MASSIVE bonus for strategic piece sizes (higher than medium)
-      if (piece.relCells.length >= 5) {
+      if (piece.relCells.length >= largest) {
         score += 5.0  // INCREASED from 3.5
-      } else if (piece.relCells.length >= 3) {
+      } else if (piece.relCells.length >= largest - 2) {
         score += 2.5  // INCREASED from 1.5
       }
 
@@ -173,7 +232,7 @@ export class SimpleAI {
       score += denyValue * 2.0  // INCREASED from 1.0
 
       // NEW: SABOTAGE BONUS - prioritize pieces that can disrupt opponent
-      if (piece.relCells.length >= 4) {
+      if (piece.relCells.length >= largest - 1) {
         score += this.calculateSabotageValue(piece, gameState) * 1.5
       }
 
@@ -288,15 +347,29 @@ export class SimpleAI {
     return potential
   }
 
+  /**
+   * Get the size of the largest piece in the game, so size bonuses follow
+   * the enabled piece sets (5 in the classic tetromino/pentomino game)
+   * @param {Object} gameState - Current game state
+   * @returns {number} Cells in the largest piece
+   */
+  static getLargestPieceSize(gameState) {
+    const sizes = Object.keys(gameState?.stock || {})
+      .map(pieceId => getGamePieces(gameState).get(pieceId)?.relCells.length || 0)
+    return sizes.length > 0 ? Math.max(...sizes) : 5
+  }
+
   /**
    * Calculate value of denying this piece to opponent
    */
   static calculateDenyValue(piece, gameState) {
+    const largest = this.getLargestPieceSize(gameState)
+
     // Highly valuable pieces should be prioritized to deny opponent
-    if (piece.relCells.length >= 5) {
+    if (piece.relCells.length >= largest) {
       return 1.5 // Strong incentive to take large pieces
     }
-    if (piece.relCells.length >= 4) {
+    if (piece.relCells.length >= largest - 1) {
       return 0.8
     }
     return 0.2
@@ -394,17 +467,24 @@ export class SimpleAI {
    * Make a placement decision for the AI player with timeout protection
    * @param {Object} gameState - Current game state
    * @param {number} playerId - AI player ID
+   * @param {Object} options - Decision options
+   * @param {Function} options.onProgress - Search progress callback (expert difficulty)
+   * @param {number|null} options.timeLimit - Time limit in ms, null to play untimed and reproducibly
    * @returns {Object|null} - Move object or null if no moves available
    */
-  static makePlacementDecision(gameState, playerId) {
+  static makePlacementDecision(gameState, playerId, options = {}) {
+    const { timeLimit = AI_TIME_LIMIT } = options
     const legalMoves = enumerateLegalMoves(gameState, playerId)
+    this.playerId = playerId
+    this.opponentId = getNextPlayer(gameState, playerId)
+    this.random = this.createDecisionRandom(gameState, playerId)
 
     if (legalMoves.length === 0) {
       return null // No legal moves available
     }
 
     return this.withTimeout(() => {
-      const difficulty = gameState.config?.aiDifficulty || 'normal'
+      const difficulty = getSeatDifficulty(gameState, playerId)
 
       // Apply difficulty-based placement strategy
       if (difficulty === 'easy') {
@@ -413,19 +493,21 @@ export class SimpleAI {
         return this.makeMediumPlacementDecision(legalMoves, gameState)
       } else if (difficulty === 'hard') {
         return this.makeHardPlacementDecision(legalMoves, gameState)
+      } else if (difficulty === 'expert') {
+        return this.makeExpertPlacementDecision(legalMoves, gameState, playerId, options.onProgress)
       } else {
         return this.makeNormalPlacementDecision(legalMoves, gameState)
       }
-    }, legalMoves[0]) // Fallback to first legal move
+    }, legalMoves[0], timeLimit) // Fallback to first legal move
   }
 
   /**
    * Easy AI: 60% chance of suboptimal moves
    */
   static makeEasyPlacementDecision(legalMoves, gameState) {
-    if (Math.random() < 0.6) {
+    if (this.random() < 0.6) {
       // Make a random move
-      return legalMoves[Math.floor(Math.random() * legalMoves.length)]
+      return pickRandom(this.random, legalMoves)
     }
     return this.makeNormalPlacementDecision(legalMoves, gameState)
   }
@@ -438,7 +520,7 @@ export class SimpleAI {
     let bestScore = -1
 
     for (const move of legalMoves) {
-      const piece = pieceLibrary.get(move.pieceId)
+      const piece = getGamePieces(gameState).get(move.pieceId)
       let score = this.evaluateMove(gameState, move, piece)
 
       // Add pattern formation bonus
@@ -467,7 +549,7 @@ export class SimpleAI {
       // Abort if taking too long
       if (this.shouldAbortComputation()) break
 
-      const piece = pieceLibrary.get(move.pieceId)
+      const piece = getGamePieces(gameState).get(move.pieceId)
       let score = this.evaluateMove(gameState, move, piece)
 
       // MASSIVELY INCREASED aggressive strategic factors
@@ -503,7 +585,7 @@ export class SimpleAI {
       // Abort if taking too long
       if (this.shouldAbortComputation()) break
 
-      const piece = pieceLibrary.get(move.pieceId)
+      const piece = getGamePieces(gameState).get(move.pieceId)
       let score = this.evaluateMove(gameState, move, piece)
 
       // MASSIVELY INCREASED aggressive strategic factors
@@ -533,6 +615,25 @@ export class SimpleAI {
     return bestMove
   }
 
+  /**
+   * Expert AI: Looks ahead at the opponent's replies with alpha-beta search
+   * Untimed decisions search to a fixed depth so they do not depend on the machine
+   */
+  static makeExpertPlacementDecision(legalMoves, gameState, playerId, onProgress = null) {
+    if (!this.maxComputationTime) {
+      return SearchAI.findBestMove(gameState, playerId, legalMoves, {
+        timeBudget: null,
+        maxDepth: UNTIMED_SEARCH_DEPTH,
+        onProgress
+      })
+    }
+
+    return SearchAI.findBestMove(gameState, playerId, legalMoves, {
+      timeBudget: this.maxComputationTime,
+      onProgress
+    })
+  }
+
   /**
    * NEW: Evaluate opponent destruction opportunities (EXTREME AGGRESSION)
    */
@@ -577,7 +678,7 @@ export class SimpleAI {
       blockingScore += this.evaluateFormationBlocking(board, x, y) * 2.5
 
       // Block opponent's territorial expansion
-      blockingScore += this.evaluateExpansionBlocking(board, x, y, 1) * 2.0
+      blockingScore += this.evaluateExpansionBlocking(board, x, y, this.opponentId) * 2.0
     }
 
     return blockingScore
@@ -612,7 +713,7 @@ export class SimpleAI {
    * EXTREME AGGRESSION HELPER METHODS
    */
   static evaluateOpponentPositionDestruction(board, x, y) {
-    const opponentId = 1
+    const opponentId = this.opponentId
     let destructionValue = 0
 
     // Count nearby opponent pieces that would be weakened
@@ -634,7 +735,7 @@ export class SimpleAI {
   }
 
   static evaluatePatternDestruction(board, x, y) {
-    const opponentId = 1
+    const opponentId = this.opponentId
     let patternDestruction = 0
 
     // Detect and destroy opponent line patterns
@@ -647,7 +748,7 @@ export class SimpleAI {
   }
 
   static evaluateTerritoryDestruction(board, x, y) {
-    const opponentId = 1
+    const opponentId = this.opponentId
     let territoryDestruction = 0
 
     // Count opponent territory that becomes fragmented
@@ -678,7 +779,7 @@ export class SimpleAI {
   }
 
   static evaluateFormationBlocking(board, x, y) {
-    const opponentId = 1
+    const opponentId = this.opponentId
     let formationBlocking = 0
 
     // Block potential opponent formations
@@ -699,7 +800,7 @@ export class SimpleAI {
   }
 
   static evaluateScoringDenial(board, x, y) {
-    const opponentId = 1
+    const opponentId = this.opponentId
     let scoringDenial = 0
 
     // Deny opponent's potential scoring formations
@@ -794,7 +895,7 @@ export class SimpleAI {
   }
 
   static countOpponentDevelopmentPotential(board, x, y) {
-    const opponentId = 1
+    const opponentId = this.opponentId
     let developmentPotential = 0
 
     // Look for opponent pieces that could be extended
@@ -938,7 +1039,7 @@ export class SimpleAI {
     }
 
     // Reduced randomness for more consistent play
-    score += Math.random() * 1
+    score += this.random() * 1
 
     return score
   }
@@ -956,7 +1057,7 @@ export class SimpleAI {
     strategicScore += futureSpots * 2
 
     // Prefer moves that connect to existing pieces (if any)
-    const connectsToExisting = this.connectsToExistingPieces(board, move, piece, 2)
+    const connectsToExisting = this.connectsToExistingPieces(board, move, piece, this.playerId)
     if (connectsToExisting) {
       strategicScore += 10
     }
@@ -1123,7 +1224,7 @@ export class SimpleAI {
     let scoreBonus = 0
 
     // Larger pieces in strategic positions
-    if (piece.relCells.length >= 4) {
+    if (piece.relCells.length >= this.getLargestPieceSize(gameState) - 1) {
       scoreBonus += piece.relCells.length * 2
     }
 
@@ -1147,11 +1248,11 @@ export class SimpleAI {
       const y = anchorY + dy
 
       // Check horizontal line potential
-      let hExtension = this.countLineExtension(board, x, y, 1, 0, 2)
+      let hExtension = this.countLineExtension(board, x, y, 1, 0, this.playerId)
       lineScore += hExtension
 
       // Check vertical line potential
-      let vExtension = this.countLineExtension(board, x, y, 0, 1, 2)
+      let vExtension = this.countLineExtension(board, x, y, 0, 1, this.playerId)
       lineScore += vExtension
     }
 
@@ -1196,7 +1297,7 @@ export class SimpleAI {
       for (let nx = x - 2; nx <= x + 2; nx++) {
         for (let ny = y - 2; ny <= y + 2; ny++) {
           if (nx >= 0 && nx < board.cols && ny >= 0 && ny < board.rows) {
-            if (board.grid[ny][nx] === 2) { // AI is player 2
+            if (board.grid[ny][nx] === this.playerId) {
               nearbyAllies++
             }
           }
@@ -1277,7 +1378,7 @@ export class SimpleAI {
   static evaluateBlockingValue(board, move, piece) {
     let blockingScore = 0
     const [anchorX, anchorY] = move.anchor
-    const opponentId = 1 // Player is always 1, AI is always 2
+    const opponentId = this.opponentId
 
     // Check each cell this piece would occupy
     for (const [dx, dy] of piece.relCells) {
@@ -1313,7 +1414,7 @@ export class SimpleAI {
     let futureOptions = 0
 
     // Simulate placing the piece and count remaining options
-    const testBoard = this.simulatePlacement(board, move, piece, 2)
+    const testBoard = this.simulatePlacement(board, move, piece, this.playerId)
 
     // Count potential placement spots for remaining pieces
     const samplePositions = this.generateSamplePositions(testBoard)
@@ -1343,13 +1444,13 @@ export class SimpleAI {
       const y = anchorY + dy
 
       // Check line completion potential
-      completionScore += this.evaluateLineCompletion(board, x, y, 2) * 4
+      completionScore += this.evaluateLineCompletion(board, x, y, this.playerId) * 4
 
       // Check rectangle completion potential
-      completionScore += this.evaluateRectangleCompletion(board, x, y, 2) * 6
+      completionScore += this.evaluateRectangleCompletion(board, x, y, this.playerId) * 6
 
       // Check territory completion
-      completionScore += this.evaluateTerritoryCompletion(board, x, y, 2) * 3
+      completionScore += this.evaluateTerritoryCompletion(board, x, y, this.playerId) * 3
     }
 
     return completionScore
@@ -1366,11 +1467,11 @@ export class SimpleAI {
       const y = anchorY + dy
 
       // Line formation bonus
-      const lineScore = this.estimateLineScore(board, x, y, 2)
+      const lineScore = this.estimateLineScore(board, x, y, this.playerId)
       scoreEstimate += lineScore * 0.8
 
       // Rectangle formation bonus
-      const rectScore = this.estimateRectangleScore(board, x, y, 2)
+      const rectScore = this.estimateRectangleScore(board, x, y, this.playerId)
       scoreEstimate += rectScore * 1.2
 
       // Strategic position multiplier
@@ -1947,7 +2048,7 @@ export class SimpleAI {
 
   static evaluateOpponentHotspotDestruction(board, x, y) {
     let destructionValue = 0
-    const opponentId = 1
+    const opponentId = this.opponentId
 
     // Check if this position ruins a powerful opponent formation
     for (let checkSize = 3; checkSize <= 5; checkSize++) {
@@ -1966,7 +2067,7 @@ export class SimpleAI {
 
   static evaluatePatternDenial(board, x, y) {
     let denialValue = 0
-    const opponentId = 1
+    const opponentId = this.opponentId
 
     // Deny line patterns
     denialValue += this.countPotentialOpponentLines(board, x, y, opponentId) * 2
@@ -1982,7 +2083,7 @@ export class SimpleAI {
 
   static evaluateTerritorialBlocking(board, x, y) {
     let blockingValue = 0
-    const opponentId = 1
+    const opponentId = this.opponentId
 
     // Count opponent pieces that would be isolated
     blockingValue += this.countOpponentPiecesIsolated(board, x, y, opponentId) * 2
@@ -2033,7 +2134,7 @@ export class SimpleAI {
     let denialValue = 0
 
     // Count how many opponent placement options this eliminates
-    const placementOptions = this.countNearbyPlacementOptions(board, x, y, 1)
+    const placementOptions = this.countNearbyPlacementOptions(board, x, y, this.opponentId)
     denialValue += placementOptions * 0.5
 
     // Special bonus for eliminating large piece placement options
@@ -2046,7 +2147,7 @@ export class SimpleAI {
 
   static evaluateExpansionPathBlocking(board, x, y) {
     let blockingValue = 0
-    const opponentId = 1
+    const opponentId = this.opponentId
 
     // Block paths between opponent territories
     if (this.blocksOpponentPath(board, x, y, opponentId)) {
@@ -2166,7 +2267,7 @@ export class SimpleAI {
 
   static destroysOpponentPosition(board, x, y) {
     // Simplified check for destroying opponent positional advantage
-    const opponentId = 1
+    const opponentId = this.opponentId
     let nearbyOpponents = 0
 
     for (let nx = x - 1; nx <= x + 1; nx++) {
@@ -2446,14 +2547,29 @@ export class SimpleAI {
     }
   }
 
+  /**
+   * Create the random function for a single AI decision
+   * Derived from the game's generator state so the same position and seed
+   * always produce the same choice
+   * @param {Object} gameState - Current game state
+   * @param {number} playerId - AI player ID
+   * @returns {Function} Random function
+   */
+  static createDecisionRandom(gameState, playerId) {
+    if (typeof gameState.rngState !== 'number') {
+      return Math.random // Saves from before seeding was introduced
+    }
+    return createRandom(deriveSeed(gameState.rngState, playerId))
+  }
+
   /**
    * Execute a function with timeout protection
    * @param {Function} fn - Function to execute
    * @param {any} fallback - Fallback value if timeout occurs
-   * @param {number} timeout - Timeout in milliseconds (default: 1000)
+   * @param {number|null} timeout - Timeout in milliseconds, null for no timeout
    * @returns {any} - Function result or fallback
    */
-  static withTimeout(fn, fallback, timeout = 1000) {
+  static withTimeout(fn, fallback, timeout = AI_TIME_LIMIT) {
     const startTime = Date.now()
 
     try {
@@ -2464,7 +2580,7 @@ export class SimpleAI {
       const result = fn()
 
       // Check if we exceeded the time limit
-      if (Date.now() - startTime > timeout) {
+      if (timeout !== null && Date.now() - startTime > timeout) {
         console.warn(`AI computation took ${Date.now() - startTime}ms, using fallback`)
         return fallback
       }
@@ -2493,6 +2609,14 @@ export class SimpleAI {
    * @returns {number} - Delay in milliseconds
    */
   static getActionDelay() {
-    return 800 + Math.random() * 400 // 800-1200ms delay
+    return 800 + Math.random() * 400 // 800-1200ms delay (cosmetic, not seeded)
   }
-}
\ No newline at end of file
+}
+
+// Unseeded until a decision derives a generator from the game state
+SimpleAI.random = Math.random
+
+// Seat the heuristics evaluate for until a decision sets it, and the opponent
+// they block (the player who moves next)
+SimpleAI.playerId = PLAYERS.PLAYER_2
+SimpleAI.opponentId = PLAYERS.PLAYER_1
\ No newline at end of file
@@ -0,0 +1,291 @@
+/**
+ * Headless AI Tournament Runner
+ * Plays full games between two AI configurations to balance difficulty levels
+ */
+
+import { GameService } from '../core/game/GameService.js'
+import { ScoringService } from '../core/scoring/ScoringService.js'
+import { BoardShapes } from '../core/board/BoardShapes.js'
+import { SimpleAI } from './SimpleAI.js'
+import { createRandom, deriveSeed, generateSeed } from '../utils/random.js'
+import { GAME_PHASES, PLAYERS, SEAT_TYPES } from '../utils/constants.js'
+
+// Elo rating parameters
+const INITIAL_ELO = 1500
+const ELO_K_FACTOR = 16
+const ELO_SCALE = 400
+
+// Safety limit on actions per game (draft plus placement)
+const MAX_ACTIONS_PER_GAME = 1000
+
+// Tournament AIs play untimed, so a game depends only on its seed and not on machine speed
+const DECISION_OPTIONS = { timeLimit: null }
+
+export const REPORT_FORMATS = ['json', 'csv']
+
+/**
+ * Play one full AI vs. AI game, from draft through the end of the game
+ * @param {Object} options - Game options
+ * @param {Object} options.seats - Seat configuration {1: {type, difficulty}, 2: {...}}
+ * @param {string} options.shape - Board shape name from BoardShapes.getAllShapeNames()
+ * @param {number} options.boardSize - Base board size
+ * @param {number} options.seed - Seed for the board and the game
+ * @returns {Object} Final game state
+ * @throws {Error} If the game does not end within the action limit
+ */
+export function playGame({ seats, shape, boardSize = 10, seed = generateSeed() }) {
+  const board = BoardShapes.createShapedBoard(shape, boardSize, true, createRandom(seed))
+  let gameState = GameService.createNew(board.rows, board.cols, { customBoard: board, seed, seats })
+
+  for (let actions = 0; actions < MAX_ACTIONS_PER_GAME; actions++) {
+    if (gameState.phase === GAME_PHASES.GAME_OVER) {
+      return gameState
+    }
+
+    const playerId = gameState.currentPlayer
+
+    if (gameState.phase === GAME_PHASES.DRAFT) {
+      const pieceId = SimpleAI.makeDraftDecision(gameState, playerId, DECISION_OPTIONS)
+      gameState = pieceId
+        ? GameService.draftBuy(gameState, playerId, pieceId)
+        : GameService.draftPass(gameState, playerId)
+    } else {
+      const move = SimpleAI.makePlacementDecision(gameState, playerId, DECISION_OPTIONS)
+      gameState = move
+        ? GameService.placePiece(gameState, move)
+        : GameService.endGameWithScoring(gameState)
+    }
+  }
+
+  throw new Error(`Game did not finish within ${MAX_ACTIONS_PER_GAME} actions`)
+}
+
+/**
+ * Play a series of games between two AI configurations
+ * Games are played in pairs on the same board and seed with the seats swapped,
+ * so that the first-player advantage cancels out and can be measured
+ * @param {Object} options - Tournament options
+ * @param {Object} options.configA - First AI configuration {name, difficulty}
+ * @param {Object} options.configB - Second AI configuration {name, difficulty}
+ * @param {number} options.games - Number of games to play
+ * @param {Array<string>} options.shapes - Board shapes to rotate through
+ * @param {number} options.boardSize - Base board size
+ * @param {number} options.seed - Tournament seed
+ * @param {Function} options.onGame - Optional callback(result, index) after each game
+ * @returns {Object} Tournament report
+ */
+export function runTournament(options) {
+  const {
+    configA,
+    configB,
+    games = 20,
+    shapes = BoardShapes.getAllShapeNames(),
+    boardSize = 10,
+    seed = generateSeed(),
+    onGame = null
+  } = options
+
+  const entrants = {
+    A: { name: configA.name || configA.difficulty, difficulty: configA.difficulty },
+    B: { name: configB.name || configB.difficulty, difficulty: configB.difficulty }
+  }
+  const results = []
+
+  for (let index = 0; index < games; index++) {
+    const round = Math.floor(index / 2)
+    const gameSeed = deriveSeed(seed, round)
+    const shape = shapes[round % shapes.length]
+    const firstEntrant = index % 2 === 0 ? 'A' : 'B'
+    const secondEntrant = firstEntrant === 'A' ? 'B' : 'A'
+
+    const seats = {
+      [PLAYERS.PLAYER_1]: { type: SEAT_TYPES.AI, difficulty: entrants[firstEntrant].difficulty },
+      [PLAYERS.PLAYER_2]: { type: SEAT_TYPES.AI, difficulty: entrants[secondEntrant].difficulty }
+    }
+
+    const finalState = playGame({ seats, shape, boardSize, seed: gameSeed })
+    const result = summarizeGame(finalState, { index, shape, seed: gameSeed, firstEntrant, secondEntrant })
+    results.push(result)
+
+    if (onGame) {
+      onGame(result, index)
+    }
+  }
+
+  return {
+    seed,
+    games,
+    shapes,
+    boardSize,
+    entrants,
+    standings: calculateStandings(results),
+    firstPlayer: calculateFirstPlayerStats(results),
+    results
+  }
+}
+
+/**
+ * Summarize a finished game from the entrants' point of view
+ * @param {Object} gameState - Final game state
+ * @param {Object} info - Game info {index, shape, seed, firstEntrant, secondEntrant}
+ * @returns {Object} Game result
+ */
+function summarizeGame(gameState, info) {
+  const entrantByPlayer = {
+    [PLAYERS.PLAYER_1]: info.firstEntrant,
+    [PLAYERS.PLAYER_2]: info.secondEntrant
+  }
+
+  const scores = {}
+  const pointsByPatternType = {}
+  for (const playerId of [PLAYERS.PLAYER_1, PLAYERS.PLAYER_2]) {
+    const entrant = entrantByPlayer[playerId]
+    scores[entrant] = gameState.scoring[`player${playerId}Score`]
+    pointsByPatternType[entrant] = ScoringService.getPointsByPatternType(gameState, playerId)
+  }
+
+  return {
+    game: info.index + 1,
+    shape: info.shape,
+    seed: info.seed,
+    firstPlayer: info.firstEntrant,
+    winner: entrantByPlayer[gameState.winner],
+    scores,
+    pointsByPatternType,
+    reason: gameState.endReason
+  }
+}
+
+/**
+ * Calculate win rates, average scores, average points by pattern type and Elo
+ * @param {Array} results - Game results
+ * @returns {Object} Standings keyed by entrant
+ */
+function calculateStandings(results) {
+  const elo = calculateElo(results)
+  const standings = {}
+
+  for (const entrant of ['A', 'B']) {
+    const wins = results.filter(result => result.winner === entrant).length
+    const totalScore = results.reduce((sum, result) => sum + result.scores[entrant], 0)
+
+    const patternTotals = {}
+    for (const result of results) {
+      for (const [type, points] of Object.entries(result.pointsByPatternType[entrant])) {
+        patternTotals[type] = (patternTotals[type] || 0) + points
+      }
+    }
+
+    const averagePointsByPatternType = {}
+    for (const [type, points] of Object.entries(patternTotals)) {
+      averagePointsByPatternType[type] = roundTo(points / results.length, 2)
+    }
+
+    standings[entrant] = {
+      wins,
+      losses: results.length - wins,
+      winRate: results.length > 0 ? roundTo(wins / results.length, 3) : 0,
+      averageScore: results.length > 0 ? roundTo(totalScore / results.length, 2) : 0,
+      averagePointsByPatternType,
+      elo: Math.round(elo[entrant])
+    }
+  }
+
+  return standings
+}
+
+/**
+ * Calculate how often the player moving first wins
+ * @param {Array} results - Game results
+ * @returns {Object} First player stats {wins, winRate}
+ */
+function calculateFirstPlayerStats(results) {
+  const wins = results.filter(result => result.winner === result.firstPlayer).length
+  return {
+    wins,
+    winRate: results.length > 0 ? roundTo(wins / results.length, 3) : 0
+  }
+}
+
+/**
+ * Estimate Elo ratings by updating both entrants after every game
+ * @param {Array} results - Game results in play order
+ * @returns {Object} Ratings {A, B}
+ */
+export function calculateElo(results) {
+  const ratings = { A: INITIAL_ELO, B: INITIAL_ELO }
+
+  for (const result of results) {
+    const expectedA = 1 / (1 + Math.pow(10, (ratings.B - ratings.A) / ELO_SCALE))
+    const actualA = result.winner === 'A' ? 1 : 0
+    const change = ELO_K_FACTOR * (actualA - expectedA)
+
+    ratings.A += change
+    ratings.B -= change
+  }
+
+  return ratings
+}
+
+/**
+ * Format a tournament report
+ * @param {Object} report - Report from runTournament
+ * @param {string} format - 'json' or 'csv'
+ * @returns {string} Formatted report
+ * @throws {Error} If the format is unknown
+ */
+export function formatReport(report, format = 'json') {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(report, null, 2)
+    case 'csv':
+      return formatStandingsCsv(report)
+    default:
+      throw new Error(`Unknown report format: ${format} (expected ${REPORT_FORMATS.join(' or ')})`)
+  }
+}
+
+/**
+ * Format the standings as CSV, one row per entrant
+ * @param {Object} report - Report from runTournament
+ * @returns {string} CSV text
+ */
+function formatStandingsCsv(report) {
+  const patternTypes = [...new Set(
+    Object.values(report.standings).flatMap(standing => Object.keys(standing.averagePointsByPatternType))
+  )].sort()
+
+  const header = [
+    'entrant', 'name', 'difficulty', 'games', 'wins', 'losses', 'winRate', 'averageScore', 'elo',
+    ...patternTypes.map(type => `avgPoints_${type}`)
+  ]
+
+  const rows = ['A', 'B'].map(entrant => {
+    const standing = report.standings[entrant]
+    return [
+      entrant,
+      report.entrants[entrant].name,
+      report.entrants[entrant].difficulty,
+      report.results.length,
+      standing.wins,
+      standing.losses,
+      standing.winRate,
+      standing.averageScore,
+      standing.elo,
+      ...patternTypes.map(type => standing.averagePointsByPatternType[type] || 0)
+    ]
+  })
+
+  return [header, ...rows].map(row => row.join(',')).join('\n')
+}
+
+/**
+ * Round a number to a fixed number of decimals
+ * @param {number} value - Value to round
+ * @param {number} decimals - Number of decimals
+ * @returns {number} Rounded value
+ */
+function roundTo(value, decimals) {
+  const factor = Math.pow(10, decimals)
+  return Math.round(value * factor) / factor
+}
\ No newline at end of file
@@ -0,0 +1,201 @@
+/**
+ * Bitboard representation of the board for SumZero
+ * Packs each player's cells and the holes into Uint32 row masks for bitwise placement tests
+ */
+
+import { CELL_STATES } from '../../utils/constants.js'
+
+const WORD_BITS = 32
+
+// Grid value of cells that are not part of the board (holes in shaped boards)
+const HOLE = -1
+
+/**
+ * Create a bitboard from a board
+ * Each row is packed into wordsPerRow words; cell [x, y] is bit x % 32 of word
+ * y * wordsPerRow + floor(x / 32)
+ * @param {Object} board - Board object
+ * @returns {Object} Bitboard {rows, cols, wordsPerRow, occupied, holes, players}
+ */
+export function createBitboard(board) {
+  const wordsPerRow = Math.ceil(board.cols / WORD_BITS)
+  const size = board.rows * wordsPerRow
+  const occupied = new Uint32Array(size)
+  const holes = new Uint32Array(size)
+  const players = {}
+
+  for (let y = 0; y < board.rows; y++) {
+    for (let x = 0; x < board.cols; x++) {
+      const value = board.grid[y][x]
+      if (value === CELL_STATES.EMPTY) continue
+
+      const word = y * wordsPerRow + (x >>> 5)
+      const bit = 1 << (x & 31)
+      occupied[word] |= bit
+
+      if (value === HOLE) {
+        holes[word] |= bit
+      } else {
+        players[value] = players[value] || new Uint32Array(size)
+        players[value][word] |= bit
+      }
+    }
+  }
+
+  return { rows: board.rows, cols: board.cols, wordsPerRow, occupied, holes, players }
+}
+
+/**
+ * Convert a bitboard back to a board, for the UI and saves
+ * @param {Object} bitboard - Bitboard
+ * @returns {Object} Board object
+ */
+export function toBoard(bitboard) {
+  return {
+    rows: bitboard.rows,
+    cols: bitboard.cols,
+    grid: Array(bitboard.rows).fill().map((_, y) =>
+      Array(bitboard.cols).fill().map((_, x) => getBitboardCell(bitboard, x, y))
+    )
+  }
+}
+
+/**
+ * Check if a bit is set in a bitboard mask
+ * @param {Object} bitboard - Bitboard
+ * @param {Uint32Array} mask - Occupied, holes or player mask
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {boolean} True if the bit is set
+ */
+function hasBit(bitboard, mask, x, y) {
+  return (mask[y * bitboard.wordsPerRow + (x >>> 5)] & (1 << (x & 31))) !== 0
+}
+
+/**
+ * Get cell value at specified coordinates
+ * @param {Object} bitboard - Bitboard
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {number|null} Cell value as in Board.grid, or null if out of bounds
+ */
+export function getBitboardCell(bitboard, x, y) {
+  if (x < 0 || x >= bitboard.cols || y < 0 || y >= bitboard.rows) {
+    return null
+  }
+  if (!hasBit(bitboard, bitboard.occupied, x, y)) {
+    return CELL_STATES.EMPTY
+  }
+  if (hasBit(bitboard, bitboard.holes, x, y)) {
+    return HOLE
+  }
+
+  const owner = Object.keys(bitboard.players).find(playerId => hasBit(bitboard, bitboard.players[playerId], x, y))
+  return Number(owner)
+}
+
+/**
+ * Create a copy of a bitboard
+ * @param {Object} bitboard - Bitboard
+ * @returns {Object} Copy with its own masks
+ */
+export function cloneBitboard(bitboard) {
+  const players = {}
+  for (const [playerId, mask] of Object.entries(bitboard.players)) {
+    players[playerId] = mask.slice()
+  }
+
+  return {
+    ...bitboard,
+    occupied: bitboard.occupied.slice(),
+    holes: bitboard.holes.slice(),
+    players
+  }
+}
+
+/**
+ * Place piece on bitboard at specified cells
+ * Only the occupied mask and the player's mask are copied; the others are shared
+ * @param {Object} bitboard - Bitboard
+ * @param {Array<Array<number>>} cells - Array of [x, y] coordinates
+ * @param {number} playerId - Player ID
+ * @returns {Object} New bitboard (immutable)
+ */
+export function placeOnBitboard(bitboard, cells, playerId) {
+  const occupied = bitboard.occupied.slice()
+  const playerMask = bitboard.players[playerId]
+    ? bitboard.players[playerId].slice()
+    : new Uint32Array(occupied.length)
+
+  for (const [x, y] of cells) {
+    if (x < 0 || x >= bitboard.cols || y < 0 || y >= bitboard.rows) {
+      throw new Error(`Cell [${x}, ${y}] is out of bounds`)
+    }
+    if (hasBit(bitboard, bitboard.occupied, x, y)) {
+      throw new Error(`Cell [${x}, ${y}] is already occupied`)
+    }
+
+    const word = y * bitboard.wordsPerRow + (x >>> 5)
+    const bit = 1 << (x & 31)
+    occupied[word] |= bit
+    playerMask[word] |= bit
+  }
+
+  return {
+    ...bitboard,
+    occupied,
+    players: { ...bitboard.players, [playerId]: playerMask }
+  }
+}
+
+/**
+ * Pack transformed piece cells into one mask per piece row
+ * @param {Array<Array<number>>} transformedCells - Normalized piece coordinates
+ * @returns {Object} Piece mask {width, height, rowMasks}
+ */
+export function createPieceMask(transformedCells) {
+  const width = Math.max(...transformedCells.map(([dx]) => dx)) + 1
+  const height = Math.max(...transformedCells.map(([, dy]) => dy)) + 1
+  const rowMasks = new Uint32Array(height)
+
+  for (const [dx, dy] of transformedCells) {
+    rowMasks[dy] |= 1 << dx
+  }
+
+  return { width, height, rowMasks }
+}
+
+/**
+ * Check if a piece fits on empty cells at an anchor
+ * Each piece row is tested against the occupied bits it would cover, which may
+ * straddle two words
+ * @param {Object} bitboard - Bitboard
+ * @param {Object} pieceMask - Piece mask from createPieceMask
+ * @param {number} anchorX - Anchor X
+ * @param {number} anchorY - Anchor Y
+ * @returns {boolean} True if the placement is legal
+ */
+export function canPlaceMask(bitboard, pieceMask, anchorX, anchorY) {
+  if (anchorX < 0 || anchorY < 0 ||
+      anchorX + pieceMask.width > bitboard.cols || anchorY + pieceMask.height > bitboard.rows) {
+    return false
+  }
+
+  const { occupied, wordsPerRow } = bitboard
+  const wordOffset = anchorX >>> 5
+  const shift = anchorX & 31
+  const straddles = shift > 0 && wordOffset + 1 < wordsPerRow
+
+  for (let dy = 0; dy < pieceMask.height; dy++) {
+    const word = (anchorY + dy) * wordsPerRow + wordOffset
+    let bits = occupied[word] >>> shift
+    if (straddles) {
+      bits |= occupied[word + 1] << (WORD_BITS - shift)
+    }
+    if ((bits & pieceMask.rowMasks[dy]) !== 0) {
+      return false
+    }
+  }
+
+  return true
+}
\ No newline at end of file
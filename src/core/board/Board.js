@@ -92,7 +92,7 @@ export function areCellsEmpty(board, cells) {
  * @returns {Object} New board object (immutable)
  */
 export function placePiece(board, cells, playerId) {
-  let newBoard = board
+  const grid = [...board.grid]
 
   for (const [x, y] of cells) {
     if (!isInBounds(board, x, y)) {
@@ -101,10 +101,18 @@ export function placePiece(board, cells, playerId) {
     if (board.grid[y][x] !== CELL_STATES.EMPTY) {
       throw new Error(`Cell [${x}, ${y}] is already occupied`)
     }
-    newBoard = setCell(newBoard, x, y, playerId)
+
+    // Copy each touched row once; untouched rows are shared with the old board
+    if (grid[y] === board.grid[y]) {
+      grid[y] = [...board.grid[y]]
+    }
+    grid[y][x] = playerId
   }
 
-  return newBoard
+  return {
+    ...board,
+    grid
+  }
 }
 
 /**
@@ -4,6 +4,7 @@
  */
 
 import { createEmptyBoard } from './Board.js'
+import { randomInt, pickRandom } from '../../utils/random.js'
 
 /**
  * Generate different board shapes
@@ -15,9 +16,10 @@ export class BoardShapes {
    * @param {string} shapeType - Type of shape
    * @param {number} baseSize - Base size for the shape
    * @param {boolean} addHoles - Whether to add random holes for difficulty
+   * @param {Function} random - Random function (seeded for reproducible boards)
    * @returns {Object} Board object
    */
-  static createShapedBoard(shapeType, baseSize = 10, addHoles = true) {
+  static createShapedBoard(shapeType, baseSize = 10, addHoles = true, random = Math.random) {
     let board
 
     switch (shapeType) {
@@ -73,7 +75,7 @@ export class BoardShapes {
         board = this.createRingBoard(baseSize)
         break
       case 'random':
-        board = this.createRandomBoard(baseSize, addHoles)
+        board = this.createRandomBoard(baseSize, addHoles, random)
         break
       default:
         board = createEmptyBoard(baseSize, baseSize)
@@ -81,7 +83,7 @@ export class BoardShapes {
 
     // Add random holes for increased difficulty (except for random which handles its own)
     if (addHoles && shapeType !== 'random') {
-      board = this.addRandomHoles(board)
+      board = this.addRandomHoles(board, random)
     }
 
     return board
@@ -535,8 +537,10 @@ export class BoardShapes {
 
   /**
    * Add random holes to a board for increased difficulty
+   * @param {Object} board - Board to modify
+   * @param {Function} random - Random function
    */
-  static addRandomHoles(board) {
+  static addRandomHoles(board, random = Math.random) {
     const totalCells = board.rows * board.cols
     let playableCells = 0
 
@@ -550,15 +554,15 @@ export class BoardShapes {
     }
 
     // Add holes: 3-8% of playable cells become holes
-    const holePercentage = 0.03 + Math.random() * 0.05 // 3-8%
+    const holePercentage = 0.03 + random() * 0.05 // 3-8%
     const numHoles = Math.floor(playableCells * holePercentage)
     const holes = new Set()
 
     for (let i = 0; i < numHoles; i++) {
       let attempts = 0
       while (attempts < 50) { // Prevent infinite loop
-        const x = Math.floor(Math.random() * board.cols)
-        const y = Math.floor(Math.random() * board.rows)
+        const x = randomInt(random, board.cols)
+        const y = randomInt(random, board.rows)
         const key = `${x},${y}`
 
         if (!holes.has(key) && board.grid[y][x] === 0) {
@@ -629,20 +633,21 @@ export class BoardShapes {
   /**
    * Create a random interesting shape
    */
-  static createRandomBoard(size, addHoles = true) {
+  static createRandomBoard(size, addHoles = true, random = Math.random) {
     const shapes = [
       'cross', 'diamond', 'hexagonal', 'lshape', 'plus', 'tshape',
       'ushape', 'hourglass', 'star', 'triangle', 'arrow', 'bowtie',
       'octagon', 'pentagon', 'spiral', 'zigzag', 'ring'
     ]
-    const randomShape = shapes[Math.floor(Math.random() * shapes.length)]
-    return this.createShapedBoard(randomShape, size, addHoles)
+    const randomShape = pickRandom(random, shapes)
+    return this.createShapedBoard(randomShape, size, addHoles, random)
   }
 
   /**
    * Get a random varied board configuration with equal probability for all shapes
+   * @param {Function} random - Random function
    */
-  static getRandomVariedConfig() {
+  static getRandomVariedConfig(random = Math.random) {
     // All unique board shapes (17 total) - equal probability for each
     const configs = [
       { shape: 'cross', size: 11 },
@@ -665,7 +670,7 @@ export class BoardShapes {
     ]
 
     // Each shape has exactly equal probability (1/17 ≈ 5.88%)
-    return configs[Math.floor(Math.random() * configs.length)]
+    return pickRandom(random, configs)
   }
 
   /**
@@ -0,0 +1,155 @@
+/**
+ * Custom Boards
+ * Validation of hand-drawn boards and the compact board strings used to save and share them
+ */
+
+import { createEmptyBoard } from './Board.js'
+import { BoardShapes } from './BoardShapes.js'
+
+// Board sides and the smallest playable area a custom board can have
+export const MIN_BOARD_SIDE = 4
+export const MAX_BOARD_SIDE = 20
+export const MIN_PLAYABLE_CELLS = 16
+
+// Board strings: 'b1.<cols>x<rows>.<cells>', each character holding six cells
+// in row-major order (bit set = playable, clear = hole)
+const BOARD_STRING_VERSION = 'b1'
+const BOARD_STRING_PATTERN = /^b1\.(\d+)x(\d+)\.([A-Za-z0-9_-]*)$/
+const CELL_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_'
+const CELLS_PER_CHARACTER = 6
+
+/**
+ * Count a board's playable cells (everything but holes)
+ * @param {Object} board - Board object
+ * @returns {number} Playable cells
+ */
+export function countPlayableCells(board) {
+  return board.grid.reduce((total, row) => total + row.filter(cell => cell !== -1).length, 0)
+}
+
+/**
+ * Check a custom board before it is saved or played
+ * The playable cells must form a single area, so no part of the board is cut off
+ * @param {Object} board - Board object (empty cells and holes only)
+ * @returns {Array<string>} Problems, empty if the board can be played
+ */
+export function findBoardProblems(board) {
+  const problems = []
+  const { rows, cols } = board
+
+  if (rows < MIN_BOARD_SIDE || rows > MAX_BOARD_SIDE || cols < MIN_BOARD_SIDE || cols > MAX_BOARD_SIDE) {
+    problems.push(`Boards are ${MIN_BOARD_SIDE} to ${MAX_BOARD_SIDE} cells wide and high`)
+  }
+
+  const playable = countPlayableCells(board)
+  if (playable < MIN_PLAYABLE_CELLS) {
+    problems.push(`At least ${MIN_PLAYABLE_CELLS} playable cells are needed, found ${playable}`)
+  }
+
+  const largestArea = findLargestArea(board)
+  if (largestArea < playable) {
+    problems.push(`${playable - largestArea} playable cells are cut off from the rest of the board`)
+  }
+
+  return problems
+}
+
+/**
+ * Measure the largest connected area of playable cells
+ * @param {Object} board - Board object
+ * @returns {number} Cells in the largest area, 0 if every cell is a hole
+ */
+function findLargestArea(board) {
+  const visited = new Set()
+  let largestArea = 0
+
+  for (let y = 0; y < board.rows; y++) {
+    for (let x = 0; x < board.cols; x++) {
+      largestArea = Math.max(largestArea, BoardShapes.countConnectedArea(board, x, y, visited))
+    }
+  }
+  return largestArea
+}
+
+/**
+ * Check if a cell can become a hole without leaving its neighbours in too small an area,
+ * the rule random holes follow (see BoardShapes.wouldIsolateArea)
+ * A cell already cut off from its neighbours can always be removed
+ * @param {Object} board - Board object
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @returns {boolean} True if the hole is allowed
+ */
+export function canAddHole(board, x, y) {
+  const hasPlayableNeighbour = [[-1, 0], [1, 0], [0, -1], [0, 1]]
+    .some(([dx, dy]) => board.grid[y + dy]?.[x + dx] === 0)
+  return !hasPlayableNeighbour || !BoardShapes.wouldIsolateArea(board, x, y)
+}
+
+/**
+ * Encode a board as a board string; owned cells count as playable
+ * @param {Object} board - Board object
+ * @returns {string} Board string such as 'b1.10x10.____...'
+ */
+export function encodeBoard(board) {
+  const cells = board.grid.flat()
+  let encoded = ''
+
+  for (let start = 0; start < cells.length; start += CELLS_PER_CHARACTER) {
+    let bits = 0
+    cells.slice(start, start + CELLS_PER_CHARACTER).forEach((cell, bit) => {
+      if (cell !== -1) {
+        bits |= 1 << bit
+      }
+    })
+    encoded += CELL_ALPHABET[bits]
+  }
+
+  return `${BOARD_STRING_VERSION}.${board.cols}x${board.rows}.${encoded}`
+}
+
+/**
+ * Decode a board string into an empty board
+ * @param {string} text - Board string
+ * @returns {Object} Board object
+ * @throws {Error} If the string is not a board string or its size is out of range
+ */
+export function decodeBoard(text) {
+  const match = BOARD_STRING_PATTERN.exec(String(text).trim())
+  if (!match) {
+    throw new Error(`Invalid board string: expected ${BOARD_STRING_VERSION}.<cols>x<rows>.<cells>`)
+  }
+
+  const cols = Number(match[1])
+  const rows = Number(match[2])
+  const encoded = match[3]
+
+  if (rows < MIN_BOARD_SIDE || rows > MAX_BOARD_SIDE || cols < MIN_BOARD_SIDE || cols > MAX_BOARD_SIDE) {
+    throw new Error(`Invalid board string: boards are ${MIN_BOARD_SIDE} to ${MAX_BOARD_SIDE} cells wide and high`)
+  }
+
+  const expectedLength = Math.ceil(rows * cols / CELLS_PER_CHARACTER)
+  if (encoded.length !== expectedLength) {
+    throw new Error(`Invalid board string: expected ${expectedLength} cell characters, found ${encoded.length}`)
+  }
+
+  const board = createEmptyBoard(rows, cols)
+  for (let index = 0; index < rows * cols; index++) {
+    const bits = CELL_ALPHABET.indexOf(encoded[Math.floor(index / CELLS_PER_CHARACTER)])
+    if (!(bits & (1 << index % CELLS_PER_CHARACTER))) {
+      board.grid[Math.floor(index / cols)][index % cols] = -1
+    }
+  }
+
+  return board
+}
+
+/**
+ * Get the board of a config's customBoard, which is a board object or a board string
+ * @param {Object|string} customBoard - Board object or board string
+ * @returns {Object} Board object
+ * @throws {Error} If a board string is invalid
+ */
+export function resolveCustomBoard(customBoard) {
+  return typeof customBoard === 'string' ? decodeBoard(customBoard) : customBoard
+}
\ No newline at end of file
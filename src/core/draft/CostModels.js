@@ -0,0 +1,133 @@
+/**
+ * Draft Cost Models
+ * Named pricing rules that decide what a piece costs in the draft
+ */
+
+import { pieceLibrary, getGamePieces } from '../pieces/PieceLibrary.js'
+
+export const DEFAULT_COST_MODEL = 'fixed'
+
+// Scarcity pricing: the price of a size rises by 1 for every this many pieces of it sold
+export const SCARCITY_STEP = 3
+
+/**
+ * Cost models by ID
+ * auction models sell the revealed lot to the highest bidder instead of at a price
+ */
+export const COST_MODELS = {
+  fixed: {
+    id: 'fixed',
+    name: 'Fixed',
+    description: 'Every piece costs its listed price: one point per cell.',
+    auction: false
+  },
+  shape: {
+    id: 'shape',
+    name: 'Shape-Based',
+    description: 'Straight pieces cost one point less, each branch point one point more.',
+    auction: false
+  },
+  scarcity: {
+    id: 'scarcity',
+    name: 'Scarcity',
+    description: `Prices of a piece size rise by 1 for every ${SCARCITY_STEP} pieces of that size sold.`,
+    auction: false
+  },
+  auction: {
+    id: 'auction',
+    name: 'Auction',
+    description: 'Pieces are revealed one at a time and both players bid; the higher bid pays and wins.',
+    auction: true
+  }
+}
+
+/**
+ * Get a cost model; games saved before cost models existed use fixed prices
+ * @param {string} modelId - Cost model ID
+ * @returns {Object} Cost model
+ * @throws {Error} If the model is unknown
+ */
+export function getCostModel(modelId) {
+  const model = COST_MODELS[modelId || DEFAULT_COST_MODEL]
+  if (!model) {
+    throw new Error(`Unknown cost model: ${modelId}`)
+  }
+  return model
+}
+
+/**
+ * Check if a game drafts by auction
+ * @param {Object} gameState - Game state
+ * @returns {boolean} True if pieces are auctioned
+ */
+export function isAuctionDraft(gameState) {
+  return getCostModel(gameState.config?.costModel).auction
+}
+
+/**
+ * Get the price of a piece in a game's draft
+ * Auction games have no fixed price; the listed cost is used to value lots
+ * @param {Object} gameState - Current game state
+ * @param {string} pieceId - Piece ID
+ * @returns {number} Price in budget points
+ */
+export function getDraftCost(gameState, pieceId) {
+  switch (getCostModel(gameState.config?.costModel).id) {
+    case 'shape':
+      return getShapeCost(pieceId, getGamePieces(gameState))
+    case 'scarcity':
+      return getScarcityCost(gameState, pieceId)
+    default:
+      return getGamePieces(gameState).getCost(pieceId)
+  }
+}
+
+/**
+ * Shape-based price: straight pieces are hard to fit next to others and cost
+ * one point less, branch points (cells with three or more neighbors) block
+ * more of the board and cost one point more each
+ * @param {string} pieceId - Piece ID
+ * @param {PieceLibrary} pieces - The game's pieces (see getGamePieces), the built-in pieces by default
+ * @returns {number} Price (at least 1)
+ */
+export function getShapeCost(pieceId, pieces = pieceLibrary) {
+  const piece = pieces.get(pieceId)
+  if (!piece) {
+    return 0
+  }
+
+  const keys = new Set(piece.relCells.map(([x, y]) => `${x},${y}`))
+  const branchPoints = piece.relCells.filter(([x, y]) =>
+    [[1, 0], [-1, 0], [0, 1], [0, -1]].filter(([dx, dy]) => keys.has(`${x + dx},${y + dy}`)).length >= 3
+  ).length
+  const straight = piece.relCells.every(([x]) => x === piece.relCells[0][0]) ||
+    piece.relCells.every(([, y]) => y === piece.relCells[0][1])
+
+  return Math.max(1, piece.relCells.length + branchPoints - (straight ? 1 : 0))
+}
+
+/**
+ * Scarcity price: the listed cost plus 1 for every SCARCITY_STEP pieces of
+ * the same size already bought by either player
+ * @param {Object} gameState - Current game state
+ * @param {string} pieceId - Piece ID
+ * @returns {number} Price
+ */
+export function getScarcityCost(gameState, pieceId) {
+  const pieces = getGamePieces(gameState)
+  const piece = pieces.get(pieceId)
+  if (!piece) {
+    return 0
+  }
+
+  let sold = 0
+  for (const player of Object.values(gameState.players)) {
+    for (const [heldId, count] of Object.entries(player.arsenal)) {
+      if (pieces.get(heldId)?.size === piece.size) {
+        sold += count
+      }
+    }
+  }
+
+  return piece.cost + Math.floor(sold / SCARCITY_STEP)
+}
\ No newline at end of file
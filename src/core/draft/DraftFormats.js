@@ -0,0 +1,88 @@
+/**
+ * Draft Formats
+ * Named rules for the order in which players pick pieces before placement
+ */
+
+import { PLAYERS, MIN_PLAYERS } from '../../utils/constants.js'
+
+export const DEFAULT_DRAFT_FORMAT = 'alternating'
+
+// Rounds of a snake draft when the config does not set draftRounds
+export const DEFAULT_SNAKE_ROUNDS = 6
+
+/**
+ * Draft formats by ID
+ * supportsAuction: the format can be played with the auction cost model
+ */
+export const DRAFT_FORMATS = {
+  alternating: {
+    id: 'alternating',
+    name: 'Alternating',
+    description: 'Players take turns buying pieces until everyone passes in a row.',
+    supportsAuction: true
+  },
+  snake: {
+    id: 'snake',
+    name: 'Snake',
+    description: 'Fixed rounds of picks in snake order (1-2-3, 3-2-1, ...). Passing skips a pick.',
+    supportsAuction: false
+  },
+  blind: {
+    id: 'blind',
+    name: 'Blind',
+    description: 'Everyone picks in secret and the picks are revealed together. ' +
+      'If several players pick the same single piece, whoever picked first gets it.',
+    supportsAuction: false
+  },
+  prebuilt: {
+    id: 'prebuilt',
+    name: 'Pre-built',
+    description: 'No draft: everyone starts with an arsenal of about equal value and goes straight to placement.',
+    supportsAuction: false
+  }
+}
+
+/**
+ * Get a draft format; games saved before formats existed use alternating turns
+ * @param {string} formatId - Draft format ID
+ * @returns {Object} Draft format
+ * @throws {Error} If the format is unknown
+ */
+export function getDraftFormat(formatId) {
+  const format = DRAFT_FORMATS[formatId || DEFAULT_DRAFT_FORMAT]
+  if (!format) {
+    throw new Error(`Unknown draft format: ${formatId}`)
+  }
+  return format
+}
+
+/**
+ * Get the draft format ID of a game
+ * @param {Object} gameState - Game state
+ * @returns {string} Draft format ID
+ */
+export function getDraftFormatId(gameState) {
+  return getDraftFormat(gameState.config?.draftFormat).id
+}
+
+/**
+ * Get the number of rounds in a snake draft
+ * @param {Object} gameState - Game state
+ * @returns {number} Rounds (each player picks once per round)
+ */
+export function getSnakeRounds(gameState) {
+  return gameState.config?.draftRounds ?? DEFAULT_SNAKE_ROUNDS
+}
+
+/**
+ * Get the player who makes a pick in a snake draft
+ * Odd rounds run from Player 1 to the last player, even rounds the other way around
+ * @param {number} pick - Pick number, counted from 0
+ * @param {number} [playerCount=2] - Players in the game
+ * @returns {number} Player ID
+ */
+export function getSnakePicker(pick, playerCount = MIN_PLAYERS) {
+  const round = Math.floor(pick / playerCount)
+  const seat = pick % playerCount
+  return PLAYERS.PLAYER_1 + (round % 2 === 0 ? seat : playerCount - 1 - seat)
+}
\ No newline at end of file
@@ -3,18 +3,21 @@
  * Handles piece purchasing, budget management, and draft end conditions
  */
 
-import { getPieceCost } from '../pieces/PieceDefinitions.js'
-import { cloneGameState } from '../game/GameState.js'
+import { pieceLibrary, getGamePieces } from '../pieces/PieceLibrary.js'
+import { cloneGameState, getNextPlayer, getPlayerIds } from '../game/GameState.js'
+import { getDraftCost, isAuctionDraft } from './CostModels.js'
+import { getDraftFormatId, getSnakePicker, getSnakeRounds } from './DraftFormats.js'
+import { createRandom, pickRandom, shuffle } from '../../utils/random.js'
 
 /**
- * Check if player can afford a piece
- * @param {Object} player - Player object
+ * Check if player can afford a piece at the game's current price
+ * @param {Object} gameState - Current game state
+ * @param {number} playerId - Player ID
  * @param {string} pieceId - Piece ID to check
  * @returns {boolean} True if player can afford the piece
  */
-export function canAfford(player, pieceId) {
-  const cost = getPieceCost(pieceId)
-  return player.budget >= cost
+export function canAfford(gameState, playerId, pieceId) {
+  return gameState.players[playerId].budget >= getDraftCost(gameState, pieceId)
 }
 
 /**
@@ -35,8 +38,9 @@ export function inStock(stock, pieceId) {
  * @returns {boolean} True if purchase is valid
  */
 export function canBuy(gameState, playerId, pieceId) {
-  const player = gameState.players[playerId]
-  return canAfford(player, pieceId) && inStock(gameState.stock, pieceId)
+  return !isAuctionDraft(gameState) &&
+    canAfford(gameState, playerId, pieceId) &&
+    inStock(gameState.stock, pieceId)
 }
 
 /**
@@ -48,29 +52,118 @@ export function canBuy(gameState, playerId, pieceId) {
  * @throws {Error} If purchase is invalid
  */
 export function buyPiece(gameState, playerId, pieceId) {
+  if (isAuctionDraft(gameState)) {
+    throw new Error('Invalid purchase: pieces are auctioned in this draft')
+  }
   if (!canBuy(gameState, playerId, pieceId)) {
     throw new Error(`Invalid purchase: Player ${playerId} cannot buy ${pieceId}`)
   }
 
   const newGameState = cloneGameState(gameState)
-  const player = newGameState.players[playerId]
-  const cost = getPieceCost(pieceId)
+  transferPiece(newGameState, playerId, pieceId, getDraftCost(gameState, pieceId))
+
+  // Reset pass flags when a purchase is made
+  for (const id of getPlayerIds(newGameState)) {
+    newGameState.draftState[`player${id}Passed`] = false
+  }
+  newGameState.draftState.consecutivePasses = 0
+
+  return newGameState
+}
+
+/**
+ * Move a piece from the stock to a player's arsenal and charge its price
+ * @param {Object} gameState - Game state (already a fresh copy, modified in place)
+ * @param {number} playerId - Buying player ID
+ * @param {string} pieceId - Piece ID
+ * @param {number} price - Budget points paid
+ */
+function transferPiece(gameState, playerId, pieceId, price) {
+  const player = gameState.players[playerId]
 
   // Deduct cost from budget
-  player.budget -= cost
+  player.budget -= price
 
   // Remove from stock (if not unlimited)
-  if (newGameState.stock[pieceId] !== -1) {
-    newGameState.stock[pieceId] -= 1
+  if (gameState.stock[pieceId] !== -1) {
+    gameState.stock[pieceId] -= 1
   }
 
   // Add to player's arsenal
   player.arsenal[pieceId] = (player.arsenal[pieceId] || 0) + 1
+}
 
-  // Reset pass flags when a purchase is made
-  newGameState.draftState.player1Passed = false
-  newGameState.draftState.player2Passed = false
-  newGameState.draftState.consecutivePasses = 0
+/**
+ * Reveal the next auction lot, drawn from the stock with the game's random state
+ * @param {Object} gameState - Current game state
+ * @returns {Object} Updated game state (no lot when the stock is empty)
+ */
+export function openAuctionLot(gameState) {
+  const newGameState = cloneGameState(gameState)
+  const lots = Object.keys(newGameState.stock).filter(pieceId => inStock(newGameState.stock, pieceId))
+
+  newGameState.draftState.auction = lots.length > 0
+    ? { pieceId: pickRandom(createRandom(newGameState.rngState ?? 0), lots), bids: [] }
+    : null
+
+  return newGameState
+}
+
+/**
+ * Check if a player can bid on the current auction lot
+ * A bid of 0 passes on the lot
+ * @param {Object} gameState - Current game state
+ * @param {number} playerId - Player ID
+ * @param {number} amount - Bid in budget points
+ * @returns {boolean} True if the bid is valid
+ */
+export function canBid(gameState, playerId, amount) {
+  const auction = gameState.draftState.auction
+  return Boolean(auction) &&
+    !auction.bids.some(bid => bid.player === playerId) &&
+    Number.isInteger(amount) &&
+    amount >= 0 &&
+    amount <= gameState.players[playerId].budget
+}
+
+/**
+ * Place a sealed bid on the current auction lot
+ * Once every player has bid the lot goes to the highest bid, which is paid;
+ * a tie goes to the player who bid first. A lot nobody bids on stays in the stock
+ * and counts as a pass; the draft ends after as many unsold lots in a row as there are players
+ * @param {Object} gameState - Current game state
+ * @param {number} playerId - Bidding player ID
+ * @param {number} amount - Bid in budget points
+ * @returns {Object} Updated game state (draftState.auction is null once the lot is decided)
+ * @throws {Error} If the bid is invalid
+ */
+export function placeBid(gameState, playerId, amount) {
+  if (!canBid(gameState, playerId, amount)) {
+    throw new Error(`Invalid bid: Player ${playerId} cannot bid ${amount}`)
+  }
+
+  const newGameState = cloneGameState(gameState)
+  const { draftState } = newGameState
+  const auction = draftState.auction
+  auction.bids.push({ player: playerId, amount })
+
+  const playerCount = getPlayerIds(newGameState).length
+  if (auction.bids.length < playerCount) {
+    return newGameState
+  }
+
+  const winning = auction.bids.reduce((best, bid) => bid.amount > best.amount ? bid : best)
+  const sold = winning.amount > 0
+
+  if (sold) {
+    transferPiece(newGameState, winning.player, auction.pieceId, winning.amount)
+    draftState.consecutivePasses = 0
+  } else {
+    draftState.consecutivePasses = Math.min(playerCount, draftState.consecutivePasses + 1)
+  }
+
+  draftState.lastLot = { pieceId: auction.pieceId, bids: auction.bids, winner: sold ? winning.player : null }
+  draftState.auction = null
 
   return newGameState
 }
@@ -82,19 +175,140 @@ export function buyPiece(gameState, playerId, pieceId) {
  * @returns {Object} Updated game state
  */
 export function passDraft(gameState, playerId) {
+  const format = getDraftFormatId(gameState)
+
+  // A blind pass is a secret pick of nothing; a snake pass only skips the pick
+  if (format === 'blind') {
+    return commitBlindPick(gameState, playerId, null)
+  }
+
   const newGameState = cloneGameState(gameState)
+  if (format === 'snake') {
+    return newGameState
+  }
 
-  if (playerId === 1) {
-    newGameState.draftState.player1Passed = true
-  } else {
-    newGameState.draftState.player2Passed = true
+  // Count the players who passed since the last purchase
+  const { draftState } = newGameState
+  draftState[`player${playerId}Passed`] = true
+  draftState.consecutivePasses = getPlayerIds(newGameState).filter(id => draftState[`player${id}Passed`]).length
+
+  return newGameState
+}
+
+/**
+ * Commit a secret pick in a blind draft
+ * The piece stays in the stock until every player has picked (see revealBlindPicks)
+ * @param {Object} gameState - Current game state
+ * @param {number} playerId - Picking player ID
+ * @param {string|null} pieceId - Piece ID, or null to pass this round
+ * @returns {Object} Updated game state
+ * @throws {Error} If the player already picked this round or cannot buy the piece
+ */
+export function commitBlindPick(gameState, playerId, pieceId) {
+  const picks = gameState.draftState.blindPicks || []
+  const alreadyPicked = picks.some(pick => pick.player === playerId)
+
+  if (alreadyPicked || (pieceId !== null && !canBuy(gameState, playerId, pieceId))) {
+    throw new Error(`Invalid pick: Player ${playerId} cannot pick ${pieceId}`)
   }
 
-  // Update consecutive passes count
-  if (newGameState.draftState.player1Passed && newGameState.draftState.player2Passed) {
-    newGameState.draftState.consecutivePasses = 2
-  } else {
-    newGameState.draftState.consecutivePasses = 1
+  const newGameState = cloneGameState(gameState)
+  newGameState.draftState.blindPicks = [...picks, { player: playerId, pieceId }]
+  return newGameState
+}
+
+/**
+ * Reveal the picks of a blind round and buy them in the order they were made
+ * A pick that can no longer be bought (an earlier picker took the only copy) is lost.
+ * A round in which every player passed ends the draft
+ * @param {Object} gameState - Current game state (all picks committed)
+ * @returns {Object} Updated game state
+ */
+export function revealBlindPicks(gameState) {
+  const newGameState = cloneGameState(gameState)
+  const { draftState } = newGameState
+
+  const picks = draftState.blindPicks.map(pick => {
+    const bought = pick.pieceId !== null && canBuy(newGameState, pick.player, pick.pieceId)
+    if (bought) {
+      transferPiece(newGameState, pick.player, pick.pieceId, getDraftCost(newGameState, pick.pieceId))
+    }
+    return { ...pick, bought }
+  })
+
+  draftState.consecutivePasses = picks.every(pick => pick.pieceId === null) ? picks.length : 0
+  draftState.lastReveal = picks
+  draftState.blindPicks = []
+
+  return newGameState
+}
+
+/**
+ * Hand the draft to the next player after a purchase or pass
+ * Alternating and auction drafts go round in turn order, snake drafts follow the snake
+ * order, and blind drafts reveal the round once every pick is in; the player
+ * who picked last then picks first in the next round
+ * @param {Object} gameState - Game state after the action
+ * @returns {Object} Updated game state
+ */
+export function advanceDraftTurn(gameState) {
+  const format = getDraftFormatId(gameState)
+
+  if (format === 'snake') {
+    const pick = (gameState.draftState.pick ?? 0) + 1
+    return {
+      ...gameState,
+      draftState: { ...gameState.draftState, pick },
+      currentPlayer: getSnakePicker(pick, getPlayerIds(gameState).length)
+    }
+  }
+
+  if (format === 'blind' && gameState.draftState.blindPicks.length === getPlayerIds(gameState).length) {
+    return revealBlindPicks(gameState)
+  }
+
+  return { ...gameState, currentPlayer: getNextPlayer(gameState, gameState.currentPlayer) }
+}
+
+/**
+ * Give every player a pre-built arsenal instead of drafting
+ * config.prebuiltArsenals ({playerId: {pieceId: count}}) sets the arsenals;
+ * otherwise the stock is shuffled with the game's random state and each piece
+ * goes to the player whose arsenal is worth least, while budgets allow
+ * @param {Object} gameState - Current game state (draft phase)
+ * @returns {Object} Updated game state
+ * @throws {Error} If a configured arsenal cannot be bought
+ */
+export function dealPrebuiltArsenals(gameState) {
+  const newGameState = cloneGameState(gameState)
+  const configured = newGameState.config.prebuiltArsenals
+  const playerIds = getPlayerIds(newGameState)
+
+  if (configured) {
+    for (const playerId of playerIds) {
+      for (const [pieceId, count] of Object.entries(configured[playerId] || {})) {
+        for (let i = 0; i < count; i++) {
+          if (!canBuy(newGameState, playerId, pieceId)) {
+            throw new Error(`Pre-built arsenal: Player ${playerId} cannot take ${pieceId}`)
+          }
+          transferPiece(newGameState, playerId, pieceId, getDraftCost(newGameState, pieceId))
+        }
+      }
+    }
+    return newGameState
+  }
+
+  const inStockIds = Object.keys(newGameState.stock).filter(pieceId => inStock(newGameState.stock, pieceId))
+  const pieceIds = shuffle(createRandom(newGameState.rngState ?? 0), inStockIds)
+
+  const pieces = getGamePieces(newGameState)
+  for (const pieceId of pieceIds) {
+    const takers = [...playerIds].sort((a, b) =>
+      getArsenalValue(newGameState.players[a].arsenal, pieces) - getArsenalValue(newGameState.players[b].arsenal, pieces))
+    const taker = takers.find(playerId => canBuy(newGameState, playerId, pieceId))
+    if (taker) {
+      transferPiece(newGameState, taker, pieceId, getDraftCost(newGameState, pieceId))
+    }
   }
 
   return newGameState
@@ -107,17 +321,38 @@ export function passDraft(gameState, playerId) {
  */
 export function isDraftOver(gameState) {
   const { draftState, players, stock } = gameState
+  const format = getDraftFormatId(gameState)
+  const playerIds = getPlayerIds(gameState)
+
+  // Pre-built arsenals skip the draft
+  if (format === 'prebuilt') {
+    return true
+  }
 
-  // Both players have consecutively passed
-  if (draftState.consecutivePasses >= 2) {
+  // Every player has consecutively passed (auctions: as many lots in a row as there
+  // are players went unsold, blind drafts: everyone passed in the same round)
+  if (draftState.consecutivePasses >= playerIds.length) {
     return true
   }
 
+  // Snake drafts end after their rounds; blind picks waiting to be revealed keep the draft going
+  if (format === 'snake' && (draftState.pick ?? 0) >= getSnakeRounds(gameState) * playerIds.length) {
+    return true
+  }
+  if (format === 'blind' && draftState.blindPicks.length > 0) {
+    return false
+  }
+
+  // Auctions run until the stock is empty or nobody has budget left to bid
+  if (isAuctionDraft(gameState)) {
+    return !draftState.auction || playerIds.every(playerId => players[playerId].budget <= 0)
+  }
+
   // Check if any player can afford any remaining stock
-  const canBuyAny = [1, 2].some(playerId => {
+  const canBuyAny = playerIds.some(playerId => {
     const player = players[playerId]
     return Object.keys(stock).some(pieceId =>
-      stock[pieceId] > 0 && player.budget >= getPieceCost(pieceId)
+      stock[pieceId] > 0 && player.budget >= getDraftCost(gameState, pieceId)
     )
   })
 
@@ -135,7 +370,7 @@ export function getAvailablePieces(gameState, playerId) {
   const availablePieces = []
 
   for (const [pieceId, count] of Object.entries(gameState.stock)) {
-    if (count > 0 && player.budget >= getPieceCost(pieceId)) {
+    if (count > 0 && player.budget >= getDraftCost(gameState, pieceId)) {
       availablePieces.push(pieceId)
     }
   }
@@ -146,12 +381,13 @@ export function getAvailablePieces(gameState, playerId) {
 /**
  * Get total value of pieces in player's arsenal
  * @param {Object} arsenal - Player's arsenal
+ * @param {PieceLibrary} pieces - The game's pieces (see getGamePieces), the built-in pieces by default
  * @returns {number} Total value of arsenal
  */
-export function getArsenalValue(arsenal) {
+export function getArsenalValue(arsenal, pieces = pieceLibrary) {
   let totalValue = 0
   for (const [pieceId, count] of Object.entries(arsenal)) {
-    totalValue += getPieceCost(pieceId) * count
+    totalValue += pieces.getCost(pieceId) * count
   }
   return totalValue
 }
@@ -0,0 +1,216 @@
+/**
+ * Action Log Format
+ * Compact, versioned record of every draft purchase, bid, pass, placement and timeout,
+ * used to replay, share and attach games to bug reports
+ */
+
+export const ACTION_LOG_FORMAT = 'sumzero-action-log'
+export const ACTION_LOG_VERSION = 1
+
+// Compact action codes
+export const ACTION_CODES = {
+  DRAFT_BUY: 'B',
+  DRAFT_PASS: 'P',
+  DRAFT_BID: 'A',
+  PLACE_PIECE: 'M',
+  TIMEOUT: 'T'
+}
+
+/**
+ * Encode a draft purchase
+ * @param {number} playerId - Player ID
+ * @param {string} pieceId - Piece bought
+ * @returns {Array} Encoded action
+ */
+export function encodeDraftBuy(playerId, pieceId) {
+  return [ACTION_CODES.DRAFT_BUY, playerId, pieceId]
+}
+
+/**
+ * Encode a draft pass
+ * @param {number} playerId - Player ID
+ * @returns {Array} Encoded action
+ */
+export function encodeDraftPass(playerId) {
+  return [ACTION_CODES.DRAFT_PASS, playerId]
+}
+
+/**
+ * Encode an auction bid
+ * @param {number} playerId - Player ID
+ * @param {number} amount - Bid in budget points (0 passes on the lot)
+ * @returns {Array} Encoded action
+ */
+export function encodeDraftBid(playerId, amount) {
+  return [ACTION_CODES.DRAFT_BID, playerId, amount]
+}
+
+/**
+ * Encode a placement move
+ * @param {Object} move - Move object
+ * @returns {Array} Encoded action
+ */
+export function encodePlacement(move) {
+  const [x, y] = move.anchor
+  return [
+    ACTION_CODES.PLACE_PIECE,
+    move.player,
+    move.pieceId,
+    move.transform.rot,
+    move.transform.flipX ? 1 : 0,
+    x,
+    y
+  ]
+}
+
+/**
+ * Encode a player running out of time
+ * @param {number} playerId - Player ID
+ * @returns {Array} Encoded action
+ */
+export function encodeTimeout(playerId) {
+  return [ACTION_CODES.TIMEOUT, playerId]
+}
+
+/**
+ * Decode a compact action into a readable object
+ * @param {Array} action - Encoded action
+ * @returns {Object} Decoded action {type, player, ...}
+ * @throws {Error} If the action code is unknown
+ */
+export function decodeAction(action) {
+  const [code, player] = action
+
+  switch (code) {
+    case ACTION_CODES.DRAFT_BUY:
+      return { type: 'draftBuy', player, pieceId: action[2] }
+    case ACTION_CODES.DRAFT_PASS:
+      return { type: 'draftPass', player }
+    case ACTION_CODES.DRAFT_BID:
+      return { type: 'draftBid', player, amount: action[2] }
+    case ACTION_CODES.TIMEOUT:
+      return { type: 'timeout', player }
+    case ACTION_CODES.PLACE_PIECE:
+      return {
+        type: 'placePiece',
+        player,
+        pieceId: action[2],
+        transform: { rot: action[3], flipX: action[4] === 1 },
+        anchor: [action[5], action[6]]
+      }
+    default:
+      throw new Error(`Unknown action code: ${code}`)
+  }
+}
+
+/**
+ * Append an encoded action to a game state's log
+ * Games loaded from saves without a log are left unlogged
+ * @param {Object} gameState - Game state (already a fresh copy)
+ * @param {Array} action - Encoded action
+ * @returns {Object} Game state with the action appended
+ */
+export function appendAction(gameState, action) {
+  if (!Array.isArray(gameState.actionLog)) {
+    return gameState
+  }
+
+  return {
+    ...gameState,
+    actionLog: [...gameState.actionLog, action]
+  }
+}
+
+/**
+ * Get the configuration needed to recreate a game's initial position
+ * @param {Object} gameState - Game state
+ * @returns {Object} Initial configuration {rows, cols, config}
+ */
+export function getInitialConfig(gameState) {
+  // The board never changes size, and a custom board is rebuilt from the config
+  return {
+    rows: gameState.board.rows,
+    cols: gameState.board.cols,
+    config: gameState.config
+  }
+}
+
+/**
+ * Count the secret actions still pending: blind picks and sealed auction bids
+ * that have not been revealed yet, which are the last entries of the log
+ * @param {Object} gameState - Game state
+ * @returns {number} Pending secret actions
+ */
+export function countSecretActions(gameState) {
+  const { draftState } = gameState
+  return (draftState?.blindPicks?.length || 0) + (draftState?.auction?.bids?.length || 0)
+}
+
+/**
+ * Build an exportable action log for a game
+ * @param {Object} gameState - Game state
+ * @returns {Object} Action log document
+ * @throws {Error} If the game has no action log, or blind picks or sealed bids are pending
+ */
+export function createActionLog(gameState) {
+  if (!Array.isArray(gameState.actionLog)) {
+    throw new Error('Game has no action log')
+  }
+
+  // The log would show the pending choices to whoever views it
+  if (countSecretActions(gameState) > 0) {
+    throw new Error('Blind picks or sealed bids are still hidden; wait until they are revealed')
+  }
+
+  return {
+    format: ACTION_LOG_FORMAT,
+    version: ACTION_LOG_VERSION,
+    initialConfig: getInitialConfig(gameState),
+    actions: gameState.actionLog
+  }
+}
+
+/**
+ * Serialize a game's action log to JSON
+ * @param {Object} gameState - Game state
+ * @returns {string} JSON string
+ */
+export function serializeActionLog(gameState) {
+  return JSON.stringify(createActionLog(gameState))
+}
+
+/**
+ * Parse and validate an action log
+ * @param {string} jsonString - JSON string to parse
+ * @returns {Object} Action log document
+ * @throws {Error} If the log is malformed or from a newer version
+ */
+export function parseActionLog(jsonString) {
+  let log
+  try {
+    log = JSON.parse(jsonString)
+  } catch (error) {
+    throw new Error(`Invalid action log: ${error.message}`)
+  }
+
+  if (!log || log.format !== ACTION_LOG_FORMAT) {
+    throw new Error('Invalid action log: not a SumZero action log')
+  }
+
+  if (typeof log.version !== 'number' || log.version > ACTION_LOG_VERSION) {
+    throw new Error(`Unsupported action log version: ${log.version}`)
+  }
+
+  if (!log.initialConfig || !Array.isArray(log.actions)) {
+    throw new Error('Invalid action log: missing initial config or actions')
+  }
+
+  for (const action of log.actions) {
+    if (!Array.isArray(action)) {
+      throw new Error('Invalid action log: malformed action')
+    }
+    decodeAction(action)
+  }
+
+  return log
+}
\ No newline at end of file
@@ -0,0 +1,92 @@
+/**
+ * End Conditions
+ * Named rules that decide when the placement phase ends and who wins
+ */
+
+export const DEFAULT_END_CONDITION = 'both_players_blocked'
+
+// Targets used when the config picks a condition but does not set its value
+export const DEFAULT_SCORE_TO_WIN = 50
+export const DEFAULT_ROUND_LIMIT = 10
+
+/**
+ * End conditions by ID
+ * scored conditions decide the winner by points when the game ends
+ */
+export const END_CONDITIONS = {
+  both_players_blocked: {
+    id: 'both_players_blocked',
+    name: 'Board Locked',
+    description: 'Play until no player can place a piece; the highest score wins.',
+    scored: true
+  },
+  score_target: {
+    id: 'score_target',
+    name: 'Score Target',
+    description: 'The first player to reach the target score wins at once.',
+    scored: true
+  },
+  turn_limit: {
+    id: 'turn_limit',
+    name: 'Turn Limit',
+    description: 'The game ends after a fixed number of placement rounds; the highest score wins.',
+    scored: true
+  },
+  sudden_death: {
+    id: 'sudden_death',
+    name: 'Sudden Death',
+    description: 'Classic rules: a player unable to place a piece is out, and the last player able to place wins. ' +
+      'Scores are ignored.',
+    scored: false
+  }
+}
+
+/**
+ * Get an end condition; games saved before end conditions existed play until everyone is blocked
+ * @param {string} conditionId - End condition ID
+ * @returns {Object} End condition
+ * @throws {Error} If the condition is unknown
+ */
+export function getEndCondition(conditionId) {
+  const condition = END_CONDITIONS[conditionId || DEFAULT_END_CONDITION]
+  if (!condition) {
+    throw new Error(`Unknown end condition: ${conditionId}`)
+  }
+  return condition
+}
+
+/**
+ * Build the endCondition of a new game from its config
+ * @param {Object} config - Game configuration
+ * @returns {Object} End condition state ({ type, scoreToWin, roundLimit, roundsPlayed })
+ */
+export function createEndCondition(config) {
+  const type = getEndCondition(config.endCondition).id
+
+  return {
+    type,
+    scoreToWin: type === 'score_target' ? config.scoreToWin ?? DEFAULT_SCORE_TO_WIN : null,
+    roundLimit: type === 'turn_limit' ? config.roundLimit ?? DEFAULT_ROUND_LIMIT : null,
+    roundsPlayed: 0
+  }
+}
+
+/**
+ * Count the placement rounds played
+ * A round ends each time the turn goes back around the table, so blocked players
+ * who are skipped still complete it (see GameState.passPlacementTurn)
+ * @param {Object} gameState - Game state
+ * @returns {number} Completed rounds
+ */
+export function countPlacementRounds(gameState) {
+  return gameState.endCondition?.roundsPlayed ?? estimatePlacementRounds(gameState)
+}
+
+/**
+ * Estimate the rounds of a game saved before rounds were counted, from its placements
+ * @param {Object} gameState - Game state
+ * @returns {number} Completed rounds, assuming nobody was skipped
+ */
+export function estimatePlacementRounds(gameState) {
+  return Math.floor(gameState.history.length / Object.keys(gameState.players).length)
+}
\ No newline at end of file
@@ -7,14 +7,45 @@ import {
   createInitialGameState,
   validateGameState,
   switchPlayer,
-  getOpponent,
+  passPlacementTurn,
+  getRivals,
   cloneGameState,
-  migrateGameState
+  migrateGameState,
+  advanceRandomState,
+  GAME_STATE_VERSION,
+  SUPPORTED_VERSIONS,
+  createUndoSnapshot,
+  restoreUndoSnapshot
 } from './GameState.js'
-import { buyPiece, passDraft, isDraftOver } from '../draft/DraftService.js'
-import { hasLegalMove, commitMove } from '../placement/PlacementService.js'
+import { getGameStateSchema } from './GameStateSchema.js'
+import { validateAgainstSchema } from './GameStateValidator.js'
+import {
+  buyPiece,
+  passDraft,
+  placeBid,
+  openAuctionLot,
+  commitBlindPick,
+  advanceDraftTurn,
+  dealPrebuiltArsenals,
+  isDraftOver
+} from '../draft/DraftService.js'
+import { isAuctionDraft } from '../draft/CostModels.js'
+import { getDraftFormat } from '../draft/DraftFormats.js'
+import { hasLegalMove, commitMove, createMove } from '../placement/PlacementService.js'
 import { ScoringService } from '../scoring/ScoringService.js'
+import { getGamePieces } from '../pieces/PieceLibrary.js'
 import { GAME_PHASES } from '../../utils/constants.js'
+import { passClock, pauseClock, getTimeoutAction, TIMEOUT_ACTIONS } from './TimeControls.js'
+import { describeSide } from './Teams.js'
+import {
+  appendAction,
+  decodeAction,
+  encodeDraftBuy,
+  encodeDraftPass,
+  encodeDraftBid,
+  encodePlacement,
+  encodeTimeout
+} from './ActionLog.js'
 
 /**
  * GameService class that manages the complete game lifecycle
@@ -24,11 +55,25 @@ export class GameService {
    * Create a new game
    * @param {number} rows - Board rows
    * @param {number} cols - Board columns
-   * @param {Object} config - Game configuration
+   * @param {Object} config - Game configuration (config.seed makes the game reproducible)
    * @returns {Object} Initial game state
    */
   static createNew(rows = 14, cols = 14, config = {}) {
-    const gameState = createInitialGameState(rows, cols, config)
+    let gameState = createInitialGameState(rows, cols, config)
+    const format = getDraftFormat(gameState.config.draftFormat)
+
+    if (isAuctionDraft(gameState) && !format.supportsAuction) {
+      throw new Error(`The auction cost model cannot be used with the ${format.name} draft format`)
+    }
+
+    if (format.id === 'prebuilt') {
+      // Skip the draft: deal the arsenals and start placing
+      gameState = GameService.transitionToPlacement(dealPrebuiltArsenals(gameState))
+    } else if (isAuctionDraft(gameState)) {
+      // Auction drafts start with the first lot revealed
+      gameState = openAuctionLot(gameState)
+    }
+
     validateGameState(gameState)
     return gameState
   }
@@ -49,15 +94,21 @@ export class GameService {
       throw new Error('Not current player\'s turn')
     }
 
-    let newGameState = buyPiece(gameState, playerId, pieceId)
-    newGameState = switchPlayer(newGameState)
+    // Blind drafts keep the pick secret until both players have picked
+    let newGameState = getDraftFormat(gameState.config?.draftFormat).id === 'blind'
+      ? commitBlindPick(gameState, playerId, pieceId)
+      : buyPiece(gameState, playerId, pieceId)
+    newGameState = appendAction(newGameState, encodeDraftBuy(playerId, pieceId))
+    newGameState = advanceDraftTurn(advanceRandomState(newGameState))
 
     // Check if draft is over
     if (isDraftOver(newGameState)) {
       newGameState = GameService.transitionToPlacement(newGameState)
     }
 
-    return newGameState
+    // Charge the turn to the player's clock and start the next player's
+    newGameState = passClock(gameState, newGameState, Date.now())
+    return GameService.recordUndo(gameState, newGameState)
   }
 
   /**
@@ -75,15 +126,100 @@ export class GameService {
       throw new Error('Not current player\'s turn')
     }
 
+    // Passing on an auction lot is a bid of nothing
+    if (isAuctionDraft(gameState)) {
+      return GameService.draftBid(gameState, playerId, 0)
+    }
+
     let newGameState = passDraft(gameState, playerId)
-    newGameState = switchPlayer(newGameState)
+    newGameState = appendAction(newGameState, encodeDraftPass(playerId))
+    newGameState = advanceDraftTurn(advanceRandomState(newGameState))
 
     // Check if draft is over
     if (isDraftOver(newGameState)) {
       newGameState = GameService.transitionToPlacement(newGameState)
     }
 
-    return newGameState
+    newGameState = passClock(gameState, newGameState, Date.now())
+    return GameService.recordUndo(gameState, newGameState)
+  }
+
+  /**
+   * Process an auction bid on the revealed lot
+   * The next player bids next; once the lot is decided the next lot is
+   * revealed and the player who bid last opens it
+   * @param {Object} gameState - Current game state
+   * @param {number} playerId - Player bidding
+   * @param {number} amount - Bid in budget points (0 passes on the lot)
+   * @returns {Object} Updated game state
+   */
+  static draftBid(gameState, playerId, amount) {
+    if (gameState.phase !== GAME_PHASES.DRAFT) {
+      throw new Error('Not in draft phase')
+    }
+
+    if (gameState.currentPlayer !== playerId) {
+      throw new Error('Not current player\'s turn')
+    }
+
+    let newGameState = placeBid(gameState, playerId, amount)
+    newGameState = appendAction(newGameState, encodeDraftBid(playerId, amount))
+    newGameState = advanceRandomState(newGameState)
+
+    if (newGameState.draftState.auction) {
+      newGameState = switchPlayer(newGameState)
+    } else {
+      newGameState = openAuctionLot(newGameState)
+    }
+
+    // Check if draft is over
+    if (isDraftOver(newGameState)) {
+      newGameState = GameService.transitionToPlacement(newGameState)
+    }
+
+    newGameState = passClock(gameState, newGameState, Date.now())
+    return GameService.recordUndo(gameState, newGameState)
+  }
+
+  /**
+   * Handle a player running out of time: depending on the game's config the
+   * player forfeits, or passes (in the draft, a pass; in placement, the turn goes over).
+   * A forfeit ends the game; with several opponents the best placed of them wins
+   * The clock is not checked here so that logged timeouts replay; hosts call
+   * this once TimeControls.hasTimedOut reports the player out of time
+   * @param {Object} gameState - Current game state
+   * @param {number} playerId - Player out of time
+   * @returns {Object} Updated game state
+   */
+  static timeout(gameState, playerId) {
+    if (gameState.phase !== GAME_PHASES.DRAFT && gameState.phase !== GAME_PHASES.PLACEMENT) {
+      throw new Error('Game is not in progress')
+    }
+
+    if (gameState.currentPlayer !== playerId) {
+      throw new Error('Not current player\'s turn')
+    }
+
+    const forfeit = getTimeoutAction(gameState) === TIMEOUT_ACTIONS.FORFEIT
+    if (!forfeit && gameState.phase === GAME_PHASES.DRAFT) {
+      return GameService.draftPass(gameState, playerId)
+    }
+
+    let newGameState = appendAction(cloneGameState(gameState), encodeTimeout(playerId))
+
+    if (forfeit) {
+      const [winner] = ScoringService.rankPlayers(newGameState, getRivals(newGameState, playerId))
+      newGameState.phase = GAME_PHASES.GAME_OVER
+      newGameState.winner = winner
+      newGameState.endReason = `${describeSide(newGameState, winner)} wins - Player ${playerId} ran out of time`
+      newGameState.finalScores = ScoringService.getCurrentScores(newGameState)
+      newGameState.gameStatistics = ScoringService.getGameStatistics(newGameState)
+    } else {
+      newGameState = GameService.startTurn(passPlacementTurn(newGameState))
+    }
+
+    newGameState = passClock(gameState, newGameState, Date.now())
+    return GameService.recordUndo(gameState, newGameState)
   }
 
   /**
@@ -113,21 +249,24 @@ export class GameService {
     // Clear any expired pattern highlights
     let newGameState = ScoringService.clearExpiredHighlights(gameState)
 
-    // Check if current player has legal moves
-    const currentPlayerCanMove = hasLegalMove(newGameState, newGameState.currentPlayer)
-
-    if (!currentPlayerCanMove) {
-      // Check if the other player can move
-      const otherPlayer = getOpponent(newGameState.currentPlayer)
-      const otherPlayerCanMove = hasLegalMove(newGameState, otherPlayer)
-
-      if (otherPlayerCanMove) {
-        // Current player is blocked but other player can move - skip turn
-        newGameState = switchPlayer(newGameState)
-        return newGameState
-      } else {
-        // Both players are blocked - end game and determine winner by score
-        return GameService.endGameWithScoring(newGameState)
+    // Legal move checks are costly, so each player is checked at most once per turn
+    const canMove = {}
+    const playerCanMove = (state, playerId) => (canMove[playerId] ??= hasLegalMove(state, playerId))
+
+    // Score target, turn limit, sudden death or all players blocked
+    const endResult = ScoringService.checkGameEnd(newGameState, playerCanMove)
+    if (endResult.gameEnded) {
+      return GameService.endGameWithScoring(newGameState, endResult)
+    }
+
+    // Skip blocked players; the game would have ended if nobody could move.
+    // Skipping can complete a round, so the end condition is checked again
+    while (!playerCanMove(newGameState, newGameState.currentPlayer)) {
+      newGameState = passPlacementTurn(newGameState)
+
+      const skipResult = ScoringService.checkGameEnd(newGameState, playerCanMove)
+      if (skipResult.gameEnded) {
+        return GameService.endGameWithScoring(newGameState, skipResult)
       }
     }
 
@@ -165,31 +304,223 @@ export class GameService {
 
     newGameState = scoringResult.gameState
 
-    // Add move to history with scoring info
-    newGameState.history.push({
+    // Add scoring info to the history entry recorded by commitMove
+    newGameState.history[newGameState.history.length - 1] = {
       ...move,
       id: moveId,
       pointsEarned: scoringResult.pointsEarned,
       patternsCreated: scoringResult.patterns.length
-    })
+    }
+    newGameState = appendAction(newGameState, encodePlacement(move))
 
     // Switch to next player
-    newGameState = switchPlayer(newGameState)
+    newGameState = passPlacementTurn(advanceRandomState(newGameState))
 
     // Check game end conditions and next player's turn
     newGameState = GameService.startTurn(newGameState)
 
+    newGameState = passClock(gameState, newGameState, Date.now())
+    return GameService.recordUndo(gameState, newGameState)
+  }
+
+  /**
+   * Push the state before an action onto the undo stack and clear the redo stack
+   * @param {Object} previousState - Game state before the action
+   * @param {Object} newGameState - Game state after the action
+   * @returns {Object} New game state with updated undo/redo stacks
+   */
+  static recordUndo(previousState, newGameState) {
+    return {
+      ...newGameState,
+      undoStack: [...(previousState.undoStack || []), createUndoSnapshot(previousState, newGameState)],
+      redoStack: []
+    }
+  }
+
+  /**
+   * Check if there is an action to undo
+   * @param {Object} gameState - Current game state
+   * @returns {boolean} True if undo is possible
+   */
+  static canUndo(gameState) {
+    return (gameState.undoStack || []).length > 0
+  }
+
+  /**
+   * Check if there is an undone action to redo
+   * @param {Object} gameState - Current game state
+   * @returns {boolean} True if redo is possible
+   */
+  static canRedo(gameState) {
+    return (gameState.redoStack || []).length > 0
+  }
+
+  /**
+   * Undo the last draft purchase, pass or placement
+   * @param {Object} gameState - Current game state
+   * @returns {Object} Game state before the last action
+   * @throws {Error} If there is nothing to undo
+   */
+  static undo(gameState) {
+    if (!GameService.canUndo(gameState)) {
+      throw new Error('Nothing to undo')
+    }
+
+    const snapshot = gameState.undoStack[gameState.undoStack.length - 1]
+    const restored = restoreUndoSnapshot(snapshot, gameState)
+    restored.undoStack = gameState.undoStack.slice(0, -1)
+    restored.redoStack = [...(gameState.redoStack || []), createUndoSnapshot(gameState, restored)]
+
+    // The clocks keep their time; the restored player's clock runs on
+    return passClock(gameState, restored, Date.now(), { completed: false })
+  }
+
+  /**
+   * Redo the last undone action
+   * @param {Object} gameState - Current game state
+   * @returns {Object} Game state after the undone action
+   * @throws {Error} If there is nothing to redo
+   */
+  static redo(gameState) {
+    if (!GameService.canRedo(gameState)) {
+      throw new Error('Nothing to redo')
+    }
+
+    const snapshot = gameState.redoStack[gameState.redoStack.length - 1]
+    const restored = restoreUndoSnapshot(snapshot, gameState)
+    restored.redoStack = gameState.redoStack.slice(0, -1)
+    restored.undoStack = [...(gameState.undoStack || []), createUndoSnapshot(gameState, restored)]
+
+    // The clocks keep their time; the restored player's clock runs on
+    return passClock(gameState, restored, Date.now(), { completed: false })
+  }
+
+  /**
+   * Undo actions until it is the given player's turn again
+   * Used in vs-AI games so one undo takes back the human move and the AI reply
+   * @param {Object} gameState - Current game state
+   * @param {number} playerId - Player whose turn should be restored
+   * @returns {Object} Updated game state
+   * @throws {Error} If there is nothing to undo
+   */
+  static undoToPlayer(gameState, playerId) {
+    let newGameState = GameService.undo(gameState)
+
+    while (newGameState.currentPlayer !== playerId && GameService.canUndo(newGameState)) {
+      newGameState = GameService.undo(newGameState)
+    }
+
     return newGameState
   }
 
+  /**
+   * Redo actions until it is the given player's turn again (or the game is over)
+   * @param {Object} gameState - Current game state
+   * @param {number} playerId - Player whose turn should be reached
+   * @returns {Object} Updated game state
+   * @throws {Error} If there is nothing to redo
+   */
+  static redoToPlayer(gameState, playerId) {
+    let newGameState = GameService.redo(gameState)
+
+    while (newGameState.currentPlayer !== playerId &&
+           newGameState.phase !== GAME_PHASES.GAME_OVER &&
+           GameService.canRedo(newGameState)) {
+      newGameState = GameService.redo(newGameState)
+    }
+
+    return newGameState
+  }
+
+  /**
+   * Apply a single logged action to a game state
+   * @param {Object} gameState - Current game state
+   * @param {Array} action - Encoded action from an action log
+   * @returns {Object} Updated game state
+   */
+  static applyAction(gameState, action) {
+    const decoded = decodeAction(action)
+
+    switch (decoded.type) {
+      case 'draftBuy':
+        return GameService.draftBuy(gameState, decoded.player, decoded.pieceId)
+      case 'draftPass':
+        return GameService.draftPass(gameState, decoded.player)
+      case 'draftBid':
+        return GameService.draftBid(gameState, decoded.player, decoded.amount)
+      case 'timeout':
+        return GameService.timeout(gameState, decoded.player)
+      default:
+        return GameService.placePiece(
+          gameState,
+          createMove(decoded.player, decoded.pieceId, decoded.transform, decoded.anchor, getGamePieces(gameState))
+        )
+    }
+  }
+
+  /**
+   * Rebuild a position by replaying an action log from the initial configuration
+   * @param {Object} initialConfig - Initial configuration {rows, cols, config}
+   * @param {Array} actions - Encoded actions to replay
+   * @returns {Object} Resulting game state
+   * @throws {Error} If an action is invalid in the replayed position
+   */
+  static replay(initialConfig, actions) {
+    let gameState = GameService.createNew(initialConfig.rows, initialConfig.cols, initialConfig.config)
+
+    actions.forEach((action, index) => {
+      gameState = GameService.applyReplayAction(gameState, action, index)
+    })
+
+    return gameState
+  }
+
+  /**
+   * Rebuild every intermediate position of an action log (for step-through viewing)
+   * @param {Object} initialConfig - Initial configuration {rows, cols, config}
+   * @param {Array} actions - Encoded actions to replay
+   * @returns {Array<Object>} Positions, starting with the initial state
+   * @throws {Error} If an action is invalid in the replayed position
+   */
+  static replayPositions(initialConfig, actions) {
+    let gameState = GameService.createNew(initialConfig.rows, initialConfig.cols, initialConfig.config)
+    const positions = [gameState]
+
+    actions.forEach((action, index) => {
+      gameState = GameService.applyReplayAction(gameState, action, index)
+
+      // Positions are only viewed, so drop undo history to keep them small
+      gameState = { ...gameState, undoStack: [], redoStack: [] }
+      positions.push(gameState)
+    })
+
+    return positions
+  }
+
+  /**
+   * Apply one replayed action, reporting which action failed
+   * @param {Object} gameState - Current game state
+   * @param {Array} action - Encoded action
+   * @param {number} index - Index of the action in the log
+   * @returns {Object} Updated game state
+   */
+  static applyReplayAction(gameState, action, index) {
+    try {
+      return GameService.applyAction(gameState, action)
+    } catch (error) {
+      throw new Error(`Replay failed at action ${index + 1}: ${error.message}`)
+    }
+  }
+
   /**
    * Save game state to JSON
+   * Saves keep the clock paused with the time used so far; the game's host starts it again after loading
    * @param {Object} gameState - Game state to save
    * @returns {string} JSON string
    */
   static save(gameState) {
     validateGameState(gameState)
-    return JSON.stringify(gameState)
+    return JSON.stringify(pauseClock(gameState, Date.now()))
   }
 
   /**
@@ -199,16 +530,18 @@ export class GameService {
    */
   static load(jsonString) {
     try {
-      let gameState = JSON.parse(jsonString)
+      let gameState = GameService.parseSave(jsonString)
+      GameService.checkSaveVersion(gameState.version)
+      GameService.checkSaveSchema(gameState)
 
       // Handle version migration if needed
       if (gameState.version === '1.1') {
         gameState = GameService.migrateFromV11(gameState)
       }
-      if (gameState.version === '1.2') {
-        gameState = migrateGameState(gameState)
-      }
+      gameState = migrateGameState(gameState)
 
+      // Custom pieces must be valid before the stock and arsenals are checked
+      getGamePieces(gameState)
       validateGameState(gameState)
       return gameState
     } catch (error) {
@@ -216,6 +549,62 @@ export class GameService {
     }
   }
 
+  /**
+   * Parse saved game JSON
+   * @param {string} jsonString - JSON string
+   * @returns {Object} Parsed game state (not yet validated)
+   * @throws {Error} If the text is not a JSON object
+   */
+  static parseSave(jsonString) {
+    let gameState
+    try {
+      gameState = JSON.parse(jsonString)
+    } catch (error) {
+      throw new Error('File is corrupt or not a saved game (invalid JSON)')
+    }
+
+    if (!gameState || typeof gameState !== 'object' || Array.isArray(gameState)) {
+      throw new Error('File is not a saved game')
+    }
+
+    return gameState
+  }
+
+  /**
+   * Check that a save version can be loaded
+   * @param {string} version - Save format version
+   * @throws {Error} If the version is missing, unknown or newer than this game
+   */
+  static checkSaveVersion(version) {
+    if (version === undefined) {
+      throw new Error('File is not a saved game (missing version)')
+    }
+    if (SUPPORTED_VERSIONS.includes(version)) {
+      return
+    }
+
+    const [major, minor] = String(version).split('.').map(Number)
+    const [currentMajor, currentMinor] = GAME_STATE_VERSION.split('.').map(Number)
+    if (major > currentMajor || (major === currentMajor && minor > currentMinor)) {
+      throw new Error(`Saved with a newer version of SumZero (format ${version}); this version opens up to ${GAME_STATE_VERSION}`)
+    }
+
+    throw new Error(`Unsupported save version: ${version}`)
+  }
+
+  /**
+   * Check a save against the schema of its version, before it is migrated
+   * @param {Object} gameState - Parsed game state of a supported version
+   * @throws {Error} Listing every schema violation with its path
+   */
+  static checkSaveSchema(gameState) {
+    const violations = validateAgainstSchema(gameState, getGameStateSchema(gameState.version))
+    if (violations.length > 0) {
+      const details = violations.map(({ path, message }) => `${path || '/'} ${message}`).join('; ')
+      throw new Error(`File does not match the ${gameState.version} save format: ${details}`)
+    }
+  }
+
   /**
    * Migrate game state from version 1.1 to 1.2
    * @param {Object} oldState - Old game state
@@ -250,16 +639,14 @@ export class GameService {
   }
 
   /**
-   * End game with scoring system (both players blocked)
+   * End game with scoring system (end condition met)
    * @param {Object} gameState - Current game state
-   * @returns {Object} Updated game state with winner determined by score
+   * @param {Object} [endResult] - Result of ScoringService.checkGameEnd, checked here when omitted
+   * @returns {Object} Updated game state with winner determined by the end condition
    */
-  static endGameWithScoring(gameState) {
+  static endGameWithScoring(gameState, endResult = ScoringService.checkGameEnd(gameState, hasLegalMove)) {
     const newGameState = cloneGameState(gameState)
 
-    // Use scoring service to determine winner
-    const endResult = ScoringService.checkGameEnd(newGameState, hasLegalMove)
-
     newGameState.phase = GAME_PHASES.GAME_OVER
     newGameState.winner = endResult.winner
     newGameState.endReason = endResult.reason
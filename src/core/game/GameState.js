@@ -4,88 +4,161 @@
  */
 
 import { createEmptyBoard } from '../board/Board.js'
-import { GAME_PHASES, PLAYERS, DEFAULT_CONFIG, PLAYER_COLORS } from '../../utils/constants.js'
-import { getAllPieces } from '../pieces/PieceDefinitions.js'
+import { resolveCustomBoard } from '../board/CustomBoards.js'
+import { BoardShapes } from '../board/BoardShapes.js'
+import {
+  GAME_PHASES,
+  PLAYERS,
+  MIN_PLAYERS,
+  MAX_PLAYERS,
+  DEFAULT_CONFIG,
+  PLAYER_COLORS,
+  SEAT_TYPES,
+  DEFAULT_SEATS
+} from '../../utils/constants.js'
+import { PIECE_SETS } from '../pieces/PieceDefinitions.js'
+import { getDraftFormat } from '../draft/DraftFormats.js'
+import { createEndCondition, countPlacementRounds, estimatePlacementRounds } from './EndConditions.js'
+import { createTeams, isSameSide } from './Teams.js'
+import { resolveTimeControl, createClock } from './TimeControls.js'
+import { getGamePieces } from '../pieces/PieceLibrary.js'
+import { generateSeed, createRandom, nextRandomState } from '../../utils/random.js'
+import { assertValidGameState } from './GameStateValidator.js'
+
+// Current save format version and the older versions that can still be migrated
+export const GAME_STATE_VERSION = '1.3'
+export const SUPPORTED_VERSIONS = ['1.1', '1.2', GAME_STATE_VERSION]
 
 /**
  * Create initial game state
- * @param {number} rows - Board rows
- * @param {number} cols - Board columns
+ * @param {number} rows - Board rows (ignored for custom and varied boards)
+ * @param {number} cols - Board columns (ignored for custom and varied boards)
  * @param {Object} config - Game configuration
  * @returns {Object} Initial game state
  */
 export function createInitialGameState(rows = 14, cols = 14, config = {}) {
   const finalConfig = { ...DEFAULT_CONFIG, ...config }
+  const playerCount = finalConfig.playerCount = finalConfig.playerCount ?? MIN_PLAYERS
 
-  // Use custom board if provided, otherwise create empty board
-  const board = config.customBoard || createEmptyBoard(rows, cols)
+  if (!Number.isInteger(playerCount) || playerCount < MIN_PLAYERS || playerCount > MAX_PLAYERS) {
+    throw new Error(`Games are played by ${MIN_PLAYERS} to ${MAX_PLAYERS} players, not ${playerCount}`)
+  }
 
-  // Calculate budget based on usable cells
-  const usableCells = countUsableCells(board)
-  const budget = Math.floor(usableCells / 2) + 1
+  // Resolve the seed up front so the game can be reproduced from its config
+  if (finalConfig.seed === null || finalConfig.seed === undefined) {
+    finalConfig.seed = generateSeed()
+  }
 
-  // Initialize stock based on configuration
-  const stock = {}
-  const allPieces = getAllPieces()
+  // Likewise the clock times, which refill the clocks during the game
+  Object.assign(finalConfig, resolveTimeControl(finalConfig))
 
-  for (const [pieceId, piece] of Object.entries(allPieces)) {
-    const isTetrominoAllowed = finalConfig.allowTetrominoes && piece.size === 4
-    const isPentominoAllowed = finalConfig.allowPentominoes && piece.size === 5
+  // Team games check the seating before anything is built
+  const teams = createTeams(finalConfig)
 
-    if (isTetrominoAllowed || isPentominoAllowed) {
-      stock[pieceId] = finalConfig.stockMode === 'singleton' ? 1 : -1
-    }
+  const board = createBoard(rows, cols, finalConfig)
+
+  // Split the usable cells into equal budgets
+  const usableCells = countUsableCells(board)
+  const budget = Math.floor(usableCells / playerCount) + 1
+  const playerIds = Array.from({ length: playerCount }, (_, index) => PLAYERS.PLAYER_1 + index)
+
+  // Initialize stock from the enabled piece sets and the game's custom pieces
+  const pieceIds = Object.values(PIECE_SETS)
+    .filter(set => finalConfig[set.configKey])
+    .flatMap(set => Object.keys(set.pieces))
+  pieceIds.push(...getGamePieces({ config: finalConfig }).getByType('custom').map(piece => piece.id))
+
+  const stock = {}
+  for (const pieceId of pieceIds) {
+    stock[pieceId] = finalConfig.stockMode === 'singleton' ? 1 : -1
   }
 
   return {
-    version: '1.3',
+    version: GAME_STATE_VERSION,
     phase: GAME_PHASES.DRAFT,
     board,
-    players: {
-      [PLAYERS.PLAYER_1]: {
-        id: PLAYERS.PLAYER_1,
-        budget,
-        color: PLAYER_COLORS[PLAYERS.PLAYER_1],
-        arsenal: {}
-      },
-      [PLAYERS.PLAYER_2]: {
-        id: PLAYERS.PLAYER_2,
-        budget,
-        color: PLAYER_COLORS[PLAYERS.PLAYER_2],
-        arsenal: {}
-      }
-    },
+    players: Object.fromEntries(playerIds.map(playerId => [playerId, {
+      id: playerId,
+      budget,
+      color: PLAYER_COLORS[playerId],
+      arsenal: {}
+    }])),
     stock,
     currentPlayer: PLAYERS.PLAYER_1,
-    draftState: {
-      player1Passed: false,
-      player2Passed: false,
-      consecutivePasses: 0
-    },
+    draftState: createDraftState(getDraftFormat(finalConfig.draftFormat).id, playerIds),
     scoring: {
-      player1Score: 0,
-      player2Score: 0,
+      ...Object.fromEntries(playerIds.map(playerId => [`player${playerId}Score`, 0])),
       scoringHistory: [],
       lastScoringMove: null,
-      highlightedPattern: null
-    },
-    endCondition: {
-      type: 'both_players_blocked',
-      scoreToWin: null
+      highlightedPattern: null,
+      ...(teams && { teams })
     },
+    endCondition: createEndCondition(finalConfig),
+    clock: createClock(finalConfig),
     history: [],
+    actionLog: [],
+    undoStack: [],
+    redoStack: [],
     winner: null,
+    rngState: finalConfig.seed >>> 0,
     config: finalConfig
   }
 }
 
+/**
+ * Create the board for a new game
+ * A custom board (a board object or board string) is used as given; varied
+ * boards get a random shape and size drawn from the game's seed, so the same
+ * seed and config always give the same board
+ * @param {number} rows - Board rows
+ * @param {number} cols - Board columns
+ * @param {Object} config - Game configuration with its seed resolved
+ * @returns {Object} Board
+ */
+function createBoard(rows, cols, config) {
+  if (config.customBoard) {
+    return resolveCustomBoard(config.customBoard)
+  }
+
+  if (config.boardShape === 'varied') {
+    const random = createRandom(config.seed)
+    const variedConfig = BoardShapes.getRandomVariedConfig(random)
+    return BoardShapes.createShapedBoard(variedConfig.shape, variedConfig.size, true, random)
+  }
+
+  return createEmptyBoard(rows, cols)
+}
+
+/**
+ * Create the draft state for a draft format
+ * Snake drafts count the picks made, blind drafts hold the secret picks of the round
+ * @param {string} formatId - Draft format ID
+ * @param {Array<number>} playerIds - Player IDs
+ * @returns {Object} Initial draft state
+ */
+function createDraftState(formatId, playerIds) {
+  const draftState = {
+    ...Object.fromEntries(playerIds.map(playerId => [`player${playerId}Passed`, false])),
+    consecutivePasses: 0
+  }
+
+  if (formatId === 'snake') {
+    draftState.pick = 0
+  } else if (formatId === 'blind') {
+    draftState.blindPicks = []
+  }
+
+  return draftState
+}
+
 /**
  * Migrate game state to current version
  * @param {Object} gameState - Game state to migrate
  * @returns {Object} Migrated game state
  */
 export function migrateGameState(gameState) {
-  const migrated = cloneGameState(gameState)
+  // Old undo snapshots are rewritten below, so nothing is shared with the input
+  const migrated = deepCopy(gameState)
 
   // Migrate from v1.2 to v1.3 (add scoring system)
   if (migrated.version === '1.2') {
@@ -99,98 +172,264 @@ export function migrateGameState(gameState) {
     }
     migrated.endCondition = {
       type: 'both_players_blocked',
-      scoreToWin: null
+      scoreToWin: null,
+      roundLimit: null
+    }
+  }
+
+  // Saves made before rounds were counted start from the rounds their placements fill
+  if (migrated.endCondition && migrated.endCondition.roundsPlayed === undefined) {
+    migrated.endCondition.roundsPlayed = estimatePlacementRounds(migrated)
+  }
+
+  // Saves made before placements were recorded once list each placement twice
+  for (const state of [migrated, ...(migrated.undoStack || []), ...(migrated.redoStack || [])]) {
+    if (Array.isArray(state.history)) {
+      state.history = dropDuplicatePlacements(state.history)
     }
   }
 
   return migrated
 }
 
+/**
+ * Drop bare moves that are followed by the same move with its scoring info
+ * @param {Array} history - Placement history
+ * @returns {Array} History with one entry per placement
+ */
+function dropDuplicatePlacements(history) {
+  return history.filter((move, index) => {
+    const next = history[index + 1]
+    return !(move.id === undefined && next?.id !== undefined &&
+      next.player === move.player && next.pieceId === move.pieceId)
+  })
+}
+
 /**
  * Validate game state structure and data integrity
+ * Checks the schema of the state's version and the consistency of pieces, board,
+ * scores and turn order (see GameStateValidator)
  * @param {Object} gameState - Game state to validate
  * @returns {boolean} True if valid
- * @throws {Error} If validation fails
+ * @throws {Error} Listing every violation with its path if validation fails
  */
 export function validateGameState(gameState) {
-  const requiredFields = ['version', 'phase', 'board', 'players', 'stock', 'currentPlayer']
+  return assertValidGameState(gameState)
+}
 
-  // Check required fields
-  for (const field of requiredFields) {
-    if (!(field in gameState)) {
-      throw new Error(`Missing required field: ${field}`)
-    }
-  }
+/**
+ * Logs whose entries are never changed once added: clones copy the arrays but
+ * share the entries, so an action does not copy the whole game's history
+ */
+const SHARED_LOG_FIELDS = ['history', 'actionLog', 'undoStack', 'redoStack']
 
-  // Check scoring fields for v1.3+
-  if (gameState.version === '1.3') {
-    if (!gameState.scoring) {
-      throw new Error('Missing scoring field in v1.3 game state')
-    }
-    const scoringFields = ['player1Score', 'player2Score', 'scoringHistory']
-    for (const field of scoringFields) {
-      if (!(field in gameState.scoring)) {
-        throw new Error(`Missing scoring field: ${field}`)
-      }
-    }
+/**
+ * Create a copy of game state that can be changed without affecting the original
+ * Everything is copied except the entries of the append-only logs (see
+ * SHARED_LOG_FIELDS and scoring.scoringHistory), which are shared
+ * @param {Object} gameState - Game state to clone
+ * @returns {Object} Copy of game state
+ */
+export function cloneGameState(gameState) {
+  const clone = {}
+  for (const [field, value] of Object.entries(gameState)) {
+    clone[field] = SHARED_LOG_FIELDS.includes(field) && Array.isArray(value) ? [...value] : deepCopy(value)
   }
 
-  // Validate phase
-  if (!Object.values(GAME_PHASES).includes(gameState.phase)) {
-    throw new Error(`Invalid phase: ${gameState.phase}`)
+  const scoringHistory = gameState.scoring?.scoringHistory
+  if (Array.isArray(scoringHistory)) {
+    clone.scoring = { ...deepCopy({ ...gameState.scoring, scoringHistory: [] }), scoringHistory: [...scoringHistory] }
   }
 
-  // Validate current player
-  if (![PLAYERS.PLAYER_1, PLAYERS.PLAYER_2].includes(gameState.currentPlayer)) {
-    throw new Error(`Invalid current player: ${gameState.currentPlayer}`)
-  }
+  return clone
+}
 
-  // Validate board dimensions
-  if (gameState.board.rows < 1 || gameState.board.cols < 1) {
-    throw new Error('Invalid board dimensions')
+/**
+ * Deep copy plain data (objects, arrays and primitives)
+ * @param {any} value - Value to copy
+ * @returns {any} Copy
+ */
+function deepCopy(value) {
+  if (Array.isArray(value)) {
+    return value.map(deepCopy)
   }
-
-  // Validate grid consistency
-  if (gameState.board.grid.length !== gameState.board.rows) {
-    throw new Error('Grid height mismatch')
+  if (value !== null && typeof value === 'object') {
+    const copy = {}
+    for (const key of Object.keys(value)) {
+      copy[key] = deepCopy(value[key])
+    }
+    return copy
   }
+  return value
+}
+
+/**
+ * Fields that are not part of an undo snapshot (static config, the stacks
+ * themselves and the logs, which are kept as changes)
+ */
+const UNDO_EXCLUDED_FIELDS = ['config', 'undoStack', 'redoStack', 'history', 'actionLog']
+
+/**
+ * Logs that actions only append to and undo only cuts back
+ */
+const UNDO_LOGS = {
+  history: state => state.history || [],
+  actionLog: state => state.actionLog || [],
+  scoringHistory: state => state.scoring.scoringHistory || []
+}
 
-  for (const row of gameState.board.grid) {
-    if (row.length !== gameState.board.cols) {
-      throw new Error('Grid width mismatch')
+/**
+ * Create an undo snapshot of a game state
+ * The logs are not copied: the snapshot keeps how many entries of the state it
+ * will be restored from still apply, and the entries it adds to them, so the
+ * stacks grow with the actions taken rather than with the length of the game
+ * @param {Object} gameState - Game state to snapshot
+ * @param {Object} restoredFrom - Game state that will be current when the snapshot is restored
+ * @returns {Object} Snapshot without config and undo/redo stacks
+ */
+export function createUndoSnapshot(gameState, restoredFrom) {
+  const snapshot = {}
+  for (const [field, value] of Object.entries(gameState)) {
+    if (!UNDO_EXCLUDED_FIELDS.includes(field)) {
+      snapshot[field] = value
     }
   }
+  snapshot.scoring = { ...gameState.scoring }
+  delete snapshot.scoring.scoringHistory
 
-  // Validate players
-  for (const playerId of [PLAYERS.PLAYER_1, PLAYERS.PLAYER_2]) {
-    const player = gameState.players[playerId]
-    if (!player || player.id !== playerId) {
-      throw new Error(`Invalid player data for player ${playerId}`)
-    }
-    if (typeof player.budget !== 'number' || player.budget < 0) {
-      throw new Error(`Invalid budget for player ${playerId}`)
-    }
+  snapshot.logs = Object.fromEntries(Object.entries(UNDO_LOGS).map(([name, getLog]) => {
+    const log = getLog(gameState)
+    const kept = Math.min(log.length, getLog(restoredFrom).length)
+    return [name, { kept, added: log.slice(kept) }]
+  }))
+
+  return cloneGameState(snapshot)
+}
+
+/**
+ * Restore a game state from an undo snapshot
+ * The undo and redo stacks are left for the caller to set
+ * @param {Object} snapshot - Snapshot created by createUndoSnapshot
+ * @param {Object} gameState - Current game state (provides config and the logs)
+ * @returns {Object} Restored game state
+ */
+export function restoreUndoSnapshot(snapshot, gameState) {
+  const { logs, ...restored } = cloneGameState(snapshot)
+
+  // Snapshots saved before the logs were kept as changes are full copies
+  if (logs) {
+    const [history, actionLog, scoringHistory] = Object.entries(UNDO_LOGS).map(([name, getLog]) =>
+      [...getLog(gameState).slice(0, logs[name].kept), ...logs[name].added])
+    Object.assign(restored, { history, actionLog })
+    restored.scoring.scoringHistory = scoringHistory
   }
 
-  return true
+  return { ...restored, config: gameState.config }
 }
 
 /**
- * Create a deep copy of game state
- * @param {Object} gameState - Game state to clone
- * @returns {Object} Deep copy of game state
+ * Get the players of a game in turn order
+ * Games saved before the player count was configurable have two players
+ * @param {Object} gameState - Game state (or search node with players)
+ * @returns {Array<number>} Player IDs
  */
-export function cloneGameState(gameState) {
-  return JSON.parse(JSON.stringify(gameState))
+export function getPlayerIds(gameState) {
+  return Object.keys(gameState.players).map(Number).sort((a, b) => a - b)
+}
+
+/**
+ * Get the player who moves after a player
+ * @param {Object} gameState - Game state (or search node with players)
+ * @param {number} playerId - Player ID
+ * @returns {number} Next player ID, wrapping around to Player 1
+ */
+export function getNextPlayer(gameState, playerId) {
+  const playerIds = getPlayerIds(gameState)
+  return playerIds[(playerIds.indexOf(playerId) + 1) % playerIds.length]
+}
+
+/**
+ * Get a player's opponents
+ * @param {Object} gameState - Game state (or search node with players)
+ * @param {number} playerId - Player ID
+ * @returns {Array<number>} Other player IDs in turn order, starting with the next player
+ */
+export function getOpponents(gameState, playerId) {
+  const opponents = []
+  for (let next = getNextPlayer(gameState, playerId); next !== playerId; next = getNextPlayer(gameState, next)) {
+    opponents.push(next)
+  }
+  return opponents
+}
+
+/**
+ * Get the players a player competes against: every opponent except, in team games, their partner
+ * @param {Object} gameState - Game state (or search node with players and scoring)
+ * @param {number} playerId - Player ID
+ * @returns {Array<number>} Rival player IDs in turn order, starting with the next rival
+ */
+export function getRivals(gameState, playerId) {
+  return getOpponents(gameState, playerId).filter(opponentId => !isSameSide(gameState, playerId, opponentId))
+}
+
+/**
+ * Get who controls a player
+ * Games without seat configuration use the default human vs. AI seats
+ * @param {Object} gameState - Game state
+ * @param {number} playerId - Player ID
+ * @returns {Object} Seat {type, difficulty}
+ */
+export function getSeat(gameState, playerId) {
+  return gameState.config?.seats?.[playerId] || DEFAULT_SEATS[playerId]
+}
+
+/**
+ * Check if a player is controlled by the AI
+ * @param {Object} gameState - Game state
+ * @param {number} playerId - Player ID
+ * @returns {boolean} True if the player's seat is an AI seat
+ */
+export function isAISeat(gameState, playerId) {
+  return getSeat(gameState, playerId).type === SEAT_TYPES.AI
+}
+
+/**
+ * Get the human-controlled players
+ * @param {Object} gameState - Game state
+ * @returns {Array<number>} Player IDs of human seats
+ */
+export function getHumanPlayers(gameState) {
+  return getPlayerIds(gameState).filter(playerId => !isAISeat(gameState, playerId))
+}
+
+/**
+ * Get the AI difficulty for a player's seat
+ * Falls back to the game-wide aiDifficulty of older configurations
+ * @param {Object} gameState - Game state
+ * @param {number} playerId - Player ID
+ * @returns {string} Difficulty level
+ */
+export function getSeatDifficulty(gameState, playerId) {
+  return getSeat(gameState, playerId).difficulty || gameState.config?.aiDifficulty || 'normal'
 }
 
 /**
- * Get opponent player ID
- * @param {number} playerId - Current player ID
- * @returns {number} Opponent player ID
+ * Check if the human players share one device (pass-and-play)
+ * Hot-seat games show a hand-over screen between turns and never run the AI
+ * @param {Object} gameState - Game state
+ * @returns {boolean} True for hot-seat games in which every seat is human
  */
-export function getOpponent(playerId) {
-  return playerId === PLAYERS.PLAYER_1 ? PLAYERS.PLAYER_2 : PLAYERS.PLAYER_1
+export function isHotSeat(gameState) {
+  return Boolean(gameState.config?.hotSeat) && getHumanPlayers(gameState).length === getPlayerIds(gameState).length
+}
+
+/**
+ * Check if a hot-seat game hides each player's arsenal from the other
+ * @param {Object} gameState - Game state
+ * @returns {boolean} True if arsenals are hidden between turns
+ */
+export function hidesArsenals(gameState) {
+  return isHotSeat(gameState) && Boolean(gameState.config.hotSeat.hideArsenals)
 }
 
 /**
@@ -201,7 +440,44 @@ export function getOpponent(playerId) {
 export function switchPlayer(gameState) {
   return {
     ...gameState,
-    currentPlayer: getOpponent(gameState.currentPlayer)
+    currentPlayer: getNextPlayer(gameState, gameState.currentPlayer)
+  }
+}
+
+/**
+ * Pass the placement turn to the next player, counting a completed round each time
+ * the turn goes back around the table, whether the players placed or were skipped
+ * @param {Object} gameState - Current game state
+ * @returns {Object} Updated game state with switched player
+ */
+export function passPlacementTurn(gameState) {
+  const newGameState = switchPlayer(gameState)
+  if (newGameState.currentPlayer > gameState.currentPlayer || !gameState.endCondition) {
+    return newGameState
+  }
+
+  return {
+    ...newGameState,
+    endCondition: {
+      ...gameState.endCondition,
+      roundsPlayed: countPlacementRounds(gameState) + 1
+    }
+  }
+}
+
+/**
+ * Advance the game's random generator state after an action
+ * @param {Object} gameState - Current game state
+ * @returns {Object} Updated game state with advanced generator state
+ */
+export function advanceRandomState(gameState) {
+  if (typeof gameState.rngState !== 'number') {
+    return gameState
+  }
+
+  return {
+    ...gameState,
+    rngState: nextRandomState(gameState.rngState)
   }
 }
 
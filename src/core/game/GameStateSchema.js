@@ -0,0 +1,378 @@
+/**
+ * GameState JSON Schemas
+ * Published schemas of the save format, one per version (see schemas/ and scripts/schemas.js)
+ */
+
+import {
+  GAME_PHASES,
+  PLAYERS,
+  MIN_PLAYERS,
+  MAX_PLAYERS,
+  SEAT_TYPES,
+  AI_DIFFICULTIES,
+  BOARD_SHAPES
+} from '../../utils/constants.js'
+import { COST_MODELS } from '../draft/CostModels.js'
+import { DRAFT_FORMATS } from '../draft/DraftFormats.js'
+import { SCORING_PRESETS } from '../scoring/ScoringPresets.js'
+import { END_CONDITIONS } from './EndConditions.js'
+import { TIME_CONTROLS, TIMEOUT_ACTIONS } from './TimeControls.js'
+
+const SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema'
+const SCHEMA_ID_BASE = 'https://sumzero.game/schemas/game-state'
+
+const PLAYER_IDS = Object.values(PLAYERS)
+
+// Players every game has; the others join in games for more players
+const REQUIRED_PLAYER_IDS = PLAYER_IDS.slice(0, MIN_PLAYERS)
+
+/**
+ * Build per-player properties such as player1Score, player2Score, ...
+ * @param {Function} toKey - Maps a player ID to its property name
+ * @param {Object} schema - Schema of each property
+ * @returns {Object} Schema fields {required, properties}
+ */
+function perPlayer(toKey, schema) {
+  return {
+    required: REQUIRED_PLAYER_IDS.map(toKey),
+    properties: Object.fromEntries(PLAYER_IDS.map(id => [toKey(id), schema]))
+  }
+}
+
+// Building blocks shared by all versions
+const COMMON_DEFINITIONS = {
+  config: {
+    type: 'object',
+    description: 'Game configuration; options left out take their defaults',
+    properties: {
+      boardShape: { type: 'string', enum: BOARD_SHAPES },
+      playerCount: { type: 'integer', minimum: MIN_PLAYERS, maximum: MAX_PLAYERS },
+      teamPlay: { type: 'boolean' },
+      seats: {
+        type: 'object',
+        properties: Object.fromEntries(PLAYER_IDS.map(id => [String(id), { $ref: '#/$defs/seat' }]))
+      },
+      customPieces: { type: 'array', items: { $ref: '#/$defs/customPiece' } },
+      costModel: { type: 'string', enum: Object.keys(COST_MODELS) },
+      draftFormat: { type: 'string', enum: Object.keys(DRAFT_FORMATS) },
+      scoringPreset: { type: 'string', enum: Object.keys(SCORING_PRESETS) },
+      endCondition: { type: 'string', enum: Object.keys(END_CONDITIONS) },
+      timeControl: { type: 'string', enum: Object.keys(TIME_CONTROLS) },
+      timeoutAction: { type: 'string', enum: Object.values(TIMEOUT_ACTIONS) },
+      seed: { type: 'integer' }
+    }
+  },
+  seat: {
+    type: 'object',
+    required: ['type'],
+    properties: {
+      type: { type: 'string', enum: Object.values(SEAT_TYPES) },
+      difficulty: { type: ['string', 'null'], enum: [...AI_DIFFICULTIES, null] }
+    }
+  },
+  customPiece: {
+    type: 'object',
+    required: ['id', 'relCells'],
+    properties: {
+      id: { $ref: '#/$defs/pieceId' },
+      relCells: { type: 'array', items: { $ref: '#/$defs/cell' }, minItems: 1 },
+      cost: { type: 'integer', minimum: 1 }
+    }
+  },
+  playerId: {
+    type: 'integer',
+    enum: PLAYER_IDS
+  },
+  pieceId: {
+    type: 'string',
+    minLength: 1
+  },
+  cell: {
+    type: 'array',
+    items: { type: 'integer' },
+    minItems: 2,
+    maxItems: 2
+  },
+  board: {
+    type: 'object',
+    required: ['rows', 'cols', 'grid'],
+    properties: {
+      rows: { type: 'integer', minimum: 1 },
+      cols: { type: 'integer', minimum: 1 },
+      grid: {
+        type: 'array',
+        description: 'Rows of cells: -1 unusable, 0 empty, a player ID if owned by that player',
+        items: {
+          type: 'array',
+          items: { type: 'integer', enum: [-1, 0, ...PLAYER_IDS] }
+        }
+      }
+    }
+  },
+  stock: {
+    type: 'object',
+    description: 'Pieces left to draft by ID; -1 means unlimited',
+    additionalProperties: { type: 'integer', minimum: -1 }
+  },
+  countedArsenal: {
+    type: 'object',
+    description: 'Pieces owned by ID and count',
+    additionalProperties: { type: 'integer', minimum: 0 }
+  },
+  listedArsenal: {
+    type: 'array',
+    description: 'Pieces owned, one entry per piece (version 1.1)',
+    items: { $ref: '#/$defs/pieceId' }
+  },
+  draftState: {
+    type: 'object',
+    required: [...perPlayer(id => `player${id}Passed`).required, 'consecutivePasses'],
+    properties: {
+      ...perPlayer(id => `player${id}Passed`, { type: 'boolean' }).properties,
+      consecutivePasses: { type: 'integer', minimum: 0, maximum: MAX_PLAYERS },
+      auction: {
+        type: ['object', 'null'],
+        description: 'Revealed auction lot and the bids on it so far (auction drafts)',
+        required: ['pieceId', 'bids'],
+        properties: {
+          pieceId: { $ref: '#/$defs/pieceId' },
+          bids: { type: 'array', maxItems: MAX_PLAYERS, items: { $ref: '#/$defs/bid' } }
+        }
+      },
+      pick: {
+        type: 'integer',
+        minimum: 0,
+        description: 'Picks made so far (snake drafts)'
+      },
+      blindPicks: {
+        type: 'array',
+        description: 'Secret picks of the current round (blind drafts)',
+        maxItems: MAX_PLAYERS,
+        items: { $ref: '#/$defs/blindPick' }
+      },
+      lastReveal: {
+        type: 'array',
+        description: 'Picks of the last revealed round and whether they were bought (blind drafts)',
+        items: { $ref: '#/$defs/blindPick' }
+      },
+      lastLot: {
+        type: ['object', 'null'],
+        description: 'Outcome of the last decided auction lot',
+        required: ['pieceId', 'bids', 'winner'],
+        properties: {
+          pieceId: { $ref: '#/$defs/pieceId' },
+          bids: { type: 'array', items: { $ref: '#/$defs/bid' } },
+          winner: { $ref: '#/$defs/winner' }
+        }
+      }
+    }
+  },
+  blindPick: {
+    type: 'object',
+    required: ['player', 'pieceId'],
+    properties: {
+      player: { $ref: '#/$defs/playerId' },
+      pieceId: { type: ['string', 'null'] },
+      bought: { type: 'boolean' },
+      sealed: { type: 'boolean', description: 'Another player\'s pick, hidden until the round is revealed (online games)' }
+    }
+  },
+  bid: {
+    type: 'object',
+    required: ['player', 'amount'],
+    properties: {
+      player: { $ref: '#/$defs/playerId' },
+      amount: { type: 'integer', minimum: 0 },
+      sealed: { type: 'boolean', description: 'Another player\'s bid, hidden until the lot is decided (online games)' }
+    }
+  },
+  placement: {
+    type: 'object',
+    description: 'A placed piece in the move history',
+    required: ['player', 'pieceId'],
+    properties: {
+      player: { $ref: '#/$defs/playerId' },
+      pieceId: { $ref: '#/$defs/pieceId' },
+      anchor: { $ref: '#/$defs/cell' },
+      absCells: { type: 'array', items: { $ref: '#/$defs/cell' } }
+    }
+  },
+  winner: {
+    type: ['integer', 'null'],
+    enum: [...PLAYER_IDS, null]
+  }
+}
+
+/**
+ * Build a player schema
+ * @param {string} arsenalDefinition - Name of the arsenal definition
+ * @returns {Object} Player schema
+ */
+function playerSchema(arsenalDefinition) {
+  return {
+    type: 'object',
+    required: ['id', 'budget', 'arsenal'],
+    properties: {
+      id: { $ref: '#/$defs/playerId' },
+      budget: { type: 'integer', minimum: 0 },
+      color: { type: 'string' },
+      arsenal: { $ref: `#/$defs/${arsenalDefinition}` }
+    }
+  }
+}
+
+/**
+ * Build the schema of one save format version
+ * @param {string} version - Save format version
+ * @param {Object} options - Version differences
+ * @param {string} options.arsenal - Arsenal definition name
+ * @param {Array<string>} options.required - Additional required top-level fields
+ * @param {Object} options.properties - Additional top-level properties
+ * @param {Object} options.definitions - Additional definitions
+ * @returns {Object} JSON Schema
+ */
+function versionSchema(version, { arsenal, required = [], properties = {}, definitions = {} }) {
+  return {
+    $schema: SCHEMA_DIALECT,
+    $id: `${SCHEMA_ID_BASE}-${version}.schema.json`,
+    title: `SumZero game state ${version}`,
+    type: 'object',
+    required: ['version', 'phase', 'board', 'players', 'stock', 'currentPlayer', ...required],
+    properties: {
+      version: { const: version },
+      phase: { type: 'string', enum: Object.values(GAME_PHASES) },
+      board: { $ref: '#/$defs/board' },
+      players: {
+        type: 'object',
+        ...perPlayer(String, { $ref: '#/$defs/player' })
+      },
+      stock: { $ref: '#/$defs/stock' },
+      currentPlayer: { $ref: '#/$defs/playerId' },
+      history: { type: 'array', items: { $ref: '#/$defs/placement' } },
+      winner: { $ref: '#/$defs/winner' },
+      config: { $ref: '#/$defs/config' },
+      ...properties
+    },
+    $defs: {
+      ...COMMON_DEFINITIONS,
+      player: playerSchema(arsenal),
+      ...definitions
+    }
+  }
+}
+
+const SCHEMA_1_1 = versionSchema('1.1', {
+  arsenal: 'listedArsenal',
+  properties: {
+    draftState: { $ref: '#/$defs/draftState' }
+  }
+})
+
+const SCHEMA_1_2 = versionSchema('1.2', {
+  arsenal: 'countedArsenal',
+  required: ['draftState'],
+  properties: {
+    draftState: { $ref: '#/$defs/draftState' }
+  }
+})
+
+const SCHEMA_1_3 = versionSchema('1.3', {
+  arsenal: 'countedArsenal',
+  required: ['draftState', 'scoring'],
+  properties: {
+    draftState: { $ref: '#/$defs/draftState' },
+    scoring: { $ref: '#/$defs/scoring' },
+    endCondition: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { type: 'string' },
+        scoreToWin: { type: ['integer', 'null'] },
+        roundLimit: { type: ['integer', 'null'] },
+        roundsPlayed: { type: 'integer', minimum: 0, description: 'Placement rounds completed, skipped players included' }
+      }
+    },
+    clock: {
+      type: ['object', 'null'],
+      required: ['remaining', 'runningSince'],
+      properties: {
+        remaining: {
+          type: 'object',
+          ...perPlayer(String, { type: 'number', minimum: 0 }),
+          description: 'Time left in ms, as of runningSince for the current player'
+        },
+        runningSince: { type: ['number', 'null'], description: 'When the current player\'s time started running, null while paused' }
+      }
+    },
+    endReason: { type: 'string' },
+    finalScores: {
+      type: 'object',
+      ...perPlayer(id => `player${id}`, { type: 'number' })
+    },
+    gameStatistics: { type: 'object' },
+    actionLog: { type: 'array', items: { type: 'array', minItems: 2 } },
+    undoStack: { type: 'array', items: { type: 'object' } },
+    redoStack: { type: 'array', items: { type: 'object' } },
+    rngState: { type: 'integer', minimum: 0 }
+  },
+  definitions: {
+    scoring: {
+      type: 'object',
+      required: [...perPlayer(id => `player${id}Score`).required, 'scoringHistory'],
+      properties: {
+        ...perPlayer(id => `player${id}Score`, { type: 'number', minimum: 0 }).properties,
+        scoringHistory: { type: 'array', items: { $ref: '#/$defs/scoringEntry' } },
+        patternIndex: { type: 'object' },
+        teams: {
+          type: 'object',
+          description: 'Team games only: each team\'s partners and shared score',
+          additionalProperties: {
+            type: 'object',
+            required: ['players', 'score'],
+            properties: {
+              players: { type: 'array', items: { $ref: '#/$defs/playerId' }, minItems: 1 },
+              score: { type: 'number', minimum: 0 }
+            }
+          }
+        }
+      }
+    },
+    scoringEntry: {
+      type: 'object',
+      required: ['player', 'points'],
+      properties: {
+        turn: { type: 'integer', minimum: 1 },
+        player: { $ref: '#/$defs/playerId' },
+        pattern: { type: 'string' },
+        patternType: { type: 'string' },
+        points: { type: 'number', minimum: 0, description: 'Larger rectangles can score half points' },
+        cells: { type: 'array', items: { $ref: '#/$defs/cell' } }
+      }
+    }
+  }
+})
+
+// Schemas by save format version
+export const GAME_STATE_SCHEMAS = {
+  '1.1': SCHEMA_1_1,
+  '1.2': SCHEMA_1_2,
+  '1.3': SCHEMA_1_3
+}
+
+/**
+ * Get the schema for a save format version
+ * @param {string} version - Save format version
+ * @returns {Object|null} JSON Schema, or null for unknown versions
+ */
+export function getGameStateSchema(version) {
+  return GAME_STATE_SCHEMAS[version] || null
+}
+
+/**
+ * File name a schema is published under
+ * @param {string} version - Save format version
+ * @returns {string} File name such as game-state-1.3.schema.json
+ */
+export function getSchemaFileName(version) {
+  return `game-state-${version}.schema.json`
+}
\ No newline at end of file
@@ -0,0 +1,501 @@
+/**
+ * GameState Validator
+ * Checks a game state against the JSON Schema of its version, then checks that
+ * the pieces, board, scores and turn order are consistent with each other
+ */
+
+import { GAME_PHASES, PLAYERS, STOCK_MODES } from '../../utils/constants.js'
+import { getAllPieces } from '../pieces/PieceDefinitions.js'
+import { getGameStateSchema } from './GameStateSchema.js'
+import { getCostModel } from '../draft/CostModels.js'
+import { getDraftFormat, getSnakePicker } from '../draft/DraftFormats.js'
+
+/**
+ * Get the player IDs of a game state that matches its schema
+ * @param {Object} gameState - Game state
+ * @returns {Array<number>} Player IDs in turn order
+ */
+function getPlayerIds(gameState) {
+  return Object.keys(gameState.players).map(Number).sort((a, b) => a - b)
+}
+
+/**
+ * Get the custom pieces a game defines in its config
+ * @param {Object} gameState - Game state
+ * @returns {Object} Custom piece definitions by ID
+ */
+function getCustomPieces(gameState) {
+  const customPieces = gameState.config?.customPieces
+  return Array.isArray(customPieces)
+    ? Object.fromEntries(customPieces.map(piece => [piece?.id, piece]))
+    : {}
+}
+
+/**
+ * Build a JSON Pointer from path segments
+ * @param {Array<string|number>} segments - Path segments
+ * @returns {string} Pointer such as /players/1/budget ('' for the root)
+ */
+export function toPointer(segments) {
+  return segments
+    .map(segment => '/' + String(segment).replace(/~/g, '~0').replace(/\//g, '~1'))
+    .join('')
+}
+
+/**
+ * Get the JSON type name of a value
+ * @param {any} value - Value
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function typeOf(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number'
+  return typeof value
+}
+
+/**
+ * Check whether a value has a JSON Schema type
+ * @param {any} value - Value
+ * @param {string} type - Schema type
+ * @returns {boolean} True if the value matches
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value)
+  return actual === type || (type === 'number' && actual === 'integer')
+}
+
+/**
+ * Resolve a local reference such as #/$defs/player
+ * @param {Object} root - Root schema
+ * @param {string} ref - Reference
+ * @returns {Object} Referenced schema
+ */
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported schema reference: ${ref}`)
+  }
+  return ref.slice(2).split('/').reduce((schema, key) => schema[key], root)
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * Supports the keywords used by the game state schemas: $ref, type, enum, const,
+ * required, properties, additionalProperties, items, minimum, maximum, minItems,
+ * maxItems and minLength
+ * @param {any} value - Value to validate
+ * @param {Object} schema - Schema
+ * @param {Array<string|number>} path - Path of the value
+ * @param {Object} root - Root schema for references
+ * @returns {Array<Object>} Violations {path, message}
+ */
+export function validateAgainstSchema(value, schema, path = [], root = schema) {
+  if (schema.$ref) {
+    return validateAgainstSchema(value, resolveRef(root, schema.$ref), path, root)
+  }
+
+  const errors = []
+  const fail = message => errors.push({ path: toPointer(path), message })
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+    if (!types.some(type => matchesType(value, type))) {
+      fail(`must be ${types.join(' or ')}, got ${typeOf(value)}`)
+      return errors
+    }
+  }
+
+  if ('const' in schema && value !== schema.const) {
+    fail(`must be ${JSON.stringify(schema.const)}`)
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`)
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be at least ${schema.minimum}`)
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be at most ${schema.maximum}`)
+    }
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    fail(`must have at least ${schema.minLength} characters`)
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} items`)
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`)
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateAgainstSchema(item, schema.items, [...path, index], root))
+      })
+    }
+  } else if (value && typeof value === 'object') {
+    for (const field of schema.required || []) {
+      if (!(field in value)) {
+        fail(`missing required field ${field}`)
+      }
+    }
+    for (const [field, fieldValue] of Object.entries(value)) {
+      const fieldSchema = schema.properties?.[field] || schema.additionalProperties
+      if (fieldSchema && typeof fieldSchema === 'object') {
+        errors.push(...validateAgainstSchema(fieldValue, fieldSchema, [...path, field], root))
+      }
+    }
+  }
+
+  return errors
+}
+
+/**
+ * Find every way a game state is invalid
+ * Schema violations are reported first; the consistency checks only run on
+ * states that match their schema
+ * @param {Object} gameState - Game state
+ * @returns {Array<Object>} Violations {path, message}, empty if valid
+ */
+export function findGameStateViolations(gameState) {
+  if (!gameState || typeof gameState !== 'object' || Array.isArray(gameState)) {
+    return [{ path: '', message: 'must be object' }]
+  }
+
+  const schema = getGameStateSchema(gameState.version)
+  if (!schema) {
+    return [{ path: '/version', message: `unsupported version ${JSON.stringify(gameState.version)}` }]
+  }
+
+  const schemaErrors = validateAgainstSchema(gameState, schema)
+  if (schemaErrors.length > 0) {
+    return schemaErrors
+  }
+
+  return [
+    ...checkPlayers(gameState),
+    ...checkBoard(gameState),
+    ...checkPieces(gameState),
+    ...checkPlacements(gameState),
+    ...checkScoring(gameState),
+    ...checkTurn(gameState)
+  ]
+}
+
+/**
+ * Validate a game state, listing every violation in the error
+ * @param {Object} gameState - Game state
+ * @returns {boolean} True if valid
+ * @throws {Error} With a violations array if the state is invalid
+ */
+export function assertValidGameState(gameState) {
+  const violations = findGameStateViolations(gameState)
+  if (violations.length === 0) {
+    return true
+  }
+
+  const details = violations.map(({ path, message }) => `${path || '/'} ${message}`).join('; ')
+  const error = new Error(`Invalid game state: ${details}`)
+  error.violations = violations
+  throw error
+}
+
+/**
+ * Check that the players are numbered from Player 1 without gaps, that the
+ * player to move, the winner and the board only refer to them, and that the
+ * teams of a team game seat every player once
+ * @param {Object} gameState - Game state
+ * @returns {Array<Object>} Violations
+ */
+function checkPlayers(gameState) {
+  const playerIds = getPlayerIds(gameState)
+  const errors = []
+
+  playerIds.forEach((playerId, index) => {
+    if (playerId !== PLAYERS.PLAYER_1 + index) {
+      errors.push({ path: `/players/${playerId}`, message: `players must be numbered from 1 without gaps, expected ${PLAYERS.PLAYER_1 + index}` })
+    }
+  })
+  if (!playerIds.includes(gameState.currentPlayer)) {
+    errors.push({ path: '/currentPlayer', message: `player ${gameState.currentPlayer} is not in the game` })
+  }
+  if (gameState.winner && !playerIds.includes(gameState.winner)) {
+    errors.push({ path: '/winner', message: `player ${gameState.winner} is not in the game` })
+  }
+  gameState.board.grid.forEach((row, y) => {
+    row.forEach((cell, x) => {
+      if (cell > 0 && !playerIds.includes(cell)) {
+        errors.push({ path: `/board/grid/${y}/${x}`, message: `owned by player ${cell}, who is not in the game` })
+      }
+    })
+  })
+
+  if (gameState.scoring?.teams) {
+    const seated = Object.values(gameState.scoring.teams).flatMap(team => team.players)
+    for (const playerId of playerIds) {
+      const count = seated.filter(seatedId => seatedId === playerId).length
+      if (count !== 1) {
+        errors.push({ path: '/scoring/teams', message: `player ${playerId} must be in exactly one team, found in ${count}` })
+      }
+    }
+  }
+
+  return errors
+}
+
+/**
+ * Check that the grid has the declared dimensions
+ * @param {Object} gameState - Game state
+ * @returns {Array<Object>} Violations
+ */
+function checkBoard({ board }) {
+  const errors = []
+
+  if (board.grid.length !== board.rows) {
+    errors.push({ path: '/board/grid', message: `has ${board.grid.length} rows, expected ${board.rows}` })
+  }
+  board.grid.forEach((row, y) => {
+    if (row.length !== board.cols) {
+      errors.push({ path: `/board/grid/${y}`, message: `has ${row.length} cells, expected ${board.cols}` })
+    }
+  })
+
+  return errors
+}
+
+/**
+ * Count a player's pieces by ID (arsenals are lists in version 1.1)
+ * @param {Object|Array} arsenal - Arsenal
+ * @returns {Object} Counts {pieceId: count}
+ */
+function countArsenal(arsenal) {
+  if (!Array.isArray(arsenal)) {
+    return arsenal
+  }
+
+  const counts = {}
+  for (const pieceId of arsenal) {
+    counts[pieceId] = (counts[pieceId] || 0) + 1
+  }
+  return counts
+}
+
+/**
+ * Check that players and stock only hold known pieces, in amounts the stock mode allows
+ * @param {Object} gameState - Game state
+ * @returns {Array<Object>} Violations
+ */
+function checkPieces(gameState) {
+  const errors = []
+  const pieces = { ...getAllPieces(), ...getCustomPieces(gameState) }
+  const stockMode = gameState.config?.stockMode
+
+  for (const playerId of getPlayerIds(gameState)) {
+    const player = gameState.players[playerId]
+    if (player.id !== playerId) {
+      errors.push({ path: `/players/${playerId}/id`, message: `must be ${playerId}` })
+    }
+    for (const pieceId of Object.keys(countArsenal(player.arsenal))) {
+      if (!pieces[pieceId]) {
+        errors.push({ path: `/players/${playerId}/arsenal`, message: `unknown piece ${pieceId}` })
+      }
+    }
+  }
+
+  for (const [pieceId, count] of Object.entries(gameState.stock)) {
+    const path = `/stock/${pieceId}`
+    if (!pieces[pieceId]) {
+      errors.push({ path, message: `unknown piece ${pieceId}` })
+    } else if (stockMode === STOCK_MODES.UNLIMITED && count !== -1) {
+      errors.push({ path, message: 'must be -1 in unlimited stock mode' })
+    } else if (stockMode === STOCK_MODES.SINGLETON && count !== 0 && count !== 1) {
+      errors.push({ path, message: 'must be 0 or 1 in singleton stock mode' })
+    }
+  }
+
+  if (stockMode === STOCK_MODES.SINGLETON) {
+    errors.push(...checkSingletonCounts(gameState))
+  }
+
+  return errors
+}
+
+/**
+ * Check that each singleton piece exists exactly once across stock, arsenals and the board
+ * @param {Object} gameState - Game state
+ * @returns {Array<Object>} Violations
+ */
+function checkSingletonCounts(gameState) {
+  const totals = {}
+  const add = (pieceId, count) => { totals[pieceId] = (totals[pieceId] || 0) + count }
+
+  for (const [pieceId, count] of Object.entries(gameState.stock)) {
+    add(pieceId, count)
+  }
+  for (const playerId of getPlayerIds(gameState)) {
+    for (const [pieceId, count] of Object.entries(countArsenal(gameState.players[playerId].arsenal))) {
+      add(pieceId, count)
+    }
+  }
+  for (const move of gameState.history || []) {
+    add(move.pieceId, 1)
+  }
+
+  const errors = []
+  for (const [pieceId, total] of Object.entries(totals)) {
+    const expected = pieceId in gameState.stock ? 1 : 0
+    if (total !== expected) {
+      errors.push({
+        path: `/stock/${pieceId}`,
+        message: `piece ${pieceId} is held ${total} times across stock, arsenals and board, expected ${expected}`
+      })
+    }
+  }
+  return errors
+}
+
+/**
+ * Check that the owned board cells are exactly the cells of the placed pieces
+ * @param {Object} gameState - Game state
+ * @returns {Array<Object>} Violations
+ */
+function checkPlacements({ board, history = [] }) {
+  const errors = []
+  const placed = new Map()
+
+  history.forEach((move, index) => {
+    for (const [x, y] of move.absCells || []) {
+      const key = `${x},${y}`
+      if (board.grid[y]?.[x] === undefined || board.grid[y][x] === -1) {
+        errors.push({ path: `/history/${index}/absCells`, message: `cell [${x}, ${y}] is not on the board` })
+      } else if (placed.has(key)) {
+        errors.push({ path: `/history/${index}/absCells`, message: `cell [${x}, ${y}] is covered twice` })
+      } else {
+        placed.set(key, move.player)
+      }
+    }
+  })
+
+  // Saves whose history does not record cells cannot be checked against the board
+  if (history.some(move => !move.absCells)) {
+    return errors
+  }
+
+  board.grid.forEach((row, y) => {
+    row.forEach((cell, x) => {
+      const owner = placed.get(`${x},${y}`)
+      if (cell > 0 && owner !== cell) {
+        errors.push({ path: `/board/grid/${y}/${x}`, message: `owned by player ${cell} but no placement of theirs covers it` })
+      } else if (cell === 0 && owner !== undefined) {
+        errors.push({ path: `/board/grid/${y}/${x}`, message: `empty but covered by a placement of player ${owner}` })
+      }
+    })
+  })
+
+  return errors
+}
+
+/**
+ * Check that scores add up to the scoring history, and team scores to the partners' scores
+ * @param {Object} gameState - Game state
+ * @returns {Array<Object>} Violations
+ */
+function checkScoring(gameState) {
+  const { scoring, finalScores } = gameState
+  if (!scoring) {
+    return []
+  }
+
+  const errors = []
+  for (const playerId of getPlayerIds(gameState)) {
+    const key = `player${playerId}Score`
+    const earned = scoring.scoringHistory
+      .filter(entry => entry.player === playerId)
+      .reduce((sum, entry) => sum + entry.points, 0)
+
+    if (scoring[key] !== earned) {
+      errors.push({ path: `/scoring/${key}`, message: `is ${scoring[key]} but the scoring history adds up to ${earned}` })
+    }
+    if (finalScores && finalScores[`player${playerId}`] !== scoring[key]) {
+      errors.push({ path: `/finalScores/player${playerId}`, message: `must equal scoring.${key}` })
+    }
+  }
+
+  for (const [teamId, team] of Object.entries(scoring.teams || {})) {
+    const total = team.players.reduce((sum, playerId) => sum + (scoring[`player${playerId}Score`] ?? 0), 0)
+    if (team.score !== total) {
+      errors.push({ path: `/scoring/teams/${teamId}/score`, message: `is ${team.score} but the partners' scores add up to ${total}` })
+    }
+  }
+  return errors
+}
+
+/**
+ * Check that an auction draft's lot is in stock and the player to move still has to bid
+ * @param {Object} gameState - Game state (auction draft)
+ * @returns {Array<Object>} Violations
+ */
+function checkAuction({ currentPlayer, draftState, stock }) {
+  const errors = []
+  const auction = draftState.auction
+
+  if (!auction) {
+    errors.push({ path: '/draftState/auction', message: 'no lot is revealed but the draft is not over' })
+    return errors
+  }
+  if (!(stock[auction.pieceId] > 0 || stock[auction.pieceId] === -1)) {
+    errors.push({ path: '/draftState/auction/pieceId', message: `lot ${auction.pieceId} is not in stock` })
+  }
+  if (auction.bids.some(bid => bid.player === currentPlayer)) {
+    errors.push({ path: '/currentPlayer', message: `player ${currentPlayer} already bid on this lot` })
+  }
+
+  return errors
+}
+
+/**
+ * Check that the player to move and the winner fit the phase
+ * @param {Object} gameState - Game state
+ * @returns {Array<Object>} Violations
+ */
+function checkTurn(gameState) {
+  const { phase, currentPlayer, draftState, winner } = gameState
+  const errors = []
+
+  // The schema has checked that the format and cost model are known
+  const format = getDraftFormat(gameState.config?.draftFormat).id
+
+  if (phase === GAME_PHASES.DRAFT && draftState && getCostModel(gameState.config?.costModel).auction) {
+    errors.push(...checkAuction(gameState))
+  } else if (phase === GAME_PHASES.DRAFT && draftState && format === 'snake') {
+    const picker = getSnakePicker(draftState.pick ?? 0, getPlayerIds(gameState).length)
+    if (currentPlayer !== picker) {
+      errors.push({ path: '/currentPlayer', message: `pick ${draftState.pick} belongs to player ${picker}` })
+    }
+  } else if (phase === GAME_PHASES.DRAFT && draftState && format === 'blind') {
+    if ((draftState.blindPicks || []).some(pick => pick.player === currentPlayer)) {
+      errors.push({ path: '/currentPlayer', message: `player ${currentPlayer} already picked this round` })
+    }
+  } else if (phase === GAME_PHASES.DRAFT && draftState) {
+    const playerIds = getPlayerIds(gameState)
+    const passed = playerIds.filter(playerId => draftState[`player${playerId}Passed`])
+    if (passed.length === playerIds.length) {
+      errors.push({ path: '/draftState', message: 'every player passed but the draft is not over' })
+    } else if (draftState.consecutivePasses !== passed.length) {
+      errors.push({ path: '/draftState/consecutivePasses', message: 'does not match the players who passed' })
+    }
+    if (passed.includes(currentPlayer)) {
+      errors.push({ path: '/currentPlayer', message: `player ${currentPlayer} passed and cannot be to move` })
+    }
+  }
+
+  if (phase !== GAME_PHASES.GAME_OVER && winner !== undefined && winner !== null) {
+    errors.push({ path: '/winner', message: `must be null while the game is in ${phase}` })
+  }
+
+  return errors
+}
\ No newline at end of file
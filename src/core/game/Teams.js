@@ -0,0 +1,118 @@
+/**
+ * Teams
+ * 2v2 partnerships: partners sit opposite each other, so turns alternate between
+ * the teams, and patterns built from both partners' cells score for the team
+ */
+
+import { PLAYERS } from '../../utils/constants.js'
+
+// Team games seat two teams of two
+export const TEAM_COUNT = 2
+export const TEAM_PLAYER_COUNT = 4
+
+/**
+ * Get the team a seat plays for: opposite seats are partners
+ * @param {number} playerId - Player ID
+ * @returns {number} Team ID (1 or 2)
+ */
+function getSeatTeam(playerId) {
+  return (playerId - PLAYERS.PLAYER_1) % TEAM_COUNT + 1
+}
+
+/**
+ * Build the team layer of a new game's scoring
+ * @param {Object} config - Game configuration with playerCount and teamPlay
+ * @returns {Object|null} Teams {teamId: {players, score}}, null for games without teams
+ * @throws {Error} If teams are asked for with the wrong number of players
+ */
+export function createTeams(config) {
+  if (!config.teamPlay) {
+    return null
+  }
+
+  if (config.playerCount !== TEAM_PLAYER_COUNT) {
+    throw new Error(`Team games are played by ${TEAM_PLAYER_COUNT} players, not ${config.playerCount}`)
+  }
+
+  const teams = {}
+  for (let playerId = PLAYERS.PLAYER_1; playerId < PLAYERS.PLAYER_1 + TEAM_PLAYER_COUNT; playerId++) {
+    const teamId = getSeatTeam(playerId)
+    teams[teamId] = teams[teamId] || { players: [], score: 0 }
+    teams[teamId].players.push(playerId)
+  }
+  return teams
+}
+
+/**
+ * Check if a game is played in teams
+ * @param {Object} gameState - Game state or search node
+ * @returns {boolean} True for team games
+ */
+export function isTeamGame(gameState) {
+  return Boolean(gameState.scoring?.teams)
+}
+
+/**
+ * Get the team a player belongs to
+ * @param {Object} gameState - Game state
+ * @param {number} playerId - Player ID
+ * @returns {number|null} Team ID, null for games without teams
+ */
+export function getTeamId(gameState, playerId) {
+  if (!isTeamGame(gameState)) {
+    return null
+  }
+
+  const entry = Object.entries(gameState.scoring.teams).find(([, team]) => team.players.includes(playerId))
+  return entry ? Number(entry[0]) : null
+}
+
+/**
+ * Get the players who win or lose together: a player's team, or the player alone
+ * @param {Object} gameState - Game state
+ * @param {number} playerId - Player ID
+ * @returns {Array<number>} Player IDs in turn order
+ */
+export function getSide(gameState, playerId) {
+  const teamId = getTeamId(gameState, playerId)
+  return teamId === null ? [playerId] : gameState.scoring.teams[teamId].players
+}
+
+/**
+ * Get every side of a game: the teams, or each player alone
+ * @param {Object} gameState - Game state
+ * @param {Array<number>} playerIds - Player IDs in turn order
+ * @returns {Array<Array<number>>} Sides in order of their first player
+ */
+export function getSides(gameState, playerIds) {
+  const sides = []
+  for (const playerId of playerIds) {
+    const side = getSide(gameState, playerId)
+    if (side[0] === playerId) {
+      sides.push(side)
+    }
+  }
+  return sides
+}
+
+/**
+ * Check if two players are on the same side
+ * @param {Object} gameState - Game state
+ * @param {number} playerId - Player ID
+ * @param {number} otherId - Other player ID
+ * @returns {boolean} True for the same player or partners
+ */
+export function isSameSide(gameState, playerId, otherId) {
+  return getSide(gameState, playerId).includes(otherId)
+}
+
+/**
+ * Name a player's side for messages
+ * @param {Object} gameState - Game state
+ * @param {number} playerId - Player ID
+ * @returns {string} 'Team 1' in team games, otherwise 'Player 1'
+ */
+export function describeSide(gameState, playerId) {
+  const teamId = getTeamId(gameState, playerId)
+  return teamId === null ? `Player ${playerId}` : `Team ${teamId}`
+}
\ No newline at end of file
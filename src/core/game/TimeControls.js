@@ -0,0 +1,242 @@
+/**
+ * Time Controls
+ * Chess clocks for every player: named time controls, and clock bookkeeping
+ * as turns pass, the game is paused and a player runs out of time
+ */
+
+import { GAME_PHASES, PLAYERS } from '../../utils/constants.js'
+
+export const DEFAULT_TIME_CONTROL = 'none'
+
+// What happens to a player who runs out of time
+export const TIMEOUT_ACTIONS = {
+  FORFEIT: 'forfeit',
+  PASS: 'pass'
+}
+
+/**
+ * Time controls by ID (times in seconds)
+ * refills: the clock gains time every turn, so a player out of time can still move
+ */
+export const TIME_CONTROLS = {
+  none: {
+    id: 'none',
+    name: 'Untimed',
+    description: 'No clocks.',
+    defaultTime: null,
+    defaultIncrement: null,
+    refills: false
+  },
+  sudden_death: {
+    id: 'sudden_death',
+    name: 'Sudden Death',
+    description: 'Each player has a fixed amount of time for the whole game.',
+    defaultTime: 300,
+    defaultIncrement: null,
+    refills: false
+  },
+  fischer: {
+    id: 'fischer',
+    name: 'Fischer',
+    description: 'Each player has a time bank that grows by an increment after every turn.',
+    defaultTime: 180,
+    defaultIncrement: 5,
+    refills: true
+  },
+  per_move: {
+    id: 'per_move',
+    name: 'Per Move',
+    description: 'Each turn must be played within a fixed time.',
+    defaultTime: 30,
+    defaultIncrement: null,
+    refills: true
+  }
+}
+
+/**
+ * Get a time control; games saved before clocks existed are untimed
+ * @param {string} controlId - Time control ID
+ * @returns {Object} Time control
+ * @throws {Error} If the control is unknown
+ */
+export function getTimeControl(controlId) {
+  const control = TIME_CONTROLS[controlId || DEFAULT_TIME_CONTROL]
+  if (!control) {
+    throw new Error(`Unknown time control: ${controlId}`)
+  }
+  return control
+}
+
+/**
+ * Get the timeout action of a game
+ * @param {Object} gameState - Game state
+ * @returns {string} TIMEOUT_ACTIONS value
+ */
+export function getTimeoutAction(gameState) {
+  return gameState.config?.timeoutAction === TIMEOUT_ACTIONS.PASS ? TIMEOUT_ACTIONS.PASS : TIMEOUT_ACTIONS.FORFEIT
+}
+
+/**
+ * Resolve the clock settings of a config, filling in the time control's defaults
+ * @param {Object} config - Game configuration {timeControl, clockTime, clockIncrement} (seconds)
+ * @returns {Object} Resolved {timeControl, clockTime, clockIncrement}
+ * @throws {Error} If the control is unknown or a time is not positive
+ */
+export function resolveTimeControl(config) {
+  const control = getTimeControl(config.timeControl)
+  const clockTime = control.defaultTime === null ? null : config.clockTime ?? control.defaultTime
+  const clockIncrement = control.defaultIncrement === null ? null : config.clockIncrement ?? control.defaultIncrement
+
+  if ([clockTime, clockIncrement].some(time => time !== null && !(time > 0))) {
+    throw new Error(`${control.name} time control: times must be positive numbers of seconds`)
+  }
+
+  return { timeControl: control.id, clockTime, clockIncrement }
+}
+
+/**
+ * Build the clock of a new game; it starts paused and whoever hosts the game starts it
+ * @param {Object} config - Game configuration with playerCount and resolved clock settings (see resolveTimeControl)
+ * @returns {Object|null} Clock {remaining: {playerId: ms}, runningSince}, null for untimed games
+ * @throws {Error} If running out of time should pass the turn but the clock never refills
+ */
+export function createClock(config) {
+  const control = getTimeControl(config.timeControl)
+  if (control.id === 'none') {
+    return null
+  }
+
+  if (config.timeoutAction === TIMEOUT_ACTIONS.PASS && !control.refills) {
+    throw new Error(`Running out of time cannot pass the turn with the ${control.name} time control`)
+  }
+
+  const remaining = {}
+  for (let playerId = PLAYERS.PLAYER_1; playerId < PLAYERS.PLAYER_1 + config.playerCount; playerId++) {
+    remaining[playerId] = config.clockTime * 1000
+  }
+
+  return { remaining, runningSince: null }
+}
+
+/**
+ * Check if a game's clock is running
+ * @param {Object} gameState - Game state
+ * @returns {boolean} True if the current player's time is running (never after the game is over)
+ */
+export function isClockRunning(gameState) {
+  return Boolean(gameState.clock) && gameState.clock.runningSince !== null && gameState.phase !== GAME_PHASES.GAME_OVER
+}
+
+/**
+ * Get a player's time left
+ * @param {Object} gameState - Game state
+ * @param {number} playerId - Player ID
+ * @param {number} now - Current timestamp (ms)
+ * @returns {number|null} Time left in ms (never below 0), null for untimed games
+ */
+export function getRemainingTime(gameState, playerId, now) {
+  if (!gameState.clock) {
+    return null
+  }
+
+  const remaining = gameState.clock.remaining[playerId]
+  if (!isClockRunning(gameState) || playerId !== gameState.currentPlayer) {
+    return remaining
+  }
+  return Math.max(0, remaining - (now - gameState.clock.runningSince))
+}
+
+/**
+ * Check if the player to move has run out of time
+ * @param {Object} gameState - Game state
+ * @param {number} now - Current timestamp (ms)
+ * @returns {boolean} True if the current player's clock has reached zero
+ */
+export function hasTimedOut(gameState, now) {
+  return isClockRunning(gameState) && getRemainingTime(gameState, gameState.currentPlayer, now) === 0
+}
+
+/**
+ * Start the current player's clock
+ * @param {Object} gameState - Game state
+ * @param {number} now - Current timestamp (ms)
+ * @returns {Object} Game state with the clock running (the same state if nothing changed)
+ */
+export function startClock(gameState, now) {
+  if (!gameState.clock || gameState.clock.runningSince !== null || gameState.phase === GAME_PHASES.GAME_OVER) {
+    return gameState
+  }
+  return { ...gameState, clock: { ...gameState.clock, runningSince: now } }
+}
+
+/**
+ * Stop the clock, keeping the time the current player has used
+ * @param {Object} gameState - Game state
+ * @param {number} now - Current timestamp (ms)
+ * @returns {Object} Game state with the clock paused (the same state if nothing changed)
+ */
+export function pauseClock(gameState, now) {
+  if (!isClockRunning(gameState)) {
+    return gameState
+  }
+
+  return {
+    ...gameState,
+    clock: {
+      remaining: {
+        ...gameState.clock.remaining,
+        [gameState.currentPlayer]: getRemainingTime(gameState, gameState.currentPlayer, now)
+      },
+      runningSince: null
+    }
+  }
+}
+
+/**
+ * Hand the clock over after a turn: the player who acted is charged for the
+ * turn, gains the Fischer increment or a fresh per-move allowance, and the
+ * next player's time starts running (unless the clock was paused or the game is over).
+ * Taking back the end of the game starts the clock again
+ * @param {Object} previousState - Game state before the action
+ * @param {Object} nextState - Game state after the action
+ * @param {number} now - Current timestamp (ms)
+ * @param {Object} [options]
+ * @param {boolean} [options.completed=true] - False when turns are taken back (undo/redo) rather than played:
+ *   no increment and no fresh per-move allowance
+ * @returns {Object} Next game state with the updated clock
+ */
+export function passClock(previousState, nextState, now, { completed = true } = {}) {
+  if (!previousState.clock) {
+    return nextState
+  }
+
+  const playerId = previousState.currentPlayer
+  const control = getTimeControl(previousState.config?.timeControl)
+  let remaining = getRemainingTime(previousState, playerId, now)
+
+  if (control.id === 'per_move' && completed) {
+    remaining = previousState.config.clockTime * 1000
+  } else if (control.id === 'fischer' && completed) {
+    remaining += previousState.config.clockIncrement * 1000
+  }
+
+  const leavesGameOver = !completed && previousState.phase === GAME_PHASES.GAME_OVER
+  const running = (isClockRunning(previousState) || leavesGameOver) && nextState.phase !== GAME_PHASES.GAME_OVER
+  return {
+    ...nextState,
+    clock: {
+      remaining: { ...previousState.clock.remaining, [playerId]: remaining },
+      runningSince: running ? now : null
+    }
+  }
+}
+
+/**
+ * Format a time for a clock display
+ * @param {number} ms - Time in ms
+ * @returns {string} m:ss
+ */
+export function formatClockTime(ms) {
+  const seconds = Math.ceil(ms / 1000)
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+}
\ No newline at end of file
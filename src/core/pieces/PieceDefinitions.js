@@ -3,6 +3,27 @@
  * All pieces are normalized with origin at [0,0] and minimum bounding box
  */
 
+/**
+ * Build the definitions of a piece set from its shapes and cost rule
+ * @param {Object} shapes - Relative cells by piece ID
+ * @param {Function} costRule - Cost of a piece from its relative cells
+ * @returns {Object} Piece definitions by ID
+ */
+function definePieceSet(shapes, costRule) {
+  return Object.fromEntries(Object.entries(shapes).map(([id, relCells]) => [id, {
+    id,
+    size: relCells.length,
+    cost: costRule(relCells),
+    relCells
+  }]))
+}
+
+// Trominoes (3 cells) cost one point per cell, like tetrominoes and pentominoes
+export const TROMINOES = definePieceSet({
+  I3: [[0,0],[1,0],[2,0]],
+  V3: [[0,0],[0,1],[1,1]]
+}, relCells => relCells.length)
+
 // Tetrominoes (4 cells, cost 4)
 export const TETROMINOES = {
   I4: {
@@ -125,12 +146,72 @@ export const PENTOMINOES = {
   }
 }
 
+// Hexominoes (6 cells, all 35 free shapes) cost one point more than their cells:
+// a single move claims enough cells for a long line or a 2x3 rectangle
+export const HEXOMINOES = definePieceSet({
+  I6: [[0,0],[1,0],[2,0],[3,0],[4,0],[5,0]],
+  O6: [[0,0],[1,0],[0,1],[1,1],[0,2],[1,2]],
+  H01: [[0,0],[0,1],[1,1],[2,1],[3,1],[0,2]],
+  H02: [[0,0],[0,1],[1,1],[2,1],[3,1],[1,2]],
+  H03: [[0,0],[0,1],[1,1],[2,1],[3,1],[2,2]],
+  H04: [[0,0],[0,1],[1,1],[2,1],[3,1],[3,2]],
+  H05: [[0,0],[0,1],[0,2],[0,3],[1,3],[2,3]],
+  H06: [[0,0],[0,1],[0,2],[1,2],[1,3],[2,3]],
+  H07: [[0,0],[0,1],[0,2],[1,2],[2,2],[0,3]],
+  H08: [[0,0],[0,1],[0,2],[1,2],[2,2],[1,3]],
+  H09: [[0,0],[0,1],[0,2],[1,2],[2,2],[2,3]],
+  H10: [[0,0],[0,1],[1,1],[0,2],[1,2],[2,2]],
+  H11: [[0,0],[0,1],[1,1],[1,2],[1,3],[2,3]],
+  H12: [[0,0],[0,1],[1,1],[1,2],[2,2],[1,3]],
+  H13: [[0,0],[0,1],[1,1],[1,2],[2,2],[2,3]],
+  H14: [[0,0],[0,1],[1,1],[2,1],[0,2],[1,2]],
+  H15: [[0,0],[0,1],[1,1],[2,1],[0,2],[2,2]],
+  H16: [[0,0],[0,1],[1,1],[2,1],[1,2],[1,3]],
+  H17: [[0,0],[0,1],[1,1],[2,1],[1,2],[2,2]],
+  H18: [[0,0],[0,1],[2,1],[0,2],[1,2],[2,2]],
+  H19: [[0,0],[1,0],[0,1],[1,1],[2,1],[1,2]],
+  H20: [[0,0],[1,0],[1,1],[2,1],[0,2],[1,2]],
+  H21: [[1,0],[0,1],[1,1],[1,2],[2,2],[1,3]],
+  H22: [[1,0],[0,1],[1,1],[2,1],[1,2],[1,3]],
+  H23: [[0,0],[0,1],[0,2],[0,3],[0,4],[1,4]],
+  H24: [[0,0],[0,1],[0,2],[0,3],[1,3],[0,4]],
+  H25: [[0,0],[0,1],[0,2],[0,3],[1,3],[1,4]],
+  H26: [[0,0],[0,1],[0,2],[1,2],[0,3],[0,4]],
+  H27: [[0,0],[0,1],[0,2],[1,2],[0,3],[1,3]],
+  H28: [[0,0],[0,1],[0,2],[1,2],[1,3],[1,4]],
+  H29: [[0,0],[0,1],[1,1],[0,2],[0,3],[1,3]],
+  H30: [[0,0],[0,1],[1,1],[0,2],[1,2],[0,3]],
+  H31: [[0,0],[0,1],[1,1],[0,2],[1,2],[1,3]],
+  H32: [[0,0],[0,1],[1,1],[1,2],[0,3],[1,3]],
+  H33: [[0,0],[1,0],[0,1],[0,2],[0,3],[1,3]]
+}, relCells => relCells.length + 1)
+
+/**
+ * Piece sets in draft order; configKey is the game config flag that includes the set
+ */
+export const PIECE_SETS = {
+  trominoes: { name: 'Trominoes', size: 3, configKey: 'allowTrominoes', pieces: TROMINOES },
+  tetrominoes: { name: 'Tetrominoes', size: 4, configKey: 'allowTetrominoes', pieces: TETROMINOES },
+  pentominoes: { name: 'Pentominoes', size: 5, configKey: 'allowPentominoes', pieces: PENTOMINOES },
+  hexominoes: { name: 'Hexominoes', size: 6, configKey: 'allowHexominoes', pieces: HEXOMINOES }
+}
+
+/**
+ * Get the game config flags that enable exactly the given piece sets
+ * @param {Array<string>} setIds - Enabled piece set IDs (unknown IDs are ignored)
+ * @returns {Object} Config flags such as {allowTrominoes, allowTetrominoes, ...}
+ */
+export function getPieceSetConfig(setIds) {
+  return Object.fromEntries(Object.entries(PIECE_SETS)
+    .map(([setId, set]) => [set.configKey, setIds.includes(setId)]))
+}
+
 /**
- * Get all pieces (tetrominoes and pentominoes combined)
+ * Get all built-in pieces (every set combined)
  * @returns {Object} Combined piece definitions
  */
 export function getAllPieces() {
-  return { ...TETROMINOES, ...PENTOMINOES }
+  return Object.assign({}, ...Object.values(PIECE_SETS).map(set => set.pieces))
 }
 
 /**
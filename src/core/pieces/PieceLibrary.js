@@ -3,17 +3,23 @@
  * Implements caching of unique piece orientations as specified
  */
 
-import { TETROMINOES, PENTOMINOES, getAllPieces } from './PieceDefinitions.js'
+import { PIECE_SETS, getAllPieces } from './PieceDefinitions.js'
 import { applyTransform } from '../geometry/Transform.js'
 
 /**
  * PieceLibrary class that manages piece definitions and precomputed transformations
  */
 export class PieceLibrary {
-  constructor() {
-    this.pieces = new Map()
-    this.transformCache = new Map()
-    this.initializePieces()
+  /**
+   * @param {PieceLibrary|null} base - Library whose pieces this one starts with, or null for the built-in pieces
+   */
+  constructor(base = null) {
+    this.pieces = new Map(base?.pieces)
+    this.transformCache = new Map(base?.transformCache)
+    this.customPieceIds = new Set(base?.customPieceIds)
+    if (!base) {
+      this.initializePieces()
+    }
   }
 
   /**
@@ -22,12 +28,61 @@ export class PieceLibrary {
   initializePieces() {
     const allPieces = getAllPieces()
 
-    for (const [id, piece] of Object.entries(allPieces)) {
-      this.pieces.set(id, piece)
+    for (const piece of Object.values(allPieces)) {
+      this.addPiece(piece)
+    }
+  }
 
-      // Precompute unique transforms for this piece
-      this.transformCache.set(id, this.computeUniqueTransforms(piece.relCells))
+  /**
+   * Add a piece definition and precompute its unique transformations
+   * @param {Object} piece - Piece definition {id, size, cost, relCells}
+   */
+  addPiece(piece) {
+    this.pieces.set(piece.id, piece)
+    this.transformCache.set(piece.id, this.computeUniqueTransforms(piece.relCells))
+  }
+
+  /**
+   * Register a custom piece
+   * Cells are normalized to the origin; the cost defaults to one point per cell.
+   * Registering the same piece again is a no-op
+   * @param {Object} definition - Custom piece {id, relCells, cost}
+   * @returns {Object} Registered piece definition
+   * @throws {Error} If the piece is invalid or its ID is taken by a different piece
+   */
+  registerPiece(definition) {
+    const piece = normalizeCustomPiece(definition)
+    const existing = this.pieces.get(piece.id)
+
+    if (existing) {
+      const sameShape = JSON.stringify(existing.relCells) === JSON.stringify(piece.relCells)
+      if (!this.customPieceIds.has(piece.id) || !sameShape || existing.cost !== piece.cost) {
+        throw new Error(`Piece ID ${piece.id} is already used by a different piece`)
+      }
+      return existing
     }
+
+    this.addPiece(piece)
+    this.customPieceIds.add(piece.id)
+    return piece
+  }
+
+  /**
+   * Register the custom pieces of a game configuration
+   * @param {Array<Object>} customPieces - Custom piece definitions (config.customPieces)
+   * @returns {Array<Object>} Registered piece definitions
+   */
+  registerCustomPieces(customPieces = []) {
+    return customPieces.map(definition => this.registerPiece(definition))
+  }
+
+  /**
+   * Get a piece's cost
+   * @param {string} pieceId - Piece identifier
+   * @returns {number} Piece cost, or 0 for unknown pieces
+   */
+  getCost(pieceId) {
+    return this.pieces.get(pieceId)?.cost ?? 0
   }
 
   /**
@@ -96,19 +151,104 @@ export class PieceLibrary {
   }
 
   /**
-   * Get pieces by type (tetrominoes or pentominoes)
-   * @param {string} type - 'tetrominoes' or 'pentominoes'
+   * Get pieces by type (a piece set such as 'tetrominoes', or 'custom')
+   * @param {string} type - Piece set ID or 'custom'
    * @returns {Array<Object>} Filtered piece definitions
    */
   getByType(type) {
-    if (type === 'tetrominoes') {
-      return Object.values(TETROMINOES)
-    } else if (type === 'pentominoes') {
-      return Object.values(PENTOMINOES)
+    if (type === 'custom') {
+      return [...this.customPieceIds].map(id => this.pieces.get(id))
     }
-    return []
+    return PIECE_SETS[type] ? Object.values(PIECE_SETS[type].pieces) : []
   }
 }
 
+/**
+ * Validate and normalize a custom piece definition
+ * @param {Object} definition - Custom piece {id, relCells, cost}
+ * @returns {Object} Piece definition {id, size, cost, relCells, custom}
+ * @throws {Error} If the definition is invalid
+ */
+function normalizeCustomPiece(definition) {
+  const { id, relCells, cost } = definition || {}
+
+  if (typeof id !== 'string' || id.trim() === '') {
+    throw new Error('Custom piece needs a non-empty string id')
+  }
+  if (!Array.isArray(relCells) || relCells.length === 0 ||
+      !relCells.every(cell => Array.isArray(cell) && cell.length === 2 && cell.every(Number.isInteger))) {
+    throw new Error(`Custom piece ${id}: relCells must be a non-empty list of [x, y] integer pairs`)
+  }
+
+  const minX = Math.min(...relCells.map(([x]) => x))
+  const minY = Math.min(...relCells.map(([, y]) => y))
+  const cells = relCells.map(([x, y]) => [x - minX, y - minY])
+  const keys = new Set(cells.map(([x, y]) => `${x},${y}`))
+
+  if (keys.size !== cells.length) {
+    throw new Error(`Custom piece ${id}: cells must not repeat`)
+  }
+  if (!isConnected(cells, keys)) {
+    throw new Error(`Custom piece ${id}: cells must be orthogonally connected`)
+  }
+
+  const pieceCost = cost ?? cells.length
+  if (!Number.isInteger(pieceCost) || pieceCost < 1) {
+    throw new Error(`Custom piece ${id}: cost must be a positive integer`)
+  }
+
+  return { id, size: cells.length, cost: pieceCost, relCells: cells, custom: true }
+}
+
+/**
+ * Check if cells form one orthogonally connected group
+ * @param {Array<Array<number>>} cells - Cells
+ * @param {Set<string>} keys - Cells as "x,y" keys
+ * @returns {boolean} True if connected
+ */
+function isConnected(cells, keys) {
+  const visited = new Set([`${cells[0][0]},${cells[0][1]}`])
+  const queue = [cells[0]]
+
+  while (queue.length > 0) {
+    const [x, y] = queue.shift()
+    for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+      const key = `${x + dx},${y + dy}`
+      if (keys.has(key) && !visited.has(key)) {
+        visited.add(key)
+        queue.push([x + dx, y + dy])
+      }
+    }
+  }
+
+  return visited.size === cells.length
+}
+
 // Create and export singleton instance
-export const pieceLibrary = new PieceLibrary()
\ No newline at end of file
+export const pieceLibrary = new PieceLibrary()
+
+// Libraries of games with custom pieces, by the game's config.customPieces list
+const gameLibraries = new WeakMap()
+
+/**
+ * Get the pieces of a game: the built-in pieces and the game's custom pieces
+ * Custom pieces belong to their game, so games may give the same ID to
+ * different pieces. A game's library is kept with its customPieces list and
+ * dropped along with it
+ * @param {Object} gameState - Game state, search node or any object with the game's config
+ * @returns {PieceLibrary} Library of the game's pieces
+ * @throws {Error} If a custom piece is invalid or its ID is taken by a built-in piece
+ */
+export function getGamePieces(gameState) {
+  const customPieces = gameState?.config?.customPieces
+  if (!Array.isArray(customPieces) || customPieces.length === 0) {
+    return pieceLibrary
+  }
+
+  if (!gameLibraries.has(customPieces)) {
+    const library = new PieceLibrary(pieceLibrary)
+    library.registerCustomPieces(customPieces)
+    gameLibraries.set(customPieces, library)
+  }
+  return gameLibraries.get(customPieces)
+}
\ No newline at end of file
@@ -4,10 +4,48 @@
  */
 
 import { isInBounds, areCellsEmpty, placePiece } from '../board/Board.js'
-import { pieceLibrary } from '../pieces/PieceLibrary.js'
-import { applyTransform, calculateAbsCells, getBounds } from '../geometry/Transform.js'
+import { createBitboard, createPieceMask, canPlaceMask } from '../board/Bitboard.js'
+import { pieceLibrary, getGamePieces } from '../pieces/PieceLibrary.js'
+import { applyTransform, calculateAbsCells } from '../geometry/Transform.js'
 import { cloneGameState } from '../game/GameState.js'
 
+// Unique transforms of each piece with their bitboard masks, by piece definition
+// (games share the built-in definitions, custom pieces have their own)
+const placementMaskCache = new WeakMap()
+
+/**
+ * Get the unique transforms of a piece with their bitboard masks
+ * moveCells are the transformed cells in the order createMove produces them
+ * @param {PieceLibrary} pieces - The game's pieces
+ * @param {string} pieceId - Piece ID
+ * @returns {Array<Object>} Transforms {transform, cells, moveCells, mask}
+ */
+function getPlacementMasks(pieces, pieceId) {
+  const piece = pieces.get(pieceId)
+  if (!piece) {
+    return []
+  }
+  if (!placementMaskCache.has(piece)) {
+    placementMaskCache.set(piece, pieces.getUniqueTransforms(pieceId).map(({ transform, cells }) => ({
+      transform,
+      cells,
+      moveCells: applyTransform(piece.relCells, transform),
+      mask: createPieceMask(cells)
+    })))
+  }
+  return placementMaskCache.get(piece)
+}
+
+/**
+ * Get the bitboard of a state's board
+ * Search nodes carry one alongside their board; other states are packed on demand
+ * @param {Object} gameState - Game state or search node
+ * @returns {Object} Bitboard
+ */
+function getBitboard(gameState) {
+  return gameState.bitboard || createBitboard(gameState.board)
+}
+
 /**
  * Check if a piece placement is legal
  * @param {Object} board - Board object
@@ -44,21 +82,19 @@ export function isLegalPlacement(board, transformedCells, anchor) {
  */
 export function hasLegalMove(gameState, playerId) {
   const arsenal = gameState.players[playerId].arsenal
+  const bitboard = getBitboard(gameState)
+  const pieces = getGamePieces(gameState)
 
   for (const [pieceId, quantity] of Object.entries(arsenal)) {
     if (quantity === 0) continue
 
-    const transforms = pieceLibrary.getUniqueTransforms(pieceId)
-    for (const { cells: transformedCells } of transforms) {
-      const bounds = getBounds(transformedCells)
-
-      // Optimize anchor iteration using bounds
-      const maxX = gameState.board.cols - bounds.width
-      const maxY = gameState.board.rows - bounds.height
+    for (const { mask } of getPlacementMasks(pieces, pieceId)) {
+      const maxX = bitboard.cols - mask.width
+      const maxY = bitboard.rows - mask.height
 
       for (let y = 0; y <= maxY; y++) {
         for (let x = 0; x <= maxX; x++) {
-          if (isLegalPlacement(gameState.board, transformedCells, [x, y])) {
+          if (canPlaceMask(bitboard, mask, x, y)) {
             return true // Early exit on first legal move
           }
         }
@@ -79,26 +115,30 @@ export function hasLegalMove(gameState, playerId) {
 export function enumerateLegalMoves(gameState, playerId, maxMoves = 1000) {
   const moves = []
   const arsenal = gameState.players[playerId].arsenal
+  const bitboard = getBitboard(gameState)
+  const pieces = getGamePieces(gameState)
 
   for (const [pieceId, quantity] of Object.entries(arsenal)) {
     if (quantity === 0 || moves.length >= maxMoves) continue
 
-    const transforms = pieceLibrary.getUniqueTransforms(pieceId)
-
-    for (const { transform, cells } of transforms) {
+    for (const { transform, moveCells, mask } of getPlacementMasks(pieces, pieceId)) {
       if (moves.length >= maxMoves) break
 
-      const bounds = getBounds(cells)
-      const maxX = gameState.board.cols - bounds.width
-      const maxY = gameState.board.rows - bounds.height
+      const maxX = bitboard.cols - mask.width
+      const maxY = bitboard.rows - mask.height
 
       for (let y = 0; y <= maxY; y++) {
         for (let x = 0; x <= maxX; x++) {
           if (moves.length >= maxMoves) break
 
-          if (isLegalPlacement(gameState.board, cells, [x, y])) {
-            const move = createMove(playerId, pieceId, transform, [x, y])
-            moves.push(move)
+          if (canPlaceMask(bitboard, mask, x, y)) {
+            moves.push({
+              player: playerId,
+              pieceId,
+              transform,
+              anchor: [x, y],
+              absCells: calculateAbsCells(moveCells, [x, y])
+            })
           }
         }
       }
@@ -126,13 +166,14 @@ export function isValidMove(gameState, move) {
     return false
   }
 
-  // Check piece exists in library
-  if (!pieceLibrary.has(move.pieceId)) {
+  // Check piece exists in the game's library
+  const pieces = getGamePieces(gameState)
+  if (!pieces.has(move.pieceId)) {
     return false
   }
 
   // Verify transformation and absolute cells calculation
-  const piece = pieceLibrary.get(move.pieceId)
+  const piece = pieces.get(move.pieceId)
   const transformedCells = applyTransform(piece.relCells, move.transform)
   const expectedAbsCells = calculateAbsCells(transformedCells, move.anchor)
 
@@ -186,10 +227,11 @@ export function commitMove(gameState, move) {
  * @param {string} pieceId - Piece ID
  * @param {Object} transform - Transform object
  * @param {Array<number>} anchor - Anchor position
+ * @param {PieceLibrary} pieces - The game's pieces (see getGamePieces), the built-in pieces by default
  * @returns {Object} Move object
  */
-export function createMove(playerId, pieceId, transform, anchor) {
-  const piece = pieceLibrary.get(pieceId)
+export function createMove(playerId, pieceId, transform, anchor, pieces = pieceLibrary) {
+  const piece = pieces.get(pieceId)
   if (!piece) {
     throw new Error(`Unknown piece: ${pieceId}`)
   }
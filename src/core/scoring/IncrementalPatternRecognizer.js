@@ -0,0 +1,578 @@
+/**
+ * Incremental Pattern Recognition
+ * Scores a placement by examining only the cells around it, using a per-player
+ * index of the patterns and the open regions found so far
+ */
+
+import { PatternRecognizer } from './PatternRecognizer.js'
+import { getPatternFamily, isFamilyEnabled } from './ScoringPresets.js'
+
+// Line directions; both diagonals are reported as 'diagonal' like the full scan
+const LINE_DIRECTIONS = [
+  { dx: 1, dy: 0, direction: 'horizontal' },
+  { dx: 0, dy: 1, direction: 'vertical' },
+  { dx: 1, dy: 1, direction: 'diagonal' },
+  { dx: -1, dy: 1, direction: 'diagonal' }
+]
+
+const NEIGHBOURS = [[-1, 0], [1, 0], [0, -1], [0, 1]]
+
+// Rectangle sides searched, as in findRectangularPatterns
+const MIN_RECTANGLE_SIDE = 2
+const MAX_RECTANGLE_SIDE = 6
+
+// Corner zones are 3x3 and the center area at most 5x5
+const CORNER_SIZE = 3
+const CENTER_SIZE = 5
+
+const cellKey = (x, y) => `${x},${y}`
+
+// Order in which a full scan lists line directions and board edges
+const LINE_SCAN_ORDER = ['horizontal', 'vertical', 'diagonal', 'antidiagonal']
+const EDGE_SCAN_ORDER = ['top', 'bottom', 'left', 'right']
+
+/**
+ * Get where a full scan lists a pattern; patterns of equal value and priority
+ * resolve in list order, so the index keeps patterns in this order
+ * @param {Object} pattern - Line, rectangle, square or zone pattern
+ * @returns {Array<number>} Sort key
+ */
+function getScanOrder(pattern) {
+  const [[x, y], [nextX]] = pattern.cells
+
+  if (pattern.type === 'line') {
+    const direction = pattern.direction === 'diagonal' && nextX < x ? 'antidiagonal' : pattern.direction
+    return [0, LINE_SCAN_ORDER.indexOf(direction), 0, y, x]
+  }
+  if (pattern.type === 'rectangle' || pattern.type === 'square') {
+    return [1, pattern.width, pattern.height, y, x]
+  }
+  if (pattern.subtype === 'corner') {
+    return [2, 0, 0, pattern.origin[1], pattern.origin[0]]
+  }
+  if (pattern.subtype === 'edge') {
+    return [3, EDGE_SCAN_ORDER.indexOf(pattern.edge), 0, 0, 0]
+  }
+  return [4, pattern.size, 0, 0, 0]
+}
+
+/**
+ * Compare patterns by the order a full scan lists them in
+ * @param {Object} a - Pattern
+ * @param {Object} b - Pattern
+ * @returns {number} Negative if a comes first
+ */
+function compareScanOrder(a, b) {
+  const orderA = getScanOrder(a)
+  const orderB = getScanOrder(b)
+  const differs = orderA.findIndex((value, position) => value !== orderB[position])
+  return differs === -1 ? 0 : orderA[differs] - orderB[differs]
+}
+
+/**
+ * Check if an index has the current layout
+ * Indexes saved before the open regions were kept are rebuilt with a full scan
+ * @param {Object|null} index - Player's index
+ * @returns {boolean} True if the index can be used
+ */
+function isCurrentIndex(index) {
+  return Boolean(index) && Number.isInteger(index.outsideSize)
+}
+
+/**
+ * Pattern recognizer that only looks at the neighbourhood of a placement
+ *
+ * A player's index holds the patterns a full scan finds before overlaps are
+ * resolved, and the open regions the player's cells divide the board into: one
+ * of the largest regions is the outside, kept by its size only, and every other
+ * region is a pocket. A placement can only change the lines through its cells,
+ * the tiling of the rectangle sizes it completes, the territory zones around it
+ * and the region it was placed in, so only those are found again. Pockets
+ * small enough to be enclosures are described on every move, as an
+ * opponent may have played into them since. Patterns are resolved in the order
+ * a full scan lists them, so the result is the same as a full scan's. In team
+ * games partners share one index, as their cells form patterns together.
+ */
+export class IncrementalPatternRecognizer extends PatternRecognizer {
+  /**
+   * Score a placement and update the player's index
+   * @param {number} playerId - Player who placed the piece (already on the board)
+   * @param {Array} newCells - Cells of the placed piece
+   * @param {Object|null} index - Player's index before the move, or null to build it with a full scan
+   * @returns {Object} Scoring result {totalPoints, patterns, allPatterns, index}
+   */
+  scoreMove(playerId, newCells, index = null) {
+    this.ownedCellSet = null
+    const previous = isCurrentIndex(index) ? index : this.createIndexBefore(playerId, newCells)
+    const newCellSet = new Set(newCells.map(([x, y]) => cellKey(x, y)))
+
+    const rectangles = this.findRectanglesAround(playerId, newCells)
+    const zones = this.findZonePatternsAround(playerId, newCells)
+    const candidates = [
+      ...this.findLinesThrough(playerId, newCells),
+      ...rectangles.patterns,
+      ...zones.patterns
+    ].filter(pattern => isFamilyEnabled(this.preset, getPatternFamily(pattern.id)))
+
+    const held = previous.patterns.filter(pattern =>
+      !this.isSuperseded(pattern, newCellSet, rectangles.sizes, zones.subtypes))
+    const patterns = [...held, ...candidates].sort(compareScanOrder)
+
+    const regions = this.updateRegions(playerId, newCells, previous)
+    const resolved = this.resolveOverlappingPatterns([...patterns, ...this.findPocketEnclosures(playerId, regions)])
+    const sealedCells = this.findSealedCells(newCells, previous)
+    const newPatterns = resolved.filter(pattern =>
+      this.patternIncludesNewCells(pattern, newCells) &&
+      !(pattern.subtype === 'enclosure' && sealedCells.has(cellKey(...pattern.enclosedCells[0]))))
+
+    return {
+      totalPoints: newPatterns.reduce((sum, pattern) => sum + pattern.points, 0),
+      patterns: newPatterns,
+      allPatterns: resolved,
+      index: { patterns, ...regions }
+    }
+  }
+
+  /**
+   * Build a player's index with a full scan of the board
+   * @param {number} playerId - Player ID
+   * @returns {Object} Index {patterns, pockets, outsideSize}
+   */
+  createIndex(playerId) {
+    this.ownedCellSet = null
+    const patterns = this.recognizePatterns(this.getAllPlayerCells(playerId))
+      .filter(pattern => pattern.subtype !== 'enclosure')
+
+    return { patterns, ...this.findRegions(playerId) }
+  }
+
+  /**
+   * Build a player's index for the board as it was before a placement
+   * Used for games that were started, or saved, without a current index
+   * @param {number} playerId - Player ID
+   * @param {Array} newCells - Cells of the placement to leave out
+   * @returns {Object} Index {patterns, pockets, outsideSize}
+   */
+  createIndexBefore(playerId, newCells) {
+    const grid = this.board.grid.map(row => row.slice())
+    for (const [x, y] of newCells) {
+      grid[y][x] = 0
+    }
+
+    const recognizer = new IncrementalPatternRecognizer({ ...this.board, grid }, this.options)
+    return recognizer.createIndex(playerId)
+  }
+
+  /**
+   * Get the player's cells as "x,y" keys, collected once per scored move
+   * @param {number} playerId - Player ID
+   * @returns {Set<string>} Player cells
+   */
+  getOwnedCellSet(playerId) {
+    if (!this.ownedCellSet) {
+      this.ownedCellSet = new Set(this.getAllPlayerCells(playerId).map(([x, y]) => cellKey(x, y)))
+    }
+    return this.ownedCellSet
+  }
+
+  /**
+   * Check if a board cell belongs to a player, or to their partner in team games
+   * @param {number} playerId - Player ID
+   * @param {number} x - Column
+   * @param {number} y - Row
+   * @returns {boolean} True if the cell counts for the player
+   */
+  owns(playerId, x, y) {
+    return this.countsFor(playerId, this.board.grid[y]?.[x])
+  }
+
+  /**
+   * Find the maximal lines of four or more cells through the new cells
+   * @param {number} playerId - Player ID
+   * @param {Array} newCells - Cells of the placed piece
+   * @returns {Array} Line patterns
+   */
+  findLinesThrough(playerId, newCells) {
+    if (!this.scoresAnyFamily(['line', 'diagonal', 'complete'])) return []
+
+    const patterns = []
+    const seen = new Set()
+
+    for (const [x, y] of newCells) {
+      for (const { dx, dy, direction } of LINE_DIRECTIONS) {
+        let startX = x
+        let startY = y
+        while (this.owns(playerId, startX - dx, startY - dy)) {
+          startX -= dx
+          startY -= dy
+        }
+
+        const key = `${dx},${dy}:${startX},${startY}`
+        if (seen.has(key)) continue
+        seen.add(key)
+
+        const lineCells = []
+        for (let cx = startX, cy = startY; this.owns(playerId, cx, cy); cx += dx, cy += dy) {
+          lineCells.push([cx, cy])
+        }
+
+        if (lineCells.length >= 4) {
+          patterns.push(this.createLinePattern(lineCells, lineCells.length, direction))
+        }
+      }
+    }
+
+    return patterns
+  }
+
+  /**
+   * Tile again the rectangle sizes the move completes a rectangle of
+   * A full scan tiles each size greedily from the top left, so a new complete
+   * rectangle can shift the tiling of its size anywhere on the board
+   * @param {number} playerId - Player ID
+   * @param {Array} newCells - Cells of the placed piece
+   * @returns {Object} {patterns, sizes} - Rectangle patterns and the "WxH" sizes tiled again
+   */
+  findRectanglesAround(playerId, newCells) {
+    const patterns = []
+    const sizes = new Set()
+    if (!this.scoresAnyFamily(['rectangle', 'square'])) return { patterns, sizes }
+
+    for (let width = MIN_RECTANGLE_SIDE; width <= Math.min(MAX_RECTANGLE_SIDE, this.board.cols); width++) {
+      for (let height = MIN_RECTANGLE_SIDE; height <= Math.min(MAX_RECTANGLE_SIDE, this.board.rows); height++) {
+        if (this.completesRectangle(playerId, newCells, width, height)) {
+          sizes.add(`${width}x${height}`)
+          patterns.push(...this.findRectanglesOfSize(this.getOwnedCellSet(playerId), width, height))
+        }
+      }
+    }
+
+    return { patterns, sizes }
+  }
+
+  /**
+   * Check if a complete rectangle of a size includes a new cell
+   * @param {number} playerId - Player ID
+   * @param {Array} newCells - Cells of the placed piece
+   * @param {number} width - Rectangle width
+   * @param {number} height - Rectangle height
+   * @returns {boolean} True if the move completes a rectangle of the size
+   */
+  completesRectangle(playerId, newCells, width, height) {
+    for (const [x, y] of newCells) {
+      for (let startY = Math.max(0, y - height + 1); startY <= Math.min(y, this.board.rows - height); startY++) {
+        for (let startX = Math.max(0, x - width + 1); startX <= Math.min(x, this.board.cols - width); startX++) {
+          if (this.ownsRectangle(playerId, startX, startY, width, height)) {
+            return true
+          }
+        }
+      }
+    }
+    return false
+  }
+
+  /**
+   * Check if a player owns every cell of a rectangle
+   * @param {number} playerId - Player ID
+   * @param {number} startX - Rectangle start X
+   * @param {number} startY - Rectangle start Y
+   * @param {number} width - Rectangle width
+   * @param {number} height - Rectangle height
+   * @returns {boolean} True if the rectangle is complete
+   */
+  ownsRectangle(playerId, startX, startY, width, height) {
+    for (let dy = 0; dy < height; dy++) {
+      for (let dx = 0; dx < width; dx++) {
+        if (!this.owns(playerId, startX + dx, startY + dy)) {
+          return false
+        }
+      }
+    }
+    return true
+  }
+
+  /**
+   * Get a player's cells inside an area of the board
+   * @param {number} playerId - Player ID
+   * @param {number} startX - Area start X
+   * @param {number} startY - Area start Y
+   * @param {number} width - Area width
+   * @param {number} height - Area height
+   * @returns {Array} Owned cells
+   */
+  getOwnedCellsIn(playerId, startX, startY, width, height) {
+    const cells = []
+    for (let y = Math.max(0, startY); y < Math.min(this.board.rows, startY + height); y++) {
+      for (let x = Math.max(0, startX); x < Math.min(this.board.cols, startX + width); x++) {
+        if (this.owns(playerId, x, y)) {
+          cells.push([x, y])
+        }
+      }
+    }
+    return cells
+  }
+
+  /**
+   * Find the corner, edge and center patterns of the zones around the new cells
+   * The territory finders only need the player's cells inside their zones
+   * @param {number} playerId - Player ID
+   * @param {Array} newCells - Cells of the placed piece
+   * @returns {Object} {patterns, subtypes} - Territory patterns and the subtypes found again
+   */
+  findZonePatternsAround(playerId, newCells) {
+    const { rows, cols } = this.board
+    const patterns = []
+    const subtypes = new Set()
+
+    if (isFamilyEnabled(this.preset, 'corner')) {
+      subtypes.add('corner')
+      const cornerCells = [
+        [0, 0], [cols - CORNER_SIZE, 0], [0, rows - CORNER_SIZE], [cols - CORNER_SIZE, rows - CORNER_SIZE]
+      ].flatMap(([x, y]) => this.getOwnedCellsIn(playerId, x, y, CORNER_SIZE, CORNER_SIZE))
+      patterns.push(...this.findCornerControl(cornerCells))
+    }
+
+    const onEdge = newCells.some(([x, y]) => x === 0 || y === 0 || x === cols - 1 || y === rows - 1)
+    if (onEdge && isFamilyEnabled(this.preset, 'edge')) {
+      subtypes.add('edge')
+      const edgeCells = [
+        ...this.getOwnedCellsIn(playerId, 0, 0, cols, 1),
+        ...this.getOwnedCellsIn(playerId, 0, rows - 1, cols, 1),
+        ...this.getOwnedCellsIn(playerId, 0, 0, 1, rows),
+        ...this.getOwnedCellsIn(playerId, cols - 1, 0, 1, rows)
+      ]
+      patterns.push(...this.findEdgeControl(edgeCells))
+    }
+
+    if (isFamilyEnabled(this.preset, 'center')) {
+      subtypes.add('center')
+      const offset = Math.floor(CENTER_SIZE / 2)
+      const centerX = Math.floor(cols / 2) - offset
+      const centerY = Math.floor(rows / 2) - offset
+      patterns.push(...this.findCenterDominance(this.getOwnedCellsIn(playerId, centerX, centerY, CENTER_SIZE, CENTER_SIZE)))
+    }
+
+    return { patterns, subtypes }
+  }
+
+  /**
+   * Split the board into the outside and pockets with a full flood fill
+   * @param {number} playerId - Player ID
+   * @returns {Object} Regions {pockets, outsideSize} - Pockets as lists of "x,y" keys
+   */
+  findRegions(playerId) {
+    if (!isFamilyEnabled(this.preset, 'enclosure')) {
+      return { pockets: [], outsideSize: 0 }
+    }
+
+    const regions = this.findOpenRegions(this.getOwnedCellSet(playerId)).map(region => region.cells)
+    return this.pickOutside(regions, [])
+  }
+
+  /**
+   * Make one of the largest new regions the outside and the rest pockets
+   * @param {Array} regions - New regions as lists of [x, y] cells
+   * @param {Array} pockets - Pockets kept from before the move
+   * @returns {Object} Regions {pockets, outsideSize}
+   */
+  pickOutside(regions, pockets) {
+    const outside = regions.reduce((largest, region) => (region.length > largest.length ? region : largest), [])
+    return {
+      pockets: [
+        ...pockets,
+        ...regions.filter(region => region !== outside).map(region => region.map(([x, y]) => cellKey(x, y)))
+      ],
+      outsideSize: outside.length
+    }
+  }
+
+  /**
+   * Update the open regions for a placement
+   *
+   * The new cells were open cells of one region before the move. A pocket splits
+   * into smaller pockets. The parts of the outside are filled until only one is
+   * still growing: it stays the outside, and its size follows from the others'.
+   * When every part is filled, the largest becomes the outside. The regions are
+   * found again with a full flood fill if a pocket ends up larger than the outside.
+   * @param {number} playerId - Player ID
+   * @param {Array} newCells - Cells of the placed piece
+   * @param {Object} previous - Index before the move
+   * @returns {Object} Regions {pockets, outsideSize}
+   */
+  updateRegions(playerId, newCells, previous) {
+    if (!isFamilyEnabled(this.preset, 'enclosure')) {
+      return { pockets: [], outsideSize: 0 }
+    }
+
+    const pocketOf = new Map()
+    previous.pockets.forEach((pocket, pocketIndex) => pocket.forEach(key => pocketOf.set(key, pocketIndex)))
+    const newKeys = newCells.map(([x, y]) => cellKey(x, y))
+    const splitPockets = new Set(newKeys.filter(key => pocketOf.has(key)).map(key => pocketOf.get(key)))
+    const outsideCells = newKeys.filter(key => !pocketOf.has(key)).length
+
+    if (splitPockets.size > 0 && outsideCells > 0) {
+      return this.findRegions(playerId)
+    }
+
+    const keptPockets = previous.pockets.filter((_, pocketIndex) => !splitPockets.has(pocketIndex))
+    const { parts, growing } = this.floodRegionsAround(playerId, newCells, outsideCells > 0)
+
+    const partPockets = parts.map(part => part.map(([x, y]) => cellKey(x, y)))
+
+    let regions
+    if (outsideCells === 0) {
+      regions = { pockets: [...keptPockets, ...partPockets], outsideSize: previous.outsideSize }
+    } else if (growing) {
+      const filledSize = parts.reduce((sum, part) => sum + part.length, 0)
+      regions = {
+        pockets: [...keptPockets, ...partPockets],
+        outsideSize: previous.outsideSize - outsideCells - filledSize
+      }
+    } else {
+      regions = this.pickOutside(parts, keptPockets)
+    }
+
+    if (regions.pockets.some(pocket => pocket.length > regions.outsideSize)) {
+      return this.findRegions(playerId)
+    }
+    return regions
+  }
+
+  /**
+   * Flood-fill the open regions bordering the new cells, one cell of each region per round
+   * With stopAtGrowing, the flood stops once a single region is still growing,
+   * which is left out
+   * @param {number} playerId - Player ID
+   * @param {Array} newCells - Cells of the placed piece
+   * @param {boolean} stopAtGrowing - Leave out the last growing region instead of filling it
+   * @returns {Object} {parts, growing} - Filled regions as lists of [x, y] cells, and whether one was left out
+   */
+  floodRegionsAround(playerId, newCells, stopAtGrowing) {
+    const owner = new Map()
+    const regions = []
+    const find = region => (region.mergedInto ? find(region.mergedInto) : region)
+    const isOpen = (x, y) =>
+      x >= 0 && x < this.board.cols && y >= 0 && y < this.board.rows &&
+      this.board.grid[y][x] !== -1 && !this.countsFor(playerId, this.board.grid[y][x])
+
+    for (const [x, y] of newCells) {
+      for (const [dx, dy] of NEIGHBOURS) {
+        const key = cellKey(x + dx, y + dy)
+        if (isOpen(x + dx, y + dy) && !owner.has(key)) {
+          const region = { cells: [], queue: [[x + dx, y + dy]], head: 0 }
+          owner.set(key, region)
+          regions.push(region)
+        }
+      }
+    }
+
+    let active = regions
+    while (active.length > 0 && !(stopAtGrowing && active.length === 1)) {
+      for (const region of active) {
+        if (!region.mergedInto) {
+          this.floodStep(region, owner, find, isOpen)
+        }
+      }
+      active = regions.filter(region => !region.mergedInto && region.head < region.queue.length)
+    }
+
+    return {
+      parts: regions
+        .filter(region => !region.mergedInto && region.head === region.queue.length)
+        .map(region => region.cells),
+      growing: active.length > 0
+    }
+  }
+
+  /**
+   * Take one cell off a region's queue, claiming its open neighbours
+   * A neighbour claimed by another region joins the two regions
+   * @param {Object} region - Region being filled
+   * @param {Map} owner - Region of each claimed cell
+   * @param {Function} find - Resolves a region to the region it was joined into
+   * @param {Function} isOpen - Checks if a cell belongs to a region
+   */
+  floodStep(region, owner, find, isOpen) {
+    const [x, y] = region.queue[region.head++]
+    region.cells.push([x, y])
+
+    for (const [dx, dy] of NEIGHBOURS) {
+      const nx = x + dx
+      const ny = y + dy
+      const key = cellKey(nx, ny)
+
+      if (isOpen(nx, ny)) {
+        const other = owner.has(key) ? find(owner.get(key)) : null
+        if (!other) {
+          owner.set(key, region)
+          region.queue.push([nx, ny])
+        } else if (other !== region) {
+          region.cells.push(...other.cells)
+          region.queue.push(...other.queue.slice(other.head))
+          other.mergedInto = region
+        }
+      }
+    }
+  }
+
+  /**
+   * Find the cells of the pockets a placement was made in, as a full scan's
+   * wasSealedBefore sees them: enclosures left in them have already scored
+   * @param {Array} newCells - Cells of the placed piece
+   * @param {Object} previous - Index before the move
+   * @returns {Set} Cells of those pockets as "x,y" keys
+   */
+  findSealedCells(newCells, previous) {
+    const newKeys = new Set(newCells.map(([x, y]) => cellKey(x, y)))
+    return new Set(previous.pockets
+      .filter(pocket => this.isPocketSize(pocket.length, previous.outsideSize) && pocket.some(key => newKeys.has(key)))
+      .flat())
+  }
+
+  /**
+   * Describe the pockets small enough to be enclosures as a full scan would
+   * Pockets are filled again from their first cell, so that their walls and
+   * opponent cells are current and they are listed in full-scan order
+   * @param {number} playerId - Player ID
+   * @param {Object} regions - Regions {pockets, outsideSize}
+   * @returns {Array} Enclosure patterns
+   */
+  findPocketEnclosures(playerId, { pockets, outsideSize }) {
+    const firstCells = pockets
+      .filter(pocket => this.isPocketSize(pocket.length, outsideSize))
+      .map(pocket => pocket
+        .map(key => key.split(',').map(Number))
+        .reduce((first, cell) => (cell[1] < first[1] || (cell[1] === first[1] && cell[0] < first[0]) ? cell : first)))
+      .sort(([ax, ay], [bx, by]) => ay - by || ax - bx)
+
+    return firstCells
+      .map(([x, y]) => this.floodOpenRegion(x, y, this.getOwnedCellSet(playerId), new Set()))
+      .filter(region => region.wallCells.length > 0 && (region.hasOpponentCells || this.options.scoreEmptyEnclosures))
+      .map(region => this.createEnclosurePattern(region))
+  }
+
+  /**
+   * Check if a held pattern no longer exists in its held form after a placement
+   * @param {Object} pattern - Held pattern
+   * @param {Set} newCellSet - New cells as "x,y" keys
+   * @param {Set} rectangleSizes - Rectangle sizes tiled again, as "WxH"
+   * @param {Set} zoneSubtypes - Territory subtypes found again
+   * @returns {boolean} True if the pattern must be dropped from the index
+   */
+  isSuperseded(pattern, newCellSet, rectangleSizes, zoneSubtypes) {
+    if (pattern.type === 'line') {
+      // A line extended at either end is now part of a longer line
+      const [[firstX, firstY], [secondX, secondY]] = pattern.cells
+      const [lastX, lastY] = pattern.cells[pattern.cells.length - 1]
+      const dx = secondX - firstX
+      const dy = secondY - firstY
+      return newCellSet.has(cellKey(firstX - dx, firstY - dy)) || newCellSet.has(cellKey(lastX + dx, lastY + dy))
+    }
+
+    if (pattern.type === 'rectangle' || pattern.type === 'square') {
+      return rectangleSizes.has(`${pattern.width}x${pattern.height}`)
+    }
+
+    return zoneSubtypes.has(pattern.subtype)
+  }
+}
\ No newline at end of file
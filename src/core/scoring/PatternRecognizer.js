@@ -3,52 +3,75 @@
  * Identifies geometric patterns and calculates points for strategic play
  */
 
-/**
- * Pattern definitions with point values
- */
-export const PATTERN_DEFINITIONS = {
-  // Simple Linear Patterns (5-15 points)
-  SHORT_LINE_4: { points: 5, type: 'line', length: 4 },
-  SHORT_LINE_5: { points: 6, type: 'line', length: 5 },
-  MEDIUM_LINE_6: { points: 8, type: 'line', length: 6 },
-  MEDIUM_LINE_7: { points: 9, type: 'line', length: 7 },
-  DIAGONAL_CHAIN_4: { points: 6, type: 'diagonal', length: 4 },
-  DIAGONAL_CHAIN_5: { points: 7, type: 'diagonal', length: 5 },
-
-  // Simple Shapes (7-15 points)
-  SMALL_RECTANGLE_2x3: { points: 7, type: 'rectangle', width: 2, height: 3 },
-  SMALL_RECTANGLE_3x2: { points: 7, type: 'rectangle', width: 3, height: 2 },
-  MINI_SQUARE_3x3: { points: 10, type: 'square', size: 3 },
-  CORNER_CONTROL: { points: 12, type: 'territory', subtype: 'corner' },
-  EDGE_CONTROL: { points: 15, type: 'territory', subtype: 'edge' },
-
-  // Medium Linear Patterns (15-25 points)
-  LONG_LINE_8: { points: 15, type: 'line', length: 8 },
-  LONG_LINE_9: { points: 18, type: 'line', length: 9 },
-  LONG_LINE_10: { points: 20, type: 'line', length: 10 },
-  FULL_ROW: { points: 25, type: 'complete', subtype: 'row' },
-  FULL_COLUMN: { points: 25, type: 'complete', subtype: 'column' },
-
-  // Medium Shapes (18-30 points)
-  LARGE_RECTANGLE_3x4: { points: 18, type: 'rectangle', width: 3, height: 4 },
-  LARGE_RECTANGLE_4x3: { points: 18, type: 'rectangle', width: 4, height: 3 },
-  LARGE_RECTANGLE_2x6: { points: 16, type: 'rectangle', width: 2, height: 6 },
-  LARGE_SQUARE_4x4: { points: 22, type: 'square', size: 4 },
-  LARGE_SQUARE_5x5: { points: 30, type: 'square', size: 5 },
-
-  // Strategic Territory (20-28 points)
-  CENTER_DOMINANCE_4x4: { points: 20, type: 'territory', subtype: 'center', size: 4 },
-  CENTER_DOMINANCE_5x5: { points: 25, type: 'territory', subtype: 'center', size: 5 },
-  ENCLOSURE: { points: 20, type: 'territory', subtype: 'enclosure' }
-}
+import {
+  PATTERN_DEFINITIONS,
+  getScoringPreset,
+  getPatternFamily,
+  getPatternPoints,
+  isFamilyEnabled
+} from './ScoringPresets.js'
+import { countPlayableCells } from '../board/CustomBoards.js'
+
+export { PATTERN_DEFINITIONS }
+
+// Most of the playable cells an enclosed region may hold: larger regions are
+// a divided board, not a pocket
+const MAX_ENCLOSURE_SHARE = 0.1
 
 /**
  * Main Pattern Recognition Engine
  */
 export class PatternRecognizer {
-  constructor(board) {
+  /**
+   * @param {Object} board - Board to analyse
+   * @param {Object} options - Recognition options
+   * @param {boolean} options.scoreEmptyEnclosures - Also score sealed regions with no opponent cells
+   * @param {Object} options.preset - Scoring preset (see ScoringPresets), Classic by default
+   * @param {Object} options.teams - Teams of a team game (scoring.teams): partners' cells form patterns together
+   */
+  constructor(board, options = {}) {
     this.board = board
+    this.options = { scoreEmptyEnclosures: false, ...options }
+    this.preset = this.options.preset || getScoringPreset()
     this.recognizedPatterns = new Map()
+
+    // Cell owners whose cells count for each player, in team games
+    this.partners = new Map()
+    for (const team of Object.values(this.options.teams || {})) {
+      for (const playerId of team.players) {
+        this.partners.set(playerId, new Set(team.players))
+      }
+    }
+  }
+
+  /**
+   * Check if a board cell counts toward a player's patterns: the player's own
+   * cells and, in team games, their partner's
+   * @param {number} playerId - Player ID
+   * @param {number} value - Board cell value
+   * @returns {boolean} True if the cell counts for the player
+   */
+  countsFor(playerId, value) {
+    return value === playerId || Boolean(this.partners.get(playerId)?.has(value))
+  }
+
+  /**
+   * Check if the preset scores any of the given pattern families
+   * @param {Array<string>} families - Family IDs
+   * @returns {boolean} True if at least one family scores
+   */
+  scoresAnyFamily(families) {
+    return families.some(family => isFamilyEnabled(this.preset, family))
+  }
+
+  /**
+   * Get a pattern's points under the preset
+   * @param {string} patternId - Pattern ID
+   * @param {number} formulaPoints - Points for patterns without a fixed value
+   * @returns {number} Points
+   */
+  getPoints(patternId, formulaPoints) {
+    return getPatternPoints(this.preset, patternId, formulaPoints)
   }
 
   /**
@@ -62,9 +85,11 @@ export class PatternRecognizer {
     const allPatterns = this.recognizePatterns(allPlayerCells)
     const resolvedPatterns = this.resolveOverlappingPatterns(allPatterns)
 
-    // Calculate points only for patterns that include at least one new cell
+    // Calculate points only for patterns that include at least one new cell,
+    // leaving out enclosures the move only made smaller
     const newPatterns = resolvedPatterns.filter(pattern =>
-      this.patternIncludesNewCells(pattern, newCells)
+      this.patternIncludesNewCells(pattern, newCells) &&
+      !this.wasSealedBefore(pattern, allPlayerCells, newCells)
     )
 
     const totalPoints = newPatterns.reduce((sum, pattern) => sum + pattern.points, 0)
@@ -77,7 +102,40 @@ export class PatternRecognizer {
   }
 
   /**
-   * Get all cells belonging to a player
+   * Check if an enclosure's region was already a pocket before the move
+   * A move inside a pocket adds wall cells to the pockets it leaves, which have
+   * scored when they were sealed
+   * @param {Object} pattern - Pattern including new cells
+   * @param {Array} cells - Player cells after the move
+   * @param {Array} newCells - Cells added by the move
+   * @returns {boolean} True if the pattern is an enclosure that already scored
+   */
+  wasSealedBefore(pattern, cells, newCells) {
+    if (pattern.subtype !== 'enclosure') return false
+
+    const newCellSet = new Set(newCells.map(([x, y]) => `${x},${y}`))
+    const cellSet = new Set(cells.map(([x, y]) => `${x},${y}`).filter(key => !newCellSet.has(key)))
+    const regions = this.findOpenRegions(cellSet)
+    const largestSize = Math.max(...regions.map(region => region.cells.length))
+
+    const [x, y] = pattern.enclosedCells[0]
+    const region = regions.find(region => region.cells.some(([cx, cy]) => cx === x && cy === y))
+    return this.isPocketSize(region.cells.length, largestSize)
+  }
+
+  /**
+   * Check if an open region is small enough to be a pocket
+   * @param {number} size - Region size
+   * @param {number} largestSize - Size of the largest open region
+   * @returns {boolean} True if the region is smaller than the outside and within the size limit
+   */
+  isPocketSize(size, largestSize) {
+    this.maxEnclosureSize ??= Math.floor(countPlayableCells(this.board) * MAX_ENCLOSURE_SHARE)
+    return size < largestSize && size <= this.maxEnclosureSize
+  }
+
+  /**
+   * Get all cells belonging to a player, or to their team in team games
    * @param {number} playerId - Player ID
    * @returns {Array} Array of [x, y] coordinates
    */
@@ -85,7 +143,7 @@ export class PatternRecognizer {
     const cells = []
     for (let y = 0; y < this.board.rows; y++) {
       for (let x = 0; x < this.board.cols; x++) {
-        if (this.board.grid[y][x] === playerId) {
+        if (this.countsFor(playerId, this.board.grid[y][x])) {
           cells.push([x, y])
         }
       }
@@ -101,12 +159,18 @@ export class PatternRecognizer {
   recognizePatterns(playerCells) {
     const patterns = []
 
-    // Find all pattern types
-    patterns.push(...this.findLinearPatterns(playerCells))
-    patterns.push(...this.findRectangularPatterns(playerCells))
-    patterns.push(...this.findTerritoryPatterns(playerCells))
+    // Find the pattern types the preset scores
+    if (this.scoresAnyFamily(['line', 'diagonal', 'complete'])) {
+      patterns.push(...this.findLinearPatterns(playerCells))
+    }
+    if (this.scoresAnyFamily(['rectangle', 'square'])) {
+      patterns.push(...this.findRectangularPatterns(playerCells))
+    }
+    if (this.scoresAnyFamily(['corner', 'edge', 'center', 'enclosure'])) {
+      patterns.push(...this.findTerritoryPatterns(playerCells))
+    }
 
-    return patterns
+    return patterns.filter(pattern => isFamilyEnabled(this.preset, getPatternFamily(pattern.id)))
   }
 
   /**
@@ -239,7 +303,7 @@ export class PatternRecognizer {
       if (length === 4) patternId = 'DIAGONAL_CHAIN_4'
       else if (length === 5) patternId = 'DIAGONAL_CHAIN_5'
       else patternId = 'DIAGONAL_CHAIN_LONG'
-      points = PATTERN_DEFINITIONS[patternId]?.points || (length * 2)
+      points = this.getPoints(patternId, length * 2)
     } else {
       // Horizontal or vertical
       if (length === 4) patternId = 'SHORT_LINE_4'
@@ -258,7 +322,7 @@ export class PatternRecognizer {
         patternId = 'FULL_COLUMN'
       }
 
-      points = PATTERN_DEFINITIONS[patternId]?.points || Math.min(30, length * 3)
+      points = this.getPoints(patternId, Math.min(30, length * 3))
     }
 
     return {
@@ -380,7 +444,7 @@ export class PatternRecognizer {
       else if (width === 4) patternId = 'LARGE_SQUARE_4x4'
       else if (width === 5) patternId = 'LARGE_SQUARE_5x5'
       else patternId = 'EXTRA_LARGE_SQUARE'
-      points = PATTERN_DEFINITIONS[patternId]?.points || (width * height * 2)
+      points = this.getPoints(patternId, width * height * 2)
     } else {
       // Rectangle
       const key = `${Math.min(width, height)}x${Math.max(width, height)}`
@@ -388,7 +452,7 @@ export class PatternRecognizer {
       else if (key === '3x4') patternId = 'LARGE_RECTANGLE_3x4'
       else if (key === '2x6') patternId = 'LARGE_RECTANGLE_2x6'
       else patternId = 'CUSTOM_RECTANGLE'
-      points = PATTERN_DEFINITIONS[patternId]?.points || (width * height * 1.5)
+      points = this.getPoints(patternId, width * height * 1.5)
     }
 
     return {
@@ -459,7 +523,8 @@ export class PatternRecognizer {
           id: 'CORNER_CONTROL',
           type: 'territory',
           subtype: 'corner',
-          points: PATTERN_DEFINITIONS.CORNER_CONTROL.points,
+          origin: [cornerX, cornerY],
+          points: this.getPoints('CORNER_CONTROL'),
           cells: cornerCells.filter(([x, y]) => cellSet.has(`${x},${y}`)),
           priority: controlledCells
         })
@@ -505,7 +570,7 @@ export class PatternRecognizer {
           type: 'territory',
           subtype: 'edge',
           edge: edge.type,
-          points: PATTERN_DEFINITIONS.EDGE_CONTROL.points,
+          points: this.getPoints('EDGE_CONTROL'),
           cells: edgeCells,
           priority: controlledCells
         })
@@ -561,7 +626,7 @@ export class PatternRecognizer {
           type: 'territory',
           subtype: 'center',
           size,
-          points: PATTERN_DEFINITIONS[patternId].points,
+          points: this.getPoints(patternId),
           cells: centerCells.filter(([x, y]) => cellSet.has(`${x},${y}`)),
           priority: controlledCells
         })
@@ -573,14 +638,123 @@ export class PatternRecognizer {
 
   /**
    * Find enclosure patterns (surrounding opponent pieces)
+   *
+   * The board is split into open regions: 4-connected areas of cells that are
+   * neither the player's nor holes. Every open region is, by construction,
+   * bounded only by the player's cells, holes (-1) and the board edge, so holes
+   * and edges both count as part of the seal. A region is an enclosure when:
+   * - at least one of the player's cells borders it (holes and edges alone never score)
+   * - it is not the largest open region on the board (that is the outside)
+   * - it holds at most MAX_ENCLOSURE_SHARE of the playable cells
+   * - it contains opponent cells, or empty-region scoring is enabled
+   *
+   * The pattern's cells are the player's wall cells bordering the region.
    * @param {Array} cells - Player cells
    * @returns {Array} Array of enclosure patterns
    */
   findEnclosures(cells) {
-    // This is a simplified version - a full implementation would need
-    // to identify opponent pieces that are completely surrounded
-    // For now, return empty array
-    return []
+    const cellSet = new Set(cells.map(([x, y]) => `${x},${y}`))
+    const regions = this.findOpenRegions(cellSet)
+
+    if (regions.length < 2) return []
+
+    const largestSize = Math.max(...regions.map(region => region.cells.length))
+    const patterns = []
+
+    for (const region of regions) {
+      if (!this.isPocketSize(region.cells.length, largestSize)) continue
+      if (region.wallCells.length === 0) continue
+      if (!region.hasOpponentCells && !this.options.scoreEmptyEnclosures) continue
+
+      patterns.push(this.createEnclosurePattern(region))
+    }
+
+    return patterns
+  }
+
+  /**
+   * Create an enclosure pattern object
+   * @param {Object} region - Enclosed open region {cells, wallCells}
+   * @returns {Object} Pattern object
+   */
+  createEnclosurePattern(region) {
+    return {
+      id: 'ENCLOSURE',
+      type: 'territory',
+      subtype: 'enclosure',
+      points: this.getPoints('ENCLOSURE'),
+      cells: region.wallCells,
+      enclosedCells: region.cells,
+      priority: region.cells.length
+    }
+  }
+
+  /**
+   * Split the board into open regions not owned by the player
+   * @param {Set} cellSet - Player cells as "x,y" strings
+   * @returns {Array} Regions {cells, wallCells, hasOpponentCells}
+   */
+  findOpenRegions(cellSet) {
+    const visited = new Set()
+    const regions = []
+
+    for (let y = 0; y < this.board.rows; y++) {
+      for (let x = 0; x < this.board.cols; x++) {
+        const key = `${x},${y}`
+        if (visited.has(key) || cellSet.has(key) || this.board.grid[y][x] === -1) continue
+
+        regions.push(this.floodOpenRegion(x, y, cellSet, visited))
+      }
+    }
+
+    return regions
+  }
+
+  /**
+   * Flood-fill one open region, collecting the player's wall cells around it
+   * @param {number} startX - Start X
+   * @param {number} startY - Start Y
+   * @param {Set} cellSet - Player cells as "x,y" strings
+   * @param {Set} visited - Cells already assigned to a region
+   * @returns {Object} Region {cells, wallCells, hasOpponentCells}
+   */
+  floodOpenRegion(startX, startY, cellSet, visited) {
+    const regionCells = []
+    const wallKeys = new Set()
+    const wallCells = []
+    let hasOpponentCells = false
+    const queue = [[startX, startY]]
+    visited.add(`${startX},${startY}`)
+
+    while (queue.length > 0) {
+      const [x, y] = queue.shift()
+      regionCells.push([x, y])
+      if (this.board.grid[y][x] > 0) {
+        hasOpponentCells = true
+      }
+
+      for (const [dx, dy] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+        const nx = x + dx
+        const ny = y + dy
+        const key = `${nx},${ny}`
+
+        // Board edge and holes seal the region without contributing wall cells
+        if (nx < 0 || nx >= this.board.cols || ny < 0 || ny >= this.board.rows) continue
+        if (this.board.grid[ny][nx] === -1) continue
+
+        if (cellSet.has(key)) {
+          if (!wallKeys.has(key)) {
+            wallKeys.add(key)
+            wallCells.push([nx, ny])
+          }
+        } else if (!visited.has(key)) {
+          visited.add(key)
+          queue.push([nx, ny])
+        }
+      }
+    }
+
+    return { cells: regionCells, wallCells, hasOpponentCells }
   }
 
   /**
@@ -0,0 +1,186 @@
+/**
+ * Scoring Presets
+ * Named rule sets that choose which pattern families score and what they are worth
+ */
+
+/**
+ * Pattern definitions with their Classic point values
+ */
+export const PATTERN_DEFINITIONS = {
+  // Simple Linear Patterns (5-15 points)
+  SHORT_LINE_4: { points: 5, type: 'line', length: 4 },
+  SHORT_LINE_5: { points: 6, type: 'line', length: 5 },
+  MEDIUM_LINE_6: { points: 8, type: 'line', length: 6 },
+  MEDIUM_LINE_7: { points: 9, type: 'line', length: 7 },
+  DIAGONAL_CHAIN_4: { points: 6, type: 'diagonal', length: 4 },
+  DIAGONAL_CHAIN_5: { points: 7, type: 'diagonal', length: 5 },
+
+  // Simple Shapes (7-15 points)
+  SMALL_RECTANGLE_2x3: { points: 7, type: 'rectangle', width: 2, height: 3 },
+  SMALL_RECTANGLE_3x2: { points: 7, type: 'rectangle', width: 3, height: 2 },
+  MINI_SQUARE_3x3: { points: 10, type: 'square', size: 3 },
+  CORNER_CONTROL: { points: 12, type: 'territory', subtype: 'corner' },
+  EDGE_CONTROL: { points: 15, type: 'territory', subtype: 'edge' },
+
+  // Medium Linear Patterns (15-25 points)
+  LONG_LINE_8: { points: 15, type: 'line', length: 8 },
+  LONG_LINE_9: { points: 18, type: 'line', length: 9 },
+  LONG_LINE_10: { points: 20, type: 'line', length: 10 },
+  FULL_ROW: { points: 25, type: 'complete', subtype: 'row' },
+  FULL_COLUMN: { points: 25, type: 'complete', subtype: 'column' },
+
+  // Medium Shapes (18-30 points)
+  LARGE_RECTANGLE_3x4: { points: 18, type: 'rectangle', width: 3, height: 4 },
+  LARGE_RECTANGLE_4x3: { points: 18, type: 'rectangle', width: 4, height: 3 },
+  LARGE_RECTANGLE_2x6: { points: 16, type: 'rectangle', width: 2, height: 6 },
+  LARGE_SQUARE_4x4: { points: 22, type: 'square', size: 4 },
+  LARGE_SQUARE_5x5: { points: 30, type: 'square', size: 5 },
+
+  // Strategic Territory (20-28 points)
+  CENTER_DOMINANCE_4x4: { points: 20, type: 'territory', subtype: 'center', size: 4 },
+  CENTER_DOMINANCE_5x5: { points: 25, type: 'territory', subtype: 'center', size: 5 },
+  ENCLOSURE: { points: 20, type: 'territory', subtype: 'enclosure' }
+}
+
+// How a finished game is won
+export const WIN_CONDITIONS = {
+  SCORE: 'score',
+  LAST_MOVE: 'last_move'
+}
+
+/**
+ * Pattern families, in legend order
+ * Patterns without a fixed value (longer lines, larger shapes) score by formula
+ */
+export const PATTERN_FAMILIES = {
+  line: { name: 'Lines', formulaPatterns: ['EXTRA_LONG_LINE'] },
+  diagonal: { name: 'Diagonal Chains', formulaPatterns: ['DIAGONAL_CHAIN_LONG'] },
+  complete: { name: 'Full Rows & Columns', formulaPatterns: [] },
+  rectangle: { name: 'Rectangles', formulaPatterns: ['CUSTOM_RECTANGLE'] },
+  square: { name: 'Squares', formulaPatterns: ['EXTRA_LARGE_SQUARE'] },
+  corner: { name: 'Corner Control', formulaPatterns: [] },
+  edge: { name: 'Edge Control', formulaPatterns: [] },
+  center: { name: 'Center Dominance', formulaPatterns: [] },
+  enclosure: { name: 'Enclosures', formulaPatterns: [] }
+}
+
+const ALL_FAMILIES = Object.keys(PATTERN_FAMILIES)
+
+export const DEFAULT_SCORING_PRESET = 'classic'
+
+/**
+ * Scoring presets by ID
+ * points overrides PATTERN_DEFINITIONS values; families lists the families that score
+ */
+export const SCORING_PRESETS = {
+  classic: {
+    id: 'classic',
+    name: 'Classic',
+    description: 'Lines, shapes and territory all score at their standard values.',
+    families: ALL_FAMILIES,
+    points: {},
+    winCondition: WIN_CONDITIONS.SCORE
+  },
+  lines_only: {
+    id: 'lines_only',
+    name: 'Lines Only',
+    description: 'Only straight lines, diagonal chains and full rows or columns score.',
+    families: ['line', 'diagonal', 'complete'],
+    points: {},
+    winCondition: WIN_CONDITIONS.SCORE
+  },
+  territory_heavy: {
+    id: 'territory_heavy',
+    name: 'Territory Heavy',
+    description: 'Corners, edges, the center and enclosures are worth double.',
+    families: ALL_FAMILIES,
+    points: {
+      CORNER_CONTROL: 24,
+      EDGE_CONTROL: 30,
+      CENTER_DOMINANCE_4x4: 40,
+      CENTER_DOMINANCE_5x5: 50,
+      ENCLOSURE: 40
+    },
+    winCondition: WIN_CONDITIONS.SCORE
+  },
+  last_move_wins: {
+    id: 'last_move_wins',
+    name: 'No Scoring',
+    description: 'Patterns score nothing. Whoever places the last piece wins.',
+    families: [],
+    points: {},
+    winCondition: WIN_CONDITIONS.LAST_MOVE
+  }
+}
+
+/**
+ * Get a scoring preset; games saved before presets existed play Classic
+ * @param {string} presetId - Preset ID
+ * @returns {Object} Scoring preset
+ * @throws {Error} If the preset is unknown
+ */
+export function getScoringPreset(presetId) {
+  const preset = SCORING_PRESETS[presetId || DEFAULT_SCORING_PRESET]
+  if (!preset) {
+    throw new Error(`Unknown scoring preset: ${presetId}`)
+  }
+  return preset
+}
+
+/**
+ * Get the family a pattern belongs to
+ * @param {string} patternId - Pattern ID
+ * @returns {string|null} Family ID
+ */
+export function getPatternFamily(patternId) {
+  const definition = PATTERN_DEFINITIONS[patternId]
+  if (definition) {
+    return definition.type === 'territory' ? definition.subtype : definition.type
+  }
+
+  const family = ALL_FAMILIES.find(id => PATTERN_FAMILIES[id].formulaPatterns.includes(patternId))
+  return family || null
+}
+
+/**
+ * Check if a preset scores a pattern family
+ * @param {Object} preset - Scoring preset
+ * @param {string} family - Family ID
+ * @returns {boolean} True if the family scores
+ */
+export function isFamilyEnabled(preset, family) {
+  return preset.families.includes(family)
+}
+
+/**
+ * Get a pattern's point value under a preset
+ * @param {Object} preset - Scoring preset
+ * @param {string} patternId - Pattern ID
+ * @param {number} formulaPoints - Points for patterns without a fixed value
+ * @returns {number} Points
+ */
+export function getPatternPoints(preset, patternId, formulaPoints = 0) {
+  return preset.points[patternId] ?? PATTERN_DEFINITIONS[patternId]?.points ?? formulaPoints
+}
+
+/**
+ * Describe the scoring families of a preset for the rules legend
+ * @param {Object} preset - Scoring preset
+ * @returns {Array<Object>} Families {id, name, minPoints, maxPoints, open}
+ *   (open: longer or larger patterns score more by formula)
+ */
+export function describeScoringPreset(preset) {
+  return preset.families.map(family => {
+    const points = Object.keys(PATTERN_DEFINITIONS)
+      .filter(patternId => getPatternFamily(patternId) === family)
+      .map(patternId => getPatternPoints(preset, patternId))
+
+    return {
+      id: family,
+      name: PATTERN_FAMILIES[family].name,
+      minPoints: Math.min(...points),
+      maxPoints: Math.max(...points),
+      open: PATTERN_FAMILIES[family].formulaPatterns.length > 0
+    }
+  })
+}
\ No newline at end of file
@@ -3,8 +3,30 @@
  * Manages point calculation, scoring history, and winner determination
  */
 
-import { PatternRecognizer } from './PatternRecognizer.js'
-import { cloneGameState } from '../game/GameState.js'
+import { IncrementalPatternRecognizer } from './IncrementalPatternRecognizer.js'
+import { getScoringPreset, WIN_CONDITIONS } from './ScoringPresets.js'
+import { cloneGameState, getPlayerIds, getOpponents, getNextPlayer } from '../game/GameState.js'
+import { getEndCondition, countPlacementRounds } from '../game/EndConditions.js'
+import { isTeamGame, getTeamId, getSide, getSides, isSameSide, describeSide } from '../game/Teams.js'
+import { PLAYERS } from '../../utils/constants.js'
+
+/**
+ * Join values for a sentence: 'a', 'a and b', 'a, b and c'
+ * @param {Array} items - Values
+ * @returns {string} Joined values
+ */
+function listItems(items) {
+  return items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : String(items[0])
+}
+
+/**
+ * Name one or more players for a sentence
+ * @param {Array<number>} playerIds - Player IDs
+ * @returns {string} 'Player 1' or 'Players 1, 3 and 4'
+ */
+function describePlayers(playerIds) {
+  return `${playerIds.length > 1 ? 'Players' : 'Player'} ${listItems(playerIds)}`
+}
 
 /**
  * Scoring service for managing game points and patterns
@@ -21,15 +43,29 @@ export class ScoringService {
   static awardPoints(gameState, playerId, newCells, moveId) {
     const newGameState = cloneGameState(gameState)
 
-    // Create pattern recognizer for current board
-    const recognizer = new PatternRecognizer(newGameState.board)
-
-    // Calculate new points from this move
-    const scoringResult = recognizer.calculateNewPoints(playerId, newCells)
+    // Create pattern recognizer for current board, the game's scoring preset and its teams
+    const recognizer = new IncrementalPatternRecognizer(newGameState.board, {
+      preset: getScoringPreset(newGameState.config?.scoringPreset),
+      teams: newGameState.scoring.teams
+    })
+
+    // Calculate new points from this move against the player's pattern index;
+    // partners build patterns together, so a team shares one index
+    const teamId = getTeamId(newGameState, playerId)
+    const indexKey = teamId === null ? playerId : `team${teamId}`
+    const patternIndex = newGameState.scoring.patternIndex?.[indexKey] || null
+    const scoringResult = recognizer.scoreMove(playerId, newCells, patternIndex)
+    newGameState.scoring.patternIndex = {
+      ...newGameState.scoring.patternIndex,
+      [indexKey]: scoringResult.index
+    }
 
-    // Update player's score
+    // Update player's score, and their team's
     const scoreKey = `player${playerId}Score`
     newGameState.scoring[scoreKey] += scoringResult.totalPoints
+    if (teamId !== null) {
+      newGameState.scoring.teams[teamId].score += scoringResult.totalPoints
+    }
 
     // Add to scoring history
     const historyEntries = scoringResult.patterns.map(pattern => ({
@@ -66,17 +102,59 @@ export class ScoringService {
   }
 
   /**
-   * Check if both players are blocked and determine winner
+   * Check the game's end condition and determine the winner
+   * The current player is checked for legal moves first, so a memoized
+   * hasLegalMove is only asked about the opponents when needed.
+   * In team games a whole team wins, and the winner is one of its players
    * @param {Object} gameState - Current game state
    * @param {Function} hasLegalMove - Function to check if player has legal moves
    * @returns {Object} Result with winner info
    */
   static checkGameEnd(gameState, hasLegalMove) {
-    const player1Blocked = !hasLegalMove(gameState, 1)
-    const player2Blocked = !hasLegalMove(gameState, 2)
+    const { type, scoreToWin, roundLimit } = gameState.endCondition || {}
+    const condition = getEndCondition(type)
+    const bySide = this.rankSides(gameState)
+    const topScore = this.getSideScore(gameState, bySide[0][0])
+
+    let result = null
+
+    if (condition.id === 'score_target' && topScore >= scoreToWin) {
+      // Only the side that just placed scores, so at most one side crosses the target per turn
+      const [[winner], ...others] = bySide
+      result = {
+        winner,
+        reason: `${describeSide(gameState, winner)} reaches the target of ${scoreToWin} points ` +
+          `(${topScore} vs ${listItems(others.map(side => this.getSideScore(gameState, side[0])))})`
+      }
+    } else if (condition.id === 'turn_limit' && countPlacementRounds(gameState) >= roundLimit) {
+      const decision = this.decideByScore(gameState)
+      result = { winner: decision.winner, reason: `Turn limit of ${roundLimit} rounds reached - ${decision.reason}` }
+    } else {
+      const { currentPlayer } = gameState
+      const opponents = getOpponents(gameState, currentPlayer)
+
+      if (!hasLegalMove(gameState, currentPlayer)) {
+        if (condition.id === 'sudden_death') {
+          // Blocked players are out; the game ends once at most one side can still place.
+          // If nobody can, the player who placed last outlasted the others
+          const movers = opponents.filter(playerId => hasLegalMove(gameState, playerId))
+          if (new Set(movers.map(playerId => getSide(gameState, playerId)[0])).size <= 1) {
+            const winner = movers[0] ?? gameState.history[gameState.history.length - 1]?.player ?? opponents[0]
+            const blocked = getPlayerIds(gameState).filter(playerId => !isSameSide(gameState, winner, playerId))
+            result = {
+              winner,
+              reason: `${describeSide(gameState, winner)} wins - ${describePlayers(blocked)} cannot place a piece`
+            }
+          }
+        } else if (!opponents.some(playerId => hasLegalMove(gameState, playerId))) {
+          // All players blocked
+          result = this.decideByScore(gameState)
+        }
+      }
+    }
 
-    // Game continues if at least one player can move
-    if (!player1Blocked || !player2Blocked) {
+    // Game continues if no end condition is met
+    if (!result) {
       return {
         gameEnded: false,
         winner: null,
@@ -84,49 +162,124 @@ export class ScoringService {
       }
     }
 
-    // Both players blocked - determine winner by score
-    const score1 = gameState.scoring.player1Score
-    const score2 = gameState.scoring.player2Score
+    return {
+      gameEnded: true,
+      winner: result.winner,
+      reason: result.reason,
+      finalScores: this.getCurrentScores(gameState),
+      remainingPieces: Object.fromEntries(getPlayerIds(gameState).map(playerId =>
+        [`player${playerId}`, this.countRemainingPieces(gameState.players[playerId].arsenal)]))
+    }
+  }
 
-    let winner
-    let reason
+  /**
+   * Decide the winner of a finished game by score, or by the last placement
+   * in presets that ignore points
+   * Ties go to the side with fewer pieces remaining, then to the side earliest in turn order
+   * @param {Object} gameState - Game state
+   * @returns {Object} Winner (in team games, the winning team's first player) and reason
+   */
+  static decideByScore(gameState) {
+    if (getScoringPreset(gameState.config?.scoringPreset).winCondition === WIN_CONDITIONS.LAST_MOVE) {
+      // Player 1 places first, so with no placements Player 1 was the first player unable to move
+      const lastMove = gameState.history[gameState.history.length - 1]
+      const winner = lastMove ? lastMove.player : getNextPlayer(gameState, PLAYERS.PLAYER_1)
+      return {
+        winner,
+        reason: lastMove
+          ? `${describeSide(gameState, winner)} wins by placing the last piece`
+          : `${describeSide(gameState, winner)} wins - Player 1 could not place a piece`
+      }
+    }
 
-    if (score1 > score2) {
-      winner = 1
-      reason = `Player 1 wins with ${score1} points vs ${score2} points`
-    } else if (score2 > score1) {
-      winner = 2
-      reason = `Player 2 wins with ${score2} points vs ${score1} points`
-    } else {
-      // Tiebreaker: fewer pieces remaining
-      const remaining1 = this.countRemainingPieces(gameState.players[1].arsenal)
-      const remaining2 = this.countRemainingPieces(gameState.players[2].arsenal)
-
-      if (remaining1 < remaining2) {
-        winner = 1
-        reason = `Tie at ${score1} points - Player 1 wins with fewer pieces remaining (${remaining1} vs ${remaining2})`
-      } else if (remaining2 < remaining1) {
-        winner = 2
-        reason = `Tie at ${score1} points - Player 2 wins with fewer pieces remaining (${remaining2} vs ${remaining1})`
-      } else {
-        // Final tiebreaker: Player 1 wins
-        winner = 1
-        reason = `Perfect tie at ${score1} points with ${remaining1} pieces - Player 1 wins by default`
+    const ranking = this.rankSides(gameState)
+    const [winningSide] = ranking
+    const [winner] = winningSide
+    const name = describeSide(gameState, winner)
+    const score = side => this.getSideScore(gameState, side[0])
+    const remaining = side => this.countSidePieces(gameState, side)
+
+    const tied = ranking.filter(side => score(side) === score(winningSide))
+    if (tied.length === 1) {
+      return {
+        winner,
+        reason: `${name} wins with ${score(winningSide)} points vs ${listItems(ranking.slice(1).map(score))} points`
+      }
+    }
+
+    // Tiebreaker: fewer pieces remaining
+    if (tied.filter(side => remaining(side) === remaining(winningSide)).length === 1) {
+      return {
+        winner,
+        reason: `Tie at ${score(winningSide)} points - ${name} wins with fewer pieces remaining ` +
+          `(${remaining(winningSide)} vs ${listItems(tied.slice(1).map(remaining))})`
       }
     }
 
+    // Final tiebreaker: turn order
     return {
-      gameEnded: true,
       winner,
-      reason,
-      finalScores: { player1: score1, player2: score2 },
-      remainingPieces: {
-        player1: this.countRemainingPieces(gameState.players[1].arsenal),
-        player2: this.countRemainingPieces(gameState.players[2].arsenal)
-      }
+      reason: `Perfect tie at ${score(winningSide)} points with ${remaining(winningSide)} pieces - ${name} wins by default`
     }
   }
 
+  /**
+   * Rank players from best to worst: higher (team) score, then fewer pieces remaining,
+   * then earlier in turn order
+   * @param {Object} gameState - Game state
+   * @param {Array<number>} playerIds - Players to rank
+   * @returns {Array<number>} Ranked player IDs
+   */
+  static rankPlayers(gameState, playerIds) {
+    const remaining = playerId => this.countRemainingPieces(gameState.players[playerId].arsenal)
+    return [...playerIds].sort((a, b) =>
+      this.getSideScore(gameState, b) - this.getSideScore(gameState, a) || remaining(a) - remaining(b) || a - b)
+  }
+
+  /**
+   * Rank the sides of a game (teams, or each player alone) from best to worst,
+   * with the same tiebreakers as rankPlayers
+   * @param {Object} gameState - Game state
+   * @returns {Array<Array<number>>} Ranked sides, each a list of player IDs
+   */
+  static rankSides(gameState) {
+    const score = side => this.getSideScore(gameState, side[0])
+    const remaining = side => this.countSidePieces(gameState, side)
+    return getSides(gameState, getPlayerIds(gameState)).sort((a, b) =>
+      score(b) - score(a) || remaining(a) - remaining(b) || a[0] - b[0])
+  }
+
+  /**
+   * Get a player's score
+   * @param {Object} gameState - Game state
+   * @param {number} playerId - Player ID
+   * @returns {number} Points scored
+   */
+  static getScore(gameState, playerId) {
+    return gameState.scoring[`player${playerId}Score`]
+  }
+
+  /**
+   * Get the score a player is ranked by: their team's in team games, otherwise their own
+   * @param {Object} gameState - Game state
+   * @param {number} playerId - Player ID
+   * @returns {number} Points scored
+   */
+  static getSideScore(gameState, playerId) {
+    const teamId = getTeamId(gameState, playerId)
+    return teamId === null ? this.getScore(gameState, playerId) : gameState.scoring.teams[teamId].score
+  }
+
+  /**
+   * Count the pieces a side has left
+   * @param {Object} gameState - Game state
+   * @param {Array<number>} side - Player IDs of the side
+   * @returns {number} Total pieces remaining
+   */
+  static countSidePieces(gameState, side) {
+    return side.reduce((total, playerId) => total + this.countRemainingPieces(gameState.players[playerId].arsenal), 0)
+  }
+
   /**
    * Count remaining pieces in a player's arsenal
    * @param {Object} arsenal - Player's arsenal
@@ -137,15 +290,13 @@ export class ScoringService {
   }
 
   /**
-   * Get current scores for both players
+   * Get current scores for all players
    * @param {Object} gameState - Game state
-   * @returns {Object} Current scores
+   * @returns {Object} Current scores ({player1, player2, ...})
    */
   static getCurrentScores(gameState) {
-    return {
-      player1: gameState.scoring.player1Score,
-      player2: gameState.scoring.player2Score
-    }
+    return Object.fromEntries(getPlayerIds(gameState).map(playerId =>
+      [`player${playerId}`, this.getScore(gameState, playerId)]))
   }
 
   /**
@@ -220,21 +371,52 @@ export class ScoringService {
    * @returns {Object} Game statistics
    */
   static getGameStatistics(gameState) {
-    const scores = this.getCurrentScores(gameState)
     const history = gameState.scoring.scoringHistory
 
     // Calculate statistics for each player
     const stats = {
-      player1: this.calculatePlayerStats(gameState, 1),
-      player2: this.calculatePlayerStats(gameState, 2),
+      ...Object.fromEntries(getPlayerIds(gameState).map(playerId =>
+        [`player${playerId}`, this.calculatePlayerStats(gameState, playerId)])),
       totalMoves: gameState.history.length,
       totalPatterns: history.length,
       gameLength: this.calculateGameLength(gameState)
     }
 
+    if (isTeamGame(gameState)) {
+      stats.teams = Object.fromEntries(Object.entries(gameState.scoring.teams).map(([teamId, team]) =>
+        [`team${teamId}`, this.calculateTeamStats(gameState, team)]))
+    }
+
     return stats
   }
 
+  /**
+   * Calculate statistics for a team
+   * @param {Object} gameState - Game state
+   * @param {Object} team - Team {players, score}
+   * @returns {Object} Team statistics
+   */
+  static calculateTeamStats(gameState, team) {
+    const pointsByType = {}
+    for (const playerId of team.players) {
+      for (const [type, points] of Object.entries(this.getPointsByPatternType(gameState, playerId))) {
+        pointsByType[type] = (pointsByType[type] || 0) + points
+      }
+    }
+
+    return {
+      players: team.players,
+      totalScore: team.score,
+      patternsCreated: team.players.reduce((total, playerId) =>
+        total + this.getScoringHistory(gameState, playerId).length, 0),
+      pointsByPlayer: Object.fromEntries(team.players.map(playerId =>
+        [`player${playerId}`, this.getScore(gameState, playerId)])),
+      pointsByPatternType: pointsByType,
+      remainingPieces: this.countSidePieces(gameState, team.players),
+      favoritePatternType: this.getFavoritePatternType(pointsByType)
+    }
+  }
+
   /**
    * Calculate statistics for a specific player
    * @param {Object} gameState - Game state
@@ -246,10 +428,10 @@ export class ScoringService {
     const pointsByType = this.getPointsByPatternType(gameState, playerId)
 
     return {
-      totalScore: gameState.scoring[`player${playerId}Score`],
+      totalScore: this.getScore(gameState, playerId),
       patternsCreated: history.length,
       averagePointsPerPattern: history.length > 0 ?
-        gameState.scoring[`player${playerId}Score`] / history.length : 0,
+        this.getScore(gameState, playerId) / history.length : 0,
       pointsByPatternType: pointsByType,
       remainingPieces: this.countRemainingPieces(gameState.players[playerId].arsenal),
       favoritePatternType: this.getFavoritePatternType(pointsByType)
@@ -6,7 +6,11 @@
 import { GameService } from './core/game/GameService.js'
 import { UI } from './ui/UI.js'
 import { MenuUI } from './ui/MenuUI.js'
-import { BoardShapes } from './core/board/BoardShapes.js'
+import { getPieceSetConfig } from './core/pieces/PieceDefinitions.js'
+import { NetworkClient } from './network/NetworkClient.js'
+import { SaveStore, createSlotId } from './utils/SaveStore.js'
+import { BoardStore } from './utils/BoardStore.js'
+import { decodeBoard } from './core/board/CustomBoards.js'
 
 /**
  * Application state manager
@@ -18,6 +22,8 @@ class App {
     this.gameConfig = null
     this.ui = null
     this.menuUI = null
+    this.saveStore = new SaveStore()
+    this.boardStore = new BoardStore()
   }
 
   /**
@@ -33,7 +39,7 @@ class App {
    */
   showMenu() {
     this.currentScreen = 'menu'
-    this.menuUI = new MenuUI(this.container, (config) => this.startGame(config))
+    this.menuUI = new MenuUI(this.container, (config) => this.startGame(config), this.saveStore, this.boardStore)
     window.menuUI = this.menuUI // Make globally accessible
     this.menuUI.render()
   }
@@ -47,42 +53,149 @@ class App {
 
     console.log('Starting game with config:', config)
 
+    if (config.online) {
+      this.startOnlineGame(config)
+      return
+    }
+
+    if (config.resume) {
+      this.resumeGame(config.resume)
+      return
+    }
+
+    if (config.gameState) {
+      this.openGame(config.gameState, createSlotId())
+      return
+    }
+
     // Determine board size and shape based on config
     const { rows, cols, boardConfig } = this.getBoardConfig(config)
 
     // Create game state with enhanced configuration
     const gameState = GameService.createNew(rows, cols, {
       ...boardConfig,
-      difficulty: config.difficulty,
       boardShape: config.boardShape
     })
+    console.log('Game seed:', gameState.config.seed)
 
     // Initialize game UI
     this.ui = new UI(this.container, () => this.showMenu())
     window.ui = this.ui // Make globally accessible for event handlers
+    this.ui.setSaveSlot(this.saveStore, createSlotId())
+    this.ui.render(gameState)
+  }
+
+  /**
+   * Continue a saved game from its slot
+   */
+  async resumeGame(slotId) {
+    try {
+      const gameState = await this.saveStore.load(slotId)
+      console.log('Continuing saved game:', slotId)
+      this.openGame(gameState, slotId)
+    } catch (error) {
+      alert(`Cannot continue game: ${error.message}`)
+      this.showMenu()
+    }
+  }
+
+  /**
+   * Show an existing game (saved or imported), autosaving into the given slot
+   */
+  openGame(gameState, slotId) {
+    this.ui = new UI(this.container, () => this.showMenu())
+    window.ui = this.ui
+    this.ui.setSaveSlot(this.saveStore, slotId)
     this.ui.render(gameState)
   }
 
+  /**
+   * Create or join a room on the game server; the server owns the game state
+   */
+  startOnlineGame(config) {
+    const { serverUrl, action, code } = config.online
+
+    this.ui = new UI(this.container, () => this.showMenu())
+    window.ui = this.ui
+
+    const client = new NetworkClient(serverUrl, this.ui.createNetworkHandlers())
+    this.ui.attachNetwork(client)
+
+    if (action === 'create') {
+      client.createRoom({
+        playerCount: config.playerCount,
+        teamPlay: config.teamPlay,
+        boardShape: config.boardShape,
+        customBoard: config.customBoard,
+        scoringPreset: config.scoringPreset,
+        endCondition: config.endCondition,
+        scoreToWin: config.scoreToWin,
+        roundLimit: config.roundLimit,
+        timeControl: config.timeControl,
+        clockTime: config.clockTime,
+        clockIncrement: config.clockIncrement,
+        timeoutAction: config.timeoutAction,
+        pieceSets: config.pieceSets,
+        costModel: config.costModel,
+        draftFormat: config.draftFormat
+      })
+    } else {
+      client.joinRoom(code)
+    }
+  }
+
   /**
    * Get board configuration based on game settings
    */
   getBoardConfig(config) {
     let rows = 10, cols = 10
     let boardConfig = {}
-    let customBoard = null
-
-    // Adjust board based on shape selection
-    if (config.boardShape === 'varied') {
-      const variedConfig = BoardShapes.getRandomVariedConfig()
-      customBoard = BoardShapes.createShapedBoard(variedConfig.shape, variedConfig.size)
-      rows = customBoard.rows
-      cols = customBoard.cols
-      boardConfig.customBoard = customBoard
+
+    // One seed drives board generation and the game itself, so it can be reproduced;
+    // varied boards are drawn from it when the game state is created
+    boardConfig.seed = config.seed
+
+    // Boards from the board editor travel as board strings, which the game state keeps
+    if (config.boardShape === 'custom') {
+      const board = decodeBoard(config.customBoard)
+      rows = board.rows
+      cols = board.cols
+      boardConfig.customBoard = config.customBoard
+    }
+
+
+    // How many players take part, whether they play in teams, and who plays each seat, with per-seat AI difficulty
+    boardConfig.playerCount = config.playerCount
+    boardConfig.teamPlay = config.teamPlay
+    boardConfig.seats = config.seats
+
+    // Pass-and-play options for humans sharing one device
+    boardConfig.hotSeat = config.hotSeat
+
+    // Which patterns score and how the winner is decided
+    boardConfig.scoringPreset = config.scoringPreset
+
+    // When the game ends (score target, turn limit, sudden death, ...)
+    boardConfig.endCondition = config.endCondition
+    boardConfig.scoreToWin = config.scoreToWin
+    boardConfig.roundLimit = config.roundLimit
+
+    // Chess clocks and what running out of time does
+    boardConfig.timeControl = config.timeControl
+    boardConfig.clockTime = config.clockTime
+    boardConfig.clockIncrement = config.clockIncrement
+    boardConfig.timeoutAction = config.timeoutAction
+
+    // Which piece sets are in the stock
+    if (config.pieceSets) {
+      Object.assign(boardConfig, getPieceSetConfig(config.pieceSets))
     }
 
+    // How pieces are priced in the draft
+    boardConfig.costModel = config.costModel
 
-    // Add difficulty specific config
-    boardConfig.aiDifficulty = config.difficulty
+    // Draft format (snake, blind, pre-built arsenals, ...)
+    boardConfig.draftFormat = config.draftFormat
 
     return { rows, cols, boardConfig }
   }
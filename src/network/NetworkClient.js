@@ -0,0 +1,276 @@
+/**
+ * Online Game Client
+ * Browser side of a networked game: joins rooms, sends actions and keeps a
+ * copy of the server's authoritative state up to date
+ */
+
+import {
+  CLIENT_MESSAGES,
+  SERVER_MESSAGES,
+  encodeMessage,
+  decodeMessage,
+  normalizeJoinCode,
+  applyStateDiff
+} from './Protocol.js'
+import { findGameStateViolations } from '../core/game/GameStateValidator.js'
+import { getGamePieces } from '../core/pieces/PieceLibrary.js'
+
+// Reconnect delays grow up to this limit
+const RECONNECT_BASE_DELAY = 500
+const RECONNECT_MAX_DELAY = 8000
+
+// sessionStorage key for seat tokens, so a reload can reclaim the seat
+const SEAT_STORAGE_KEY = 'sumzero-online-seats'
+
+/**
+ * Connection to the game server for one player
+ */
+export class NetworkClient {
+  /**
+   * @param {string} serverUrl - WebSocket URL of the game server
+   * @param {Object} handlers - Callbacks {onJoined, onState, onPresence, onError, onConnectionChange}
+   * @param {Object} options - Environment {WebSocket, storage} (defaults to the browser's)
+   */
+  constructor(serverUrl, handlers = {}, options = {}) {
+    this.serverUrl = serverUrl
+    this.handlers = handlers
+    this.WebSocket = options.WebSocket || globalThis.WebSocket
+    this.storage = options.storage || globalThis.sessionStorage || null
+
+    this.socket = null
+    this.connected = false
+    this.closedByUser = false
+    this.reconnectAttempts = 0
+    this.reconnectTimeout = null
+    this.pendingMessages = []
+
+    this.code = null
+    this.playerId = null
+    this.token = null
+    this.revision = -1
+    this.state = null
+    this.presence = {}
+
+    // Server clock minus local clock, so the game clocks can be shown in server time
+    this.clockOffset = 0
+  }
+
+  /**
+   * Create a new room and take its first seat
+   * @param {Object} config - Room config {playerCount, teamPlay, boardShape, customBoard, rows, cols, seed, scoringPreset, endCondition, scoreToWin, roundLimit, timeControl, clockTime, clockIncrement, timeoutAction, pieceSets, costModel, draftFormat}
+   */
+  createRoom(config = {}) {
+    this.send(CLIENT_MESSAGES.CREATE_ROOM, { config })
+  }
+
+  /**
+   * Join a room by code; reclaims the stored seat if this browser had one
+   * @param {string} code - Join code
+   */
+  joinRoom(code) {
+    const normalized = normalizeJoinCode(code)
+    const token = this.loadSeatTokens()[normalized]
+
+    if (token) {
+      this.send(CLIENT_MESSAGES.REJOIN_ROOM, { code: normalized, token })
+    } else {
+      this.send(CLIENT_MESSAGES.JOIN_ROOM, { code: normalized })
+    }
+  }
+
+  /**
+   * Send an encoded action (see ActionLog) to the server
+   * @param {Array} action - Encoded action
+   */
+  sendAction(action) {
+    this.send(CLIENT_MESSAGES.ACTION, { action })
+  }
+
+  /**
+   * Estimate the server's current time from the last state received
+   * @returns {number} Timestamp in server time (ms)
+   */
+  getServerTime() {
+    return Date.now() + this.clockOffset
+  }
+
+  /**
+   * Close the connection for good
+   */
+  close() {
+    this.closedByUser = true
+    clearTimeout(this.reconnectTimeout)
+    if (this.socket) {
+      this.socket.close()
+    }
+  }
+
+  /**
+   * Send a message, connecting first if needed
+   * @param {string} type - Message type
+   * @param {Object} payload - Message fields
+   */
+  send(type, payload = {}) {
+    const message = encodeMessage(type, payload)
+
+    if (this.connected) {
+      this.socket.send(message)
+    } else {
+      this.pendingMessages.push(message)
+      this.connect()
+    }
+  }
+
+  /**
+   * Open the WebSocket connection
+   */
+  connect() {
+    if (this.socket || this.closedByUser) return
+
+    const socket = new this.WebSocket(this.serverUrl)
+    this.socket = socket
+
+    socket.onopen = () => this.handleOpen()
+    socket.onmessage = event => this.handleMessage(event.data)
+    socket.onclose = () => this.handleClose()
+  }
+
+  /**
+   * Rejoin the current room after a reconnect and flush queued messages
+   */
+  handleOpen() {
+    this.connected = true
+    this.reconnectAttempts = 0
+
+    if (this.code && this.token) {
+      this.socket.send(encodeMessage(CLIENT_MESSAGES.REJOIN_ROOM, { code: this.code, token: this.token }))
+    }
+
+    const pending = this.pendingMessages
+    this.pendingMessages = []
+    pending.forEach(message => this.socket.send(message))
+
+    this.notify('onConnectionChange', true)
+  }
+
+  /**
+   * Reconnect with a growing delay unless the client was closed
+   */
+  handleClose() {
+    this.socket = null
+    this.connected = false
+    this.notify('onConnectionChange', false)
+
+    if (this.closedByUser) return
+
+    const delay = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * Math.pow(2, this.reconnectAttempts))
+    this.reconnectAttempts++
+    this.reconnectTimeout = setTimeout(() => this.connect(), delay)
+  }
+
+  /**
+   * Handle a message from the server
+   * @param {string} data - Raw JSON message
+   */
+  handleMessage(data) {
+    const message = decodeMessage(data)
+
+    switch (message.type) {
+      case SERVER_MESSAGES.JOINED:
+        this.code = message.code
+        this.playerId = message.playerId
+        this.token = message.token
+        this.saveSeatToken(message.code, message.token)
+        this.notify('onJoined', { code: message.code, playerId: message.playerId })
+        break
+      case SERVER_MESSAGES.STATE: {
+        const violations = findGameStateViolations(message.state)
+        if (violations.length > 0) {
+          this.notify('onError', `Server sent an invalid game state: ${violations[0].path} ${violations[0].message}`)
+          return
+        }
+        try {
+          getGamePieces(message.state)
+        } catch (error) {
+          this.notify('onError', `Server sent an invalid game state: ${error.message}`)
+          return
+        }
+        this.revision = message.revision
+        this.state = message.state
+        this.syncClock(message.serverTime)
+        this.notify('onState', this.state)
+        break
+      }
+      case SERVER_MESSAGES.DIFF: {
+        if (message.revision !== this.revision + 1) {
+          // Missed an update - ask for the full state
+          this.send(CLIENT_MESSAGES.SYNC)
+          return
+        }
+        const state = applyStateDiff(this.state, message.diff)
+        if (findGameStateViolations(state).length > 0) {
+          // The diff did not apply cleanly - start over from the full state
+          this.send(CLIENT_MESSAGES.SYNC)
+          return
+        }
+        this.revision = message.revision
+        this.state = state
+        this.syncClock(message.serverTime)
+        this.notify('onState', this.state)
+        break
+      }
+      case SERVER_MESSAGES.PRESENCE:
+        this.presence = message.connected
+        this.notify('onPresence', this.presence)
+        break
+      case SERVER_MESSAGES.ERROR:
+        this.notify('onError', message.message)
+        break
+      default:
+        break
+    }
+  }
+
+  /**
+   * Update the offset to the server's clock from a message timestamp
+   * @param {number} serverTime - Server time when the message was sent (ms)
+   */
+  syncClock(serverTime) {
+    if (typeof serverTime === 'number') {
+      this.clockOffset = serverTime - Date.now()
+    }
+  }
+
+  /**
+   * Call a handler if it is set
+   * @param {string} name - Handler name
+   * @param {any} value - Handler argument
+   */
+  notify(name, value) {
+    if (this.handlers[name]) {
+      this.handlers[name](value)
+    }
+  }
+
+  /**
+   * Load stored seat tokens by join code
+   * @returns {Object} Tokens {code: token}
+   */
+  loadSeatTokens() {
+    try {
+      return JSON.parse(this.storage?.getItem(SEAT_STORAGE_KEY) || '{}')
+    } catch (error) {
+      return {}
+    }
+  }
+
+  /**
+   * Remember a seat token for a room
+   * @param {string} code - Join code
+   * @param {string} token - Seat token
+   */
+  saveSeatToken(code, token) {
+    if (!this.storage) return
+    this.storage.setItem(SEAT_STORAGE_KEY, JSON.stringify({ ...this.loadSeatTokens(), [code]: token }))
+  }
+}
\ No newline at end of file
@@ -0,0 +1,145 @@
+/**
+ * Network Protocol for Online Games
+ * Message types and state diffs shared by the game server and browser clients
+ */
+
+export const DEFAULT_SERVER_PORT = 8787
+
+// Client -> server messages
+export const CLIENT_MESSAGES = {
+  CREATE_ROOM: 'createRoom',
+  JOIN_ROOM: 'joinRoom',
+  REJOIN_ROOM: 'rejoinRoom',
+  ACTION: 'action',
+  SYNC: 'sync'
+}
+
+// Server -> client messages
+export const SERVER_MESSAGES = {
+  JOINED: 'joined',
+  STATE: 'state',
+  DIFF: 'diff',
+  PRESENCE: 'presence',
+  ERROR: 'error'
+}
+
+// Join codes avoid characters that are easy to confuse (0/O, 1/I/L)
+export const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789'
+export const JOIN_CODE_LENGTH = 5
+
+/**
+ * Normalize a join code typed by a player
+ * @param {string} code - Raw join code
+ * @returns {string} Upper-case code without spaces
+ */
+export function normalizeJoinCode(code) {
+  return String(code || '').replace(/\s+/g, '').toUpperCase()
+}
+
+/**
+ * Encode a protocol message
+ * @param {string} type - Message type
+ * @param {Object} payload - Message fields
+ * @returns {string} JSON message
+ */
+export function encodeMessage(type, payload = {}) {
+  return JSON.stringify({ type, ...payload })
+}
+
+/**
+ * Decode a protocol message
+ * @param {string} data - JSON message
+ * @returns {Object} Message with a type field
+ * @throws {Error} If the message is not valid JSON or has no type
+ */
+export function decodeMessage(data) {
+  let message
+  try {
+    message = JSON.parse(data)
+  } catch (error) {
+    throw new Error(`Invalid message: ${error.message}`)
+  }
+
+  if (!message || typeof message.type !== 'string') {
+    throw new Error('Invalid message: missing type')
+  }
+
+  return message
+}
+
+/**
+ * Compute the changes between two JSON-compatible states
+ * Objects are compared key by key; arrays whose length changed are replaced
+ * @param {any} previous - Previous state
+ * @param {any} next - Next state
+ * @param {Array} path - Path of the current value (used in recursion)
+ * @returns {Array<Object>} Diff operations {path, value} or {path, remove: true}
+ */
+export function createStateDiff(previous, next, path = []) {
+  if (previous === next) {
+    return []
+  }
+
+  const bothObjects = isContainer(previous) && isContainer(next) &&
+    Array.isArray(previous) === Array.isArray(next)
+
+  if (!bothObjects || (Array.isArray(next) && previous.length !== next.length)) {
+    return [{ path, value: next }]
+  }
+
+  const diff = []
+
+  for (const key of Object.keys(next)) {
+    if (!(key in previous)) {
+      diff.push({ path: [...path, key], value: next[key] })
+    } else {
+      diff.push(...createStateDiff(previous[key], next[key], [...path, key]))
+    }
+  }
+
+  for (const key of Object.keys(previous)) {
+    if (!(key in next)) {
+      diff.push({ path: [...path, key], remove: true })
+    }
+  }
+
+  return diff
+}
+
+/**
+ * Apply diff operations to a state
+ * @param {any} state - State to update (not modified)
+ * @param {Array<Object>} diff - Diff from createStateDiff
+ * @returns {any} Updated state
+ */
+export function applyStateDiff(state, diff) {
+  let result = JSON.parse(JSON.stringify(state))
+
+  for (const operation of diff) {
+    if (operation.path.length === 0) {
+      result = operation.value
+      continue
+    }
+
+    const parentPath = operation.path.slice(0, -1)
+    const key = operation.path[operation.path.length - 1]
+    const parent = parentPath.reduce((node, part) => node[part], result)
+
+    if (operation.remove) {
+      delete parent[key]
+    } else {
+      parent[key] = operation.value
+    }
+  }
+
+  return result
+}
+
+/**
+ * Check if a value is an object or array
+ * @param {any} value - Value to check
+ * @returns {boolean} True for non-null objects and arrays
+ */
+function isContainer(value) {
+  return value !== null && typeof value === 'object'
+}
\ No newline at end of file
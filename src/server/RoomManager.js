@@ -0,0 +1,570 @@
+/**
+ * Online Game Rooms
+ * Hosts the authoritative game state of each room, validates every action
+ * and sends each seated player the diffs of their view of the state
+ */
+
+import { randomInt, randomUUID } from 'crypto'
+import { GameService } from '../core/game/GameService.js'
+import { encodeBoard, decodeBoard, findBoardProblems } from '../core/board/CustomBoards.js'
+import { canBuy, canBid } from '../core/draft/DraftService.js'
+import { getCostModel } from '../core/draft/CostModels.js'
+import { getDraftFormat } from '../core/draft/DraftFormats.js'
+import { getScoringPreset } from '../core/scoring/ScoringPresets.js'
+import { getEndCondition } from '../core/game/EndConditions.js'
+import { TEAM_PLAYER_COUNT } from '../core/game/Teams.js'
+import { PIECE_SETS, getPieceSetConfig } from '../core/pieces/PieceDefinitions.js'
+import { createMove, isValidMove } from '../core/placement/PlacementService.js'
+import { getGamePieces } from '../core/pieces/PieceLibrary.js'
+import { decodeAction, encodeTimeout, countSecretActions, ACTION_CODES } from '../core/game/ActionLog.js'
+import { getTimeControl, startClock, hasTimedOut, TIMEOUT_ACTIONS } from '../core/game/TimeControls.js'
+import { getPlayerIds } from '../core/game/GameState.js'
+import { generateSeed } from '../utils/random.js'
+import { GAME_PHASES, PLAYERS, SEAT_TYPES, MIN_PLAYERS, MAX_PLAYERS, BOARD_SHAPES } from '../utils/constants.js'
+import {
+  CLIENT_MESSAGES,
+  SERVER_MESSAGES,
+  JOIN_CODE_ALPHABET,
+  JOIN_CODE_LENGTH,
+  encodeMessage,
+  decodeMessage,
+  normalizeJoinCode,
+  createStateDiff
+} from '../network/Protocol.js'
+
+// Rooms without connected players are removed after this long
+const ROOM_IDLE_TIMEOUT = 60 * 60 * 1000
+
+// Board size limits for rectangular rooms
+const MIN_BOARD_SIZE = 6
+const MAX_BOARD_SIZE = 20
+const DEFAULT_BOARD_SIZE = 10
+
+// Every seat of an online game is played by a human
+const ONLINE_SEAT = { type: SEAT_TYPES.HUMAN, difficulty: null }
+
+/**
+ * Manages rooms, seats and connections
+ * A connection is any object with send(text) and close()
+ */
+export class RoomManager {
+  constructor() {
+    this.rooms = new Map()
+    this.connections = new Map()
+  }
+
+  /**
+   * Handle a raw message from a connection
+   * Errors are reported back to the sender only
+   * @param {Object} connection - Sending connection
+   * @param {string} data - Raw JSON message
+   */
+  handleMessage(connection, data) {
+    try {
+      const message = decodeMessage(data)
+
+      switch (message.type) {
+        case CLIENT_MESSAGES.CREATE_ROOM:
+          this.createRoom(connection, message.config || {})
+          break
+        case CLIENT_MESSAGES.JOIN_ROOM:
+          this.joinRoom(connection, message.code)
+          break
+        case CLIENT_MESSAGES.REJOIN_ROOM:
+          this.rejoinRoom(connection, message.code, message.token)
+          break
+        case CLIENT_MESSAGES.ACTION:
+          this.handleAction(connection, message.action)
+          break
+        case CLIENT_MESSAGES.SYNC:
+          this.sendState(connection, this.getConnectionRoom(connection))
+          break
+        default:
+          throw new Error(`Unknown message type: ${message.type}`)
+      }
+    } catch (error) {
+      connection.send(encodeMessage(SERVER_MESSAGES.ERROR, { message: error.message }))
+    }
+  }
+
+  /**
+   * Free a connection's seat when it disconnects; the seat stays reserved
+   * for its token so the player can reconnect
+   * @param {Object} connection - Closed connection
+   */
+  handleDisconnect(connection) {
+    const seat = this.connections.get(connection)
+    this.connections.delete(connection)
+    if (!seat) return
+
+    const room = this.rooms.get(seat.code)
+    if (!room || room.seats[seat.playerId].connection !== connection) return
+
+    room.seats[seat.playerId].connection = null
+    room.lastActivity = Date.now()
+    this.broadcastPresence(room)
+  }
+
+  /**
+   * Create a room and seat the creator as Player 1
+   * @param {Object} connection - Creating connection
+   * @param {Object} config - Room config {playerCount, teamPlay, boardShape, customBoard, rows, cols, seed, scoringPreset, endCondition, scoreToWin, roundLimit, timeControl, clockTime, clockIncrement, timeoutAction, pieceSets, costModel, draftFormat}
+   */
+  createRoom(connection, config) {
+    this.leaveCurrentRoom(connection)
+
+    const code = this.generateJoinCode()
+    const gameState = toPublicState(createRoomGame(config))
+    const room = {
+      code,
+      gameState,
+      revision: 0,
+      seats: Object.fromEntries(getPlayerIds(gameState).map(playerId => [playerId, { token: null, connection: null }])),
+      lastActivity: Date.now()
+    }
+
+    this.rooms.set(code, room)
+    this.seatConnection(connection, room, PLAYERS.PLAYER_1, randomUUID())
+  }
+
+  /**
+   * Join a room by code, taking the first free seat
+   * @param {Object} connection - Joining connection
+   * @param {string} code - Join code
+   * @throws {Error} If the room does not exist or is full
+   */
+  joinRoom(connection, code) {
+    const room = this.getRoom(code)
+    const freeSeat = getPlayerIds(room.gameState).find(playerId => !room.seats[playerId].token)
+
+    if (!freeSeat) {
+      throw new Error(`Room ${room.code} is full`)
+    }
+
+    this.leaveCurrentRoom(connection)
+    this.seatConnection(connection, room, freeSeat, randomUUID())
+  }
+
+  /**
+   * Reconnect to a room, restoring the seat that belongs to the token
+   * @param {Object} connection - Reconnecting connection
+   * @param {string} code - Join code
+   * @param {string} token - Seat token received when joining
+   * @throws {Error} If the room does not exist or the token is unknown
+   */
+  rejoinRoom(connection, code, token) {
+    const room = this.getRoom(code)
+    const playerId = getPlayerIds(room.gameState).find(id => token && room.seats[id].token === token)
+
+    if (!playerId) {
+      throw new Error('Seat not found - join the room again')
+    }
+
+    const previous = room.seats[playerId].connection
+    if (previous && previous !== connection) {
+      this.connections.delete(previous)
+      previous.close()
+    }
+
+    this.leaveCurrentRoom(connection)
+    this.seatConnection(connection, room, playerId, token)
+  }
+
+  /**
+   * Validate and apply a player's action, then broadcast the diff
+   * @param {Object} connection - Acting connection
+   * @param {Array} action - Encoded action (see ActionLog)
+   * @throws {Error} If the action is invalid
+   */
+  handleAction(connection, action) {
+    const seat = this.connections.get(connection)
+    if (!seat) {
+      throw new Error('Not in a room')
+    }
+    if (!Array.isArray(action)) {
+      throw new Error('Invalid action')
+    }
+
+    const room = this.getRoom(seat.code)
+    const decoded = decodeAction(action)
+
+    if (decoded.player !== seat.playerId) {
+      throw new Error('You can only act for your own seat')
+    }
+
+    validateAction(room.gameState, decoded)
+    this.applyRoomAction(room, action)
+  }
+
+  /**
+   * Call a timeout for every player to move whose clock has run out
+   * Runs on a timer, so a room whose timeout fails is logged and the other rooms are still checked
+   * @param {number} now - Current timestamp
+   * @returns {number} Number of timeouts called
+   */
+  checkClocks(now = Date.now()) {
+    let timeouts = 0
+
+    for (const room of this.rooms.values()) {
+      try {
+        if (hasTimedOut(room.gameState, now)) {
+          this.applyRoomAction(room, encodeTimeout(room.gameState.currentPlayer))
+          timeouts++
+        }
+      } catch (error) {
+        console.error(`Cannot call timeout in room ${room.code}:`, error)
+      }
+    }
+
+    return timeouts
+  }
+
+  /**
+   * Apply a validated action to a room's game and send each seat the diff of its view
+   * @param {Object} room - Room
+   * @param {Array} action - Encoded action
+   */
+  applyRoomAction(room, action) {
+    const previous = room.gameState
+    room.gameState = toPublicState(GameService.applyAction(previous, action))
+    room.revision++
+    room.lastActivity = Date.now()
+
+    for (const [seatId, seat] of Object.entries(room.seats)) {
+      if (seat.connection) {
+        const playerId = Number(seatId)
+        seat.connection.send(encodeMessage(SERVER_MESSAGES.DIFF, {
+          revision: room.revision,
+          diff: createStateDiff(toSeatState(previous, playerId), toSeatState(room.gameState, playerId)),
+          serverTime: Date.now()
+        }))
+      }
+    }
+  }
+
+  /**
+   * Remove rooms nobody has been connected to for a while
+   * @param {number} now - Current timestamp
+   * @returns {number} Number of rooms removed
+   */
+  pruneRooms(now = Date.now()) {
+    let removed = 0
+
+    for (const [code, room] of this.rooms) {
+      const connected = Object.values(room.seats).some(seat => seat.connection)
+      if (!connected && now - room.lastActivity > ROOM_IDLE_TIMEOUT) {
+        this.rooms.delete(code)
+        removed++
+      }
+    }
+
+    return removed
+  }
+
+  /**
+   * Seat a connection and send it the full state
+   * @param {Object} connection - Connection to seat
+   * @param {Object} room - Room
+   * @param {number} playerId - Seat
+   * @param {string} token - Seat token
+   */
+  seatConnection(connection, room, playerId, token) {
+    room.seats[playerId] = { token, connection }
+    room.lastActivity = Date.now()
+    this.connections.set(connection, { code: room.code, playerId })
+
+    connection.send(encodeMessage(SERVER_MESSAGES.JOINED, { code: room.code, playerId, token }))
+
+    // The clocks start once every seat is taken, and every player needs the running clock
+    const seated = Object.values(room.seats).every(seat => seat.token)
+    const started = seated ? startClock(room.gameState, Date.now()) : room.gameState
+    if (started !== room.gameState) {
+      room.gameState = started
+      room.revision++
+      for (const seat of Object.values(room.seats)) {
+        if (seat.connection) {
+          this.sendState(seat.connection, room)
+        }
+      }
+    } else {
+      this.sendState(connection, room)
+    }
+    this.broadcastPresence(room)
+  }
+
+  /**
+   * Detach a connection from the room it is currently seated in
+   * @param {Object} connection - Connection
+   */
+  leaveCurrentRoom(connection) {
+    if (this.connections.has(connection)) {
+      this.handleDisconnect(connection)
+    }
+  }
+
+  /**
+   * Send the connection's view of the room state, with the server time for its clocks
+   * @param {Object} connection - Seated connection
+   * @param {Object} room - Room
+   */
+  sendState(connection, room) {
+    connection.send(encodeMessage(SERVER_MESSAGES.STATE, {
+      revision: room.revision,
+      state: toSeatState(room.gameState, this.connections.get(connection).playerId),
+      serverTime: Date.now()
+    }))
+  }
+
+  /**
+   * Tell every player who is connected
+   * @param {Object} room - Room
+   */
+  broadcastPresence(room) {
+    this.broadcast(room, SERVER_MESSAGES.PRESENCE, {
+      connected: Object.fromEntries(Object.entries(room.seats).map(([playerId, seat]) => [playerId, Boolean(seat.connection)]))
+    })
+  }
+
+  /**
+   * Send a message to every connected player of a room
+   * @param {Object} room - Room
+   * @param {string} type - Message type
+   * @param {Object} payload - Message fields
+   */
+  broadcast(room, type, payload) {
+    const message = encodeMessage(type, payload)
+    for (const seat of Object.values(room.seats)) {
+      if (seat.connection) {
+        seat.connection.send(message)
+      }
+    }
+  }
+
+  /**
+   * Get the room a connection is seated in
+   * @param {Object} connection - Connection
+   * @returns {Object} Room
+   * @throws {Error} If the connection is not in a room
+   */
+  getConnectionRoom(connection) {
+    const seat = this.connections.get(connection)
+    if (!seat) {
+      throw new Error('Not in a room')
+    }
+    return this.getRoom(seat.code)
+  }
+
+  /**
+   * Look up a room by join code
+   * @param {string} code - Join code
+   * @returns {Object} Room
+   * @throws {Error} If there is no such room
+   */
+  getRoom(code) {
+    const room = this.rooms.get(normalizeJoinCode(code))
+    if (!room) {
+      throw new Error(`Room not found: ${normalizeJoinCode(code)}`)
+    }
+    return room
+  }
+
+  /**
+   * Generate a join code that is not in use
+   * @returns {string} Join code
+   */
+  generateJoinCode() {
+    let code
+    do {
+      code = ''
+      for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+        code += JOIN_CODE_ALPHABET[randomInt(JOIN_CODE_ALPHABET.length)]
+      }
+    } while (this.rooms.has(code))
+    return code
+  }
+}
+
+/**
+ * Create the game for a new room
+ * @param {Object} config - Room config {playerCount, teamPlay, boardShape, customBoard, rows, cols, seed, scoringPreset, endCondition, scoreToWin, roundLimit, timeControl, clockTime, clockIncrement, timeoutAction, pieceSets, costModel, draftFormat}
+ * @returns {Object} Initial game state
+ */
+function createRoomGame(config) {
+  const seed = Number.isInteger(config.seed) ? config.seed >>> 0 : generateSeed()
+  const playerCount = Number.isInteger(config.playerCount)
+    ? Math.min(MAX_PLAYERS, Math.max(MIN_PLAYERS, config.playerCount))
+    : MIN_PLAYERS
+  const gameConfig = {
+    seed,
+    playerCount,
+    teamPlay: config.teamPlay === true && playerCount === TEAM_PLAYER_COUNT,
+    seats: Object.fromEntries(Array.from({ length: playerCount }, (_, index) => [PLAYERS.PLAYER_1 + index, ONLINE_SEAT])),
+    boardShape: BOARD_SHAPES.includes(config.boardShape) ? config.boardShape : 'rectangular',
+    scoringPreset: getScoringPreset(config.scoringPreset).id,
+    endCondition: getEndCondition(config.endCondition).id,
+    scoreToWin: toPositiveInteger(config.scoreToWin),
+    roundLimit: toPositiveInteger(config.roundLimit),
+    timeControl: getTimeControl(config.timeControl).id,
+    clockTime: toPositiveInteger(config.clockTime),
+    clockIncrement: toPositiveInteger(config.clockIncrement),
+    timeoutAction: config.timeoutAction === TIMEOUT_ACTIONS.PASS ? TIMEOUT_ACTIONS.PASS : TIMEOUT_ACTIONS.FORFEIT,
+    costModel: getCostModel(config.costModel).id,
+    draftFormat: getDraftFormat(config.draftFormat).id
+  }
+
+  // Unknown piece sets are ignored; a room needs at least one known set
+  const pieceSets = Array.isArray(config.pieceSets) ? config.pieceSets.filter(setId => Object.hasOwn(PIECE_SETS, setId)) : []
+  if (pieceSets.length > 0) {
+    Object.assign(gameConfig, getPieceSetConfig(pieceSets))
+  }
+
+  // Custom boards arrive as board strings and are checked like the board editor checks them
+  if (config.boardShape === 'custom') {
+    const board = decodeBoard(config.customBoard)
+    const problems = findBoardProblems(board)
+    if (problems.length > 0) {
+      throw new Error(`Invalid custom board: ${problems.join('; ')}`)
+    }
+    return GameService.createNew(board.rows, board.cols, { ...gameConfig, customBoard: encodeBoard(board) })
+  }
+
+  // Varied boards are drawn from the seed when the game state is created
+  const rows = clampBoardSize(config.rows)
+  const cols = clampBoardSize(config.cols)
+  return GameService.createNew(rows, cols, gameConfig)
+}
+
+/**
+ * Clamp a requested board dimension
+ * @param {number} size - Requested size
+ * @returns {number} Size within the allowed range
+ */
+function clampBoardSize(size) {
+  if (!Number.isInteger(size)) {
+    return DEFAULT_BOARD_SIZE
+  }
+  return Math.min(MAX_BOARD_SIZE, Math.max(MIN_BOARD_SIZE, size))
+}
+
+/**
+ * Keep a requested end condition target or clock time only if it is a positive integer
+ * @param {number} value - Requested points to win, number of rounds or seconds
+ * @returns {number|null} Target, or null for the default
+ */
+function toPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0 ? value : null
+}
+
+/**
+ * Check that a decoded action is legal in the current state
+ * @param {Object} gameState - Authoritative game state
+ * @param {Object} decoded - Decoded action
+ * @throws {Error} If the action is not allowed
+ */
+function validateAction(gameState, decoded) {
+  if (gameState.phase === GAME_PHASES.GAME_OVER) {
+    throw new Error('Game is over')
+  }
+  if (gameState.currentPlayer !== decoded.player) {
+    throw new Error('Not your turn')
+  }
+
+  switch (decoded.type) {
+    case 'draftBuy':
+      if (gameState.phase !== GAME_PHASES.DRAFT) {
+        throw new Error('Not in draft phase')
+      }
+      if (!canBuy(gameState, decoded.player, decoded.pieceId)) {
+        throw new Error(`Cannot buy ${decoded.pieceId}`)
+      }
+      break
+    case 'draftPass':
+      if (gameState.phase !== GAME_PHASES.DRAFT) {
+        throw new Error('Not in draft phase')
+      }
+      break
+    case 'draftBid':
+      if (gameState.phase !== GAME_PHASES.DRAFT) {
+        throw new Error('Not in draft phase')
+      }
+      if (!canBid(gameState, decoded.player, decoded.amount)) {
+        throw new Error(`Cannot bid ${decoded.amount}`)
+      }
+      break
+    case 'timeout':
+      if (!hasTimedOut(gameState, Date.now())) {
+        throw new Error('There is still time on the clock')
+      }
+      break
+    default: {
+      if (gameState.phase !== GAME_PHASES.PLACEMENT) {
+        throw new Error('Not in placement phase')
+      }
+      const move = createMove(decoded.player, decoded.pieceId, decoded.transform, decoded.anchor, getGamePieces(gameState))
+      if (!isValidMove(gameState, move)) {
+        throw new Error('Invalid move')
+      }
+    }
+  }
+}
+
+/**
+ * Strip local-only history from a state before it is stored and sent
+ * (online games have no undo)
+ * @param {Object} gameState - Game state
+ * @returns {Object} State without undo/redo stacks
+ */
+function toPublicState(gameState) {
+  return { ...gameState, undoStack: [], redoStack: [] }
+}
+
+/**
+ * Build the state one seat may see: other players' pending blind picks and sealed
+ * auction bids, and their action log entries, stay hidden until they are revealed
+ * The pending picks or bids are the last entries of the action log
+ * @param {Object} gameState - Public game state
+ * @param {number} playerId - Seat the state is for
+ * @returns {Object} Seat's view of the state
+ */
+function toSeatState(gameState, playerId) {
+  const { draftState, actionLog } = gameState
+  const picks = draftState?.blindPicks || []
+  const bids = draftState?.auction?.bids || []
+  const sealedCount = countSecretActions(gameState)
+
+  if (sealedCount === 0) {
+    return gameState
+  }
+
+  const sealedFrom = Array.isArray(actionLog) ? actionLog.length - sealedCount : 0
+  const isSecret = entry => entry.player !== playerId
+
+  return {
+    ...gameState,
+    draftState: {
+      ...draftState,
+      ...(draftState.blindPicks && {
+        blindPicks: picks.map(pick => isSecret(pick) ? { player: pick.player, pieceId: null, sealed: true } : pick)
+      }),
+      ...(draftState.auction && {
+        auction: {
+          ...draftState.auction,
+          bids: bids.map(bid => isSecret(bid) ? { player: bid.player, amount: 0, sealed: true } : bid)
+        }
+      })
+    },
+    ...(Array.isArray(actionLog) && {
+      actionLog: actionLog.map((action, index) =>
+        index >= sealedFrom && action[1] !== playerId ? sealAction(action) : action)
+    })
+  }
+}
+
+/**
+ * Hide what a secret action chose, keeping who acted; a blind pass looks like a pick
+ * @param {Array} action - Encoded blind pick, blind pass or auction bid
+ * @returns {Array} Encoded action without the choice
+ */
+function sealAction([code, player]) {
+  return [code === ACTION_CODES.DRAFT_BID ? ACTION_CODES.DRAFT_BID : ACTION_CODES.DRAFT_BUY, player, null]
+}
\ No newline at end of file
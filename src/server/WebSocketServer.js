@@ -0,0 +1,315 @@
+/**
+ * Minimal WebSocket Server
+ * RFC 6455 handshake and framing on top of Node's http module, so the game
+ * server runs locally without external packages
+ */
+
+import { createServer } from 'http'
+import { createHash } from 'crypto'
+import { EventEmitter } from 'events'
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'
+
+// Messages are small JSON documents; anything larger is refused, whether sent
+// in one frame or in fragments
+const MAX_PAYLOAD_LENGTH = 1024 * 1024
+
+// How long a closing connection may take to flush its close frame before the
+// socket is destroyed anyway
+const CLOSE_TIMEOUT_MS = 1000
+
+export const OPCODES = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xA
+}
+
+// Status codes sent in close frames
+export const CLOSE_CODES = {
+  NORMAL: 1000,
+  PROTOCOL_ERROR: 1002,
+  MESSAGE_TOO_BIG: 1009
+}
+
+/**
+ * Compute the Sec-WebSocket-Accept value for a handshake key
+ * @param {string} key - Sec-WebSocket-Key request header
+ * @returns {string} Accept value
+ */
+export function createAcceptValue(key) {
+  return createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64')
+}
+
+/**
+ * Encode a single final frame; server frames are sent unmasked
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer|string} payload - Frame payload
+ * @param {Buffer} mask - Optional 4-byte masking key (client -> server frames)
+ * @returns {Buffer} Encoded frame
+ */
+export function encodeFrame(opcode, payload = Buffer.alloc(0), mask = null) {
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload)
+  const maskBit = mask ? 0x80 : 0
+  let header
+
+  if (data.length < 126) {
+    header = Buffer.from([0x80 | opcode, maskBit | data.length])
+  } else if (data.length < 65536) {
+    header = Buffer.alloc(4)
+    header[0] = 0x80 | opcode
+    header[1] = maskBit | 126
+    header.writeUInt16BE(data.length, 2)
+  } else {
+    header = Buffer.alloc(10)
+    header[0] = 0x80 | opcode
+    header[1] = maskBit | 127
+    header.writeBigUInt64BE(BigInt(data.length), 2)
+  }
+
+  if (!mask) {
+    return Buffer.concat([header, data])
+  }
+
+  return Buffer.concat([header, mask, applyMask(data, mask)])
+}
+
+/**
+ * Decode as many complete frames as the buffer holds
+ * @param {Buffer} buffer - Received bytes
+ * @returns {Object} {frames: Array<{fin, opcode, masked, payload}>, rest: Buffer of unread bytes}
+ * @throws {Error} If a frame exceeds the payload limit
+ */
+export function decodeFrames(buffer) {
+  const frames = []
+  let offset = 0
+
+  while (buffer.length - offset >= 2) {
+    const first = buffer[offset]
+    const second = buffer[offset + 1]
+    const masked = (second & 0x80) !== 0
+    let length = second & 0x7F
+    let headerLength = 2
+
+    if (length === 126) {
+      if (buffer.length - offset < 4) break
+      length = buffer.readUInt16BE(offset + 2)
+      headerLength = 4
+    } else if (length === 127) {
+      if (buffer.length - offset < 10) break
+      const longLength = buffer.readBigUInt64BE(offset + 2)
+      if (longLength > BigInt(MAX_PAYLOAD_LENGTH)) {
+        throw new Error('Frame too large')
+      }
+      length = Number(longLength)
+      headerLength = 10
+    }
+
+    if (length > MAX_PAYLOAD_LENGTH) {
+      throw new Error('Frame too large')
+    }
+
+    const maskLength = masked ? 4 : 0
+    const frameLength = headerLength + maskLength + length
+    if (buffer.length - offset < frameLength) break
+
+    let payload = buffer.subarray(offset + headerLength + maskLength, offset + frameLength)
+    if (masked) {
+      const mask = buffer.subarray(offset + headerLength, offset + headerLength + 4)
+      payload = applyMask(payload, mask)
+    }
+
+    frames.push({ fin: (first & 0x80) !== 0, opcode: first & 0x0F, masked, payload: Buffer.from(payload) })
+    offset += frameLength
+  }
+
+  return { frames, rest: buffer.subarray(offset) }
+}
+
+/**
+ * XOR a payload with a 4-byte masking key
+ * @param {Buffer} data - Payload
+ * @param {Buffer} mask - Masking key
+ * @returns {Buffer} Masked (or unmasked) copy
+ */
+function applyMask(data, mask) {
+  const result = Buffer.alloc(data.length)
+  for (let i = 0; i < data.length; i++) {
+    result[i] = data[i] ^ mask[i % 4]
+  }
+  return result
+}
+
+/**
+ * One WebSocket connection
+ * Emits 'message' with the text of each message and 'close' once
+ */
+export class WebSocketConnection extends EventEmitter {
+  constructor(socket) {
+    super()
+    this.socket = socket
+    this.buffer = Buffer.alloc(0)
+    this.fragments = []
+    this.fragmentsLength = 0
+    this.closed = false
+
+    socket.on('data', data => this.receive(data))
+    socket.on('close', () => this.finish())
+    socket.on('error', () => this.finish())
+  }
+
+  /**
+   * Send a text message
+   * @param {string} text - Message text
+   */
+  send(text) {
+    if (!this.closed) {
+      this.socket.write(encodeFrame(OPCODES.TEXT, text))
+    }
+  }
+
+  /**
+   * Close the connection with a close frame
+   * The socket is destroyed once the frame has been flushed (or after
+   * CLOSE_TIMEOUT_MS), since destroying it at once could drop the frame
+   * @param {number} code - Status code (see CLOSE_CODES)
+   */
+  close(code = CLOSE_CODES.NORMAL) {
+    if (this.closed) return
+
+    const payload = Buffer.alloc(2)
+    payload.writeUInt16BE(code)
+    this.socket.end(encodeFrame(OPCODES.CLOSE, payload))
+
+    const timer = setTimeout(() => this.socket.destroy(), CLOSE_TIMEOUT_MS)
+    timer.unref()
+    this.socket.once('finish', () => {
+      clearTimeout(timer)
+      this.socket.destroy()
+    })
+    this.markClosed()
+  }
+
+  /**
+   * Handle received bytes
+   * @param {Buffer} data - Received bytes
+   */
+  receive(data) {
+    this.buffer = Buffer.concat([this.buffer, data])
+
+    let decoded
+    try {
+      decoded = decodeFrames(this.buffer)
+    } catch (error) {
+      // Oversized frames are the only frames that cannot be decoded
+      this.close(CLOSE_CODES.MESSAGE_TOO_BIG)
+      return
+    }
+
+    this.buffer = decoded.rest
+    for (const frame of decoded.frames) {
+      if (this.closed) break
+      this.handleFrame(frame)
+    }
+  }
+
+  /**
+   * Handle one decoded frame
+   * Clients must mask every frame (RFC 6455 section 5.1)
+   * @param {Object} frame - Frame {fin, opcode, masked, payload}
+   */
+  handleFrame(frame) {
+    if (!frame.masked) {
+      this.close(CLOSE_CODES.PROTOCOL_ERROR)
+      return
+    }
+
+    switch (frame.opcode) {
+      case OPCODES.TEXT:
+      case OPCODES.BINARY:
+      case OPCODES.CONTINUATION:
+        this.fragmentsLength += frame.payload.length
+        if (this.fragmentsLength > MAX_PAYLOAD_LENGTH) {
+          this.close(CLOSE_CODES.MESSAGE_TOO_BIG)
+          return
+        }
+
+        this.fragments.push(frame.payload)
+        if (frame.fin) {
+          const message = Buffer.concat(this.fragments).toString('utf8')
+          this.fragments = []
+          this.fragmentsLength = 0
+          this.emit('message', message)
+        }
+        break
+      case OPCODES.PING:
+        this.socket.write(encodeFrame(OPCODES.PONG, frame.payload))
+        break
+      case OPCODES.CLOSE:
+        this.close()
+        break
+      default:
+        break
+    }
+  }
+
+  /**
+   * Destroy the socket after it closed or failed
+   */
+  finish() {
+    this.socket.destroy()
+    this.markClosed()
+  }
+
+  /**
+   * Mark the connection closed and notify listeners once
+   */
+  markClosed() {
+    if (this.closed) return
+    this.closed = true
+    this.emit('close')
+  }
+}
+
+/**
+ * Create an HTTP server that upgrades WebSocket requests
+ * @param {Function} onConnection - Called with each WebSocketConnection
+ * @returns {Object} Node http server (call listen() to start it)
+ */
+export function createWebSocketServer(onConnection) {
+  const server = createServer((request, response) => {
+    response.writeHead(200, { 'Content-Type': 'text/plain' })
+    response.end('SumZero game server\n')
+  })
+
+  server.on('upgrade', (request, socket, head) => {
+    const key = request.headers['sec-websocket-key']
+
+    if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n')
+      return
+    }
+
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${createAcceptValue(key)}`,
+      '',
+      ''
+    ].join('\r\n'))
+
+    const connection = new WebSocketConnection(socket)
+    onConnection(connection)
+
+    // Frames the client sent right behind the request arrive in head, not as 'data';
+    // they are read once the listeners are attached and before any later data
+    if (head.length > 0) {
+      connection.receive(head)
+    }
+  })
+
+  return server
+}
\ No newline at end of file
@@ -0,0 +1,358 @@
+/**
+ * Board Editor
+ * Paint playable cells and holes on a grid, check the board, and save,
+ * export or import it as a board string
+ */
+
+import { createEmptyBoard } from '../core/board/Board.js'
+import { BoardShapes } from '../core/board/BoardShapes.js'
+import {
+  MIN_BOARD_SIDE,
+  MAX_BOARD_SIDE,
+  countPlayableCells,
+  findBoardProblems,
+  canAddHole,
+  encodeBoard,
+  decodeBoard
+} from '../core/board/CustomBoards.js'
+import { escapeHtml } from '../utils/html.js'
+import { MENU_STYLES } from './menuStyles.js'
+
+// Size of a new board and of shapes loaded as a starting point
+const DEFAULT_EDITOR_SIZE = 10
+
+// Paint modes
+const PAINT_MODES = {
+  PLAYABLE: 'playable',
+  HOLE: 'hole'
+}
+
+export class BoardEditorUI {
+  /**
+   * @param {HTMLElement} container - Element to render into
+   * @param {Function} onClose - Called with the board string to play on, or null to go back
+   * @param {Object} boardStore - Saved boards (see BoardStore), null to disable saving
+   * @param {string} boardString - Board to start from, a blank board if not given
+   */
+  constructor(container, onClose, boardStore = null, boardString = null) {
+    this.container = container
+    this.onClose = onClose
+    this.boardStore = boardStore
+    this.board = boardString ? decodeBoard(boardString) : createEmptyBoard(DEFAULT_EDITOR_SIZE, DEFAULT_EDITOR_SIZE)
+    this.paintMode = PAINT_MODES.HOLE
+    this.boardName = ''
+    this.message = null
+    this.savedBoards = []
+  }
+
+  /**
+   * Render the editor
+   */
+  render() {
+    this.container.innerHTML = ''
+    this.savedBoards = this.listSavedBoards()
+
+    const problems = findBoardProblems(this.board)
+    const { rows, cols } = this.board
+
+    const wrapper = document.createElement('div')
+    wrapper.className = 'menu-wrapper'
+    wrapper.innerHTML = `
+      <style>${MENU_STYLES}</style>
+
+      <h1 class="menu-title">Board Editor</h1>
+
+      <div class="menu-content">
+        <div class="menu-section">
+          <h3>Size</h3>
+          <div class="editor-size">
+            <label>Width <input id="editor-cols" class="menu-input" type="number" min="${MIN_BOARD_SIDE}" max="${MAX_BOARD_SIDE}" value="${cols}"></label>
+            <label>Height <input id="editor-rows" class="menu-input" type="number" min="${MIN_BOARD_SIDE}" max="${MAX_BOARD_SIDE}" value="${rows}"></label>
+          </div>
+          <div class="option-group">
+            <div class="option-btn" onclick="window.boardEditor.resize()">Resize</div>
+            <div class="option-btn" onclick="window.boardEditor.fill(0)">Clear Holes</div>
+          </div>
+          <h4>Start From a Shape</h4>
+          <div class="option-group">
+            <select id="editor-shape" class="menu-input" aria-label="Board shape">
+              ${BoardShapes.getAllShapeNames().map(shape => `<option value="${shape}">${shape}</option>`).join('')}
+            </select>
+            <div class="option-btn" onclick="window.boardEditor.loadShape()">Load Shape</div>
+          </div>
+        </div>
+
+        <div class="menu-section">
+          <h3>Paint</h3>
+          <div class="option-group">
+            <div class="option-btn ${this.paintMode === PAINT_MODES.PLAYABLE ? 'selected' : ''}"
+                 onclick="window.boardEditor.selectPaintMode('${PAINT_MODES.PLAYABLE}')">
+              Playable Cell
+            </div>
+            <div class="option-btn ${this.paintMode === PAINT_MODES.HOLE ? 'selected' : ''}"
+                 onclick="window.boardEditor.selectPaintMode('${PAINT_MODES.HOLE}')">
+              Hole
+            </div>
+          </div>
+          ${this.renderBoard()}
+          <div class="description">
+            ${problems.length === 0
+              ? `Ready to play: ${cols}x${rows} with ${countPlayableCells(this.board)} playable cells.`
+              : problems.map(problem => `<div class="editor-problem">${problem}</div>`).join('')}
+          </div>
+          ${this.message ? `<div class="description editor-message">${escapeHtml(this.message)}</div>` : ''}
+        </div>
+
+        <div class="menu-section">
+          <h3>Share</h3>
+          <input id="editor-export" class="menu-input" type="text" readonly value="${encodeBoard(this.board)}" aria-label="Board string">
+          <div class="option-group">
+            <div class="option-btn" onclick="window.boardEditor.copyBoardString()">Copy Board String</div>
+          </div>
+          <input id="editor-import" class="menu-input" type="text" placeholder="Paste a board string" aria-label="Board string to import">
+          <div class="option-group">
+            <div class="option-btn" onclick="window.boardEditor.importBoardString()">Import</div>
+          </div>
+        </div>
+
+        ${this.renderSavedBoards()}
+
+        <button class="start-btn" ${problems.length > 0 ? 'disabled' : ''} onclick="window.boardEditor.playBoard()">
+          Play on This Board
+        </button>
+        <button class="start-btn" style="background: #666666;" onclick="window.boardEditor.close()">
+          Back to Menu
+        </button>
+      </div>
+    `
+
+    this.container.appendChild(wrapper)
+  }
+
+  /**
+   * Render the board being edited, one clickable cell per square
+   * @returns {string} HTML string
+   */
+  renderBoard() {
+    const { rows, cols, grid } = this.board
+    let cellsHtml = ''
+
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < cols; x++) {
+        const isHole = grid[y][x] === -1
+        cellsHtml += `
+          <div class="cell ${isHole ? 'unusable' : 'light'}" role="button"
+               aria-label="Row ${y + 1}, column ${x + 1}, ${isHole ? 'hole' : 'playable'}"
+               onclick="window.boardEditor.paintCell(${x}, ${y})"></div>
+        `
+      }
+    }
+
+    return `
+      <div class="board board-editor" style="grid-template-columns: repeat(${cols}, 1fr); grid-template-rows: repeat(${rows}, 1fr); aspect-ratio: ${cols} / ${rows};">
+        ${cellsHtml}
+      </div>
+    `
+  }
+
+  /**
+   * Render the saved boards section
+   * @returns {string} HTML string (empty without a board store)
+   */
+  renderSavedBoards() {
+    if (!this.boardStore) {
+      return ''
+    }
+
+    return `
+      <div class="menu-section">
+        <h3>Saved Boards</h3>
+        <input id="editor-name" class="menu-input" type="text" placeholder="Board name" value="${escapeHtml(this.boardName)}" aria-label="Board name">
+        <div class="option-group">
+          <div class="option-btn" onclick="window.boardEditor.saveBoard()">Save Board</div>
+        </div>
+        ${this.savedBoards.map((record, index) => `
+          <div class="saved-slot">
+            <div>
+              <strong>${escapeHtml(record.name)}</strong>
+              <div class="description">${new Date(record.updatedAt).toLocaleString()}</div>
+            </div>
+            <div class="saved-slot-actions">
+              <div class="option-btn" onclick="window.boardEditor.loadSavedBoard(${index})">Edit</div>
+              <div class="option-btn" onclick="window.boardEditor.deleteSavedBoard(${index})">Delete</div>
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    `
+  }
+
+  /**
+   * List the saved boards, none if storage is unavailable
+   * @returns {Array<Object>} Records {name, board, updatedAt}
+   */
+  listSavedBoards() {
+    if (!this.boardStore) {
+      return []
+    }
+
+    try {
+      return this.boardStore.list()
+    } catch (error) {
+      console.error('Cannot list saved boards:', error)
+      return []
+    }
+  }
+
+  /**
+   * Replace the board being edited and show a message
+   * @param {Object} board - New board
+   * @param {string|null} message - Message to show
+   */
+  setBoard(board, message = null) {
+    this.board = board
+    this.message = message
+    this.render()
+  }
+
+  /**
+   * Select what clicking a cell paints
+   */
+  selectPaintMode(mode) {
+    this.paintMode = mode
+    this.render()
+  }
+
+  /**
+   * Paint one cell; holes that would leave their neighbours in too small an area are refused
+   */
+  paintCell(x, y) {
+    if (this.paintMode === PAINT_MODES.PLAYABLE) {
+      this.board.grid[y][x] = 0
+      this.message = null
+    } else if (canAddHole(this.board, x, y)) {
+      this.board.grid[y][x] = -1
+      this.message = null
+    } else {
+      this.message = `A hole at row ${y + 1}, column ${x + 1} would leave the cells around it in too small an area`
+    }
+    this.render()
+  }
+
+  /**
+   * Make every cell playable (0) or a hole (-1)
+   */
+  fill(value) {
+    const board = createEmptyBoard(this.board.rows, this.board.cols)
+    board.grid.forEach(row => row.fill(value))
+    this.setBoard(board)
+  }
+
+  /**
+   * Resize the board to the size fields, keeping the cells that still fit
+   */
+  resize() {
+    const clamp = value => Math.min(MAX_BOARD_SIDE, Math.max(MIN_BOARD_SIDE, Math.round(Number(value)) || DEFAULT_EDITOR_SIZE))
+    const rows = clamp(document.getElementById('editor-rows').value)
+    const cols = clamp(document.getElementById('editor-cols').value)
+
+    const board = createEmptyBoard(rows, cols)
+    for (let y = 0; y < Math.min(rows, this.board.rows); y++) {
+      for (let x = 0; x < Math.min(cols, this.board.cols); x++) {
+        board.grid[y][x] = this.board.grid[y][x]
+      }
+    }
+    this.setBoard(board)
+  }
+
+  /**
+   * Start over from one of the generated board shapes, without random holes
+   */
+  loadShape() {
+    const shape = document.getElementById('editor-shape').value
+    this.setBoard(BoardShapes.createShapedBoard(shape, DEFAULT_EDITOR_SIZE, false))
+  }
+
+  /**
+   * Copy the board string to the clipboard
+   */
+  async copyBoardString() {
+    const field = document.getElementById('editor-export')
+    try {
+      await navigator.clipboard.writeText(field.value)
+      this.message = 'Board string copied'
+    } catch (error) {
+      field.select()
+      this.message = 'Select the board string and copy it'
+    }
+    this.render()
+  }
+
+  /**
+   * Replace the board with a pasted board string
+   */
+  importBoardString() {
+    const text = document.getElementById('editor-import').value
+    try {
+      this.setBoard(decodeBoard(text), 'Board imported')
+    } catch (error) {
+      this.message = error.message
+      this.render()
+    }
+  }
+
+  /**
+   * Save the board under the name typed in the name field
+   */
+  saveBoard() {
+    this.boardName = document.getElementById('editor-name').value
+    try {
+      const record = this.boardStore.save(this.boardName, this.board)
+      this.message = `Saved "${record.name}"`
+    } catch (error) {
+      this.message = `Cannot save board: ${error.message}`
+    }
+    this.render()
+  }
+
+  /**
+   * Edit a saved board
+   * @param {number} index - Index in the saved boards list
+   */
+  loadSavedBoard(index) {
+    const record = this.savedBoards[index]
+    this.boardName = record.name
+    this.setBoard(decodeBoard(record.board), `Editing "${record.name}"`)
+  }
+
+  /**
+   * Delete a saved board
+   * @param {number} index - Index in the saved boards list
+   */
+  deleteSavedBoard(index) {
+    const record = this.savedBoards[index]
+    if (!confirm(`Delete the board "${record.name}"?`)) {
+      return
+    }
+
+    this.boardStore.delete(record.name)
+    this.message = `Deleted "${record.name}"`
+    this.render()
+  }
+
+  /**
+   * Go back to the menu with this board selected
+   */
+  playBoard() {
+    if (findBoardProblems(this.board).length === 0) {
+      this.onClose(encodeBoard(this.board))
+    }
+  }
+
+  /**
+   * Go back to the menu without choosing the board
+   */
+  close() {
+    this.onClose(null)
+  }
+}
\ No newline at end of file
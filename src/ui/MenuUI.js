@@ -3,12 +3,55 @@
  * Handles game mode selection, difficulty settings, and navigation
  */
 
+import { SEAT_TYPES, AI_DIFFICULTIES, MIN_PLAYERS, MAX_PLAYERS } from '../utils/constants.js'
+import { DEFAULT_SERVER_PORT } from '../network/Protocol.js'
+import { GameService } from '../core/game/GameService.js'
+import { pickTextFile } from '../utils/files.js'
+import { escapeHtml } from '../utils/html.js'
+import { SCORING_PRESETS, DEFAULT_SCORING_PRESET } from '../core/scoring/ScoringPresets.js'
+import { PIECE_SETS } from '../core/pieces/PieceDefinitions.js'
+import { COST_MODELS, DEFAULT_COST_MODEL } from '../core/draft/CostModels.js'
+import { DRAFT_FORMATS, DEFAULT_DRAFT_FORMAT } from '../core/draft/DraftFormats.js'
+import {
+  END_CONDITIONS,
+  DEFAULT_END_CONDITION,
+  DEFAULT_SCORE_TO_WIN,
+  DEFAULT_ROUND_LIMIT
+} from '../core/game/EndConditions.js'
+import { TIME_CONTROLS, DEFAULT_TIME_CONTROL, TIMEOUT_ACTIONS } from '../core/game/TimeControls.js'
+import { TEAM_PLAYER_COUNT } from '../core/game/Teams.js'
+import { MENU_STYLES } from './menuStyles.js'
+import { BoardEditorUI } from './BoardEditorUI.js'
+import { decodeBoard, findBoardProblems, countPlayableCells } from '../core/board/CustomBoards.js'
+
 export class MenuUI {
-  constructor(container, onGameStart) {
+  constructor(container, onGameStart, saveStore = null, boardStore = null) {
     this.container = container
     this.onGameStart = onGameStart
-    this.selectedDifficulty = 'normal'
+    this.saveStore = saveStore
+    this.boardStore = boardStore
+    this.seats = {
+      1: { type: SEAT_TYPES.HUMAN, difficulty: 'normal' },
+      2: { type: SEAT_TYPES.AI, difficulty: 'normal' },
+      3: { type: SEAT_TYPES.AI, difficulty: 'normal' },
+      4: { type: SEAT_TYPES.AI, difficulty: 'normal' }
+    }
+    this.playerCount = MIN_PLAYERS
+    this.teamPlay = false
+    this.hotSeat = { enabled: true, hideArsenals: true }
     this.selectedBoardShape = 'rectangular'
+    this.customBoard = null
+    this.selectedScoringPreset = DEFAULT_SCORING_PRESET
+    this.selectedPieceSets = ['tetrominoes', 'pentominoes']
+    this.selectedCostModel = DEFAULT_COST_MODEL
+    this.selectedDraftFormat = DEFAULT_DRAFT_FORMAT
+    this.selectedEndCondition = DEFAULT_END_CONDITION
+    this.endConditionTargets = { score_target: DEFAULT_SCORE_TO_WIN, turn_limit: DEFAULT_ROUND_LIMIT }
+    this.selectedTimeControl = DEFAULT_TIME_CONTROL
+    this.clockTime = null
+    this.clockIncrement = null
+    this.timeoutAction = TIMEOUT_ACTIONS.FORFEIT
+    this.serverUrl = `ws://${window.location.hostname || 'localhost'}:${DEFAULT_SERVER_PORT}`
   }
 
   /**
@@ -20,123 +63,7 @@ export class MenuUI {
     const wrapper = document.createElement('div')
     wrapper.className = 'menu-wrapper'
     wrapper.innerHTML = `
-      <style>
-        .menu-wrapper {
-          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
-          max-width: 600px;
-          margin: 0 auto;
-          padding: 20px;
-          background: #ffffff;
-          min-height: 100vh;
-          display: flex;
-          flex-direction: column;
-          justify-content: center;
-          align-items: center;
-        }
-        .menu-title {
-          text-align: center;
-          color: #333333;
-          font-size: 4em;
-          font-weight: 300;
-          margin-bottom: 40px;
-          display: flex;
-          flex-direction: column;
-          align-items: center;
-          gap: 20px;
-        }
-        .menu-logo {
-          width: 120px;
-          height: 120px;
-          object-fit: contain;
-        }
-        .menu-content {
-          background: #f8f8f8;
-          border-radius: 8px;
-          padding: 30px;
-          border: 1px solid #e8e8e8;
-          width: 100%;
-          max-width: 500px;
-        }
-        .menu-section {
-          margin-bottom: 25px;
-        }
-        .menu-section h3 {
-          color: #333333;
-          margin-bottom: 15px;
-          font-size: 1.3em;
-          border-bottom: 1px solid #e8e8e8;
-          padding-bottom: 5px;
-        }
-        .option-group {
-          display: flex;
-          flex-wrap: wrap;
-          gap: 10px;
-          margin-bottom: 15px;
-        }
-        .option-btn {
-          background: #ffffff;
-          border: 1px solid #dddddd;
-          border-radius: 4px;
-          padding: 12px 20px;
-          cursor: pointer;
-          transition: all 0.15s ease;
-          flex: 1;
-          min-width: 120px;
-          text-align: center;
-          font-weight: 400;
-        }
-        .option-btn:hover {
-          background: #f0f0f0;
-          transform: translateY(-1px);
-        }
-        .option-btn.selected {
-          background: #333333;
-          color: white;
-          border-color: #333333;
-        }
-        .start-btn {
-          background: #333333;
-          color: white;
-          border: none;
-          border-radius: 4px;
-          padding: 15px 30px;
-          font-size: 1.2em;
-          font-weight: 400;
-          cursor: pointer;
-          width: 100%;
-          margin-top: 20px;
-          transition: all 0.15s ease;
-        }
-        .start-btn:hover {
-          background: #555555;
-        }
-        .description {
-          color: #666666;
-          font-size: 0.9em;
-          margin-top: 8px;
-          font-style: italic;
-        }
-        @media (max-width: 768px) {
-          .menu-title {
-            font-size: 3em;
-            margin-bottom: 30px;
-          }
-          .menu-logo {
-            width: 100px;
-            height: 100px;
-          }
-          .menu-content {
-            padding: 20px;
-            margin: 10px;
-          }
-          .option-group {
-            flex-direction: column;
-          }
-          .option-btn {
-            min-width: auto;
-          }
-        }
-      </style>
+      <style>${MENU_STYLES}</style>
 
       <h1 class="menu-title">
         <img src="/logo.png" alt="SumZero Logo" class="menu-logo">
@@ -145,29 +72,13 @@ export class MenuUI {
 
       <div class="menu-content">
 
+        <div id="saved-games" class="menu-section" hidden></div>
+
         <div class="menu-section">
-          <h3>Difficulty</h3>
-          <div class="option-group">
-            <div class="option-btn ${this.selectedDifficulty === 'easy' ? 'selected' : ''}"
-                 onclick="window.menuUI.selectDifficulty('easy')">
-              Easy
-            </div>
-            <div class="option-btn ${this.selectedDifficulty === 'normal' ? 'selected' : ''}"
-                 onclick="window.menuUI.selectDifficulty('normal')">
-              Normal
-            </div>
-            <div class="option-btn ${this.selectedDifficulty === 'medium' ? 'selected' : ''}"
-                 onclick="window.menuUI.selectDifficulty('medium')">
-              Medium
-            </div>
-            <div class="option-btn ${this.selectedDifficulty === 'hard' ? 'selected' : ''}"
-                 onclick="window.menuUI.selectDifficulty('hard')">
-              Hard
-            </div>
-          </div>
-          <div class="description">
-            ${this.getDifficultyDescription()}
-          </div>
+          <h3>Players</h3>
+          ${this.renderPlayerCountOptions()}
+          ${this.getActiveSeatIds().map(playerId => this.renderSeatOptions(playerId)).join('')}
+          ${this.renderHotSeatOptions()}
         </div>
 
         <div class="menu-section">
@@ -181,20 +92,143 @@ export class MenuUI {
                  onclick="window.menuUI.selectBoardShape('varied')">
               Varied
             </div>
+            <div class="option-btn ${this.selectedBoardShape === 'custom' ? 'selected' : ''}"
+                 onclick="window.menuUI.selectBoardShape('custom')">
+              Custom
+            </div>
           </div>
           <div class="description">
             ${this.getBoardShapeDescription()}
           </div>
+          ${this.selectedBoardShape === 'custom' ? this.renderCustomBoardOptions() : ''}
+        </div>
+
+        <div class="menu-section">
+          <h3>Scoring</h3>
+          <div class="option-group">
+            ${Object.values(SCORING_PRESETS).map(preset => `
+              <div class="option-btn ${this.selectedScoringPreset === preset.id ? 'selected' : ''}"
+                   onclick="window.menuUI.selectScoringPreset('${preset.id}')">
+                ${preset.name}
+              </div>
+            `).join('')}
+          </div>
+          <div class="description">
+            ${SCORING_PRESETS[this.selectedScoringPreset].description}
+          </div>
+        </div>
+
+        <div class="menu-section">
+          <h3>End of Game</h3>
+          <div class="option-group">
+            ${Object.values(END_CONDITIONS).map(condition => `
+              <div class="option-btn ${this.selectedEndCondition === condition.id ? 'selected' : ''}"
+                   onclick="window.menuUI.selectEndCondition('${condition.id}')">
+                ${condition.name}
+              </div>
+            `).join('')}
+          </div>
+          ${Object.hasOwn(this.endConditionTargets, this.selectedEndCondition) ? `
+            <input class="menu-input" type="number" min="1" value="${this.endConditionTargets[this.selectedEndCondition]}"
+                   onchange="window.menuUI.setEndConditionTarget(this.value)"
+                   aria-label="${this.selectedEndCondition === 'score_target' ? 'Points to win' : 'Number of rounds'}">
+          ` : ''}
+          <div class="description">
+            ${END_CONDITIONS[this.selectedEndCondition].description}
+          </div>
+        </div>
+
+        <div class="menu-section">
+          <h3>Clock</h3>
+          <div class="option-group">
+            ${Object.values(TIME_CONTROLS).map(control => `
+              <div class="option-btn ${this.selectedTimeControl === control.id ? 'selected' : ''}"
+                   onclick="window.menuUI.selectTimeControl('${control.id}')">
+                ${control.name}
+              </div>
+            `).join('')}
+          </div>
+          ${this.renderClockSettings()}
+          <div class="description">
+            ${TIME_CONTROLS[this.selectedTimeControl].description}
+          </div>
+        </div>
+
+        <div class="menu-section">
+          <h3>Pieces</h3>
+          <div class="option-group">
+            ${Object.entries(PIECE_SETS).map(([setId, set]) => `
+              <div class="option-btn ${this.selectedPieceSets.includes(setId) ? 'selected' : ''}"
+                   onclick="window.menuUI.togglePieceSet('${setId}')">
+                ${set.name}
+              </div>
+            `).join('')}
+          </div>
+          <div class="description">
+            ${this.getPieceSetDescription()}
+          </div>
+        </div>
+
+        <div class="menu-section">
+          <h3>Draft</h3>
+          <div class="option-group">
+            ${Object.values(DRAFT_FORMATS).map(format => `
+              <div class="option-btn ${this.selectedDraftFormat === format.id ? 'selected' : ''}"
+                   onclick="window.menuUI.selectDraftFormat('${format.id}')">
+                ${format.name}
+              </div>
+            `).join('')}
+          </div>
+          <div class="description">
+            ${DRAFT_FORMATS[this.selectedDraftFormat].description}
+          </div>
+        </div>
+
+        <div class="menu-section">
+          <h3>Piece Prices</h3>
+          <div class="option-group">
+            ${Object.values(COST_MODELS).map(model => `
+              <div class="option-btn ${this.selectedCostModel === model.id ? 'selected' : ''}"
+                   onclick="window.menuUI.selectCostModel('${model.id}')">
+                ${model.name}
+              </div>
+            `).join('')}
+          </div>
+          <div class="description">
+            ${COST_MODELS[this.selectedCostModel].description}
+          </div>
         </div>
 
         <button class="start-btn" onclick="window.menuUI.startGame()">
           Start Game
         </button>
 
+        <div class="menu-section" style="margin-top: 25px;">
+          <h3>Play Online</h3>
+          <input id="server-url" class="menu-input" type="text" value="${this.serverUrl}" aria-label="Game server URL">
+          <div class="option-group">
+            <div class="option-btn" onclick="window.menuUI.createOnlineRoom()">
+              Create Room
+            </div>
+          </div>
+          <input id="join-code" class="menu-input" type="text" placeholder="Join code" maxlength="8" aria-label="Join code">
+          <div class="option-group">
+            <div class="option-btn" onclick="window.menuUI.joinOnlineRoom()">
+              Join Room
+            </div>
+          </div>
+          <div class="description">
+            Two players on different devices. Run <code>npm run server</code> and share the room's join code.
+          </div>
+        </div>
+
         <div style="margin-top: 20px; padding: 15px; background: #ffffff; border-radius: 4px; border: 1px solid #e8e8e8;">
           <button class="start-btn" style="background: #666666; margin: 0; padding: 10px 20px; font-size: 0.9em;" onclick="window.menuUI.showTutorial()">
 Quick Tutorial
           </button>
+          <button class="start-btn" style="background: #666666; margin: 10px 0 0 0; padding: 10px 20px; font-size: 0.9em;" onclick="window.menuUI.importGame()">
+Import Game File
+          </button>
         </div>
 
         <div style="text-align: center; margin-top: 15px; font-size: 12px; color: #666666;">
@@ -204,14 +238,322 @@ Quick Tutorial
     `
 
     this.container.appendChild(wrapper)
+    this.renderSavedGames()
   }
 
+  /**
+   * Fill in the saved games section: "Continue Game" for the most recent
+   * game and one entry per save slot
+   */
+  async renderSavedGames() {
+    const section = this.container.querySelector('#saved-games')
+    if (!section || !this.saveStore) return
+
+    let slots
+    try {
+      slots = await this.saveStore.list()
+    } catch (error) {
+      console.error('Cannot list saved games:', error)
+      return
+    }
+
+    if (slots.length === 0) {
+      section.hidden = true
+      return
+    }
+
+    section.hidden = false
+    section.innerHTML = `
+      <h3>Saved Games</h3>
+      <button class="start-btn" style="margin-top: 0;" onclick="window.menuUI.resumeGame('${slots[0].id}')">
+        Continue Game
+      </button>
+      ${slots.map(slot => `
+        <div class="saved-slot">
+          <div>
+            <strong>${escapeHtml(this.describeBoard(slot.meta))}</strong> - Turn ${escapeHtml(slot.meta.turn)} -
+            ${escapeHtml(Object.values(slot.meta.scores || {}).join(' : '))}
+            <div class="description">
+              ${escapeHtml(this.describeSeats(slot.meta.seats))}, ${escapeHtml(slot.meta.phase)} phase,
+              ${new Date(slot.updatedAt).toLocaleString()}
+            </div>
+          </div>
+          <div class="saved-slot-actions">
+            <div class="option-btn" onclick="window.menuUI.resumeGame('${slot.id}')">Resume</div>
+            <div class="option-btn" onclick="window.menuUI.deleteSavedGame('${slot.id}')">Delete</div>
+          </div>
+        </div>
+      `).join('')}
+    `
+  }
+
+  /**
+   * Describe the board of a saved game
+   * @param {Object} meta - Save metadata
+   * @returns {string} Board description such as 'Varied 12x11'
+   */
+  describeBoard(meta) {
+    const boardShape = String(meta.boardShape ?? 'rectangular')
+    const shape = boardShape.charAt(0).toUpperCase() + boardShape.slice(1)
+    return `${shape} ${meta.cols}x${meta.rows}`
+  }
+
+  /**
+   * Describe who plays a saved game
+   * @param {Object} seats - Seat configuration (null for the default human vs. AI)
+   * @returns {string} Description such as 'Human vs. AI (hard)'
+   */
+  describeSeats(seats) {
+    if (!seats) {
+      return 'Human vs. AI'
+    }
+
+    return Object.keys(seats).map(playerId => {
+      const seat = seats[playerId]
+      return seat.type === SEAT_TYPES.AI ? `AI (${seat.difficulty || 'normal'})` : 'Human'
+    }).join(' vs. ')
+  }
+
+  /**
+   * Continue a saved game
+   */
+  resumeGame(slotId) {
+    this.onGameStart({ resume: slotId })
+  }
+
+  /**
+   * Open a game from a .sumzero.json file
+   */
+  async importGame() {
+    try {
+      const text = await pickTextFile('.json')
+      if (text !== null) {
+        this.onGameStart({ gameState: GameService.load(text) })
+      }
+    } catch (error) {
+      alert(`Cannot import game: ${error.message}`)
+    }
+  }
+
+  /**
+   * Delete a saved game after confirmation
+   */
+  async deleteSavedGame(slotId) {
+    if (!confirm('Delete this saved game?')) return
+
+    try {
+      await this.saveStore.delete(slotId)
+    } catch (error) {
+      alert(`Cannot delete saved game: ${error.message}`)
+    }
+    this.renderSavedGames()
+  }
+
+
+  /**
+   * Render the choice of how many players take part, and of teams for four players
+   * @returns {string} HTML string for the player count options
+   */
+  renderPlayerCountOptions() {
+    const counts = []
+    for (let count = MIN_PLAYERS; count <= MAX_PLAYERS; count++) {
+      counts.push(count)
+    }
+
+    const teamOptions = this.playerCount === TEAM_PLAYER_COUNT ? `
+      <div class="option-group">
+        <div class="option-btn ${!this.teamPlay ? 'selected' : ''}"
+             onclick="window.menuUI.selectTeamPlay(false)">
+          Free for All
+        </div>
+        <div class="option-btn ${this.teamPlay ? 'selected' : ''}"
+             onclick="window.menuUI.selectTeamPlay(true)">
+          2 vs 2 Teams
+        </div>
+      </div>
+    ` : ''
+
+    return `
+      <div class="option-group">
+        ${counts.map(count => `
+          <div class="option-btn ${this.playerCount === count ? 'selected' : ''}"
+               onclick="window.menuUI.selectPlayerCount(${count})">
+            ${count} Players
+          </div>
+        `).join('')}
+      </div>
+      ${teamOptions}
+      <div class="description">
+        ${this.getPlayerCountDescription()}
+      </div>
+    `
+  }
+
+  /**
+   * Describe the selected player count and teams
+   */
+  getPlayerCountDescription() {
+    if (this.isTeamPlay()) {
+      return 'Players 1 and 3 take on Players 2 and 4. Partners draft and place separately, ' +
+        'but patterns built from both partners\' pieces score for the team.'
+    }
+    return this.playerCount === MIN_PLAYERS
+      ? 'A head-to-head game.'
+      : `Players take turns in order; the budget is split ${this.playerCount} ways.`
+  }
+
+  /**
+   * Check if the selected game is played in teams
+   * @returns {boolean} True for 2 vs 2 games
+   */
+  isTeamPlay() {
+    return this.teamPlay && this.playerCount === TEAM_PLAYER_COUNT
+  }
+
+  /**
+   * Choose between a free-for-all and a 2 vs 2 team game
+   */
+  selectTeamPlay(teamPlay) {
+    this.teamPlay = teamPlay
+    this.render()
+  }
+
+  /**
+   * Get the seats taking part in the game
+   * @returns {number[]} Player IDs 1..playerCount
+   */
+  getActiveSeatIds() {
+    return Object.keys(this.seats).map(Number).filter(playerId => playerId <= this.playerCount)
+  }
 
   /**
-   * Select difficulty
+   * Select how many players take part
    */
-  selectDifficulty(difficulty) {
-    this.selectedDifficulty = difficulty
+  selectPlayerCount(count) {
+    this.playerCount = count
+    this.render()
+  }
+
+  /**
+   * Render the human/AI choice and AI difficulty for one seat
+   * @param {number} playerId - Player ID
+   * @returns {string} HTML string for the seat options
+   */
+  renderSeatOptions(playerId) {
+    const seat = this.seats[playerId]
+    const isAI = seat.type === SEAT_TYPES.AI
+
+    const difficultyOptions = isAI ? `
+      <div class="option-group">
+        ${AI_DIFFICULTIES.map(difficulty => `
+          <div class="option-btn ${seat.difficulty === difficulty ? 'selected' : ''}"
+               onclick="window.menuUI.selectSeatDifficulty(${playerId}, '${difficulty}')">
+            ${difficulty.charAt(0).toUpperCase() + difficulty.slice(1)}
+          </div>
+        `).join('')}
+      </div>
+      <div class="description">
+        ${this.getDifficultyDescription(seat.difficulty)}
+      </div>
+    ` : ''
+
+    return `
+      <h4>Player ${playerId}${playerId === 1 ? ' (moves first)' : ''}</h4>
+      <div class="option-group">
+        <div class="option-btn ${!isAI ? 'selected' : ''}"
+             onclick="window.menuUI.selectSeatType(${playerId}, '${SEAT_TYPES.HUMAN}')">
+          Human
+        </div>
+        <div class="option-btn ${isAI ? 'selected' : ''}"
+             onclick="window.menuUI.selectSeatType(${playerId}, '${SEAT_TYPES.AI}')">
+          AI
+        </div>
+      </div>
+      ${difficultyOptions}
+    `
+  }
+
+  /**
+   * Render the pass-and-play options, shown when every seat is human
+   * @returns {string} HTML string for the hot-seat options
+   */
+  renderHotSeatOptions() {
+    if (!this.isAllHuman()) {
+      return ''
+    }
+
+    const { enabled, hideArsenals } = this.hotSeat
+    const arsenalOptions = enabled ? `
+      <div class="option-group">
+        <div class="option-btn ${!hideArsenals ? 'selected' : ''}"
+             onclick="window.menuUI.selectHideArsenals(false)">
+          Show Arsenals
+        </div>
+        <div class="option-btn ${hideArsenals ? 'selected' : ''}"
+             onclick="window.menuUI.selectHideArsenals(true)">
+          Hide Arsenals
+        </div>
+      </div>
+    ` : ''
+
+    return `
+      <h4>Sharing One Device</h4>
+      <div class="option-group">
+        <div class="option-btn ${enabled ? 'selected' : ''}"
+             onclick="window.menuUI.selectHotSeat(true)">
+          Pass &amp; Play
+        </div>
+        <div class="option-btn ${!enabled ? 'selected' : ''}"
+             onclick="window.menuUI.selectHotSeat(false)">
+          Open Table
+        </div>
+      </div>
+      ${arsenalOptions}
+      <div class="description">
+        ${enabled
+          ? `A hand-over screen appears between turns${hideArsenals ? ' and each player only sees their own pieces' : ''}.`
+          : 'Everyone sees the whole screen at all times.'}
+      </div>
+    `
+  }
+
+  /**
+   * Check if every seat taking part is played by a human
+   * @returns {boolean} True for games without AI players
+   */
+  isAllHuman() {
+    return this.getActiveSeatIds().every(playerId => this.seats[playerId].type === SEAT_TYPES.HUMAN)
+  }
+
+  /**
+   * Turn the pass-and-play hand-over screen on or off
+   */
+  selectHotSeat(enabled) {
+    this.hotSeat = { ...this.hotSeat, enabled }
+    this.render()
+  }
+
+  /**
+   * Choose whether pass-and-play hides each player's arsenal from the other
+   */
+  selectHideArsenals(hideArsenals) {
+    this.hotSeat = { ...this.hotSeat, hideArsenals }
+    this.render()
+  }
+
+  /**
+   * Select whether a human or the AI plays a seat
+   */
+  selectSeatType(playerId, type) {
+    this.seats[playerId] = { ...this.seats[playerId], type }
+    this.render()
+  }
+
+  /**
+   * Select the AI difficulty for a seat
+   */
+  selectSeatDifficulty(playerId, difficulty) {
+    this.seats[playerId] = { ...this.seats[playerId], difficulty }
     this.render()
   }
 
@@ -223,18 +565,335 @@ Quick Tutorial
     this.render()
   }
 
+  /**
+   * Render the custom board controls: the board editor and pasted board strings
+   * @returns {string} HTML string
+   */
+  renderCustomBoardOptions() {
+    return `
+      <h4>Board String</h4>
+      <input id="board-string" class="menu-input" type="text" placeholder="Paste a board string" value="${this.customBoard || ''}">
+      <div class="option-group">
+        <div class="option-btn" onclick="window.menuUI.useBoardString()">Use Board String</div>
+        <div class="option-btn" onclick="window.menuUI.openBoardEditor()">Open Board Editor</div>
+      </div>
+    `
+  }
+
+  /**
+   * Use the board string pasted into the menu as the custom board
+   */
+  useBoardString() {
+    const text = document.getElementById('board-string').value.trim()
+    try {
+      const problems = findBoardProblems(decodeBoard(text))
+      if (problems.length > 0) {
+        alert(`Cannot use this board: ${problems.join('; ')}`)
+        return
+      }
+    } catch (error) {
+      alert(error.message)
+      return
+    }
+
+    this.customBoard = text
+    this.render()
+  }
+
+  /**
+   * Open the board editor on the custom board; the menu returns when it closes
+   */
+  openBoardEditor() {
+    const editor = new BoardEditorUI(this.container, (boardString) => {
+      window.boardEditor = null
+      if (boardString) {
+        this.customBoard = boardString
+        this.selectedBoardShape = 'custom'
+      }
+      this.render()
+    }, this.boardStore, this.customBoard)
+    window.boardEditor = editor // Make globally accessible for event handlers
+    editor.render()
+  }
+
+  /**
+   * Check that a custom board is ready before a game starts
+   * @returns {boolean} True if the game can start
+   */
+  checkCustomBoard() {
+    if (this.selectedBoardShape === 'custom' && !this.customBoard) {
+      alert('Draw a board in the board editor or paste a board string first')
+      return false
+    }
+    return true
+  }
+
+  /**
+   * Select the scoring preset
+   */
+  selectScoringPreset(presetId) {
+    this.selectedScoringPreset = presetId
+    this.render()
+  }
+
+  /**
+   * Select the end condition
+   */
+  selectEndCondition(conditionId) {
+    this.selectedEndCondition = conditionId
+    this.render()
+  }
+
+  /**
+   * Set the points to win or the number of rounds of the selected end condition
+   */
+  setEndConditionTarget(value) {
+    const target = parseInt(value, 10)
+    if (target > 0) {
+      this.endConditionTargets[this.selectedEndCondition] = target
+    }
+    this.render()
+  }
+
+  /**
+   * Get the end condition options of the game config
+   */
+  getEndConditionConfig() {
+    return {
+      endCondition: this.selectedEndCondition,
+      scoreToWin: this.selectedEndCondition === 'score_target' ? this.endConditionTargets.score_target : null,
+      roundLimit: this.selectedEndCondition === 'turn_limit' ? this.endConditionTargets.turn_limit : null
+    }
+  }
+
+  /**
+   * Render the times and the timeout rule of the selected time control
+   * Time banks are set in minutes, per-move time in seconds
+   * @returns {string} HTML string (empty for untimed games)
+   */
+  renderClockSettings() {
+    const control = TIME_CONTROLS[this.selectedTimeControl]
+    if (control.id === 'none') {
+      return ''
+    }
+
+    const perMove = control.id === 'per_move'
+    return `
+      <input class="menu-input" type="number" min="1" value="${perMove ? this.clockTime : this.clockTime / 60}"
+             onchange="window.menuUI.setClockTime(this.value)"
+             aria-label="${perMove ? 'Seconds per move' : 'Minutes per player'}">
+      ${control.id === 'fischer' ? `
+        <input class="menu-input" type="number" min="1" value="${this.clockIncrement}"
+               onchange="window.menuUI.setClockIncrement(this.value)" aria-label="Increment in seconds">
+      ` : ''}
+      <div class="option-group">
+        <div class="option-btn ${this.timeoutAction === TIMEOUT_ACTIONS.FORFEIT ? 'selected' : ''}"
+             onclick="window.menuUI.selectTimeoutAction('${TIMEOUT_ACTIONS.FORFEIT}')">
+          Out of Time Loses
+        </div>
+        ${control.refills ? `
+          <div class="option-btn ${this.timeoutAction === TIMEOUT_ACTIONS.PASS ? 'selected' : ''}"
+               onclick="window.menuUI.selectTimeoutAction('${TIMEOUT_ACTIONS.PASS}')">
+            Out of Time Passes
+          </div>
+        ` : ''}
+      </div>
+    `
+  }
+
+  /**
+   * Select the time control, starting from its default times
+   * Only clocks that gain time every turn can pass the turn when time runs out
+   */
+  selectTimeControl(controlId) {
+    const control = TIME_CONTROLS[controlId]
+    this.selectedTimeControl = controlId
+    this.clockTime = control.defaultTime
+    this.clockIncrement = control.defaultIncrement
+    if (!control.refills) {
+      this.timeoutAction = TIMEOUT_ACTIONS.FORFEIT
+    }
+    this.render()
+  }
+
+  /**
+   * Set the time bank (minutes) or the time per move (seconds)
+   */
+  setClockTime(value) {
+    const time = parseInt(value, 10)
+    if (time > 0) {
+      this.clockTime = this.selectedTimeControl === 'per_move' ? time : time * 60
+    }
+    this.render()
+  }
+
+  /**
+   * Set the Fischer increment (seconds)
+   */
+  setClockIncrement(value) {
+    const increment = parseInt(value, 10)
+    if (increment > 0) {
+      this.clockIncrement = increment
+    }
+    this.render()
+  }
+
+  /**
+   * Select what happens to a player who runs out of time
+   */
+  selectTimeoutAction(action) {
+    this.timeoutAction = action
+    this.render()
+  }
+
+  /**
+   * Get the clock options of the game config
+   */
+  getTimeControlConfig() {
+    return {
+      timeControl: this.selectedTimeControl,
+      clockTime: this.clockTime,
+      clockIncrement: this.clockIncrement,
+      timeoutAction: this.timeoutAction
+    }
+  }
+
+  /**
+   * Select the draft cost model
+   */
+  selectCostModel(modelId) {
+    this.selectedCostModel = modelId
+    if (COST_MODELS[modelId].auction && !DRAFT_FORMATS[this.selectedDraftFormat].supportsAuction) {
+      this.selectedDraftFormat = DEFAULT_DRAFT_FORMAT
+    }
+    this.render()
+  }
+
+  /**
+   * Select the draft format; formats without auctions fall back to fixed prices
+   */
+  selectDraftFormat(formatId) {
+    this.selectedDraftFormat = formatId
+    if (!DRAFT_FORMATS[formatId].supportsAuction && COST_MODELS[this.selectedCostModel].auction) {
+      this.selectedCostModel = DEFAULT_COST_MODEL
+    }
+    this.render()
+  }
+
+  /**
+   * Toggle a piece set; at least one set stays selected
+   */
+  togglePieceSet(setId) {
+    if (!this.selectedPieceSets.includes(setId)) {
+      this.selectedPieceSets = Object.keys(PIECE_SETS)
+        .filter(id => id === setId || this.selectedPieceSets.includes(id))
+    } else if (this.selectedPieceSets.length > 1) {
+      this.selectedPieceSets = this.selectedPieceSets.filter(id => id !== setId)
+    }
+    this.render()
+  }
+
+  /**
+   * Describe the selected piece sets
+   */
+  getPieceSetDescription() {
+    const count = this.selectedPieceSets
+      .reduce((total, setId) => total + Object.keys(PIECE_SETS[setId].pieces).length, 0)
+    const sizes = this.selectedPieceSets.map(setId => PIECE_SETS[setId].size).join(', ')
+    return `${count} pieces of ${sizes} cells. Hexominoes cost one point more than their size.`
+  }
+
   /**
    * Start the game with selected options
    */
   startGame() {
+    if (!this.checkCustomBoard()) {
+      return
+    }
+
+    // Only AI seats carry a difficulty
+    const seats = {}
+    for (const playerId of this.getActiveSeatIds()) {
+      const seat = this.seats[playerId]
+      seats[playerId] = {
+        type: seat.type,
+        difficulty: seat.type === SEAT_TYPES.AI ? seat.difficulty : null
+      }
+    }
+
     const gameConfig = {
-      difficulty: this.selectedDifficulty,
-      boardShape: this.selectedBoardShape
+      playerCount: this.playerCount,
+      teamPlay: this.isTeamPlay(),
+      seats,
+      hotSeat: this.isAllHuman() && this.hotSeat.enabled ? { hideArsenals: this.hotSeat.hideArsenals } : null,
+      boardShape: this.selectedBoardShape,
+      customBoard: this.getCustomBoard(),
+      scoringPreset: this.selectedScoringPreset,
+      ...this.getEndConditionConfig(),
+      ...this.getTimeControlConfig(),
+      pieceSets: this.selectedPieceSets,
+      costModel: this.selectedCostModel,
+      draftFormat: this.selectedDraftFormat
     }
 
     this.onGameStart(gameConfig)
   }
 
+  /**
+   * Get the board string to play on
+   * @returns {string|null} Board string for custom boards, otherwise null
+   */
+  getCustomBoard() {
+    return this.selectedBoardShape === 'custom' ? this.customBoard : null
+  }
+
+  /**
+   * Create an online room with the selected board shape and scoring
+   */
+  createOnlineRoom() {
+    if (!this.checkCustomBoard()) {
+      return
+    }
+
+    this.onGameStart({
+      playerCount: this.playerCount,
+      teamPlay: this.isTeamPlay(),
+      boardShape: this.selectedBoardShape,
+      customBoard: this.getCustomBoard(),
+      scoringPreset: this.selectedScoringPreset,
+      ...this.getEndConditionConfig(),
+      ...this.getTimeControlConfig(),
+      pieceSets: this.selectedPieceSets,
+      costModel: this.selectedCostModel,
+      draftFormat: this.selectedDraftFormat,
+      online: { serverUrl: this.readServerUrl(), action: 'create' }
+    })
+  }
+
+  /**
+   * Join an online room by the code typed in the menu
+   */
+  joinOnlineRoom() {
+    const code = document.getElementById('join-code').value.trim()
+    if (!code) {
+      alert('Enter the join code of the room')
+      return
+    }
+
+    this.onGameStart({
+      online: { serverUrl: this.readServerUrl(), action: 'join', code }
+    })
+  }
+
+  /**
+   * Read and remember the server URL field
+   * @returns {string} Server URL
+   */
+  readServerUrl() {
+    this.serverUrl = document.getElementById('server-url').value.trim() || this.serverUrl
+    return this.serverUrl
+  }
+
   /**
    * Get game mode description
    */
@@ -242,8 +901,8 @@ Quick Tutorial
   /**
    * Get difficulty description
    */
-  getDifficultyDescription() {
-    switch (this.selectedDifficulty) {
+  getDifficultyDescription(difficulty) {
+    switch (difficulty) {
       case 'easy':
         return 'AI makes many mistakes - good for learning the game.'
       case 'normal':
@@ -252,6 +911,8 @@ Quick Tutorial
         return 'Advanced AI that actively sabotages your strategy and blocks your patterns.'
       case 'hard':
         return 'RUTHLESS AI with MAXIMUM aggression - destroys your plans, denies opportunities, and shows NO MERCY.'
+      case 'expert':
+        return 'Search-based AI that drafts for the actual board and looks ahead at your replies before every placement.'
       default:
         return ''
     }
@@ -266,6 +927,13 @@ Quick Tutorial
         return 'Standard 10x10 square board.'
       case 'varied':
         return 'Non-rectangular boards with interesting shapes.'
+      case 'custom': {
+        if (!this.customBoard) {
+          return 'Draw your own board in the board editor, or paste a board string shared by a friend.'
+        }
+        const board = decodeBoard(this.customBoard)
+        return `Your own ${board.cols}x${board.rows} board with ${countPlayableCells(board)} playable cells.`
+      }
       default:
         return ''
     }
@@ -320,6 +988,7 @@ Quick Tutorial
             <li><strong>Rectangles:</strong> Solid rectangles = 7-18 points</li>
             <li><strong>Squares:</strong> Perfect squares = 10-30 points</li>
             <li><strong>Control Areas:</strong> Corners/edges = 12-25 points</li>
+            <li><strong>Enclosures:</strong> Seal opponent pieces off in a small pocket with your pieces, holes and board edges = 20 points, once per pocket</li>
           </ul>
 
           <h3 style="color: #333333; margin-top: 20px;">Pro Tips</h3>
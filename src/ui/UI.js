@@ -4,12 +4,87 @@
  */
 
 import { GameService } from '../core/game/GameService.js'
+import { ScoringService } from '../core/scoring/ScoringService.js'
 import { getAvailablePieces } from '../core/draft/DraftService.js'
+import { getDraftCost, isAuctionDraft } from '../core/draft/CostModels.js'
+import { getDraftFormatId, getSnakeRounds } from '../core/draft/DraftFormats.js'
+import { countPlacementRounds } from '../core/game/EndConditions.js'
+import {
+  startClock,
+  pauseClock,
+  isClockRunning,
+  getRemainingTime,
+  hasTimedOut,
+  formatClockTime
+} from '../core/game/TimeControls.js'
 import { enumerateLegalMoves, createMove, isLegalPlacement } from '../core/placement/PlacementService.js'
-import { pieceLibrary } from '../core/pieces/PieceLibrary.js'
+import { getGamePieces } from '../core/pieces/PieceLibrary.js'
 import { applyTransform, calculateAbsCells } from '../core/geometry/Transform.js'
 import { SimpleAI } from '../ai/SimpleAI.js'
-import { GAME_PHASES, PLAYERS } from '../utils/constants.js'
+import { AIWorkerClient } from '../ai/AIWorkerClient.js'
+import { GAME_PHASES } from '../utils/constants.js'
+import {
+  getPlayerIds,
+  getOpponents,
+  isAISeat,
+  getHumanPlayers,
+  getSeatDifficulty,
+  isHotSeat,
+  hidesArsenals
+} from '../core/game/GameState.js'
+import { isTeamGame, getTeamId, getSide, isSameSide, describeSide } from '../core/game/Teams.js'
+import {
+  createActionLog,
+  serializeActionLog,
+  parseActionLog,
+  countSecretActions,
+  decodeAction,
+  encodeDraftBuy,
+  encodeDraftPass,
+  encodeDraftBid,
+  encodePlacement,
+  getInitialConfig
+} from '../core/game/ActionLog.js'
+import { downloadTextFile, pickTextFile, timestampedFileName } from '../utils/files.js'
+import { createSlotId } from '../utils/SaveStore.js'
+import { getScoringPreset, describeScoringPreset, WIN_CONDITIONS } from '../core/scoring/ScoringPresets.js'
+
+// Piece previews shrink cells for pieces longer than this
+const PREVIEW_MAX_CELLS = 5
+
+// Clocks are redrawn this often (ms) and turn red below the warning time
+const CLOCK_TICK_INTERVAL = 250
+const CLOCK_LOW_TIME = 10 * 1000
+
+// Accent colour of each player's score card
+const SCORE_CARD_COLORS = {
+  1: '#007bff',
+  2: '#dc3545',
+  3: '#28a745',
+  4: '#6f42c1'
+}
+
+// Legend shape shown for each scoring pattern family
+const FAMILY_LEGEND_SHAPES = {
+  line: 'line-4',
+  diagonal: 'diagonal',
+  complete: 'full-row',
+  rectangle: 'rect-2x3',
+  square: 'square-3x3',
+  corner: 'corner',
+  edge: 'edge',
+  center: 'center',
+  enclosure: 'enclosure'
+}
+
+/**
+ * Check if a key event target takes typed text
+ * @param {EventTarget} target - Event target
+ * @returns {boolean} True for inputs, text areas and editable content
+ */
+function isTextEntry(target) {
+  return Boolean(target) && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable === true)
+}
 
 /**
  * Simple UI class for game interaction
@@ -23,8 +98,25 @@ export class UI {
     this.previewTransform = { rot: 0, flipX: false }
     this.hoveredCells = []
     this.aiThinking = false
+    this.aiTimeout = null
+    this.aiRequest = null
+    this.aiWorker = new AIWorkerClient()
     this.overlayShown = false
     this.overlayTimeout = null
+    this.clockInterval = null
+
+    // Online game: connection to the game server and room status
+    this.network = null
+    this.onlineStatus = { code: null, connected: false, presence: {} }
+
+    // Hot-seat game: the player currently holding the device
+    this.viewingPlayer = null
+
+    // Autosave slot of this game; saves run one after another
+    this.saveStore = null
+    this.saveSlotId = null
+    this.lastSavedState = null
+    this.saveQueue = Promise.resolve()
 
     // Set up keyboard controls
     this.setupKeyboardControls()
@@ -35,9 +127,39 @@ export class UI {
 
   /**
    * Set up keyboard event listeners for piece transformation
+   * The listener is removed in returnToMenu, so only the showing game handles keys
    */
   setupKeyboardControls() {
-    document.addEventListener('keydown', (e) => {
+    this.keydownHandler = (e) => {
+      // Leave keys to form fields, and to other screens drawn into the container
+      if (isTextEntry(e.target) || !this.container.querySelector('.game-wrapper')) return
+
+      // Step through the replay viewer with the arrow keys
+      if (this.replayViewer) {
+        if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+          e.preventDefault()
+          this.stepReplay(e.key === 'ArrowLeft' ? -1 : 1)
+        } else if (e.key === 'Escape') {
+          this.closeReplayViewer()
+        }
+        return
+      }
+
+      // Undo (Ctrl/Cmd+Z) and redo (Ctrl/Cmd+Y or Ctrl/Cmd+Shift+Z)
+      if ((e.ctrlKey || e.metaKey) && this.gameState) {
+        const key = e.key.toLowerCase()
+        if (key === 'z' && !e.shiftKey) {
+          e.preventDefault()
+          this.undoMove()
+          return
+        }
+        if (key === 'y' || (key === 'z' && e.shiftKey)) {
+          e.preventDefault()
+          this.redoMove()
+          return
+        }
+      }
+
       if (!this.selectedPiece || this.gameState?.phase !== 'placement') return
 
       switch(e.key.toLowerCase()) {
@@ -54,7 +176,8 @@ export class UI {
           this.clearSelection()
           break
       }
-    })
+    }
+    document.addEventListener('keydown', this.keydownHandler)
   }
 
   /**
@@ -75,9 +198,18 @@ export class UI {
    */
   render(gameState) {
     this.gameState = gameState
+    if (this.viewingPlayer === null) {
+      this.viewingPlayer = gameState.currentPlayer
+    }
+
+    // Online games run on the server's clock
+    if (!this.network) {
+      this.syncLocalClock()
+    }
 
     // Check for game end conditions before rendering
     this.checkAndHandleGameEnd()
+    this.autosave()
 
     this.container.innerHTML = ''
 
@@ -102,10 +234,104 @@ export class UI {
 
     this.container.appendChild(wrapper)
 
+    // Cover the screen until the next hot-seat player has the device
+    this.renderHandoverScreen()
+
+    this.drawClocks()
+    this.updateClockTicker()
+
     // Check if AI should make a move
     this.checkAITurn()
   }
 
+  /**
+   * Run a local game's clock while a player can act; a hot-seat game's clock
+   * is paused while the device is handed over
+   */
+  syncLocalClock() {
+    const now = Date.now()
+    this.gameState = this.isAwaitingHandover()
+      ? pauseClock(this.gameState, now)
+      : startClock(this.gameState, now)
+  }
+
+  /**
+   * Get the time the clocks are measured in (the server's in online games)
+   * @returns {number} Timestamp (ms)
+   */
+  getClockTime() {
+    return this.network ? this.network.getServerTime() : Date.now()
+  }
+
+  /**
+   * Render every player's clock
+   * @returns {string} HTML string (empty for untimed games)
+   */
+  renderClocks() {
+    if (!this.gameState.clock) {
+      return ''
+    }
+
+    const running = isClockRunning(this.gameState)
+    return `
+      <div class="clock-display">
+        ${getPlayerIds(this.gameState).map(playerId => `
+          <div class="clock-item ${running && this.gameState.currentPlayer === playerId ? 'clock-running' : ''}">
+            <span class="clock-label">${this.getPlayerLabel(playerId)}</span>
+            <span class="clock-value" data-clock-player="${playerId}"></span>
+          </div>
+        `).join('')}
+      </div>
+    `
+  }
+
+  /**
+   * Show each player's time left in the rendered clocks
+   */
+  drawClocks() {
+    const now = this.getClockTime()
+
+    for (const element of this.container.querySelectorAll('[data-clock-player]')) {
+      const remaining = getRemainingTime(this.gameState, Number(element.dataset.clockPlayer), now)
+      element.textContent = formatClockTime(remaining)
+      element.classList.toggle('clock-low', remaining < CLOCK_LOW_TIME)
+    }
+  }
+
+  /**
+   * Keep the clocks ticking while a timed game's clock runs
+   */
+  updateClockTicker() {
+    if (!isClockRunning(this.gameState)) {
+      this.stopClockTicker()
+    } else if (!this.clockInterval) {
+      this.clockInterval = setInterval(() => this.tickClock(), CLOCK_TICK_INTERVAL)
+    }
+  }
+
+  /**
+   * Stop redrawing the clocks
+   */
+  stopClockTicker() {
+    clearInterval(this.clockInterval)
+    this.clockInterval = null
+  }
+
+  /**
+   * Redraw the clocks; in a local game, call the timeout of a player out of time
+   * (the server calls timeouts in online games)
+   */
+  tickClock() {
+    if (!this.network && hasTimedOut(this.gameState, Date.now())) {
+      this.cancelAITurn()
+      this.gameState = GameService.timeout(this.gameState, this.gameState.currentPlayer)
+      this.render(this.gameState)
+      return
+    }
+
+    this.drawClocks()
+  }
+
   renderGameStatus(container) {
     const status = GameService.getStatus(this.gameState)
     const statusDiv = document.createElement('div')
@@ -118,11 +344,7 @@ export class UI {
     if (status.phase === GAME_PHASES.DRAFT) {
       statusText = `Draft Phase - Player ${status.currentPlayer}'s turn`
     } else if (status.phase === GAME_PHASES.PLACEMENT) {
-      if (status.currentPlayer === 1) {
-        statusText = `Player 1 draws...`
-      } else {
-        statusText = `Player 2 draws...`
-      }
+      statusText = `Player ${status.currentPlayer} draws...`
     } else if (status.phase === GAME_PHASES.GAME_OVER) {
       // Enhanced game ending announcement
       statusText = this.formatGameEndingAnnouncement(status)
@@ -133,14 +355,18 @@ export class UI {
     if (status.scores) {
       scoreDisplay = `
         <div class="score-display">
-          <div class="score-item ${status.currentPlayer === 1 ? 'current-player' : ''}">
-            <span class="score-label">Player 1:</span>
-            <span class="score-value">${status.scores.player1}</span>
-          </div>
-          <div class="score-item ${status.currentPlayer === 2 ? 'current-player' : ''}">
-            <span class="score-label">Player 2:</span>
-            <span class="score-value">${status.scores.player2}</span>
-          </div>
+          ${isTeamGame(this.gameState) ? Object.entries(this.gameState.scoring.teams).map(([teamId, team]) => `
+            <div class="score-item ${team.players.includes(status.currentPlayer) ? 'current-player' : ''}">
+              <span class="score-label">Team ${teamId}:</span>
+              <span class="score-value">${team.score}</span>
+            </div>
+          `).join('') : ''}
+          ${getPlayerIds(this.gameState).map(playerId => `
+            <div class="score-item ${status.currentPlayer === playerId ? 'current-player' : ''}">
+              <span class="score-label">Player ${playerId}:</span>
+              <span class="score-value">${status.scores[`player${playerId}`]}</span>
+            </div>
+          `).join('')}
         </div>
       `
     }
@@ -166,9 +392,11 @@ export class UI {
 
     statusDiv.innerHTML = `
       <h1 style="text-align: center; margin: 0 0 15px 0; color: #2c3e50; font-size: 2.5em; font-weight: bold; text-shadow: 2px 2px 4px rgba(0,0,0,0.1);">SumZero</h1>
+      ${this.renderOnlineStatus()}
       <p><strong>${statusText}</strong></p>
-      <p>Turn: ${status.turn}</p>
+      <p>Turn: ${status.turn}${this.describeEndCondition()}</p>
       ${scoreDisplay}
+      ${this.renderClocks()}
       ${patternAlert}
       ${gameStats}
     `
@@ -189,18 +417,28 @@ export class UI {
   }
 
   renderDraftScreen(container) {
+    const auction = isAuctionDraft(this.gameState)
+    const format = getDraftFormatId(this.gameState)
+    const progress = this.describeDraftProgress(format)
     const draftDiv = document.createElement('div')
     draftDiv.className = 'draft-screen'
     draftDiv.innerHTML = `
-      <h3 class="draft-title">Choose Your Pieces</h3>
-      <div id="available-pieces" class="piece-gallery"></div>
+      <h3 class="draft-title">${auction ? 'Bid for the Revealed Piece' : format === 'blind' ? 'Pick in Secret' : 'Choose Your Pieces'}</h3>
+      ${progress ? `<p class="help-text">${progress}</p>` : ''}
+      <div id="available-pieces" class="${auction ? 'auction-lot' : 'piece-gallery'}"></div>
       <div class="draft-controls">
-        <button id="pass-btn" class="btn">Pass Turn</button>
+        <button id="pass-btn" class="btn">${auction ? 'Pass on This Piece' : format === 'snake' ? 'Skip Pick' : 'Pass Turn'}</button>
+        <button class="btn btn-undo" onclick="window.ui.undoMove()" ${GameService.canUndo(this.gameState) ? '' : 'disabled'}>Undo</button>
+        <button class="btn btn-redo" onclick="window.ui.redoMove()" ${GameService.canRedo(this.gameState) ? '' : 'disabled'}>Redo</button>
       </div>
       <div id="players-info" class="draft-info"></div>
     `
 
-    this.renderAvailablePieces(draftDiv.querySelector('#available-pieces'))
+    if (auction) {
+      this.renderAuctionLot(draftDiv.querySelector('#available-pieces'))
+    } else {
+      this.renderAvailablePieces(draftDiv.querySelector('#available-pieces'))
+    }
     this.renderPlayersInfo(draftDiv.querySelector('#players-info'))
 
     draftDiv.querySelector('#pass-btn').onclick = () => {
@@ -269,10 +507,9 @@ export class UI {
         let cellLabel = `Cell ${x}, ${y}`
         if (cellValue === -1) {
           cellLabel += ', unusable'
-        } else if (cellValue === 1) {
-          cellLabel += ', occupied by Player 1'
-        } else if (cellValue === 2) {
-          cellLabel += ', occupied by Player 2'
+        } else if (cellValue > 0) {
+          const teamId = getTeamId(this.gameState, cellValue)
+          cellLabel += `, occupied by Player ${cellValue}${teamId === null ? '' : ` (Team ${teamId})`}`
         } else {
           cellLabel += ', empty'
         }
@@ -286,10 +523,8 @@ export class UI {
           const isLight = (x + y) % 2 === 0
           cell.classList.add(isLight ? 'light' : 'dark')
 
-          if (cellValue === 1) {
-            cell.classList.add('player1', 'occupied')
-          } else if (cellValue === 2) {
-            cell.classList.add('player2', 'occupied')
+          if (cellValue > 0) {
+            cell.classList.add(...this.getOwnerClasses(cellValue), 'occupied')
           }
 
           // Add preview highlighting for hovered cells
@@ -325,12 +560,12 @@ export class UI {
 
     container.innerHTML = ''
     for (const pieceId of availablePieces) {
-      const piece = pieceLibrary.get(pieceId)
+      const piece = getGamePieces(this.gameState).get(pieceId)
       const tile = document.createElement('div')
       tile.className = 'piece-tile'
       tile.innerHTML = `
         <div>${pieceId}</div>
-        <div style="font-size: 12px;">Cost: ${piece.cost}</div>
+        <div style="font-size: 12px;">Cost: ${getDraftCost(this.gameState, pieceId)}</div>
         ${this.renderPiecePreview(piece.relCells)}
       `
       tile.onclick = () => this.handleDraftBuy(pieceId)
@@ -338,11 +573,104 @@ export class UI {
     }
   }
 
+  /**
+   * Describe the game's end condition for the status line
+   * @returns {string} Text starting with a separator, empty when playing until everyone is blocked
+   */
+  describeEndCondition() {
+    const { type, scoreToWin, roundLimit } = this.gameState.endCondition || {}
+
+    switch (type) {
+      case 'score_target':
+        return ` | First to ${scoreToWin} points`
+      case 'turn_limit':
+        return ` | Round ${Math.min(countPlacementRounds(this.gameState) + 1, roundLimit)} of ${roundLimit}`
+      case 'sudden_death':
+        return ' | Sudden death'
+      default:
+        return ''
+    }
+  }
+
+  /**
+   * Describe where a snake or blind draft stands
+   * @param {string} format - Draft format ID
+   * @returns {string} Progress text, empty for other formats
+   */
+  describeDraftProgress(format) {
+    const { draftState } = this.gameState
+
+    if (format === 'snake') {
+      const playerCount = getPlayerIds(this.gameState).length
+      const picks = getSnakeRounds(this.gameState) * playerCount
+      return `Pick ${draftState.pick + 1} of ${picks} (round ${Math.floor(draftState.pick / playerCount) + 1})`
+    }
+
+    if (format === 'blind') {
+      const waiting = draftState.blindPicks.map(pick => pick.player)
+      const revealed = (draftState.lastReveal || []).map(pick => {
+        if (pick.pieceId === null) return `Player ${pick.player} passed`
+        return `Player ${pick.player} ${pick.bought ? 'took' : 'lost'} ${pick.pieceId}`
+      }).join(', ')
+
+      return [
+        waiting.length > 0 ? `${waiting.length > 1 ? 'Players' : 'Player'} ${waiting.join(', ')} ${waiting.length > 1 ? 'have' : 'has'} picked in secret` : '',
+        revealed ? `Last round: ${revealed}` : ''
+      ].filter(Boolean).join('. ')
+    }
+
+    return ''
+  }
+
+  /**
+   * Render the revealed auction lot with the bid form
+   * The first bid stays sealed until the lot is decided
+   */
+  renderAuctionLot(container) {
+    const { auction, lastLot } = this.gameState.draftState
+    const piece = getGamePieces(this.gameState).get(auction.pieceId)
+    const budget = this.gameState.players[this.gameState.currentPlayer].budget
+    const listedCost = getDraftCost(this.gameState, auction.pieceId)
+    const sealedBid = auction.bids[0]
+
+    container.innerHTML = `
+      <div class="piece-tile">
+        <div>${auction.pieceId}</div>
+        <div style="font-size: 12px;">Listed cost: ${listedCost}</div>
+        ${this.renderPiecePreview(piece.relCells)}
+      </div>
+      <p class="help-text">${sealedBid ? `Player ${sealedBid.player} has placed a sealed bid` : 'Opening bid'}</p>
+      <label>Your bid (0-${budget}):
+        <input id="bid-amount" type="number" min="0" max="${budget}" value="${Math.min(listedCost, budget)}">
+      </label>
+      <button id="bid-btn" class="btn">Place Bid</button>
+      ${lastLot ? `<p class="help-text">${this.describeLastLot(lastLot)}</p>` : ''}
+    `
+
+    container.querySelector('#bid-btn').onclick = () => {
+      this.handleDraftBid(Number.parseInt(container.querySelector('#bid-amount').value, 10))
+    }
+  }
+
+  /**
+   * Describe how the last auction lot was decided
+   * @param {Object} lastLot - Lot outcome {pieceId, bids, winner}
+   * @returns {string} Description
+   */
+  describeLastLot(lastLot) {
+    const bids = lastLot.bids.map(bid => `Player ${bid.player}: ${bid.amount}`).join(', ')
+    if (lastLot.winner === null) {
+      return `Nobody bid on ${lastLot.pieceId}`
+    }
+    const price = lastLot.bids.find(bid => bid.player === lastLot.winner).amount
+    return `Player ${lastLot.winner} won ${lastLot.pieceId} for ${price} (${bids})`
+  }
+
   renderPiecePreview(relCells) {
     const maxX = Math.max(...relCells.map(([x, y]) => x))
     const maxY = Math.max(...relCells.map(([x, y]) => y))
 
-    let html = `<div class="piece-preview" style="grid-template-columns: repeat(${maxX + 1}, 12px); grid-template-rows: repeat(${maxY + 1}, 12px);">`
+    let html = `<div class="piece-preview" style="grid-template-columns: repeat(${maxX + 1}, auto); grid-template-rows: repeat(${maxY + 1}, auto); --piece-scale: ${this.getPieceScale(maxX, maxY)};">`
 
     for (let y = 0; y <= maxY; y++) {
       for (let x = 0; x <= maxX; x++) {
@@ -355,11 +683,21 @@ export class UI {
     return html
   }
 
+  /**
+   * Scale for piece previews, so pieces longer than a pentomino keep the same footprint
+   * @param {number} maxX - Largest relative x
+   * @param {number} maxY - Largest relative y
+   * @returns {number} Cell size factor (1 for pieces up to 5 cells long)
+   */
+  getPieceScale(maxX, maxY) {
+    return Math.min(1, PREVIEW_MAX_CELLS / (Math.max(maxX, maxY) + 1))
+  }
+
   renderMiniaturePiece(relCells) {
     const maxX = Math.max(...relCells.map(([x, y]) => x))
     const maxY = Math.max(...relCells.map(([x, y]) => y))
 
-    let html = `<div class="miniature-grid" style="grid-template-columns: repeat(${maxX + 1}, 8px); grid-template-rows: repeat(${maxY + 1}, 8px);">`
+    let html = `<div class="miniature-grid" style="grid-template-columns: repeat(${maxX + 1}, auto); grid-template-rows: repeat(${maxY + 1}, auto); --piece-scale: ${this.getPieceScale(maxX, maxY)};">`
 
     for (let y = 0; y <= maxY; y++) {
       for (let x = 0; x <= maxX; x++) {
@@ -375,14 +713,17 @@ export class UI {
   renderPlayersInfo(container) {
     container.innerHTML = `
       <div class="players-info">
-        ${[1, 2].map(playerId => {
+        ${getPlayerIds(this.gameState).map(playerId => {
           const player = this.gameState.players[playerId]
           const isCurrentPlayer = playerId === this.gameState.currentPlayer
-          const playerLabel = playerId === 1 ? 'You' : 'Opponent'
+          const teamId = getTeamId(this.gameState, playerId)
+          const playerLabel = this.getPlayerLabel(playerId) + (teamId === null ? '' : ` - Team ${teamId}`)
 
-          const arsenalItems = Object.entries(player.arsenal)
-            .map(([pieceId, count]) => `<span class="arsenal-item">${pieceId} ×${count}</span>`)
-            .join(', ')
+          const arsenalItems = this.isArsenalHidden(playerId)
+            ? 'Hidden'
+            : Object.entries(player.arsenal)
+              .map(([pieceId, count]) => `<span class="arsenal-item">${pieceId} ×${count}</span>`)
+              .join(', ')
 
           return `
             <div class="player-info ${isCurrentPlayer ? 'current-player' : ''}">
@@ -407,6 +748,11 @@ export class UI {
     container.setAttribute('role', 'list')
     container.setAttribute('aria-label', 'Available game pieces')
 
+    if (this.isArsenalHidden(currentPlayer)) {
+      container.innerHTML = `<div class="help-text">Hidden until Player ${currentPlayer} has the device</div>`
+      return
+    }
+
     for (const [pieceId, count] of Object.entries(arsenal)) {
       if (count > 0) {
         const miniature = document.createElement('div')
@@ -415,7 +761,7 @@ export class UI {
         miniature.setAttribute('aria-label', `Select ${pieceId} piece, ${count} remaining`)
         miniature.setAttribute('aria-pressed', this.selectedPiece === pieceId ? 'true' : 'false')
         miniature.setAttribute('tabindex', '0')
-        const piece = pieceLibrary.get(pieceId)
+        const piece = getGamePieces(this.gameState).get(pieceId)
 
         miniature.innerHTML = `
           <div class="miniature-piece">
@@ -470,8 +816,23 @@ export class UI {
       controlsHTML += `<button class="btn btn-menu" onclick="window.ui.returnToMenu()">Main Menu</button>`
     }
 
+    // Online games have no undo and are restarted from the menu
+    if (!this.network) {
+      controlsHTML += `
+        <button class="btn btn-undo" onclick="window.ui.undoMove()" ${GameService.canUndo(this.gameState) ? '' : 'disabled'}>Undo (Ctrl+Z)</button>
+        <button class="btn btn-redo" onclick="window.ui.redoMove()" ${GameService.canRedo(this.gameState) ? '' : 'disabled'}>Redo (Ctrl+Y)</button>
+      `
+    }
+
+    // Exports and replays would show pending blind picks and sealed bids
+    const secret = countSecretActions(this.gameState) > 0 ? 'disabled' : ''
     controlsHTML += `
-      <button class="btn btn-new-game" onclick="window.ui.newGame()">New Game</button>
+      <button class="btn btn-log" onclick="window.ui.exportGame()" ${secret}>Export Game</button>
+      ${this.network ? '' : '<button class="btn btn-log" onclick="window.ui.importGame()">Import Game</button>'}
+      <button class="btn btn-log" onclick="window.ui.openCurrentGameReplay()" ${secret}>Replay Game</button>
+      <button class="btn btn-log" onclick="window.ui.exportActionLog()" ${secret}>Export Log</button>
+      <button class="btn btn-log" onclick="window.ui.importActionLog()">Import Log</button>
+      ${this.network ? '' : '<button class="btn btn-new-game" onclick="window.ui.newGame()">New Game</button>'}
     </div>`
 
     container.innerHTML = controlsHTML
@@ -581,6 +942,17 @@ export class UI {
     document.body.appendChild(overlay)
   }
 
+  /**
+   * Update the loading overlay's message
+   */
+  updateLoadingSpinner(message) {
+    const text = document.querySelector('.loading-overlay .loading-text')
+    if (text) {
+      text.textContent = message
+      text.setAttribute('aria-label', message)
+    }
+  }
+
   /**
    * Hide loading overlay
    */
@@ -593,17 +965,41 @@ export class UI {
 
   // Event handlers
   handleDraftBuy(pieceId) {
+    if (!this.isHumanTurn()) {
+      return
+    }
+
     try {
-      this.gameState = GameService.draftBuy(this.gameState, this.gameState.currentPlayer, pieceId)
+      const playerId = this.gameState.currentPlayer
+      this.commitAction(GameService.draftBuy(this.gameState, playerId, pieceId), encodeDraftBuy(playerId, pieceId))
       this.render(this.gameState)
     } catch (error) {
       alert(`Cannot buy piece: ${error.message}`)
     }
   }
 
+  handleDraftBid(amount) {
+    if (!this.isHumanTurn()) {
+      return
+    }
+
+    try {
+      const playerId = this.gameState.currentPlayer
+      this.commitAction(GameService.draftBid(this.gameState, playerId, amount), encodeDraftBid(playerId, amount))
+      this.render(this.gameState)
+    } catch (error) {
+      alert(`Cannot bid: ${error.message}`)
+    }
+  }
+
   handleDraftPass() {
+    if (!this.isHumanTurn()) {
+      return
+    }
+
     try {
-      this.gameState = GameService.draftPass(this.gameState, this.gameState.currentPlayer)
+      const playerId = this.gameState.currentPlayer
+      this.commitAction(GameService.draftPass(this.gameState, playerId), encodeDraftPass(playerId))
       this.render(this.gameState)
     } catch (error) {
       alert(`Cannot pass: ${error.message}`)
@@ -611,8 +1007,8 @@ export class UI {
   }
 
   selectPiece(pieceId) {
-    // Prevent piece selection during Player 2's turn
-    if (this.gameState.currentPlayer !== PLAYERS.PLAYER_1) {
+    // Prevent piece selection during an AI player's turn
+    if (!this.isHumanTurn()) {
       return
     }
 
@@ -644,9 +1040,9 @@ export class UI {
 
   handleCellClick(x, y) {
     if (this.selectedPiece && this.gameState.phase === GAME_PHASES.PLACEMENT) {
-      // Only allow placement if it's the current player's turn and it's Player 1
-      if (this.gameState.currentPlayer !== PLAYERS.PLAYER_1) {
-        return // Prevent Player 1 from drawing during Player 2's turn
+      // Only allow placement if the current player is human
+      if (!this.isHumanTurn()) {
+        return // Prevent drawing during an AI player's turn
       }
 
       try {
@@ -654,10 +1050,11 @@ export class UI {
           this.gameState.currentPlayer,
           this.selectedPiece,
           this.previewTransform,
-          [x, y]
+          [x, y],
+          getGamePieces(this.gameState)
         )
 
-        this.gameState = GameService.placePiece(this.gameState, move)
+        this.commitAction(GameService.placePiece(this.gameState, move), encodePlacement(move))
         this.selectedPiece = null
         this.hoveredCells = []
         this.render(this.gameState)
@@ -679,18 +1076,18 @@ export class UI {
       return
     }
 
-    if (this.gameState.currentPlayer !== PLAYERS.PLAYER_1) {
-      // Clear any hover effects during Player 2's turn
+    if (!this.isHumanTurn()) {
+      // Clear any hover effects during an AI player's turn
       if (this.hoveredCells.length > 0) {
         this.hoveredCells = []
         this.render(this.gameState)
       }
-      return // Prevent hover preview during Player 2's turn
+      return // Prevent hover preview during an AI player's turn
     }
 
     try {
       // Get the piece and calculate its absolute cells
-      const piece = pieceLibrary.get(this.selectedPiece)
+      const piece = getGamePieces(this.gameState).get(this.selectedPiece)
       const transformedCells = applyTransform(piece.relCells, this.previewTransform)
       const absCells = calculateAbsCells(transformedCells, [x, y])
 
@@ -718,33 +1115,139 @@ export class UI {
   }
 
   /**
-   * Check if it's the AI's turn and make a move
+   * Adopt a human player's action, or send it to the server in an online game;
+   * the server answers with the authoritative state
+   * @param {Object} nextState - State after the action (also validates it locally)
+   * @param {Array} action - Encoded action
+   */
+  commitAction(nextState, action) {
+    if (this.network) {
+      this.network.sendAction(action)
+      return
+    }
+
+    this.gameState = nextState
+  }
+
+  /**
+   * Check if the current player is a human at this screen
+   * (in an online game, only the local player's seat)
+   * @returns {boolean} True during a local human player's turn
+   */
+  isHumanTurn() {
+    if (this.network) {
+      return this.gameState.currentPlayer === this.network.playerId
+    }
+
+    return !isAISeat(this.gameState, this.gameState.currentPlayer)
+  }
+
+  /**
+   * Get the display label for a player based on the seats
+   * @param {number} playerId - Player ID
+   * @returns {string} Label such as 'You', 'Player 2 (AI, hard)' or 'Player 1'
+   */
+  getPlayerLabel(playerId) {
+    if (this.network) {
+      if (playerId === this.network.playerId) return 'You'
+      if (isSameSide(this.gameState, playerId, this.network.playerId)) return 'Partner'
+      return getPlayerIds(this.gameState).length === 2 ? 'Opponent' : `Player ${playerId}`
+    }
+
+    if (isAISeat(this.gameState, playerId)) {
+      return `Player ${playerId} (AI, ${getSeatDifficulty(this.gameState, playerId)})`
+    }
+
+    return getHumanPlayers(this.gameState).length === 1 ? 'You' : `Player ${playerId}`
+  }
+
+  /**
+   * Get the board classes of a cell owner: the player's colour, and in team
+   * games the team's, so partners share a colour in different shades
+   * @param {number} playerId - Player ID
+   * @returns {Array<string>} Class names
+   */
+  getOwnerClasses(playerId) {
+    const teamId = getTeamId(this.gameState, playerId)
+    return teamId === null ? [`player${playerId}`] : [`player${playerId}`, `team${teamId}`]
+  }
+
+  /**
+   * Check if it's an AI player's turn and start the AI's move
+   * The decision is computed in the AI worker; it is applied once both the
+   * worker has answered and the cosmetic action delay has passed
    */
   checkAITurn() {
-    const isAITurn = this.gameState.currentPlayer === PLAYERS.PLAYER_2
+    // Two humans share the device; the AI never plays
+    if (isHotSeat(this.gameState)) {
+      return
+    }
+
+    const isAITurn = isAISeat(this.gameState, this.gameState.currentPlayer)
     const notGameOver = this.gameState.phase !== GAME_PHASES.GAME_OVER
 
     if (isAITurn && notGameOver && !this.aiThinking) {
       this.aiThinking = true
 
       // Show loading spinner
-      this.showLoadingSpinner('AI is thinking...')
+      const message = `${this.getPlayerLabel(this.gameState.currentPlayer)} is thinking...`
+      this.showLoadingSpinner(message)
+
+      const decision = this.aiWorker.requestMove(this.gameState, this.gameState.currentPlayer, ({ depth, maxDepth }) => {
+        this.updateLoadingSpinner(`${message} (depth ${depth} of ${maxDepth})`)
+      })
+      const delay = new Promise(resolve => {
+        this.aiTimeout = setTimeout(resolve, SimpleAI.getActionDelay())
+      })
 
-      setTimeout(() => {
-        this.makeAIMove()
-      }, SimpleAI.getActionDelay())
+      // Requests cancelled in the meantime are no longer this.aiRequest
+      const request = Promise.all([decision, delay])
+      this.aiRequest = request
+      request.then(
+        ([result]) => {
+          if (this.aiRequest === request) this.makeAIMove(result)
+        },
+        error => {
+          if (this.aiRequest !== request) return
+          console.error('AI move error:', error)
+          this.makeAIMove(null)
+        }
+      )
+    }
+  }
+
+  /**
+   * Cancel the AI's move (when leaving or restarting the game)
+   * Stops the AI worker if it is still computing
+   */
+  cancelAITurn() {
+    if (this.aiTimeout) {
+      clearTimeout(this.aiTimeout)
+      this.aiTimeout = null
     }
+    this.aiRequest = null
+    this.aiWorker.cancel()
+    this.aiThinking = false
+    this.hideLoadingSpinner()
   }
 
   /**
-   * Make an AI move (draft or placement)
+   * Apply the AI's decision (draft or placement) for the current player
+   * Rendering happens after the thinking flag is cleared, so that a following
+   * AI turn (AI vs. AI, or a blocked opponent) is scheduled as well
+   * @param {Object|null} decision - Decision from the AI worker, null if it failed
    */
-  makeAIMove() {
+  makeAIMove(decision) {
+    this.aiRequest = null
+    this.aiTimeout = null
+
     try {
-      if (this.gameState.phase === GAME_PHASES.DRAFT) {
-        this.makeAIDraftMove()
-      } else if (this.gameState.phase === GAME_PHASES.PLACEMENT) {
-        this.makeAIPlacementMove()
+      if (decision?.phase === GAME_PHASES.DRAFT && decision.bid !== undefined) {
+        this.gameState = GameService.draftBid(this.gameState, this.gameState.currentPlayer, decision.bid)
+      } else if (decision?.phase === GAME_PHASES.DRAFT) {
+        this.makeAIDraftMove(decision.pieceId)
+      } else if (decision?.phase === GAME_PHASES.PLACEMENT) {
+        this.makeAIPlacementMove(decision.move)
       }
     } catch (error) {
       console.error('AI move error:', error)
@@ -753,32 +1256,31 @@ export class UI {
       // Hide loading spinner
       this.hideLoadingSpinner()
     }
+
+    this.render(this.gameState)
   }
 
   /**
    * Make an AI draft move
+   * @param {string|null} pieceId - Piece to buy, or null to pass
    */
-  makeAIDraftMove() {
-    const decision = SimpleAI.makeDraftDecision(this.gameState, PLAYERS.PLAYER_2)
+  makeAIDraftMove(pieceId) {
+    const playerId = this.gameState.currentPlayer
 
-    if (decision) {
-      this.gameState = GameService.draftBuy(this.gameState, PLAYERS.PLAYER_2, decision)
+    if (pieceId) {
+      this.gameState = GameService.draftBuy(this.gameState, playerId, pieceId)
     } else {
-      this.gameState = GameService.draftPass(this.gameState, PLAYERS.PLAYER_2)
+      this.gameState = GameService.draftPass(this.gameState, playerId)
     }
-
-    this.render(this.gameState)
   }
 
   /**
    * Make an AI placement move
+   * @param {Object|null} move - Move to place, or null if the AI has no legal moves
    */
-  makeAIPlacementMove() {
-    const move = SimpleAI.makePlacementDecision(this.gameState, PLAYERS.PLAYER_2)
-
+  makeAIPlacementMove(move) {
     if (move) {
       this.gameState = GameService.placePiece(this.gameState, move)
-      this.render(this.gameState)
     } else {
       // AI has no moves - check if this ends the game
       console.log('AI has no legal moves - checking game end')
@@ -786,6 +1288,449 @@ export class UI {
     }
   }
 
+  /**
+   * Undo the last human move together with the AI reply
+   * With two human players a single action is undone; AI-only games cannot be undone
+   */
+  undoMove() {
+    const humanPlayers = getHumanPlayers(this.gameState)
+    if (this.network || this.aiThinking || humanPlayers.length === 0 || !GameService.canUndo(this.gameState)) {
+      return
+    }
+
+    this.gameState = humanPlayers.length === 1
+      ? GameService.undoToPlayer(this.gameState, humanPlayers[0])
+      : GameService.undo(this.gameState)
+    this.resetAfterHistoryChange()
+  }
+
+  /**
+   * Redo the last undone human move together with the AI reply
+   */
+  redoMove() {
+    const humanPlayers = getHumanPlayers(this.gameState)
+    if (this.network || this.aiThinking || humanPlayers.length === 0 || !GameService.canRedo(this.gameState)) {
+      return
+    }
+
+    this.gameState = humanPlayers.length === 1
+      ? GameService.redoToPlayer(this.gameState, humanPlayers[0])
+      : GameService.redo(this.gameState)
+    this.resetAfterHistoryChange()
+  }
+
+  /**
+   * Clear selection and end-game overlay after undo/redo, then re-render
+   */
+  resetAfterHistoryChange() {
+    this.closeGameEndingOverlay()
+    this.overlayShown = false
+    this.selectedPiece = null
+    this.hoveredCells = []
+    this.render(this.gameState)
+  }
+
+  /**
+   * Download the current game as a .sumzero.json file, once no blind picks or sealed bids are hidden
+   */
+  exportGame() {
+    try {
+      if (countSecretActions(this.gameState) > 0) {
+        throw new Error('Blind picks or sealed bids are still hidden; wait until they are revealed')
+      }
+      downloadTextFile(timestampedFileName('sumzero', '.sumzero.json'), GameService.save(this.gameState))
+    } catch (error) {
+      alert(`Cannot export game: ${error.message}`)
+    }
+  }
+
+  /**
+   * Open a game from a .sumzero.json file; it continues in a new save slot
+   * and the current game stays in its own slot
+   */
+  async importGame() {
+    try {
+      const text = await pickTextFile('.json')
+      if (text !== null) {
+        this.openImportedGame(GameService.load(text))
+      }
+    } catch (error) {
+      alert(`Cannot import game: ${error.message}`)
+    }
+  }
+
+  /**
+   * Replace the game on screen with an imported one
+   * @param {Object} gameState - Validated and migrated game state
+   */
+  openImportedGame(gameState) {
+    this.closeGameEndingOverlay()
+    this.cancelAITurn()
+    if (this.saveStore) {
+      this.setSaveSlot(this.saveStore, createSlotId())
+    }
+
+    this.viewingPlayer = null
+    this.selectedPiece = null
+    this.hoveredCells = []
+    this.overlayShown = false
+    this.render(gameState)
+  }
+
+  /**
+   * Download the current game's action log as a file
+   */
+  exportActionLog() {
+    try {
+      downloadTextFile(timestampedFileName('sumzero', '.sumzero-log.json'), serializeActionLog(this.gameState))
+    } catch (error) {
+      alert(`Cannot export log: ${error.message}`)
+    }
+  }
+
+  /**
+   * Import an action log file and open it in the replay viewer
+   */
+  async importActionLog() {
+    try {
+      const text = await pickTextFile('.json')
+      if (text !== null) {
+        this.openReplayViewer(parseActionLog(text))
+      }
+    } catch (error) {
+      alert(`Cannot import log: ${error.message}`)
+    }
+  }
+
+  /**
+   * Open the replay viewer on the game in progress
+   */
+  openCurrentGameReplay() {
+    try {
+      this.openReplayViewer(createActionLog(this.gameState))
+    } catch (error) {
+      alert(`Cannot replay game: ${error.message}`)
+    }
+  }
+
+  /**
+   * Open the step-through replay viewer for an action log
+   * @param {Object} log - Parsed action log document
+   */
+  openReplayViewer(log) {
+    const positions = GameService.replayPositions(log.initialConfig, log.actions)
+    this.replayViewer = { actions: log.actions, positions, index: 0 }
+    this.renderReplayViewer()
+  }
+
+  /**
+   * Move the replay viewer by a number of steps (clamped to the log)
+   * @param {number} delta - Steps to move (negative goes back)
+   */
+  stepReplay(delta) {
+    if (!this.replayViewer) return
+
+    const lastIndex = this.replayViewer.positions.length - 1
+    this.replayViewer.index = Math.max(0, Math.min(lastIndex, this.replayViewer.index + delta))
+    this.renderReplayViewer()
+  }
+
+  /**
+   * Close the replay viewer
+   */
+  closeReplayViewer() {
+    const viewer = document.getElementById('replay-viewer')
+    if (viewer) {
+      viewer.remove()
+    }
+    this.replayViewer = null
+  }
+
+  /**
+   * Render the replay viewer overlay for the current step
+   */
+  renderReplayViewer() {
+    const existing = document.getElementById('replay-viewer')
+    if (existing) {
+      existing.remove()
+    }
+
+    const { actions, positions, index } = this.replayViewer
+    const position = positions[index]
+    const lastIndex = positions.length - 1
+    const actionText = index === 0 ? 'Start of game' : this.describeAction(actions[index - 1])
+
+    const overlay = document.createElement('div')
+    overlay.className = 'game-ending-overlay'
+    overlay.id = 'replay-viewer'
+    overlay.innerHTML = `
+      <div class="overlay-background"></div>
+      <div class="overlay-content replay-viewer">
+        <div class="replay-step">Step ${index} / ${lastIndex}</div>
+        <div class="replay-action">${actionText}</div>
+        ${this.renderReplayBoard(position.board)}
+        <div class="overlay-scores">
+          ${getPlayerIds(position).map(playerId => `
+            <div class="overlay-score-row">
+              <span>Player ${playerId}:</span>
+              <span>${position.scoring[`player${playerId}Score`]} points, budget ${position.players[playerId].budget}</span>
+            </div>
+          `).join('')}
+        </div>
+        <div class="overlay-buttons">
+          <button class="overlay-button overlay-button-secondary" onclick="window.ui.stepReplay(-${lastIndex})" ${index === 0 ? 'disabled' : ''} aria-label="First step">⏮</button>
+          <button class="overlay-button overlay-button-secondary" onclick="window.ui.stepReplay(-1)" ${index === 0 ? 'disabled' : ''} aria-label="Previous step">◀</button>
+          <button class="overlay-button overlay-button-secondary" onclick="window.ui.stepReplay(1)" ${index === lastIndex ? 'disabled' : ''} aria-label="Next step">▶</button>
+          <button class="overlay-button overlay-button-secondary" onclick="window.ui.stepReplay(${lastIndex})" ${index === lastIndex ? 'disabled' : ''} aria-label="Last step">⏭</button>
+        </div>
+        <div class="overlay-buttons">
+          <button class="overlay-button overlay-button-primary" onclick="window.ui.closeReplayViewer()">Close</button>
+        </div>
+      </div>
+    `
+
+    overlay.querySelector('.overlay-background').onclick = () => this.closeReplayViewer()
+    document.body.appendChild(overlay)
+  }
+
+  /**
+   * Render a read-only board for the replay viewer
+   * @param {Object} board - Board to render
+   * @returns {string} HTML string
+   */
+  renderReplayBoard(board) {
+    let cellsHtml = ''
+    for (let y = 0; y < board.rows; y++) {
+      for (let x = 0; x < board.cols; x++) {
+        const value = board.grid[y][x]
+        let cellClass = 'cell'
+        if (value === -1) cellClass += ' unusable'
+        else if (value > 0) cellClass += ` ${this.getOwnerClasses(value).join(' ')}`
+        cellsHtml += `<div class="${cellClass}"></div>`
+      }
+    }
+
+    return `
+      <div class="board replay-board" style="grid-template-columns: repeat(${board.cols}, 1fr); grid-template-rows: repeat(${board.rows}, 1fr);">
+        ${cellsHtml}
+      </div>
+    `
+  }
+
+  /**
+   * Describe a logged action in words
+   * @param {Array} action - Encoded action
+   * @returns {string} Description
+   */
+  describeAction(action) {
+    const decoded = decodeAction(action)
+
+    switch (decoded.type) {
+      case 'draftBuy':
+        return `Player ${decoded.player} buys ${decoded.pieceId}`
+      case 'draftPass':
+        return `Player ${decoded.player} passes`
+      case 'timeout':
+        return `Player ${decoded.player} runs out of time`
+      case 'draftBid':
+        return decoded.amount > 0
+          ? `Player ${decoded.player} bids ${decoded.amount}`
+          : `Player ${decoded.player} passes on the lot`
+      default:
+        return `Player ${decoded.player} places ${decoded.pieceId} at (${decoded.anchor[0]}, ${decoded.anchor[1]})`
+    }
+  }
+
+  /**
+   * Autosave this game into a save slot after every action
+   * @param {SaveStore} saveStore - Saved game storage
+   * @param {string} slotId - Slot of this game
+   */
+  setSaveSlot(saveStore, slotId) {
+    this.saveStore = saveStore
+    this.saveSlotId = slotId
+    this.lastSavedState = null
+  }
+
+  /**
+   * Save the game if it changed since the last save; finished games are
+   * removed from the saved games (online games are kept by the server)
+   */
+  autosave() {
+    if (!this.saveStore || this.network || this.gameState === this.lastSavedState) {
+      return
+    }
+
+    const gameState = this.gameState
+    const slotId = this.saveSlotId
+    this.lastSavedState = gameState
+
+    this.saveQueue = this.saveQueue
+      .then(() => gameState.phase === GAME_PHASES.GAME_OVER
+        ? this.saveStore.delete(slotId)
+        : this.saveStore.save(slotId, gameState))
+      .catch(error => console.error('Autosave failed:', error))
+  }
+
+  /**
+   * Check if a hot-seat game waits for the device to be handed over
+   * @returns {boolean} True if the current player is not the one holding the device
+   */
+  isAwaitingHandover() {
+    return isHotSeat(this.gameState) &&
+      this.gameState.phase !== GAME_PHASES.GAME_OVER &&
+      this.gameState.currentPlayer !== this.viewingPlayer
+  }
+
+  /**
+   * Check if a player's arsenal must be hidden from whoever holds the device
+   * @param {number} playerId - Player ID
+   * @returns {boolean} True if the arsenal is hidden
+   */
+  isArsenalHidden(playerId) {
+    if (!hidesArsenals(this.gameState) || this.gameState.phase === GAME_PHASES.GAME_OVER) {
+      return false
+    }
+
+    return playerId !== this.viewingPlayer || this.isAwaitingHandover()
+  }
+
+  /**
+   * Show the "hand over to Player N" screen between hot-seat turns
+   */
+  renderHandoverScreen() {
+    const existing = document.getElementById('handover-overlay')
+    if (existing) {
+      existing.remove()
+    }
+
+    if (!this.isAwaitingHandover()) {
+      return
+    }
+
+    const playerId = this.gameState.currentPlayer
+    const overlay = document.createElement('div')
+    overlay.className = 'game-ending-overlay'
+    overlay.id = 'handover-overlay'
+    overlay.innerHTML = `
+      <div class="overlay-background"></div>
+      <div class="overlay-content handover-screen">
+        <div class="overlay-title">Hand over to Player ${playerId}</div>
+        <div class="overlay-subtitle">Player ${this.viewingPlayer}, pass the device and look away.</div>
+        <div class="overlay-buttons">
+          <button class="overlay-button overlay-button-primary" onclick="window.ui.confirmHandover()">
+            I'm Player ${playerId} - Continue
+          </button>
+        </div>
+      </div>
+    `
+    document.body.appendChild(overlay)
+  }
+
+  /**
+   * The next hot-seat player has the device: reveal their turn
+   */
+  confirmHandover() {
+    this.viewingPlayer = this.gameState.currentPlayer
+    this.selectedPiece = null
+    this.hoveredCells = []
+    this.render(this.gameState)
+  }
+
+  /**
+   * Play an online game through a connection to the game server
+   * @param {NetworkClient} client - Client created with createNetworkHandlers()
+   */
+  attachNetwork(client) {
+    this.network = client
+    this.renderConnecting()
+  }
+
+  /**
+   * Close the connection to the game server
+   */
+  detachNetwork() {
+    if (this.network) {
+      this.network.close()
+      this.network = null
+    }
+  }
+
+  /**
+   * Build the NetworkClient callbacks that update this UI
+   * @returns {Object} Handlers for NetworkClient
+   */
+  createNetworkHandlers() {
+    return {
+      onJoined: ({ code }) => {
+        this.onlineStatus.code = code
+      },
+      onState: state => this.receiveOnlineState(state),
+      onPresence: presence => {
+        this.onlineStatus.presence = presence
+        if (this.gameState) this.render(this.gameState)
+      },
+      onConnectionChange: connected => {
+        this.onlineStatus.connected = connected
+        if (this.gameState) this.render(this.gameState)
+      },
+      onError: message => alert(`Server: ${message}`)
+    }
+  }
+
+  /**
+   * Show the server's state, keeping the piece selection during our own turn
+   * @param {Object} state - Authoritative game state
+   */
+  receiveOnlineState(state) {
+    if (state.currentPlayer !== this.network.playerId || state.phase !== GAME_PHASES.PLACEMENT) {
+      this.selectedPiece = null
+      this.hoveredCells = []
+    }
+    this.render(state)
+  }
+
+  /**
+   * Show a placeholder until the server sends the game
+   */
+  renderConnecting() {
+    this.container.innerHTML = `
+      <div class="game-wrapper">
+        <div class="game-status" role="status" aria-live="polite">
+          <p><strong>Connecting to ${this.network.serverUrl}...</strong></p>
+        </div>
+        <div class="controls-section">
+          <button class="btn btn-menu" onclick="window.ui.returnToMenu()">Main Menu</button>
+        </div>
+      </div>
+    `
+  }
+
+  /**
+   * Render the room code, our seat and the opponents' connection status
+   * @returns {string} HTML string (empty for local games)
+   */
+  renderOnlineStatus() {
+    if (!this.network) {
+      return ''
+    }
+
+    const { code, connected, presence } = this.onlineStatus
+    const opponents = getOpponents(this.gameState, this.network.playerId)
+    const waiting = opponents.filter(playerId => !presence[playerId]).length
+    let opponentText = waiting > 0 ? `Waiting for ${waiting} more players...` : 'All players connected'
+    if (opponents.length === 1) {
+      opponentText = waiting > 0 ? 'Waiting for opponent...' : 'Opponent connected'
+    }
+
+    return `
+      <p class="online-status">
+        Room <strong>${code}</strong> - You are Player ${this.network.playerId} -
+        ${connected ? opponentText : 'Reconnecting...'}
+      </p>
+    `
+  }
+
   /**
    * Start a new game
    */
@@ -793,12 +1738,17 @@ export class UI {
     if (confirm('Start a new game? Current progress will be lost.')) {
       // Close any existing overlay
       this.closeGameEndingOverlay()
-
-      // Reset game state and UI
-      this.gameState = GameService.createNew(10, 10)
+      this.cancelAITurn()
+
+      // Reset game state and UI with the same board and rules; only the seed is drawn again
+      const { rows, cols, config } = getInitialConfig(this.gameState)
+      this.gameState = GameService.createNew(rows, cols, { ...config, seed: null })
+      this.viewingPlayer = null
+      if (this.saveStore) {
+        this.setSaveSlot(this.saveStore, createSlotId())
+      }
       this.selectedPiece = null
       this.hoveredCells = []
-      this.aiThinking = false
       this.overlayShown = false
       this.render(this.gameState)
     }
@@ -866,17 +1816,16 @@ export class UI {
     return `
       <div class="game-ending-announcement">
         <div class="victory-title">GAME OVER</div>
-        <div class="victory-subtitle">Player ${winner} Wins!</div>
+        <div class="victory-subtitle">${describeSide(this.gameState, winner)} Wins!</div>
 
         <div class="final-score-display">
-          <div class="final-score-row">
-            <span>Player 1:</span>
-            <span class="${winner === 1 ? 'winner-score' : ''}">${scores.player1} points</span>
-          </div>
-          <div class="final-score-row">
-            <span>Player 2:</span>
-            <span class="${winner === 2 ? 'winner-score' : ''}">${scores.player2} points</span>
-          </div>
+          ${this.renderTeamScoreRows(winner, 'final-score-row', 'winner-score', teamId => `Team ${teamId}:`)}
+          ${getPlayerIds(this.gameState).map(playerId => `
+            <div class="final-score-row">
+              <span>Player ${playerId}:</span>
+              <span class="${isSameSide(this.gameState, winner, playerId) ? 'winner-score' : ''}">${scores[`player${playerId}`]} points</span>
+            </div>
+          `).join('')}
         </div>
 
         <div class="game-ending-reason">
@@ -886,6 +1835,27 @@ export class UI {
     `
   }
 
+  /**
+   * Render the team totals of a finished team game
+   * @param {number} winner - Winning player ID
+   * @param {string} rowClass - Class of each row
+   * @param {string} winnerClass - Class of the winning team's score
+   * @param {Function} label - Maps a team ID to its row label
+   * @returns {string} HTML string (empty for games without teams)
+   */
+  renderTeamScoreRows(winner, rowClass, winnerClass, label) {
+    if (!isTeamGame(this.gameState)) {
+      return ''
+    }
+
+    return Object.entries(this.gameState.scoring.teams).map(([teamId, team]) => `
+      <div class="${rowClass}">
+        <span>${label(teamId)}</span>
+        <span class="${team.players.includes(winner) ? winnerClass : ''}">${team.score} points</span>
+      </div>
+    `).join('')
+  }
+
   /**
    * Show full-screen game ending overlay with You Win/You Lose message
    */
@@ -901,22 +1871,36 @@ export class UI {
 
     // Ensure we have valid scores
     if (!scores || (!scores.player1 && scores.player1 !== 0)) {
-      scores = {
-        player1: this.gameState.scoring?.player1Score || 0,
-        player2: this.gameState.scoring?.player2Score || 0
-      }
+      scores = Object.fromEntries(getPlayerIds(this.gameState).map(playerId =>
+        [`player${playerId}`, this.gameState.scoring?.[`player${playerId}Score`] || 0]))
     }
 
     console.log('Showing game ending overlay:', { winner, scores, reason })
 
-    // Determine if player won or lost (Player 1 is the human player)
-    const playerWon = winner === 1
+    // With a single human player at this screen, show the result from their perspective
+    const humanPlayers = getHumanPlayers(this.gameState)
+    const viewerId = this.network?.playerId ?? (humanPlayers.length === 1 ? humanPlayers[0] : null)
+    const playerIds = viewerId ? [viewerId, ...getOpponents(this.gameState, viewerId)] : getPlayerIds(this.gameState)
+    const playerWon = viewerId === null || isSameSide(this.gameState, winner, viewerId)
     const overlayClass = playerWon ? 'you-win-overlay' : 'you-lose-overlay'
-    const title = playerWon ? 'YOU WIN' : 'YOU LOSE'
-    const subtitle = playerWon ?
+    let title = playerWon ? 'YOU WIN' : 'YOU LOSE'
+    let subtitle = playerWon ?
       'Congratulations! You achieved victory!' :
       'Better luck next time!'
 
+    if (viewerId === null) {
+      title = `${describeSide(this.gameState, winner).toUpperCase()} WINS`
+      subtitle = isTeamGame(this.gameState)
+        ? `${getSide(this.gameState, winner).map(playerId => this.getPlayerLabel(playerId)).join(' and ')} take the game!`
+        : `${this.getPlayerLabel(winner)} takes the game!`
+    }
+
+    const scoreLabel = playerId => {
+      if (playerId === viewerId) return 'Your Score:'
+      if (viewerId && isSameSide(this.gameState, playerId, viewerId)) return 'Partner Score:'
+      return viewerId && playerIds.length === 2 ? 'Opponent Score:' : `Player ${playerId} Score:`
+    }
+
     // Create the overlay
     const overlay = document.createElement('div')
     overlay.className = 'game-ending-overlay'
@@ -929,14 +1913,13 @@ export class UI {
         <div class="overlay-subtitle">${subtitle}</div>
 
         <div class="overlay-scores">
-          <div class="overlay-score-row">
-            <span>Your Score:</span>
-            <span class="${winner === 1 ? 'overlay-winner-score' : ''}">${scores.player1} points</span>
-          </div>
-          <div class="overlay-score-row">
-            <span>Opponent Score:</span>
-            <span class="${winner === 2 ? 'overlay-winner-score' : ''}">${scores.player2} points</span>
-          </div>
+          ${this.renderTeamScoreRows(winner, 'overlay-score-row', 'overlay-winner-score', teamId => `Team ${teamId} Score:`)}
+          ${playerIds.map(playerId => `
+            <div class="overlay-score-row">
+              <span>${scoreLabel(playerId)}</span>
+              <span class="${isSameSide(this.gameState, winner, playerId) ? 'overlay-winner-score' : ''}">${scores[`player${playerId}`]} points</span>
+            </div>
+          `).join('')}
         </div>
 
         <div class="overlay-reason">
@@ -944,9 +1927,10 @@ export class UI {
         </div>
 
         <div class="overlay-buttons">
+          ${this.network ? '' : `
           <button class="overlay-button overlay-button-primary" onclick="window.ui.newGame()">
             Play Again
-          </button>
+          </button>`}
           <button class="overlay-button overlay-button-secondary" onclick="window.ui.returnToMenu()">
             Main Menu
           </button>
@@ -993,39 +1977,48 @@ export class UI {
   }
 
   /**
-   * Render scoring rules panel with visual patterns
+   * Render scoring rules panel with visual patterns for the game's scoring preset
    */
   renderScoringRules(container) {
-    container.innerHTML = `
-      <h4>Scoring Rules</h4>
+    const preset = getScoringPreset(this.gameState.config?.scoringPreset)
+    const families = describeScoringPreset(preset)
 
-      <div class="rules-category">
-        <h5>Simple Patterns (5-15 pts)</h5>
-        ${this.createPatternVisual('line-4', 'Line (4 cells)', '5 pts')}
-        ${this.createPatternVisual('line-5', 'Line (5 cells)', '6 pts')}
-        ${this.createPatternVisual('line-6', 'Line (6 cells)', '8 pts')}
-        ${this.createPatternVisual('rect-2x3', 'Rectangle 2×3', '7 pts')}
-        ${this.createPatternVisual('square-3x3', 'Square 3×3', '10 pts')}
-        ${this.createPatternVisual('corner', 'Corner Control', '12 pts')}
-        ${this.createPatternVisual('edge', 'Edge Control', '15 pts')}
-      </div>
+    const patterns = families.map(family =>
+      this.createPatternVisual(FAMILY_LEGEND_SHAPES[family.id], family.name, this.formatFamilyPoints(family))
+    ).join('')
+
+    const winCondition = preset.winCondition === WIN_CONDITIONS.LAST_MOVE
+      ? 'Game ends when all players are blocked. The player who placed the last piece wins.'
+      : 'Game ends when all players are blocked. Winner has the highest score. Ties broken by fewer remaining pieces.'
+
+    container.innerHTML = `
+      <h4>Scoring Rules: ${preset.name}</h4>
 
       <div class="rules-category">
-        <h5>Medium Patterns (15-30 pts)</h5>
-        ${this.createPatternVisual('line-8', 'Line (8+ cells)', '15+ pts')}
-        ${this.createPatternVisual('full-row', 'Full Row/Column', '25 pts')}
-        ${this.createPatternVisual('rect-large', 'Large Rectangle', '16-18 pts')}
-        ${this.createPatternVisual('square-4x4', 'Square 4×4', '22 pts')}
-        ${this.createPatternVisual('square-5x5', 'Square 5×5', '30 pts')}
-        ${this.createPatternVisual('center', 'Center Control', '20-25 pts')}
+        ${patterns || '<p>No patterns score in this game.</p>'}
       </div>
 
       <div class="rules-note">
-        <strong>Win Condition:</strong> Game ends when both players are blocked. Winner has the highest score. Ties broken by fewer remaining pieces.
+        <strong>Win Condition:</strong> ${winCondition}
       </div>
     `
   }
 
+  /**
+   * Format the point range of a scoring family for the legend
+   * @param {Object} family - Family description from describeScoringPreset
+   * @returns {string} Points label such as "5+ pts" or "12 pts"
+   */
+  formatFamilyPoints(family) {
+    if (family.open) {
+      return `${family.minPoints}+ pts`
+    }
+    if (family.minPoints === family.maxPoints) {
+      return `${family.minPoints} pts`
+    }
+    return `${family.minPoints}-${family.maxPoints} pts`
+  }
+
   /**
    * Create visual pattern representation
    */
@@ -1098,6 +2091,14 @@ export class UI {
       'full-row': {
         class: 'pattern-line-6',
         cells: [1, 1, 1, 1, 1, 1] // Full row representation
+      },
+      'enclosure': {
+        class: 'pattern-square-3x3',
+        cells: [1, 1, 1, 1, 0, 1, 1, 1, 1] // Wall sealing off the middle cell
+      },
+      'diagonal': {
+        class: 'pattern-square-4x4',
+        cells: [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]
       }
     }
 
@@ -1118,6 +2119,12 @@ export class UI {
     if (confirm('Return to main menu? Current progress will be lost.')) {
       // Close any existing overlay
       this.closeGameEndingOverlay()
+      this.cancelAITurn()
+      this.stopClockTicker()
+      this.aiWorker.dispose()
+      this.detachNetwork()
+      document.removeEventListener('keydown', this.keydownHandler)
+      document.getElementById('handover-overlay')?.remove()
 
       if (this.onReturnToMenu) {
         this.onReturnToMenu()
@@ -1132,35 +2139,34 @@ export class UI {
    * @returns {string} HTML string for game statistics
    */
   renderGameStatistics(stats, finalScores) {
-    const player1Stats = stats.player1
-    const player2Stats = stats.player2
+    const playerIds = getPlayerIds(this.gameState)
 
     // Get detailed scoring history from game state
     const scoringHistory = this.gameState.scoring?.scoringHistory || []
-    const player1History = scoringHistory.filter(entry => entry.player === 1)
-    const player2History = scoringHistory.filter(entry => entry.player === 2)
 
     return `
       <div class="game-over-stats">
         <h3 style="text-align: center; margin-bottom: 15px; color: #2c3e50;">Game Statistics & Score Cards</h3>
 
         <div class="stats-grid">
-          <div class="stat-item">
-            <div class="stat-value">${player1Stats.patternsCreated}</div>
-            <div class="stat-label">P1 Patterns</div>
-          </div>
-          <div class="stat-item">
-            <div class="stat-value">${player2Stats.patternsCreated}</div>
-            <div class="stat-label">P2 Patterns</div>
-          </div>
-          <div class="stat-item">
-            <div class="stat-value">${player1Stats.remainingPieces}</div>
-            <div class="stat-label">P1 Remaining</div>
-          </div>
-          <div class="stat-item">
-            <div class="stat-value">${player2Stats.remainingPieces}</div>
-            <div class="stat-label">P2 Remaining</div>
-          </div>
+          ${Object.entries(stats.teams || {}).map(([teamKey, team]) => `
+            <div class="stat-item">
+              <div class="stat-value">${team.totalScore}</div>
+              <div class="stat-label">${teamKey.replace('team', 'Team ')} (${team.patternsCreated} Patterns)</div>
+            </div>
+          `).join('')}
+          ${playerIds.map(playerId => `
+            <div class="stat-item">
+              <div class="stat-value">${stats[`player${playerId}`].patternsCreated}</div>
+              <div class="stat-label">P${playerId} Patterns</div>
+            </div>
+          `).join('')}
+          ${playerIds.map(playerId => `
+            <div class="stat-item">
+              <div class="stat-value">${stats[`player${playerId}`].remainingPieces}</div>
+              <div class="stat-label">P${playerId} Remaining</div>
+            </div>
+          `).join('')}
           <div class="stat-item">
             <div class="stat-value">${stats.totalMoves}</div>
             <div class="stat-label">Total Moves</div>
@@ -1172,40 +2178,29 @@ export class UI {
         </div>
 
         <div class="score-cards-container">
-          <div class="score-card">
-            <h4 class="score-card-title player1-title">Player 1 Score Card</h4>
-            <div class="score-breakdown">
-              ${this.renderPlayerScoreBreakdown(player1Stats.pointsByPatternType)}
-            </div>
-            <div class="pattern-history">
-              <h5>Pattern History:</h5>
-              ${this.renderPatternHistory(player1History)}
-            </div>
-          </div>
-
-          <div class="score-card">
-            <h4 class="score-card-title player2-title">Player 2 Score Card</h4>
-            <div class="score-breakdown">
-              ${this.renderPlayerScoreBreakdown(player2Stats.pointsByPatternType)}
-            </div>
-            <div class="pattern-history">
-              <h5>Pattern History:</h5>
-              ${this.renderPatternHistory(player2History)}
+          ${playerIds.map(playerId => `
+            <div class="score-card">
+              <h4 class="score-card-title player${playerId}-title">Player ${playerId} Score Card</h4>
+              <div class="score-breakdown">
+                ${this.renderPlayerScoreBreakdown(stats[`player${playerId}`].pointsByPatternType)}
+              </div>
+              <div class="pattern-history">
+                <h5>Pattern History:</h5>
+                ${this.renderPatternHistory(scoringHistory.filter(entry => entry.player === playerId))}
+              </div>
             </div>
-          </div>
+          `).join('')}
         </div>
 
         <div style="margin-top: 15px;">
           <h4 style="text-align: center; color: #495057;">Favorite Pattern Types</h4>
           <div style="display: flex; justify-content: space-around; margin-top: 10px;">
-            <div style="text-align: center;">
-              <strong>Player 1:</strong><br>
-              <span style="color: #007bff;">${player1Stats.favoritePatternType || 'None'}</span>
-            </div>
-            <div style="text-align: center;">
-              <strong>Player 2:</strong><br>
-              <span style="color: #dc3545;">${player2Stats.favoritePatternType || 'None'}</span>
-            </div>
+            ${playerIds.map(playerId => `
+              <div style="text-align: center;">
+                <strong>Player ${playerId}:</strong><br>
+                <span style="color: ${SCORE_CARD_COLORS[playerId]};">${stats[`player${playerId}`].favoritePatternType || 'None'}</span>
+              </div>
+            `).join('')}
           </div>
         </div>
       </div>
@@ -1285,15 +2280,12 @@ export class UI {
       this.gameState.phase = GAME_PHASES.GAME_OVER
 
       // Determine winner based on current scores
-      const score1 = this.gameState.scoring?.player1Score || 0
-      const score2 = this.gameState.scoring?.player2Score || 0
-
-      const winner = score1 >= score2 ? 1 : 2
-      const reason = `Game force-ended: Player ${winner} wins with ${winner === 1 ? score1 : score2} points`
+      const [winner] = ScoringService.rankPlayers(this.gameState, getPlayerIds(this.gameState))
+      const reason = `Game force-ended: ${describeSide(this.gameState, winner)} wins with ${ScoringService.getSideScore(this.gameState, winner)} points`
 
       this.gameState.winner = winner
       this.gameState.endReason = reason
-      this.gameState.finalScores = { player1: score1, player2: score2 }
+      this.gameState.finalScores = ScoringService.getCurrentScores(this.gameState)
 
       this.showGameEndingOverlay(winner, this.gameState.finalScores, reason)
     }
@@ -0,0 +1,159 @@
+/**
+ * Menu Styles
+ * Styles shared by the screens shown before a game: the main menu and the board editor
+ */
+
+export const MENU_STYLES = `
+  .menu-wrapper {
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+    max-width: 600px;
+    margin: 0 auto;
+    padding: 20px;
+    background: #ffffff;
+    min-height: 100vh;
+    display: flex;
+    flex-direction: column;
+    justify-content: center;
+    align-items: center;
+  }
+  .menu-title {
+    text-align: center;
+    color: #333333;
+    font-size: 4em;
+    font-weight: 300;
+    margin-bottom: 40px;
+    display: flex;
+    flex-direction: column;
+    align-items: center;
+    gap: 20px;
+  }
+  .menu-logo {
+    width: 120px;
+    height: 120px;
+    object-fit: contain;
+  }
+  .menu-content {
+    background: #f8f8f8;
+    border-radius: 8px;
+    padding: 30px;
+    border: 1px solid #e8e8e8;
+    width: 100%;
+    max-width: 500px;
+  }
+  .menu-section {
+    margin-bottom: 25px;
+  }
+  .menu-section h3 {
+    color: #333333;
+    margin-bottom: 15px;
+    font-size: 1.3em;
+    border-bottom: 1px solid #e8e8e8;
+    padding-bottom: 5px;
+  }
+  .menu-section h4 {
+    color: #555555;
+    margin: 10px 0 8px 0;
+    font-weight: 500;
+  }
+  .option-group {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 10px;
+    margin-bottom: 15px;
+  }
+  .option-btn {
+    background: #ffffff;
+    border: 1px solid #dddddd;
+    border-radius: 4px;
+    padding: 12px 20px;
+    cursor: pointer;
+    transition: all 0.15s ease;
+    flex: 1;
+    min-width: 120px;
+    text-align: center;
+    font-weight: 400;
+  }
+  .option-btn:hover {
+    background: #f0f0f0;
+    transform: translateY(-1px);
+  }
+  .option-btn.selected {
+    background: #333333;
+    color: white;
+    border-color: #333333;
+  }
+  .start-btn {
+    background: #333333;
+    color: white;
+    border: none;
+    border-radius: 4px;
+    padding: 15px 30px;
+    font-size: 1.2em;
+    font-weight: 400;
+    cursor: pointer;
+    width: 100%;
+    margin-top: 20px;
+    transition: all 0.15s ease;
+  }
+  .start-btn:hover {
+    background: #555555;
+  }
+  .start-btn:disabled {
+    opacity: 0.4;
+    cursor: default;
+  }
+  .menu-input {
+    width: 100%;
+    box-sizing: border-box;
+    padding: 10px;
+    border: 1px solid #dddddd;
+    border-radius: 4px;
+    font-size: 1em;
+    margin-bottom: 10px;
+  }
+  .saved-slot {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    gap: 10px;
+    background: #ffffff;
+    border: 1px solid #dddddd;
+    border-radius: 4px;
+    padding: 10px;
+    margin-top: 10px;
+  }
+  .saved-slot-actions {
+    display: flex;
+    gap: 6px;
+  }
+  .saved-slot-actions .option-btn {
+    min-width: auto;
+    padding: 8px 12px;
+  }
+  .description {
+    color: #666666;
+    font-size: 0.9em;
+    margin-top: 8px;
+    font-style: italic;
+  }
+  @media (max-width: 768px) {
+    .menu-title {
+      font-size: 3em;
+      margin-bottom: 30px;
+    }
+    .menu-logo {
+      width: 100px;
+      height: 100px;
+    }
+    .menu-content {
+      padding: 20px;
+      margin: 10px;
+    }
+    .option-group {
+      flex-direction: column;
+    }
+    .option-btn {
+      min-width: auto;
+    }
+  }
+`
\ No newline at end of file
@@ -0,0 +1,103 @@
+/**
+ * Custom Board Storage
+ * Boards drawn in the board editor, kept by name in localStorage as board strings
+ */
+
+import { encodeBoard, decodeBoard } from '../core/board/CustomBoards.js'
+
+const LOCAL_STORAGE_KEY = 'sumzero-boards'
+
+// Oldest boards are dropped beyond this many saved boards
+export const MAX_SAVED_BOARDS = 20
+
+/**
+ * Saved custom boards, one per name
+ */
+export class BoardStore {
+  /**
+   * @param {Object} options - Storage backend {localStorage} (defaults to the browser's)
+   */
+  constructor(options = {}) {
+    this.localStorage = 'localStorage' in options ? options.localStorage : globalThis.localStorage
+  }
+
+  /**
+   * Read all records by name
+   * @returns {Object} Records {name: record}
+   */
+  read() {
+    try {
+      return JSON.parse(this.localStorage?.getItem(LOCAL_STORAGE_KEY) || '{}')
+    } catch (error) {
+      return {}
+    }
+  }
+
+  /**
+   * Write all records
+   * @param {Object} records - Records {name: record}
+   * @throws {Error} If no storage is available
+   */
+  write(records) {
+    if (!this.localStorage) {
+      throw new Error('No storage available for saved boards')
+    }
+    this.localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(records))
+  }
+
+  /**
+   * List saved boards, most recently saved first
+   * @returns {Array<Object>} Records {name, board (board string), updatedAt}
+   */
+  list() {
+    return Object.values(this.read()).sort((a, b) => b.updatedAt - a.updatedAt)
+  }
+
+  /**
+   * Save a board under a name, replacing a board of the same name and
+   * dropping the oldest boards beyond MAX_SAVED_BOARDS
+   * @param {string} name - Board name
+   * @param {Object} board - Board object
+   * @returns {Object} Saved record {name, board, updatedAt}
+   * @throws {Error} If the name is empty or no storage is available
+   */
+  save(name, board) {
+    const trimmed = String(name || '').trim()
+    if (!trimmed) {
+      throw new Error('Give the board a name')
+    }
+
+    const record = { name: trimmed, board: encodeBoard(board), updatedAt: Date.now() }
+    const records = this.read()
+    delete records[trimmed]
+    const others = Object.values(records).sort((a, b) => b.updatedAt - a.updatedAt)
+    const kept = [record, ...others].slice(0, MAX_SAVED_BOARDS)
+
+    this.write(Object.fromEntries(kept.map(entry => [entry.name, entry])))
+    return record
+  }
+
+  /**
+   * Load a saved board
+   * @param {string} name - Board name
+   * @returns {Object} Board object
+   * @throws {Error} If no board has that name
+   */
+  load(name) {
+    const record = this.read()[name]
+    if (!record) {
+      throw new Error(`Saved board not found: ${name}`)
+    }
+    return decodeBoard(record.board)
+  }
+
+  /**
+   * Delete a saved board
+   * @param {string} name - Board name
+   */
+  delete(name) {
+    const records = this.read()
+    delete records[name]
+    this.write(records)
+  }
+}
\ No newline at end of file
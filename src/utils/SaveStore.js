@@ -0,0 +1,332 @@
+/**
+ * Saved Game Storage
+ * Autosave slots for games in progress, kept in IndexedDB (or localStorage where IndexedDB is unavailable)
+ */
+
+import { GameService } from '../core/game/GameService.js'
+
+const DATABASE_NAME = 'sumzero'
+const DATABASE_VERSION = 2
+const SLOT_STORE_NAME = 'slots'
+const DATA_STORE_NAME = 'saves'
+const LOCAL_STORAGE_KEY = 'sumzero-saves'
+
+// Oldest slots are dropped beyond this many saved games
+export const MAX_SAVE_SLOTS = 10
+
+/**
+ * Describe a game for the saved games list
+ * Imported files end up in slots too, so the metadata is reduced to plain
+ * strings and numbers
+ * @param {Object} gameState - Game state
+ * @returns {Object} Metadata {boardShape, rows, cols, phase, turn, scores, seats}
+ */
+export function describeSave(gameState) {
+  const seats = gameState.config?.seats
+  return {
+    boardShape: String(gameState.config?.boardShape || 'rectangular'),
+    rows: Number(gameState.board.rows),
+    cols: Number(gameState.board.cols),
+    phase: String(gameState.phase),
+    turn: (gameState.history?.length ?? 0) + 1,
+    scores: Object.fromEntries(Object.keys(gameState.players).map(playerId =>
+      [`player${playerId}`, Number(gameState.scoring?.[`player${playerId}Score`] ?? 0)])),
+    seats: seats && typeof seats === 'object'
+      ? Object.fromEntries(Object.entries(seats).map(([playerId, seat]) => [playerId, {
+        type: String(seat?.type),
+        difficulty: seat?.difficulty ? String(seat.difficulty) : null
+      }]))
+      : null
+  }
+}
+
+/**
+ * Create an ID for a new save slot
+ * @returns {string} Slot ID
+ */
+export function createSlotId() {
+  return `save-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`
+}
+
+/**
+ * Saved games, one slot per game
+ */
+export class SaveStore {
+  /**
+   * @param {Object} options - Storage backends {indexedDB, localStorage} (defaults to the browser's)
+   */
+  constructor(options = {}) {
+    const indexedDB = 'indexedDB' in options ? options.indexedDB : globalThis.indexedDB
+    const localStorage = 'localStorage' in options ? options.localStorage : globalThis.localStorage
+
+    this.backend = indexedDB
+      ? new IndexedDBBackend(indexedDB)
+      : new LocalStorageBackend(localStorage)
+  }
+
+  /**
+   * Save a game into its slot, dropping the oldest slots beyond MAX_SAVE_SLOTS
+   * Only slot metadata is read, so an autosave never reads the other games' data
+   * @param {string} slotId - Slot ID
+   * @param {Object} gameState - Game state
+   * @returns {Promise<void>}
+   */
+  async save(slotId, gameState) {
+    const now = Date.now()
+    const existing = await this.backend.getSlot(slotId)
+
+    await this.backend.put({
+      id: slotId,
+      createdAt: existing?.createdAt ?? now,
+      updatedAt: now,
+      meta: describeSave(gameState)
+    }, GameService.save(gameState))
+
+    const slots = await this.list()
+    for (const slot of slots.slice(MAX_SAVE_SLOTS)) {
+      await this.backend.delete(slot.id)
+    }
+  }
+
+  /**
+   * List saved games, most recently played first
+   * @returns {Promise<Array<Object>>} Slots {id, createdAt, updatedAt, meta}
+   */
+  async list() {
+    const slots = await this.backend.getSlots()
+    return slots
+      .map(({ id, createdAt, updatedAt, meta }) => ({ id, createdAt, updatedAt, meta }))
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+  }
+
+  /**
+   * Load a saved game; older save versions are migrated by GameService.load
+   * @param {string} slotId - Slot ID
+   * @returns {Promise<Object>} Game state
+   * @throws {Error} If the slot does not exist or cannot be loaded
+   */
+  async load(slotId) {
+    const data = await this.backend.getData(slotId)
+    if (data === undefined) {
+      throw new Error(`Saved game not found: ${slotId}`)
+    }
+
+    return GameService.load(data)
+  }
+
+  /**
+   * Delete a saved game
+   * @param {string} slotId - Slot ID
+   * @returns {Promise<void>}
+   */
+  async delete(slotId) {
+    await this.backend.delete(slotId)
+  }
+}
+
+/**
+ * Save records in IndexedDB: slot metadata and game data in separate object stores
+ */
+class IndexedDBBackend {
+  constructor(indexedDB) {
+    this.indexedDB = indexedDB
+    this.database = null
+  }
+
+  /**
+   * Open the database once, creating the stores on first use
+   * Version 1 kept metadata and data together in one store; its metadata is
+   * copied into the slots store on upgrade
+   * @returns {Promise<IDBDatabase>} Database
+   */
+  open() {
+    if (!this.database) {
+      this.database = new Promise((resolve, reject) => {
+        const request = this.indexedDB.open(DATABASE_NAME, DATABASE_VERSION)
+        request.onupgradeneeded = (event) => {
+          const database = request.result
+          if (event.oldVersion < 1) {
+            database.createObjectStore(DATA_STORE_NAME, { keyPath: 'id' })
+          }
+          const slots = database.createObjectStore(SLOT_STORE_NAME, { keyPath: 'id' })
+          if (event.oldVersion >= 1) {
+            request.transaction.objectStore(DATA_STORE_NAME).openCursor().onsuccess = (cursorEvent) => {
+              const cursor = cursorEvent.target.result
+              if (!cursor) return
+              const { id, createdAt, updatedAt, meta } = cursor.value
+              slots.put({ id, createdAt, updatedAt, meta })
+              cursor.continue()
+            }
+          }
+        }
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+      })
+    }
+    return this.database
+  }
+
+  /**
+   * Run requests in one transaction over both stores
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} makeRequest - Called with the slot and data stores, returns an IDBRequest (or nothing)
+   * @returns {Promise<any>} Request result
+   */
+  async run(mode, makeRequest) {
+    const database = await this.open()
+
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction([SLOT_STORE_NAME, DATA_STORE_NAME], mode)
+      const request = makeRequest(transaction.objectStore(SLOT_STORE_NAME), transaction.objectStore(DATA_STORE_NAME))
+      transaction.oncomplete = () => resolve(request?.result)
+      transaction.onerror = () => reject(transaction.error)
+    })
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} All slot records {id, createdAt, updatedAt, meta}
+   */
+  getSlots() {
+    return this.run('readonly', slots => slots.getAll())
+  }
+
+  /**
+   * @param {string} id - Slot ID
+   * @returns {Promise<Object|undefined>} Slot record
+   */
+  getSlot(id) {
+    return this.run('readonly', slots => slots.get(id))
+  }
+
+  /**
+   * @param {string} id - Slot ID
+   * @returns {Promise<string|undefined>} Saved game data
+   */
+  async getData(id) {
+    const record = await this.run('readonly', (slots, data) => data.get(id))
+    return record?.data
+  }
+
+  /**
+   * @param {Object} slot - Slot record to add or replace
+   * @param {string} data - Saved game data
+   */
+  put(slot, data) {
+    return this.run('readwrite', (slots, saves) => {
+      slots.put(slot)
+      saves.put({ id: slot.id, data })
+    })
+  }
+
+  /**
+   * @param {string} id - Slot ID to remove
+   */
+  delete(id) {
+    return this.run('readwrite', (slots, saves) => {
+      slots.delete(id)
+      saves.delete(id)
+    })
+  }
+}
+
+/**
+ * Save records in localStorage: one JSON document of slot metadata, and each
+ * game's data under its own key
+ */
+class LocalStorageBackend {
+  constructor(localStorage) {
+    this.localStorage = localStorage
+  }
+
+  /**
+   * Read all slot records by ID
+   * Older documents kept each game's data inside its slot record; that data
+   * is moved out to its own key
+   * @returns {Object} Slot records {id: record}
+   */
+  read() {
+    let slots
+    try {
+      slots = JSON.parse(this.localStorage?.getItem(LOCAL_STORAGE_KEY) || '{}')
+    } catch (error) {
+      return {}
+    }
+
+    const legacy = Object.values(slots).filter(slot => 'data' in slot)
+    if (legacy.length > 0) {
+      for (const { id, data } of legacy) {
+        this.localStorage.setItem(dataKey(id), data)
+        delete slots[id].data
+      }
+      this.write(slots)
+    }
+    return slots
+  }
+
+  /**
+   * Write all slot records
+   * @param {Object} slots - Slot records {id: record}
+   * @throws {Error} If no storage is available
+   */
+  write(slots) {
+    if (!this.localStorage) {
+      throw new Error('No storage available for saved games')
+    }
+    this.localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(slots))
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} All slot records {id, createdAt, updatedAt, meta}
+   */
+  async getSlots() {
+    return Object.values(this.read())
+  }
+
+  /**
+   * @param {string} id - Slot ID
+   * @returns {Promise<Object|undefined>} Slot record
+   */
+  async getSlot(id) {
+    return this.read()[id]
+  }
+
+  /**
+   * @param {string} id - Slot ID
+   * @returns {Promise<string|undefined>} Saved game data
+   */
+  async getData(id) {
+    if (!this.read()[id]) return undefined
+    return this.localStorage.getItem(dataKey(id)) ?? undefined
+  }
+
+  /**
+   * @param {Object} slot - Slot record to add or replace
+   * @param {string} data - Saved game data
+   */
+  async put(slot, data) {
+    const slots = this.read()
+    if (!this.localStorage) {
+      throw new Error('No storage available for saved games')
+    }
+    this.localStorage.setItem(dataKey(slot.id), data)
+    this.write({ ...slots, [slot.id]: slot })
+  }
+
+  /**
+   * @param {string} id - Slot ID to remove
+   */
+  async delete(id) {
+    const slots = this.read()
+    delete slots[id]
+    this.write(slots)
+    this.localStorage.removeItem(dataKey(id))
+  }
+}
+
+/**
+ * @param {string} id - Slot ID
+ * @returns {string} localStorage key of the slot's game data
+ */
+function dataKey(id) {
+  return `${LOCAL_STORAGE_KEY}:${id}`
+}
\ No newline at end of file
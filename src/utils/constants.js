@@ -14,7 +14,31 @@ export const GAME_PHASES = {
 // Player IDs
 export const PLAYERS = {
   PLAYER_1: 1,
-  PLAYER_2: 2
+  PLAYER_2: 2,
+  PLAYER_3: 3,
+  PLAYER_4: 4
+}
+
+// Players in a game (config.playerCount); they move in order of their IDs
+export const MIN_PLAYERS = 2
+export const MAX_PLAYERS = 4
+
+// Seat types: who controls a player
+export const SEAT_TYPES = {
+  HUMAN: 'human',
+  AI: 'ai'
+}
+
+// AI difficulty levels, weakest first
+export const AI_DIFFICULTIES = ['easy', 'normal', 'medium', 'hard', 'expert']
+
+// Default seats: human Player 1 against AI opponents
+// (a null difficulty falls back to the config's aiDifficulty)
+export const DEFAULT_SEATS = {
+  [PLAYERS.PLAYER_1]: { type: SEAT_TYPES.HUMAN, difficulty: null },
+  [PLAYERS.PLAYER_2]: { type: SEAT_TYPES.AI, difficulty: null },
+  [PLAYERS.PLAYER_3]: { type: SEAT_TYPES.AI, difficulty: null },
+  [PLAYERS.PLAYER_4]: { type: SEAT_TYPES.AI, difficulty: null }
 }
 
 // UI states for interaction
@@ -25,6 +49,10 @@ export const UI_STATES = {
   PREVIEW: 'preview'
 }
 
+// Board shapes of the new game menu: a plain rectangle, a seeded shaped board
+// with holes, or a board from the board editor (config.customBoard)
+export const BOARD_SHAPES = ['rectangular', 'varied', 'custom']
+
 // Stock modes
 export const STOCK_MODES = {
   SINGLETON: 'singleton',
@@ -35,9 +63,24 @@ export const STOCK_MODES = {
 export const DEFAULT_CONFIG = {
   boardRows: 10,
   boardCols: 10,
+  playerCount: MIN_PLAYERS,
+  teamPlay: false,
   stockMode: STOCK_MODES.SINGLETON,
-  allowPentominoes: true,
+  allowTrominoes: false,
   allowTetrominoes: true,
+  allowPentominoes: true,
+  allowHexominoes: false,
+  customPieces: [],
+  costModel: 'fixed',
+  draftFormat: 'alternating',
+  scoringPreset: 'classic',
+  endCondition: 'both_players_blocked',
+  scoreToWin: null,
+  roundLimit: null,
+  timeControl: 'none',
+  clockTime: null,
+  clockIncrement: null,
+  timeoutAction: 'forfeit',
   seed: null,
   ui: {
     showGrid: true,
@@ -49,7 +92,9 @@ export const DEFAULT_CONFIG = {
 // Player colors
 export const PLAYER_COLORS = {
   [PLAYERS.PLAYER_1]: '#33CCFF',
-  [PLAYERS.PLAYER_2]: '#FF9933'
+  [PLAYERS.PLAYER_2]: '#FF9933',
+  [PLAYERS.PLAYER_3]: '#66CC66',
+  [PLAYERS.PLAYER_4]: '#CC66CC'
 }
 
 // Transformation constants
@@ -64,5 +109,7 @@ export const ROTATIONS = {
 export const CELL_STATES = {
   EMPTY: 0,
   PLAYER_1: 1,
-  PLAYER_2: 2
+  PLAYER_2: 2,
+  PLAYER_3: 3,
+  PLAYER_4: 4
 }
\ No newline at end of file
@@ -0,0 +1,62 @@
+/**
+ * Browser File Helpers
+ * Download and upload of text files (action logs, saved games, boards)
+ */
+
+/**
+ * Offer text content as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string} text - File content
+ * @param {string} mimeType - MIME type of the content
+ */
+export function downloadTextFile(filename, text, mimeType = 'application/json') {
+  const blob = new Blob([text], { type: mimeType })
+  const url = URL.createObjectURL(blob)
+
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Let the user pick a text file and read its content
+ * @param {string} accept - Accepted file types for the picker (e.g. '.json')
+ * @returns {Promise<string|null>} File content, or null if nothing was picked
+ */
+export function pickTextFile(accept = '.json') {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement('input')
+    input.type = 'file'
+    input.accept = accept
+
+    input.onchange = () => {
+      const file = input.files && input.files[0]
+      if (!file) {
+        resolve(null)
+        return
+      }
+      file.text().then(resolve, reject)
+    }
+
+    // Closing the picker without choosing a file fires cancel instead of change
+    input.oncancel = () => resolve(null)
+
+    input.click()
+  })
+}
+
+/**
+ * Build a timestamped file name
+ * @param {string} prefix - File name prefix
+ * @param {string} extension - Extension including the leading dot
+ * @returns {string} File name such as sumzero-2025-01-31-1205.sumzero.json
+ */
+export function timestampedFileName(prefix, extension) {
+  const stamp = new Date().toISOString().slice(0, 16).replace('T', '-').replace(':', '')
+  return `${prefix}-${stamp}${extension}`
+}
\ No newline at end of file
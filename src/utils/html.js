@@ -0,0 +1,13 @@
+/**
+ * HTML Helpers
+ * Escaping of text that goes into markup built with template strings
+ */
+
+/**
+ * Escape text for use in HTML
+ * @param {any} text - Text (other values are converted to strings)
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`)
+}
\ No newline at end of file
@@ -0,0 +1,92 @@
+/**
+ * Seeded Pseudo-Random Number Generation
+ * Deterministic PRNG (mulberry32) so that a seed reproduces boards, holes and AI choices
+ */
+
+const UINT32_RANGE = 4294967296
+const MULBERRY_INCREMENT = 0x6D2B79F5
+
+/**
+ * Generate a fresh 32-bit seed from the platform RNG
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function generateSeed() {
+  return Math.floor(Math.random() * UINT32_RANGE) >>> 0
+}
+
+/**
+ * Create a seeded random function with the same contract as Math.random
+ * @param {number} seed - Unsigned 32-bit seed
+ * @returns {Function} Function returning floats in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0
+
+  return () => {
+    state = (state + MULBERRY_INCREMENT) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / UINT32_RANGE
+  }
+}
+
+/**
+ * Derive a new seed from an existing seed and additional keys
+ * @param {number} seed - Base seed
+ * @param {...number} keys - Values mixed into the seed (e.g. player ID)
+ * @returns {number} Derived unsigned 32-bit seed
+ */
+export function deriveSeed(seed, ...keys) {
+  let derived = seed >>> 0
+  for (const key of keys) {
+    derived = Math.floor(createRandom(derived ^ (key >>> 0))() * UINT32_RANGE) >>> 0
+  }
+  return derived
+}
+
+/**
+ * Advance a stored generator state by one step
+ * @param {number} state - Current state
+ * @returns {number} Next state
+ */
+export function nextRandomState(state) {
+  return Math.floor(createRandom(state)() * UINT32_RANGE) >>> 0
+}
+
+/**
+ * Pick a random integer in [0, max)
+ * @param {Function} random - Random function
+ * @param {number} max - Exclusive upper bound
+ * @returns {number} Random integer
+ */
+export function randomInt(random, max) {
+  return Math.floor(random() * max)
+}
+
+/**
+ * Pick a random element of an array
+ * @param {Function} random - Random function
+ * @param {Array} items - Items to choose from
+ * @returns {any} Chosen item
+ */
+export function pickRandom(random, items) {
+  return items[randomInt(random, items.length)]
+}
+
+/**
+ * Shuffle a copy of an array (Fisher-Yates)
+ * @param {Function} random - Random function
+ * @param {Array} items - Items to shuffle
+ * @returns {Array} Shuffled copy
+ */
+export function shuffle(random, items) {
+  const shuffled = [...items]
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = randomInt(random, i + 1)
+    const item = shuffled[i]
+    shuffled[i] = shuffled[j]
+    shuffled[j] = item
+  }
+  return shuffled
+}
\ No newline at end of file
@@ -0,0 +1,111 @@
+/**
+ * AI Worker Tests
+ * Test the worker protocol, progress reports and cancellation with a fake Worker
+ */
+
+import { AIWorkerClient } from '../../src/ai/AIWorkerClient.js'
+import { AI_REQUESTS, AI_RESPONSES, handleAIRequest } from '../../src/ai/AIWorkerProtocol.js'
+import { GameService } from '../../src/core/game/GameService.js'
+import { GAME_PHASES } from '../../src/utils/constants.js'
+
+/**
+ * Fake Worker that records requests and answers when told to
+ */
+class FakeWorker {
+  constructor() {
+    this.requests = []
+    this.terminated = false
+    FakeWorker.instances.push(this)
+  }
+
+  postMessage(request) {
+    this.requests.push(request)
+  }
+
+  terminate() {
+    this.terminated = true
+  }
+
+  respond(response) {
+    this.onmessage({ data: response })
+  }
+}
+
+/**
+ * Placement position for an expert Player 2 with a single piece left
+ */
+function createPlacementPosition() {
+  const gameState = GameService.createNew(6, 6, { seed: 2, aiDifficulty: 'expert' })
+  gameState.phase = GAME_PHASES.PLACEMENT
+  gameState.currentPlayer = 2
+  gameState.players[1].arsenal = { O4: 1 }
+  gameState.players[2].arsenal = { I4: 1 }
+  return gameState
+}
+
+describe('AIWorkerClient', () => {
+  let client
+
+  beforeEach(() => {
+    FakeWorker.instances = []
+    client = new AIWorkerClient({ createWorker: () => new FakeWorker() })
+  })
+
+  test('requests a move and reports search progress', async () => {
+    const gameState = createPlacementPosition()
+    const progress = []
+    const decision = client.requestMove(gameState, 2, update => progress.push(update))
+
+    const [worker] = FakeWorker.instances
+    const [request] = worker.requests
+    expect(request).toEqual({ type: AI_REQUESTS.MOVE, requestId: 1, gameState, playerId: 2 })
+
+    worker.respond({ type: AI_RESPONSES.PROGRESS, requestId: 1, depth: 1, maxDepth: 6 })
+    worker.respond({ type: AI_RESPONSES.MOVE, requestId: 1, decision: { phase: GAME_PHASES.PLACEMENT, move: null } })
+
+    await expect(decision).resolves.toEqual({ phase: GAME_PHASES.PLACEMENT, move: null })
+    expect(progress).toEqual([{ depth: 1, maxDepth: 6 }])
+  })
+
+  test('cancelling stops the worker and drops its late answer', async () => {
+    const first = client.requestMove(createPlacementPosition(), 2)
+    const [oldWorker] = FakeWorker.instances
+
+    client.cancel()
+    await expect(first).resolves.toBeNull()
+    expect(oldWorker.terminated).toBe(true)
+
+    const second = client.requestMove(createPlacementPosition(), 2)
+    const newWorker = FakeWorker.instances[1]
+    expect(newWorker.requests[0].requestId).toBe(2)
+
+    oldWorker.respond({ type: AI_RESPONSES.MOVE, requestId: 1, decision: { phase: GAME_PHASES.DRAFT, pieceId: 'I4' } })
+    newWorker.respond({ type: AI_RESPONSES.ERROR, requestId: 2, message: 'AI cannot move in phase GAME_OVER' })
+    await expect(second).rejects.toThrow('AI cannot move in phase GAME_OVER')
+  })
+
+  test('computes on the main thread without Web Workers', async () => {
+    const inline = new AIWorkerClient()
+    const gameState = GameService.createNew(8, 8, { seed: 4 })
+    gameState.currentPlayer = 2
+
+    const decision = await inline.requestMove(gameState, 2)
+    expect(decision.phase).toBe(GAME_PHASES.DRAFT)
+    expect(decision.pieceId === null || gameState.stock[decision.pieceId] !== undefined).toBe(true)
+  })
+
+  test('the worker handler posts progress before the move', () => {
+    const responses = []
+    handleAIRequest({ type: AI_REQUESTS.MOVE, requestId: 7, gameState: createPlacementPosition(), playerId: 2 },
+      response => responses.push(response))
+
+    const types = responses.map(response => response.type)
+    expect(types[types.length - 1]).toBe(AI_RESPONSES.MOVE)
+    expect(types.slice(0, -1).every(type => type === AI_RESPONSES.PROGRESS)).toBe(true)
+    expect(responses[0].requestId).toBe(7)
+    expect(responses[responses.length - 1].decision.move.pieceId).toBe('I4')
+
+    handleAIRequest({ type: 'ponder', requestId: 8 }, response => responses.push(response))
+    expect(responses[responses.length - 1]).toEqual({ type: AI_RESPONSES.ERROR, requestId: 8, message: 'Unknown AI request: ponder' })
+  })
+})
\ No newline at end of file
@@ -0,0 +1,90 @@
+/**
+ * Draft Evaluator Tests
+ * Test that draft pieces are valued against the actual board and opponent
+ */
+
+import { DraftEvaluator } from '../../src/ai/DraftEvaluator.js'
+import { SimpleAI } from '../../src/ai/SimpleAI.js'
+import { GameService } from '../../src/core/game/GameService.js'
+import { createEmptyBoard } from '../../src/core/board/Board.js'
+
+/**
+ * Build a board where only a single-width corridor in row 0 is usable
+ */
+function createCorridorBoard() {
+  const board = createEmptyBoard(6, 6)
+  for (let y = 1; y < 6; y++) {
+    for (let x = 0; x < 6; x++) {
+      board.grid[y][x] = -1
+    }
+  }
+  return board
+}
+
+describe('DraftEvaluator', () => {
+  test('pieces that cannot be placed on the board have no anchors', () => {
+    const board = createCorridorBoard()
+
+    expect(DraftEvaluator.getReach(board, 'I4').anchors).toBe(3)
+    expect(DraftEvaluator.getReach(board, 'O4').anchors).toBe(0)
+  })
+
+  test('prefers the piece that fits the corridor', () => {
+    const gameState = GameService.createNew(6, 6, { customBoard: createCorridorBoard() })
+
+    expect(DraftEvaluator.chooseDraftPiece(gameState, 1, ['O4', 'T4', 'I4'])).toBe('I4')
+  })
+
+  test('passes when no affordable piece fits the board', () => {
+    const gameState = GameService.createNew(6, 6, { customBoard: createCorridorBoard() })
+
+    expect(DraftEvaluator.chooseDraftPiece(gameState, 1, ['O4', 'T4'])).toBeNull()
+  })
+
+  test('finds narrow corridor cells next to holes', () => {
+    const board = createEmptyBoard(5, 5)
+    board.grid[2][1] = -1
+    board.grid[2][3] = -1
+
+    const corridors = DraftEvaluator.findCorridorCells(board)
+
+    expect(corridors.has('2,2')).toBe(true)
+    expect(corridors.has('0,0')).toBe(false)
+  })
+
+  test('denial only counts in singleton stock mode', () => {
+    const singleton = GameService.createNew(8, 8, { stockMode: 'singleton' })
+    const unlimited = GameService.createNew(8, 8, { stockMode: 'unlimited' })
+
+    const [singletonEval] = DraftEvaluator.evaluatePieces(singleton, 1, ['I5'])
+    const [unlimitedEval] = DraftEvaluator.evaluatePieces(unlimited, 1, ['I5'])
+
+    expect(singletonEval.denial).toBeGreaterThan(0)
+    expect(unlimitedEval.denial).toBe(0)
+  })
+
+  test('denial drops for cells the opponent arsenal already covers', () => {
+    const gameState = GameService.createNew(8, 8, { stockMode: 'singleton' })
+    const [before] = DraftEvaluator.evaluatePieces(gameState, 1, ['L4'])
+
+    gameState.players[2].arsenal = { 'L5': 1, 'T4': 1 }
+    const [after] = DraftEvaluator.evaluatePieces(gameState, 1, ['L4'])
+
+    expect(after.denial).toBeLessThan(before.denial)
+  })
+
+  test('values efficiency more when behind on budget', () => {
+    expect(DraftEvaluator.getBudgetParityScale(10, 20)).toBeGreaterThan(1)
+    expect(DraftEvaluator.getBudgetParityScale(20, 10)).toBeLessThan(1)
+    expect(DraftEvaluator.getBudgetParityScale(10, 10)).toBe(1)
+  })
+
+  test('expert difficulty drafts with the evaluator', () => {
+    const gameState = GameService.createNew(6, 6, {
+      customBoard: createCorridorBoard(),
+      aiDifficulty: 'expert'
+    })
+
+    expect(SimpleAI.makeDraftDecision(gameState, 1)).toBe('I4')
+  })
+})
\ No newline at end of file
@@ -0,0 +1,144 @@
+/**
+ * Search AI Tests
+ * Test the alpha-beta search behind the expert difficulty
+ */
+
+import { SearchAI } from '../../src/ai/SearchAI.js'
+import { SimpleAI } from '../../src/ai/SimpleAI.js'
+import { GameService } from '../../src/core/game/GameService.js'
+import { GAME_PHASES } from '../../src/utils/constants.js'
+import { enumerateLegalMoves } from '../../src/core/placement/PlacementService.js'
+
+/**
+ * Build a placement-phase position on an 8x8 board
+ */
+function createPosition(player1Cells, arsenal1, arsenal2, player2Cells = []) {
+  const gameState = GameService.createNew(8, 8, { seed: 11, aiDifficulty: 'expert' })
+  for (const [x, y] of player1Cells) {
+    gameState.board.grid[y][x] = 1
+  }
+  for (const [x, y] of player2Cells) {
+    gameState.board.grid[y][x] = 2
+  }
+  gameState.phase = GAME_PHASES.PLACEMENT
+  gameState.currentPlayer = 2
+  gameState.players[1].arsenal = arsenal1
+  gameState.players[2].arsenal = arsenal2
+  return gameState
+}
+
+describe('SearchAI', () => {
+  test('blocks an opponent move that would complete a full row', () => {
+    const gameState = createPosition(
+      [[0, 0], [1, 0], [2, 0], [3, 0]],
+      { 'I4': 1 },
+      { 'I4': 1, 'O4': 1 }
+    )
+    const legalMoves = enumerateLegalMoves(gameState, 2)
+
+    const move = SearchAI.findBestMove(gameState, 2, legalMoves, { timeBudget: 10000, maxDepth: 2 })
+    const blocksRow = move.absCells.some(([x, y]) => y === 0 && x >= 4)
+
+    expect(blocksRow).toBe(true)
+  })
+
+  test('completes its own full row at depth one', () => {
+    const gameState = createPosition(
+      [],
+      { 'O4': 1 },
+      { 'I4': 1 },
+      [[0, 7], [1, 7], [2, 7], [3, 7]]
+    )
+    const legalMoves = enumerateLegalMoves(gameState, 2)
+
+    const move = SearchAI.findBestMove(gameState, 2, legalMoves, { timeBudget: 10000, maxDepth: 1 })
+
+    expect(move.absCells).toEqual([[4, 7], [5, 7], [6, 7], [7, 7]])
+  })
+
+  test('scores search moves with the game\'s scoring preset', () => {
+    const gameState = createPosition([], {}, { 'O4': 1 })
+    const [move] = enumerateLegalMoves(gameState, 2)
+
+    expect(SearchAI.applyMove(SearchAI.createSearchNode(gameState), move).points).toBeGreaterThan(0)
+
+    gameState.config.scoringPreset = 'lines_only'
+    expect(SearchAI.applyMove(SearchAI.createSearchNode(gameState), move).points).toBe(0)
+  })
+
+  test('values placing the last piece over points when the last move wins', () => {
+    const gameState = createPosition([], {}, { 'I4': 1 })
+    gameState.config.scoringPreset = 'last_move_wins'
+    gameState.scoring.player1Score = 40
+
+    const [move] = enumerateLegalMoves(gameState, 2)
+    const { node } = SearchAI.applyMove(SearchAI.createSearchNode(gameState), move)
+
+    expect(node.gameOver).toBe(true)
+    expect(SearchAI.evaluate(node, 2)).toBeGreaterThan(0)
+    expect(SearchAI.evaluate(node, 1)).toBeLessThan(0)
+  })
+
+  test('ends the search when a side reaches the score target', () => {
+    const gameState = createPosition([], { 'I4': 1 }, { 'I4': 1, 'O4': 1 }, [[0, 7], [1, 7], [2, 7], [3, 7]])
+    gameState.endCondition = { type: 'score_target', scoreToWin: 1, roundLimit: null, roundsPlayed: 0 }
+
+    const rowMove = enumerateLegalMoves(gameState, 2).find(move => move.absCells.every(([x, y]) => y === 7 && x >= 4))
+    const { node } = SearchAI.applyMove(SearchAI.createSearchNode(gameState), rowMove)
+
+    expect(node.gameOver).toBe(true)
+    expect(node.winner).toBe(2)
+    expect(SearchAI.evaluate(node, 2)).toBeGreaterThan(1000)
+  })
+
+  test('ends the search at the turn limit and decides it by score', () => {
+    const gameState = createPosition([], { 'I4': 1 }, { 'I4': 1, 'O4': 1 })
+    gameState.endCondition = { type: 'turn_limit', scoreToWin: null, roundLimit: 1, roundsPlayed: 0 }
+    gameState.scoring.player1Score = 40
+
+    const [move] = enumerateLegalMoves(gameState, 2)
+    const { node } = SearchAI.applyMove(SearchAI.createSearchNode(gameState), move)
+
+    expect(node.endCondition.roundsPlayed).toBe(1)
+    expect(node.gameOver).toBe(true)
+    expect(node.winner).toBe(1)
+    expect(SearchAI.evaluate(node, 2)).toBeLessThan(-1000)
+  })
+
+  test('plays sudden death for the last placement rather than for points', () => {
+    const gameState = createPosition([], {}, { 'I4': 1, 'O4': 1 })
+    gameState.scoring.player1Score = 40
+    const [move] = enumerateLegalMoves(gameState, 2)
+
+    const { node: blocked } = SearchAI.applyMove(SearchAI.createSearchNode(gameState), move)
+    expect(blocked.gameOver).toBe(false)
+    expect(blocked.currentPlayer).toBe(2)
+
+    gameState.endCondition = { type: 'sudden_death', scoreToWin: null, roundLimit: null, roundsPlayed: 0 }
+    const { node } = SearchAI.applyMove(SearchAI.createSearchNode(gameState), move)
+    expect(node.gameOver).toBe(true)
+    expect(node.winner).toBe(2)
+    expect(SearchAI.evaluate(node, 2)).toBeGreaterThan(0)
+    expect(SearchAI.evaluate(node, 1)).toBeLessThan(0)
+  })
+
+  test('returns null without legal moves', () => {
+    const gameState = createPosition([], { 'I4': 1 }, {})
+    expect(SearchAI.findBestMove(gameState, 2, [])).toBeNull()
+  })
+
+  test('expert difficulty returns a legal move within the time budget', () => {
+    const gameState = createPosition(
+      [[2, 2], [3, 2], [2, 3]],
+      { 'T4': 1, 'L4': 1, 'I4': 1 },
+      { 'T4': 1, 'O4': 1, 'S4': 1 }
+    )
+    const legalMoves = enumerateLegalMoves(gameState, 2)
+
+    const start = Date.now()
+    const move = SimpleAI.makePlacementDecision(gameState, 2)
+
+    expect(legalMoves).toContainEqual(move)
+    expect(Date.now() - start).toBeLessThan(1500)
+  })
+})
\ No newline at end of file
@@ -0,0 +1,87 @@
+/**
+ * Simple AI Seat Tests
+ * Test that the AI can play either seat, or both, at per-seat difficulties
+ */
+
+import { SimpleAI } from '../../src/ai/SimpleAI.js'
+import { GameService } from '../../src/core/game/GameService.js'
+import { getSeat, getSeatDifficulty, getHumanPlayers, isAISeat, isHotSeat, hidesArsenals } from '../../src/core/game/GameState.js'
+import { isValidMove } from '../../src/core/placement/PlacementService.js'
+import { GAME_PHASES, SEAT_TYPES } from '../../src/utils/constants.js'
+
+const AI_VS_AI_SEATS = {
+  1: { type: SEAT_TYPES.AI, difficulty: 'easy' },
+  2: { type: SEAT_TYPES.AI, difficulty: 'normal' }
+}
+
+/**
+ * Let the AI play every turn until the game ends
+ */
+function playOut(gameState, maxActions = 200) {
+  for (let i = 0; i < maxActions && gameState.phase !== GAME_PHASES.GAME_OVER; i++) {
+    const playerId = gameState.currentPlayer
+
+    if (gameState.phase === GAME_PHASES.DRAFT) {
+      const pieceId = SimpleAI.makeDraftDecision(gameState, playerId)
+      gameState = pieceId
+        ? GameService.draftBuy(gameState, playerId, pieceId)
+        : GameService.draftPass(gameState, playerId)
+    } else {
+      const move = SimpleAI.makePlacementDecision(gameState, playerId)
+      expect(isValidMove(gameState, move)).toBe(true)
+      gameState = GameService.placePiece(gameState, move)
+    }
+  }
+  return gameState
+}
+
+describe('AI seats', () => {
+  test('games without seats default to human Player 1 vs. AI Player 2', () => {
+    const gameState = GameService.createNew(8, 8, { aiDifficulty: 'hard' })
+
+    expect(isAISeat(gameState, 1)).toBe(false)
+    expect(isAISeat(gameState, 2)).toBe(true)
+    expect(getSeatDifficulty(gameState, 2)).toBe('hard')
+    expect(getHumanPlayers(gameState)).toEqual([1])
+  })
+
+  test('each seat has its own type and difficulty', () => {
+    const gameState = GameService.createNew(8, 8, { seats: AI_VS_AI_SEATS })
+
+    expect(getSeat(gameState, 1).type).toBe(SEAT_TYPES.AI)
+    expect(getSeatDifficulty(gameState, 1)).toBe('easy')
+    expect(getSeatDifficulty(gameState, 2)).toBe('normal')
+    expect(getHumanPlayers(gameState)).toEqual([])
+  })
+
+  test('hot-seat mode needs two human seats', () => {
+    const humanSeats = {
+      1: { type: SEAT_TYPES.HUMAN, difficulty: null },
+      2: { type: SEAT_TYPES.HUMAN, difficulty: null }
+    }
+    const hotSeat = GameService.createNew(8, 8, { seats: humanSeats, hotSeat: { hideArsenals: true } })
+    const withAI = GameService.createNew(8, 8, { hotSeat: { hideArsenals: true } })
+
+    expect(isHotSeat(hotSeat)).toBe(true)
+    expect(hidesArsenals(hotSeat)).toBe(true)
+    expect(isHotSeat(withAI)).toBe(false)
+    expect(hidesArsenals(withAI)).toBe(false)
+    expect(isHotSeat(GameService.createNew(8, 8, { seats: humanSeats }))).toBe(false)
+  })
+
+  test('the AI evaluates the board for the seat it plays', () => {
+    const gameState = GameService.createNew(8, 8, { seed: 3 })
+    gameState.phase = GAME_PHASES.PLACEMENT
+    gameState.players[1].arsenal = { 'I4': 1 }
+
+    SimpleAI.makePlacementDecision(gameState, 1)
+    expect(SimpleAI.playerId).toBe(1)
+  })
+
+  test('AI vs. AI plays a full game to the end', () => {
+    const gameState = playOut(GameService.createNew(8, 8, { seed: 21, seats: AI_VS_AI_SEATS }))
+
+    expect(gameState.phase).toBe(GAME_PHASES.GAME_OVER)
+    expect([1, 2]).toContain(gameState.winner)
+  })
+})
\ No newline at end of file
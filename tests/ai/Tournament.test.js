@@ -0,0 +1,92 @@
+/**
+ * AI Tournament Tests
+ * Test headless AI vs. AI games and tournament reporting
+ */
+
+import { runTournament, formatReport, calculateElo, playGame } from '../../src/ai/Tournament.js'
+import { GAME_PHASES, SEAT_TYPES } from '../../src/utils/constants.js'
+
+describe('AI Tournament', () => {
+  let report
+
+  beforeAll(() => {
+    report = runTournament({
+      configA: { difficulty: 'easy' },
+      configB: { name: 'easy-b', difficulty: 'easy' },
+      games: 2,
+      shapes: ['cross'],
+      boardSize: 8,
+      seed: 5
+    })
+  })
+
+  test('plays a full game on a shaped board', () => {
+    const gameState = playGame({
+      seats: {
+        1: { type: SEAT_TYPES.AI, difficulty: 'easy' },
+        2: { type: SEAT_TYPES.AI, difficulty: 'easy' }
+      },
+      shape: 'diamond',
+      boardSize: 8,
+      seed: 9
+    })
+
+    expect(gameState.phase).toBe(GAME_PHASES.GAME_OVER)
+    expect(gameState.config.customBoard).toBeDefined()
+  })
+
+  test('swaps seats between the games of a pair', () => {
+    expect(report.results.map(result => result.firstPlayer)).toEqual(['A', 'B'])
+    expect(report.results[0].seed).toBe(report.results[1].seed)
+  })
+
+  test('reports win rates, scores and points by pattern type', () => {
+    const { A, B } = report.standings
+
+    expect(A.wins + B.wins).toBe(2)
+    expect(A.winRate + B.winRate).toBeCloseTo(1)
+    expect(typeof A.averageScore).toBe('number')
+    expect(typeof A.averagePointsByPatternType).toBe('object')
+    expect(report.entrants.B.name).toBe('easy-b')
+    expect(report.firstPlayer.winRate).toBeGreaterThanOrEqual(0)
+  })
+
+  test('replays the same games from the same seed, however slow the machine', () => {
+    // Every AI decision takes longer than the default time limit, which must not change the moves
+    const realNow = Date.now
+    let clock = realNow()
+    Date.now = () => (clock += 5000)
+
+    try {
+      const replay = runTournament({
+        configA: { difficulty: 'easy' },
+        configB: { name: 'easy-b', difficulty: 'easy' },
+        games: 2,
+        shapes: ['cross'],
+        boardSize: 8,
+        seed: 5
+      })
+      expect(replay.results).toEqual(report.results)
+    } finally {
+      Date.now = realNow
+    }
+  })
+
+  test('Elo moves toward the winner and is zero-sum', () => {
+    const ratings = calculateElo([{ winner: 'A' }, { winner: 'A' }, { winner: 'B' }])
+
+    expect(ratings.A).toBeGreaterThan(1500)
+    expect(ratings.A + ratings.B).toBeCloseTo(3000)
+  })
+
+  test('formats reports as JSON and CSV', () => {
+    expect(JSON.parse(formatReport(report, 'json')).games).toBe(2)
+
+    const lines = formatReport(report, 'csv').split('\n')
+    expect(lines).toHaveLength(3)
+    expect(lines[0]).toMatch(/^entrant,name,difficulty,games,wins/)
+    expect(lines[2]).toMatch(/^B,easy-b,easy,2,/)
+
+    expect(() => formatReport(report, 'xml')).toThrow('Unknown report format')
+  })
+})
\ No newline at end of file
@@ -0,0 +1,95 @@
+/**
+ * Bitboard Tests
+ * Test packing, the board adapters and bitwise placement legality
+ */
+
+import {
+  createBitboard,
+  toBoard,
+  getBitboardCell,
+  cloneBitboard,
+  placeOnBitboard,
+  createPieceMask,
+  canPlaceMask
+} from '../../../src/core/board/Bitboard.js'
+import { createEmptyBoard } from '../../../src/core/board/Board.js'
+import { isLegalPlacement, enumerateLegalMoves } from '../../../src/core/placement/PlacementService.js'
+import { BoardShapes } from '../../../src/core/board/BoardShapes.js'
+import { GameService } from '../../../src/core/game/GameService.js'
+import { createRandom } from '../../../src/utils/random.js'
+
+const T4 = [[0, 0], [1, 0], [2, 0], [1, 1]]
+
+describe('Bitboard', () => {
+  test('round-trips boards with holes and both players', () => {
+    const board = BoardShapes.createShapedBoard('cross', 10, true, createRandom(7))
+    board.grid[4][4] = 1
+    board.grid[5][5] = 2
+
+    const bitboard = createBitboard(board)
+    expect(toBoard(bitboard)).toEqual({ rows: board.rows, cols: board.cols, grid: board.grid })
+    expect(getBitboardCell(bitboard, 5, 5)).toBe(2)
+    expect(getBitboardCell(bitboard, -1, 0)).toBeNull()
+  })
+
+  test('packs rows wider than one word', () => {
+    const board = createEmptyBoard(3, 40)
+    board.grid[1][31] = 1
+    board.grid[1][32] = -1
+    const bitboard = createBitboard(board)
+
+    expect(bitboard.wordsPerRow).toBe(2)
+    expect(toBoard(bitboard).grid).toEqual(board.grid)
+
+    // Pieces straddling the word boundary see cells on both sides
+    const mask = createPieceMask(T4)
+    expect(canPlaceMask(bitboard, mask, 31, 0)).toBe(false)
+    expect(canPlaceMask(bitboard, mask, 30, 1)).toBe(false)
+    expect(canPlaceMask(bitboard, mask, 33, 1)).toBe(true)
+    expect(canPlaceMask(bitboard, mask, 38, 0)).toBe(false)
+  })
+
+  test('places pieces without changing the original', () => {
+    const bitboard = createBitboard(createEmptyBoard(5, 5))
+    const placed = placeOnBitboard(bitboard, [[0, 0], [1, 0]], 1)
+
+    expect(getBitboardCell(placed, 1, 0)).toBe(1)
+    expect(getBitboardCell(bitboard, 1, 0)).toBe(0)
+    expect(placed.holes).toBe(bitboard.holes)
+    expect(() => placeOnBitboard(placed, [[1, 0]], 2)).toThrow('Cell [1, 0] is already occupied')
+    expect(() => placeOnBitboard(placed, [[5, 0]], 2)).toThrow('Cell [5, 0] is out of bounds')
+
+    const copy = cloneBitboard(placed)
+    copy.occupied[0] = 0
+    expect(getBitboardCell(placed, 0, 0)).toBe(1)
+  })
+
+  test('agrees with the grid legality test on every anchor', () => {
+    const board = BoardShapes.createShapedBoard('star', 12, true, createRandom(3))
+    const random = createRandom(11)
+    for (let y = 0; y < board.rows; y++) {
+      for (let x = 0; x < board.cols; x++) {
+        if (board.grid[y][x] === 0 && random() < 0.3) {
+          board.grid[y][x] = random() < 0.5 ? 1 : 2
+        }
+      }
+    }
+
+    const bitboard = createBitboard(board)
+    const mask = createPieceMask(T4)
+    for (let y = -1; y <= board.rows; y++) {
+      for (let x = -1; x <= board.cols; x++) {
+        expect(canPlaceMask(bitboard, mask, x, y)).toBe(isLegalPlacement(board, T4, [x, y]))
+      }
+    }
+  })
+
+  test('enumerates moves from a search node bitboard', () => {
+    const gameState = GameService.createNew(6, 6)
+    gameState.players[1].arsenal = { O4: 1 }
+    const node = { ...gameState, bitboard: placeOnBitboard(createBitboard(gameState.board), [[0, 0]], 2) }
+
+    expect(enumerateLegalMoves(gameState, 1)).toHaveLength(25)
+    expect(enumerateLegalMoves(node, 1)).toHaveLength(24)
+  })
+})
\ No newline at end of file
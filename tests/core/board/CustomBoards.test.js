@@ -0,0 +1,84 @@
+/**
+ * Custom Board Tests
+ * Test board strings, board checks and games played on custom boards
+ */
+
+import {
+  countPlayableCells,
+  findBoardProblems,
+  canAddHole,
+  encodeBoard,
+  decodeBoard
+} from '../../../src/core/board/CustomBoards.js'
+import { createEmptyBoard } from '../../../src/core/board/Board.js'
+import { BoardShapes } from '../../../src/core/board/BoardShapes.js'
+import { GameService } from '../../../src/core/game/GameService.js'
+import { getInitialConfig } from '../../../src/core/game/ActionLog.js'
+import { createRandom } from '../../../src/utils/random.js'
+
+describe('Custom boards', () => {
+  test('round-trips boards of any size through board strings', () => {
+    const board = BoardShapes.createShapedBoard('star', 10, true, createRandom(3))
+    const text = encodeBoard(board)
+
+    expect(text).toMatch(/^b1\.\d+x\d+\.[A-Za-z0-9_-]+$/)
+    expect(decodeBoard(text)).toEqual(board)
+
+    const wide = createEmptyBoard(5, 13)
+    wide.grid[4][12] = -1
+    expect(decodeBoard(encodeBoard(wide))).toEqual(wide)
+    expect(encodeBoard(createEmptyBoard(6, 6))).toBe('b1.6x6.______')
+  })
+
+  test('rejects malformed board strings', () => {
+    expect(() => decodeBoard('hello')).toThrow('Invalid board string: expected b1.<cols>x<rows>.<cells>')
+    expect(() => decodeBoard('b1.30x6.______')).toThrow('boards are 4 to 20 cells wide and high')
+    expect(() => decodeBoard('b1.6x6.___')).toThrow('expected 6 cell characters, found 3')
+  })
+
+  test('finds boards that are too small or cut in two', () => {
+    const board = createEmptyBoard(8, 8)
+    expect(findBoardProblems(board)).toEqual([])
+
+    // A wall of holes down column 3 cuts the three columns on the left off the larger right side
+    board.grid.forEach(row => { row[3] = -1 })
+    expect(countPlayableCells(board)).toBe(56)
+    expect(findBoardProblems(board)).toEqual(['24 playable cells are cut off from the rest of the board'])
+
+    const tiny = createEmptyBoard(4, 4)
+    tiny.grid[0][0] = -1
+    expect(findBoardProblems(tiny)).toEqual(['At least 16 playable cells are needed, found 15'])
+  })
+
+  test('refuses holes that would leave their neighbours in too small an area', () => {
+    const board = createEmptyBoard(8, 8)
+    board.grid[0][1] = -1
+    board.grid[1][0] = -1
+
+    // The corner cell is already cut off, so it can go; its neighbours' holes were fine
+    expect(canAddHole(board, 0, 0)).toBe(true)
+    expect(canAddHole(board, 4, 4)).toBe(true)
+
+    // Inside a walled-off 2x2 pocket, a hole would leave its neighbours in too small an area
+    const pocket = createEmptyBoard(8, 8)
+    pocket.grid[0][2] = -1
+    pocket.grid[1][2] = -1
+    pocket.grid[2][0] = -1
+    pocket.grid[2][1] = -1
+    expect(canAddHole(pocket, 0, 0)).toBe(false)
+    expect(canAddHole(pocket, 3, 0)).toBe(true)
+  })
+
+  test('creates games on a board string and replays them from the config', () => {
+    const board = createEmptyBoard(6, 9)
+    board.grid[0][0] = -1
+    board.grid[5][8] = -1
+    const text = encodeBoard(board)
+
+    const gameState = GameService.createNew(board.rows, board.cols, { seed: 2, boardShape: 'custom', customBoard: text })
+
+    expect(gameState.board).toEqual(board)
+    expect(gameState.config.customBoard).toBe(text)
+    expect(getInitialConfig(gameState)).toMatchObject({ rows: 6, cols: 9 })
+  })
+})
\ No newline at end of file
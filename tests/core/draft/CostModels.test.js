@@ -0,0 +1,124 @@
+/**
+ * Draft Cost Model Tests
+ * Test shape-based and scarcity pricing and auction drafting
+ */
+
+import { getDraftCost, getShapeCost, getCostModel, SCARCITY_STEP } from '../../../src/core/draft/CostModels.js'
+import { buyPiece, canBuy, canBid, isDraftOver } from '../../../src/core/draft/DraftService.js'
+import { GameService } from '../../../src/core/game/GameService.js'
+import { findGameStateViolations } from '../../../src/core/game/GameStateValidator.js'
+import { computeAIDecision } from '../../../src/ai/AIWorkerProtocol.js'
+import { GAME_PHASES } from '../../../src/utils/constants.js'
+
+describe('Draft cost models', () => {
+  test('fixed prices are the listed costs', () => {
+    const gameState = GameService.createNew(8, 8, { seed: 1 })
+    expect(getDraftCost(gameState, 'I5')).toBe(5)
+    expect(getDraftCost(gameState, 'X5')).toBe(5)
+    expect(() => getCostModel('haggle')).toThrow('Unknown cost model: haggle')
+  })
+
+  test('shape-based prices make lines cheaper and branching pieces dearer', () => {
+    expect(getShapeCost('I5')).toBe(4)
+    expect(getShapeCost('X5')).toBe(6)
+    expect(getShapeCost('O4')).toBe(4)
+    expect(getShapeCost('T4')).toBe(5)
+
+    let gameState = GameService.createNew(8, 8, { seed: 1, costModel: 'shape' })
+    gameState = buyPiece(gameState, 1, 'I5')
+    expect(gameState.players[1].budget).toBe(33 - 4)
+  })
+
+  test('scarcity prices rise as pieces of a size sell', () => {
+    let gameState = GameService.createNew(8, 8, { seed: 1, costModel: 'scarcity' })
+    const pentominoes = ['I5', 'L5', 'P5']
+    expect(pentominoes).toHaveLength(SCARCITY_STEP)
+
+    for (const pieceId of pentominoes) {
+      expect(getDraftCost(gameState, 'X5')).toBe(5)
+      gameState = buyPiece(gameState, 1, pieceId)
+    }
+
+    expect(getDraftCost(gameState, 'X5')).toBe(6)
+    expect(getDraftCost(gameState, 'T4')).toBe(4)
+    expect(gameState.players[1].budget).toBe(33 - 15)
+  })
+})
+
+describe('Auction draft', () => {
+  let gameState
+
+  beforeEach(() => {
+    gameState = GameService.createNew(8, 8, { seed: 9, costModel: 'auction' })
+  })
+
+  test('starts with a revealed lot and replaces buying with bids', () => {
+    const { pieceId, bids } = gameState.draftState.auction
+    expect(gameState.stock[pieceId]).toBe(1)
+    expect(bids).toEqual([])
+    expect(canBuy(gameState, 1, pieceId)).toBe(false)
+    expect(() => GameService.draftBuy(gameState, 1, pieceId)).toThrow('pieces are auctioned in this draft')
+    expect(canBid(gameState, 1, 34)).toBe(false)
+    expect(canBid(gameState, 1, 2.5)).toBe(false)
+  })
+
+  test('the higher bid pays and wins, and the second bidder opens the next lot', () => {
+    const lot = gameState.draftState.auction.pieceId
+
+    let state = GameService.draftBid(gameState, 1, 4)
+    expect(state.currentPlayer).toBe(2)
+    expect(canBid(state, 1, 3)).toBe(false)
+
+    state = GameService.draftBid(state, 2, 6)
+    expect(state.players[2].arsenal[lot]).toBe(1)
+    expect(state.players[2].budget).toBe(33 - 6)
+    expect(state.players[1].budget).toBe(33)
+    expect(state.stock[lot]).toBe(0)
+    expect(state.draftState.lastLot).toEqual({
+      pieceId: lot,
+      bids: [{ player: 1, amount: 4 }, { player: 2, amount: 6 }],
+      winner: 2
+    })
+    expect(state.draftState.auction.pieceId).not.toBe(lot)
+    expect(state.currentPlayer).toBe(2)
+    expect(findGameStateViolations(state)).toEqual([])
+  })
+
+  test('ties go to the first bidder', () => {
+    const lot = gameState.draftState.auction.pieceId
+    const state = GameService.draftBid(GameService.draftBid(gameState, 1, 5), 2, 5)
+    expect(state.players[1].arsenal[lot]).toBe(1)
+    expect(state.players[2].budget).toBe(33)
+  })
+
+  test('two unsold lots in a row end the draft', () => {
+    let state = GameService.draftPass(GameService.draftPass(gameState, 1), 2)
+    expect(state.draftState.lastLot.winner).toBeNull()
+    expect(state.draftState.consecutivePasses).toBe(1)
+    expect(state.phase).toBe(GAME_PHASES.DRAFT)
+
+    state = GameService.draftBid(GameService.draftBid(state, 2, 0), 1, 0)
+    expect(isDraftOver(state)).toBe(true)
+    expect(state.phase).not.toBe(GAME_PHASES.DRAFT)
+  })
+
+  test('bids replay from the action log', () => {
+    let state = GameService.draftBid(gameState, 1, 3)
+    state = GameService.draftBid(state, 2, 1)
+    state = GameService.draftBid(state, 2, 7)
+
+    const replayed = GameService.replay({ rows: 8, cols: 8, config: gameState.config }, state.actionLog)
+    expect(replayed.draftState).toEqual(state.draftState)
+    expect(replayed.players).toEqual(state.players)
+  })
+
+  test('the AI answers a lot with a bid it can afford', () => {
+    for (const difficulty of ['easy', 'normal', 'hard', 'expert']) {
+      const state = GameService.createNew(8, 8, { seed: 9, costModel: 'auction', aiDifficulty: difficulty })
+      const decision = computeAIDecision(state, 1)
+
+      expect(decision.phase).toBe(GAME_PHASES.DRAFT)
+      expect(canBid(state, 1, decision.bid)).toBe(true)
+    }
+  })
+})
\ No newline at end of file
@@ -0,0 +1,123 @@
+/**
+ * Draft Format Tests
+ * Test snake, blind and pre-built drafts
+ */
+
+import { getSnakePicker, getDraftFormat } from '../../../src/core/draft/DraftFormats.js'
+import { getArsenalValue } from '../../../src/core/draft/DraftService.js'
+import { GameService } from '../../../src/core/game/GameService.js'
+import { findGameStateViolations } from '../../../src/core/game/GameStateValidator.js'
+import { GAME_PHASES } from '../../../src/utils/constants.js'
+
+describe('Snake draft', () => {
+  test('picks follow the snake order', () => {
+    expect([0, 1, 2, 3, 4, 5].map(pick => getSnakePicker(pick))).toEqual([1, 2, 2, 1, 1, 2])
+    expect([0, 1, 2, 3, 4, 5, 6].map(pick => getSnakePicker(pick, 3))).toEqual([1, 2, 3, 3, 2, 1, 1])
+    expect(() => getDraftFormat('rotisserie')).toThrow('Unknown draft format: rotisserie')
+  })
+
+  test('runs for a fixed number of rounds, and passing skips a pick', () => {
+    let state = GameService.createNew(8, 8, { seed: 2, draftFormat: 'snake', draftRounds: 2 })
+
+    state = GameService.draftBuy(state, 1, 'T4')
+    state = GameService.draftBuy(state, 2, 'I5')
+    expect(state.currentPlayer).toBe(2)
+
+    state = GameService.draftPass(state, 2)
+    expect(state.currentPlayer).toBe(1)
+    expect(state.phase).toBe(GAME_PHASES.DRAFT)
+    expect(findGameStateViolations(state)).toEqual([])
+
+    state = GameService.draftBuy(state, 1, 'L4')
+    expect(state.phase).toBe(GAME_PHASES.PLACEMENT)
+    expect(state.players[1].arsenal).toEqual({ T4: 1, L4: 1 })
+    expect(state.players[2].arsenal).toEqual({ I5: 1 })
+  })
+})
+
+describe('Blind draft', () => {
+  let gameState
+
+  beforeEach(() => {
+    gameState = GameService.createNew(8, 8, { seed: 2, draftFormat: 'blind' })
+  })
+
+  test('picks stay secret until both players have picked', () => {
+    let state = GameService.draftBuy(gameState, 1, 'T4')
+    expect(state.players[1].arsenal).toEqual({})
+    expect(state.stock.T4).toBe(1)
+    expect(state.currentPlayer).toBe(2)
+    expect(() => GameService.draftBuy({ ...state, currentPlayer: 1 }, 1, 'L4')).toThrow('Invalid pick')
+
+    state = GameService.draftBuy(state, 2, 'I5')
+    expect(state.players[1].arsenal).toEqual({ T4: 1 })
+    expect(state.players[2].arsenal).toEqual({ I5: 1 })
+    expect(state.draftState.blindPicks).toEqual([])
+    expect(state.currentPlayer).toBe(2)
+    expect(findGameStateViolations(state)).toEqual([])
+  })
+
+  test('the first pick wins a conflict over a single piece', () => {
+    const state = GameService.draftBuy(GameService.draftBuy(gameState, 1, 'X5'), 2, 'X5')
+
+    expect(state.players[1].arsenal).toEqual({ X5: 1 })
+    expect(state.players[2].arsenal).toEqual({})
+    expect(state.players[2].budget).toBe(33)
+    expect(state.draftState.lastReveal).toEqual([
+      { player: 1, pieceId: 'X5', bought: true },
+      { player: 2, pieceId: 'X5', bought: false }
+    ])
+  })
+
+  test('a round where both pass ends the draft', () => {
+    let state = GameService.draftPass(gameState, 1)
+    expect(state.phase).toBe(GAME_PHASES.DRAFT)
+
+    state = GameService.draftPass(state, 2)
+    expect(state.phase).not.toBe(GAME_PHASES.DRAFT)
+  })
+
+  test('replays from the action log', () => {
+    let state = GameService.draftBuy(gameState, 1, 'T4')
+    state = GameService.draftPass(state, 2)
+    state = GameService.draftBuy(state, 2, 'Z5')
+
+    const replayed = GameService.replay({ rows: 8, cols: 8, config: gameState.config }, state.actionLog)
+    expect(replayed.draftState).toEqual(state.draftState)
+    expect(replayed.players).toEqual(state.players)
+  })
+})
+
+describe('Pre-built arsenals', () => {
+  test('deals arsenals of about equal value and starts placing', () => {
+    const gameState = GameService.createNew(8, 8, { seed: 4, draftFormat: 'prebuilt' })
+    const values = [1, 2].map(playerId => getArsenalValue(gameState.players[playerId].arsenal))
+
+    expect(gameState.phase).toBe(GAME_PHASES.PLACEMENT)
+    expect(gameState.currentPlayer).toBe(1)
+    expect(Math.abs(values[0] - values[1])).toBeLessThanOrEqual(5)
+    expect(values.every(value => value > 0 && value <= 33)).toBe(true)
+    expect(GameService.createNew(8, 8, { seed: 4, draftFormat: 'prebuilt' }).players).toEqual(gameState.players)
+  })
+
+  test('uses configured arsenals', () => {
+    const gameState = GameService.createNew(8, 8, {
+      seed: 4,
+      draftFormat: 'prebuilt',
+      prebuiltArsenals: { 1: { T4: 1, I5: 1 }, 2: { L4: 1, X5: 1 } }
+    })
+
+    expect(gameState.players[1].arsenal).toEqual({ T4: 1, I5: 1 })
+    expect(gameState.players[2].arsenal).toEqual({ L4: 1, X5: 1 })
+    expect(gameState.players[2].budget).toBe(33 - 9)
+    expect(() => GameService.createNew(8, 8, {
+      draftFormat: 'prebuilt',
+      prebuiltArsenals: { 1: { T4: 1 }, 2: { T4: 1 } }
+    })).toThrow('Pre-built arsenal: Player 2 cannot take T4')
+  })
+
+  test('auction pricing needs a format with a draft to bid in', () => {
+    expect(() => GameService.createNew(8, 8, { draftFormat: 'snake', costModel: 'auction' }))
+      .toThrow('The auction cost model cannot be used with the Snake draft format')
+  })
+})
\ No newline at end of file
@@ -0,0 +1,107 @@
+/**
+ * Action Log and Replay Tests
+ * Test logging of every action and deterministic replay
+ */
+
+import { GameService } from '../../../src/core/game/GameService.js'
+import { createMove } from '../../../src/core/placement/PlacementService.js'
+import {
+  ACTION_LOG_VERSION,
+  createActionLog,
+  serializeActionLog,
+  parseActionLog,
+  decodeAction
+} from '../../../src/core/game/ActionLog.js'
+
+describe('Action Log and Replay', () => {
+  let gameState
+
+  beforeEach(() => {
+    gameState = GameService.createNew(8, 8, { seed: 7 })
+    gameState = GameService.draftBuy(gameState, 1, 'I4')
+    gameState = GameService.draftBuy(gameState, 2, 'O4')
+    gameState = GameService.draftPass(gameState, 1)
+    gameState = GameService.draftPass(gameState, 2)
+    gameState = GameService.placePiece(gameState, createMove(1, 'I4', { rot: 90, flipX: false }, [0, 0]))
+  })
+
+  test('logs draft buys, passes and placements', () => {
+    const decoded = gameState.actionLog.map(decodeAction)
+
+    expect(decoded.map(action => action.type)).toEqual([
+      'draftBuy', 'draftBuy', 'draftPass', 'draftPass', 'placePiece'
+    ])
+    expect(decoded[0]).toEqual({ type: 'draftBuy', player: 1, pieceId: 'I4' })
+    expect(decoded[4]).toEqual({
+      type: 'placePiece',
+      player: 1,
+      pieceId: 'I4',
+      transform: { rot: 90, flipX: false },
+      anchor: [0, 0]
+    })
+  })
+
+  test('replay rebuilds the same position', () => {
+    const log = createActionLog(gameState)
+    const replayed = GameService.replay(log.initialConfig, log.actions)
+
+    expect(replayed.board).toEqual(gameState.board)
+    expect(replayed.players).toEqual(gameState.players)
+    expect(replayed.stock).toEqual(gameState.stock)
+    expect(replayed.scoring.player1Score).toBe(gameState.scoring.player1Score)
+    expect(replayed.currentPlayer).toBe(gameState.currentPlayer)
+    expect(replayed.rngState).toBe(gameState.rngState)
+  })
+
+  test('replayPositions returns every intermediate position', () => {
+    const log = createActionLog(gameState)
+    const positions = GameService.replayPositions(log.initialConfig, log.actions)
+
+    expect(positions).toHaveLength(log.actions.length + 1)
+    expect(positions[1].players[1].arsenal).toEqual({ 'I4': 1 })
+    expect(positions[positions.length - 1].board).toEqual(gameState.board)
+  })
+
+  test('undo also rewinds the action log', () => {
+    const undone = GameService.undo(gameState)
+    expect(undone.actionLog).toHaveLength(4)
+  })
+
+  test('serialized logs round-trip through parseActionLog', () => {
+    const log = parseActionLog(serializeActionLog(gameState))
+
+    expect(log.version).toBe(ACTION_LOG_VERSION)
+    expect(log.actions).toEqual(gameState.actionLog)
+  })
+
+  test('parseActionLog rejects invalid and future logs', () => {
+    expect(() => parseActionLog('not json')).toThrow('Invalid action log')
+    expect(() => parseActionLog('{"format":"other"}')).toThrow('not a SumZero action log')
+
+    const future = JSON.parse(serializeActionLog(gameState))
+    future.version = ACTION_LOG_VERSION + 1
+    expect(() => parseActionLog(JSON.stringify(future))).toThrow('Unsupported action log version')
+
+    const badAction = JSON.parse(serializeActionLog(gameState))
+    badAction.actions.push(['X', 1])
+    expect(() => parseActionLog(JSON.stringify(badAction))).toThrow('Unknown action code')
+  })
+
+  test('replay reports the failing action', () => {
+    const log = createActionLog(gameState)
+    const actions = [...log.actions, ['B', 2, 'T4']]
+
+    expect(() => GameService.replay(log.initialConfig, actions)).toThrow('Replay failed at action 6')
+  })
+
+  test('refuses to build a log while blind picks or sealed bids are hidden', () => {
+    let blind = GameService.draftBuy(GameService.createNew(8, 8, { seed: 7, draftFormat: 'blind' }), 1, 'I4')
+    expect(() => createActionLog(blind)).toThrow('still hidden')
+
+    blind = GameService.draftBuy(blind, 2, 'O4')
+    expect(createActionLog(blind).actions).toHaveLength(2)
+
+    const auction = GameService.draftBid(GameService.createNew(8, 8, { seed: 7, costModel: 'auction' }), 1, 3)
+    expect(() => serializeActionLog(auction)).toThrow('still hidden')
+  })
+})
\ No newline at end of file
@@ -0,0 +1,91 @@
+/**
+ * End Condition Tests
+ * Test score targets, turn limits and sudden death
+ */
+
+import { createEndCondition, getEndCondition, DEFAULT_SCORE_TO_WIN } from '../../../src/core/game/EndConditions.js'
+import { GameService } from '../../../src/core/game/GameService.js'
+import { ScoringService } from '../../../src/core/scoring/ScoringService.js'
+import { enumerateLegalMoves } from '../../../src/core/placement/PlacementService.js'
+import { GAME_PHASES } from '../../../src/utils/constants.js'
+
+const ARSENALS = { 1: { T4: 1, L4: 1, I5: 1 }, 2: { O4: 1, Z5: 1, P5: 1 } }
+
+/**
+ * Start a game in the placement phase with fixed arsenals
+ */
+function createPlacementGame(config) {
+  return GameService.createNew(8, 8, { seed: 6, draftFormat: 'prebuilt', prebuiltArsenals: ARSENALS, ...config })
+}
+
+describe('End conditions', () => {
+  test('new games record the configured condition and target', () => {
+    expect(createEndCondition({})).toEqual({ type: 'both_players_blocked', scoreToWin: null, roundLimit: null, roundsPlayed: 0 })
+    expect(createEndCondition({ endCondition: 'score_target' }).scoreToWin).toBe(DEFAULT_SCORE_TO_WIN)
+    expect(createPlacementGame({ endCondition: 'turn_limit', roundLimit: 3 }).endCondition)
+      .toEqual({ type: 'turn_limit', scoreToWin: null, roundLimit: 3, roundsPlayed: 0 })
+    expect(() => getEndCondition('timeout')).toThrow('Unknown end condition: timeout')
+  })
+
+  test('the first player to reach the score target wins at once', () => {
+    const gameState = createPlacementGame({ endCondition: 'score_target', scoreToWin: 10 })
+    gameState.scoring.player2Score = 12
+    gameState.scoring.player1Score = 7
+
+    const ended = GameService.startTurn(gameState)
+    expect(ended.phase).toBe(GAME_PHASES.GAME_OVER)
+    expect(ended.winner).toBe(2)
+    expect(ended.endReason).toBe('Player 2 reaches the target of 10 points (12 vs 7)')
+  })
+
+  test('the turn limit ends the game after the last round and decides by score', () => {
+    let gameState = createPlacementGame({ endCondition: 'turn_limit', roundLimit: 1 })
+
+    gameState = GameService.placePiece(gameState, enumerateLegalMoves(gameState, 1, 1)[0])
+    expect(gameState.phase).toBe(GAME_PHASES.PLACEMENT)
+
+    gameState = GameService.placePiece(gameState, enumerateLegalMoves(gameState, 2, 1)[0])
+    expect(gameState.phase).toBe(GAME_PHASES.GAME_OVER)
+    expect(gameState.endReason).toMatch(/^Turn limit of 1 rounds reached - /)
+  })
+
+  test('rounds end when the turn goes back around the table, skipped players included', () => {
+    // Player 2 has nothing to place, so each round is one placement by player 1 and one by player 3
+    let gameState = GameService.createNew(8, 8, {
+      seed: 6,
+      playerCount: 3,
+      draftFormat: 'prebuilt',
+      prebuiltArsenals: { 1: ARSENALS[1], 2: {}, 3: ARSENALS[2] },
+      endCondition: 'turn_limit',
+      roundLimit: 2
+    })
+
+    for (const playerId of [1, 3, 1]) {
+      expect(gameState.currentPlayer).toBe(playerId)
+      gameState = GameService.placePiece(gameState, enumerateLegalMoves(gameState, playerId, 1)[0])
+      expect(gameState.phase).toBe(GAME_PHASES.PLACEMENT)
+    }
+    expect(gameState.endCondition.roundsPlayed).toBe(1)
+
+    gameState = GameService.placePiece(gameState, enumerateLegalMoves(gameState, 3, 1)[0])
+    expect(gameState.phase).toBe(GAME_PHASES.GAME_OVER)
+    expect(gameState.endCondition.roundsPlayed).toBe(2)
+    expect(gameState.history).toHaveLength(4)
+  })
+
+  test('sudden death ends the game as soon as the player to move is blocked', () => {
+    const gameState = createPlacementGame({ endCondition: 'sudden_death' })
+    gameState.scoring.player1Score = 30
+    const onlyPlayer2CanMove = (state, playerId) => playerId === 2
+
+    expect(ScoringService.checkGameEnd(gameState, onlyPlayer2CanMove)).toMatchObject({
+      gameEnded: true,
+      winner: 2,
+      reason: 'Player 2 wins - Player 1 cannot place a piece'
+    })
+
+    // Without sudden death the blocked player's turn is skipped instead
+    gameState.endCondition = createEndCondition({})
+    expect(ScoringService.checkGameEnd(gameState, onlyPlayer2CanMove).gameEnded).toBe(false)
+  })
+})
\ No newline at end of file
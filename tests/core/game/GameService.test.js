@@ -160,4 +160,178 @@ describe('Game Service Integration', () => {
     expect(migrated.players[2].arsenal).toEqual({ 'I4': 1 })
     expect(migrated.draftState).toBeDefined()
   })
+
+  test('load explains corrupt and unsupported files', () => {
+    const saved = JSON.parse(GameService.save(gameState))
+
+    expect(() => GameService.load('{"version": "1.3", "pha')).toThrow('invalid JSON')
+    expect(() => GameService.load('[1, 2]')).toThrow('not a saved game')
+    expect(() => GameService.load(JSON.stringify({ ...saved, version: undefined }))).toThrow('missing version')
+    expect(() => GameService.load(JSON.stringify({ ...saved, version: '2.0' }))).toThrow('newer version of SumZero')
+    expect(() => GameService.load(JSON.stringify({ ...saved, version: '1.4' }))).toThrow('newer version of SumZero')
+    expect(() => GameService.load(JSON.stringify({ ...saved, version: '0.9' }))).toThrow('Unsupported save version: 0.9')
+    expect(() => GameService.load(JSON.stringify({ ...saved, currentPlayer: 5 }))).toThrow('/currentPlayer must be one of 1, 2, 3, 4')
+    expect(() => GameService.load(JSON.stringify({ ...saved, currentPlayer: 3 }))).toThrow('/currentPlayer player 3 is not in the game')
+    expect(() => GameService.load(JSON.stringify({ ...saved, winner: 1 }))).toThrow('/winner must be null while the game is in DRAFT')
+  })
+
+  test('records each placement once in the history', () => {
+    gameState = GameService.draftBuy(gameState, 1, 'I4')
+    gameState = GameService.draftBuy(gameState, 2, 'O4')
+    gameState = GameService.draftPass(gameState, 1)
+    gameState = GameService.draftPass(gameState, 2)
+    gameState = GameService.placePiece(gameState, createMove(1, 'I4', { rot: 0, flipX: false }, [2, 2]))
+    gameState = GameService.placePiece(gameState, createMove(2, 'O4', { rot: 0, flipX: false }, [6, 6]))
+
+    expect(gameState.history.map(move => [move.player, move.pieceId])).toEqual([[1, 'I4'], [2, 'O4']])
+    expect(gameState.history.every(move => move.id !== undefined)).toBe(true)
+  })
+
+  test('load repairs saves that list each placement twice', () => {
+    gameState = GameService.draftBuy(gameState, 1, 'I4')
+    gameState = GameService.draftBuy(gameState, 2, 'O4')
+    gameState = GameService.draftPass(gameState, 1)
+    gameState = GameService.draftPass(gameState, 2)
+    gameState = GameService.placePiece(gameState, createMove(1, 'I4', { rot: 0, flipX: false }, [2, 2]))
+
+    const { id, pointsEarned, patternsCreated, ...bareMove } = gameState.history[0]
+    const oldSave = { ...gameState, history: [bareMove, gameState.history[0]] }
+
+    expect(GameService.load(JSON.stringify(oldSave)).history).toEqual(gameState.history)
+  })
+
+  test('actions leave the previous state unchanged and share its log entries', () => {
+    let state = GameService.draftBuy(gameState, 1, 'I4')
+    state = GameService.draftBuy(state, 2, 'O4')
+    state = GameService.draftPass(GameService.draftPass(state, 1), 2)
+    const before = GameService.placePiece(state, createMove(1, 'I4', { rot: 0, flipX: false }, [0, 0]))
+    const snapshot = JSON.stringify(before)
+
+    const after = GameService.placePiece(before, createMove(2, 'O4', { rot: 0, flipX: false }, [5, 5]))
+
+    expect(JSON.stringify(before)).toBe(snapshot)
+    expect(after.board.grid).not.toBe(before.board.grid)
+    expect(after.history[0]).toBe(before.history[0])
+    expect(after.actionLog[0]).toBe(before.actionLog[0])
+  })
+
+  describe('undo and redo', () => {
+    const quickDraft = (state) => {
+      state = GameService.draftBuy(state, 1, 'I4')
+      state = GameService.draftBuy(state, 2, 'O4')
+      state = GameService.draftPass(state, 1)
+      return GameService.draftPass(state, 2)
+    }
+
+    test('undo reverts a draft purchase', () => {
+      const bought = GameService.draftBuy(gameState, 1, 'T4')
+      const undone = GameService.undo(bought)
+
+      expect(undone.players[1].budget).toBe(gameState.players[1].budget)
+      expect(undone.players[1].arsenal).toEqual({})
+      expect(undone.stock).toEqual(gameState.stock)
+      expect(undone.currentPlayer).toBe(1)
+      expect(GameService.canUndo(undone)).toBe(false)
+      expect(GameService.canRedo(undone)).toBe(true)
+    })
+
+    test('undo reverts a draft pass', () => {
+      const passed = GameService.draftPass(gameState, 1)
+      const undone = GameService.undo(passed)
+
+      expect(undone.draftState).toEqual(gameState.draftState)
+      expect(undone.currentPlayer).toBe(1)
+    })
+
+    test('undo reverts a placement including board and scoring', () => {
+      let state = quickDraft(gameState)
+      const beforePlacement = state
+      state = GameService.placePiece(state, createMove(1, 'I4', { rot: 0, flipX: false }, [0, 0]))
+
+      expect(state.scoring.player1Score).toBeGreaterThan(0)
+
+      const undone = GameService.undo(state)
+
+      expect(undone.board).toEqual(beforePlacement.board)
+      expect(undone.players[1].arsenal).toEqual(beforePlacement.players[1].arsenal)
+      expect(undone.scoring.player1Score).toBe(0)
+      expect(undone.scoring.scoringHistory).toHaveLength(0)
+      expect(undone.history).toHaveLength(0)
+    })
+
+    test('redo reapplies undone actions', () => {
+      const played = quickDraft(gameState)
+      let state = played
+      while (GameService.canUndo(state)) {
+        state = GameService.undo(state)
+      }
+      while (GameService.canRedo(state)) {
+        state = GameService.redo(state)
+      }
+
+      expect(state.phase).toBe(GAME_PHASES.PLACEMENT)
+      expect(state.players).toEqual(played.players)
+      expect(state.stock).toEqual(played.stock)
+    })
+
+    test('undo entries keep only the log entries their action changed', () => {
+      let state = quickDraft(gameState)
+      state = GameService.placePiece(state, createMove(1, 'I4', { rot: 0, flipX: false }, [0, 0]))
+      const played = GameService.placePiece(state, createMove(2, 'O4', { rot: 0, flipX: false }, [5, 5]))
+
+      expect(played.undoStack.every(snapshot => !snapshot.history && !snapshot.actionLog)).toBe(true)
+      expect(played.undoStack.every(snapshot => snapshot.logs.actionLog.added.length === 0)).toBe(true)
+
+      state = GameService.load(GameService.save(played))
+      while (GameService.canUndo(state)) {
+        state = GameService.undo(state)
+      }
+      expect(state.actionLog).toEqual([])
+      expect(state.redoStack.every(snapshot => snapshot.logs.actionLog.added.length === 1)).toBe(true)
+
+      while (GameService.canRedo(state)) {
+        state = GameService.redo(state)
+      }
+      expect(state.history).toEqual(played.history)
+      expect(state.actionLog).toEqual(played.actionLog)
+      expect(state.scoring).toEqual(played.scoring)
+    })
+
+    test('undo restores full snapshots from older saves', () => {
+      const bought = GameService.draftBuy(gameState, 1, 'T4')
+      const fullSnapshot = Object.fromEntries(Object.entries(gameState)
+        .filter(([field]) => !['config', 'undoStack', 'redoStack'].includes(field)))
+      const undone = GameService.undo({ ...bought, undoStack: [fullSnapshot] })
+
+      expect(undone.players[1].arsenal).toEqual({})
+      expect(undone.actionLog).toEqual([])
+    })
+
+    test('a new action clears the redo stack', () => {
+      let state = GameService.draftBuy(gameState, 1, 'T4')
+      state = GameService.undo(state)
+      state = GameService.draftBuy(state, 1, 'I4')
+
+      expect(GameService.canRedo(state)).toBe(false)
+      expect(() => GameService.redo(state)).toThrow('Nothing to redo')
+    })
+
+    test('undoToPlayer takes back the opponent reply as well', () => {
+      let state = GameService.draftBuy(gameState, 1, 'T4')
+      state = GameService.draftBuy(state, 2, 'I4')
+
+      const undone = GameService.undoToPlayer(state, 1)
+
+      expect(undone.currentPlayer).toBe(1)
+      expect(undone.players[1].arsenal).toEqual({})
+      expect(undone.players[2].arsenal).toEqual({})
+
+      const redone = GameService.redoToPlayer(undone, 1)
+      expect(redone.players[2].arsenal).toEqual({ 'I4': 1 })
+    })
+
+    test('undo with empty stack throws', () => {
+      expect(() => GameService.undo(gameState)).toThrow('Nothing to undo')
+    })
+  })
 })
\ No newline at end of file
@@ -0,0 +1,138 @@
+/**
+ * GameState Validator Tests
+ * Test schema validation, consistency checks and the published schema files
+ */
+
+import fs from 'fs'
+import { GameService } from '../../../src/core/game/GameService.js'
+import { createMove } from '../../../src/core/placement/PlacementService.js'
+import { GAME_PHASES } from '../../../src/utils/constants.js'
+import { GAME_STATE_SCHEMAS, getSchemaFileName } from '../../../src/core/game/GameStateSchema.js'
+import {
+  findGameStateViolations,
+  assertValidGameState,
+  validateAgainstSchema
+} from '../../../src/core/game/GameStateValidator.js'
+
+/**
+ * Play a short game into the placement phase with one scored placement
+ */
+function playPlacement() {
+  let state = GameService.createNew(8, 8, { seed: 3 })
+  state = GameService.draftBuy(state, 1, 'I4')
+  state = GameService.draftBuy(state, 2, 'O4')
+  state = GameService.draftPass(state, 1)
+  state = GameService.draftPass(state, 2)
+  return GameService.placePiece(state, createMove(1, 'I4', { rot: 0, flipX: false }, [2, 2]))
+}
+
+const paths = state => findGameStateViolations(state).map(violation => violation.path)
+
+describe('GameStateValidator', () => {
+  test('accepts games as they are played', () => {
+    const state = GameService.createNew(8, 8, { seed: 3 })
+    expect(findGameStateViolations(state)).toEqual([])
+    expect(findGameStateViolations(playPlacement())).toEqual([])
+  })
+
+  test('reports every schema violation with its path', () => {
+    const state = GameService.createNew(8, 8, { seed: 3 })
+    state.players[1].budget = -3
+    state.board.grid[2][5] = 5
+    state.stock.I4 = 'one'
+    delete state.draftState
+
+    expect(paths(state)).toEqual(['', '/board/grid/2/5', '/players/1/budget', '/stock/I4'])
+    expect(findGameStateViolations({ ...state, version: '9.9' })).toEqual([
+      { path: '/version', message: 'unsupported version "9.9"' }
+    ])
+  })
+
+  test('checks stock and arsenals against the piece set', () => {
+    const state = GameService.createNew(8, 8, { seed: 3, stockMode: 'singleton' })
+    state.players[2].arsenal = { Q9: 1, I4: 1 }
+    expect(paths(state)).toEqual(['/players/2/arsenal', '/stock/I4', '/stock/Q9'])
+
+    const unlimited = GameService.createNew(8, 8, { seed: 3, stockMode: 'unlimited' })
+    unlimited.stock.T4 = 3
+    expect(findGameStateViolations(unlimited)).toEqual([
+      { path: '/stock/T4', message: 'must be -1 in unlimited stock mode' }
+    ])
+  })
+
+  test('checks board cells against the placement history', () => {
+    const state = playPlacement()
+    state.board.grid[7][7] = 2
+    const [x, y] = state.history[0].absCells[0]
+    state.board.grid[y][x] = 0
+
+    expect(paths(state)).toEqual([`/board/grid/${y}/${x}`, '/board/grid/7/7'])
+  })
+
+  test('checks scores against the scoring history', () => {
+    const state = playPlacement()
+    state.scoring.player2Score = 5
+    state.finalScores = { player1: state.scoring.player1Score, player2: 0 }
+
+    expect(findGameStateViolations(state)).toEqual([
+      { path: '/scoring/player2Score', message: 'is 5 but the scoring history adds up to 0' },
+      { path: '/finalScores/player2', message: 'must equal scoring.player2Score' }
+    ])
+  })
+
+  test('checks the player to move against the draft and phase', () => {
+    let state = GameService.createNew(8, 8, { seed: 3 })
+    state = GameService.draftPass(state, 1)
+    expect(findGameStateViolations(state)).toEqual([])
+
+    expect(paths({ ...state, currentPlayer: 1 })).toEqual(['/currentPlayer'])
+    expect(paths({ ...state, draftState: { ...state.draftState, consecutivePasses: 0 } }))
+      .toEqual(['/draftState/consecutivePasses'])
+    expect(paths({ ...state, winner: 2 })).toEqual(['/winner'])
+    expect(paths({ ...state, phase: GAME_PHASES.GAME_OVER, winner: 2 })).toEqual([])
+  })
+
+  test('throws with the list of violations', () => {
+    const state = GameService.createNew(8, 8, { seed: 3 })
+    state.currentPlayer = 5
+    state.players[2].budget = 1.5
+
+    expect(() => assertValidGameState(state))
+      .toThrow('Invalid game state: /players/2/budget must be integer, got number; /currentPlayer must be one of 1, 2, 3, 4')
+    try {
+      assertValidGameState(state)
+    } catch (error) {
+      expect(error.violations).toHaveLength(2)
+    }
+  })
+
+  test('load rejects saves with an unknown game option', () => {
+    const saved = JSON.parse(GameService.save(GameService.createNew(8, 8, { seed: 3 })))
+    const withConfig = config => JSON.stringify({ ...saved, config: { ...saved.config, ...config } })
+
+    expect(() => GameService.load(withConfig({ costModel: 'bogus' })))
+      .toThrow('/config/costModel must be one of "fixed"')
+    expect(() => GameService.load(withConfig({ draftFormat: 'bogus' })))
+      .toThrow('/config/draftFormat must be one of "alternating"')
+    expect(paths({ ...saved, config: { ...saved.config, boardShape: 7, playerCount: 9, seats: { 1: { type: 'robot' } } } }))
+      .toEqual(['/config/playerCount', '/config/boardShape', '/config/seats/1/type'])
+    expect(paths({ ...saved, config: { ...saved.config, customPieces: [{ id: 'Q', relCells: 'x' }] } }))
+      .toEqual(['/config/customPieces/0/relCells'])
+  })
+
+  test('load checks old saves against their own schema', () => {
+    const saved = JSON.parse(GameService.save(GameService.createNew(8, 8, { seed: 3 })))
+    const oldSave = { ...saved, version: '1.2', players: { ...saved.players, 1: { ...saved.players[1], arsenal: ['I4'] } } }
+
+    expect(() => GameService.load(JSON.stringify(oldSave)))
+      .toThrow('File does not match the 1.2 save format: /players/1/arsenal must be object, got array')
+  })
+
+  test('published schema files match the schema definitions', () => {
+    for (const [version, schema] of Object.entries(GAME_STATE_SCHEMAS)) {
+      const published = JSON.parse(fs.readFileSync(`schemas/${getSchemaFileName(version)}`, 'utf8'))
+      expect(published).toEqual(schema)
+      expect(validateAgainstSchema(version, schema.properties.version)).toEqual([])
+    }
+  })
+})
\ No newline at end of file
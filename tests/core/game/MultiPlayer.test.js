@@ -0,0 +1,79 @@
+/**
+ * Multi-Player Tests
+ * Test three- and four-player games: setup, turn order, draft end and rankings
+ */
+
+import { GameService } from '../../../src/core/game/GameService.js'
+import { getOpponents, getPlayerIds } from '../../../src/core/game/GameState.js'
+import { findGameStateViolations } from '../../../src/core/game/GameStateValidator.js'
+import { ScoringService } from '../../../src/core/scoring/ScoringService.js'
+import { enumerateLegalMoves } from '../../../src/core/placement/PlacementService.js'
+import { GAME_PHASES } from '../../../src/utils/constants.js'
+
+const ARSENALS = { 1: { T4: 1 }, 2: { O4: 1 }, 3: { L4: 1, Z5: 1 } }
+
+describe('Multi-player games', () => {
+  test('new games seat every player with an equal share of the budget', () => {
+    const gameState = GameService.createNew(8, 8, { seed: 1, playerCount: 4, timeControl: 'fischer' })
+
+    expect(getPlayerIds(gameState)).toEqual([1, 2, 3, 4])
+    expect(getOpponents(gameState, 3)).toEqual([4, 1, 2])
+    expect(gameState.players[4].budget).toBe(17)
+    expect(gameState.scoring.player4Score).toBe(0)
+    expect(Object.keys(gameState.clock.remaining)).toEqual(['1', '2', '3', '4'])
+    expect(findGameStateViolations(gameState)).toEqual([])
+    expect(() => GameService.createNew(8, 8, { playerCount: 5 })).toThrow('Games are played by 2 to 4 players, not 5')
+  })
+
+  test('the draft ends only after every player passes in a row', () => {
+    let state = GameService.createNew(8, 8, { seed: 1, playerCount: 3 })
+
+    state = GameService.draftPass(state, 1)
+    state = GameService.draftPass(state, 2)
+    expect(state.currentPlayer).toBe(3)
+    expect(state.phase).toBe(GAME_PHASES.DRAFT)
+
+    state = GameService.draftBuy(state, 3, 'T4')
+    expect(state.draftState.consecutivePasses).toBe(0)
+    expect(findGameStateViolations(state)).toEqual([])
+
+    for (const playerId of [1, 2, 3]) {
+      state = GameService.draftPass(state, playerId)
+    }
+    expect(state.phase).not.toBe(GAME_PHASES.DRAFT)
+  })
+
+  test('placement turns go round in seat order, skipping blocked players', () => {
+    let state = GameService.createNew(8, 8, { seed: 6, playerCount: 3, draftFormat: 'prebuilt', prebuiltArsenals: ARSENALS })
+    expect(state.currentPlayer).toBe(1)
+
+    state = GameService.placePiece(state, enumerateLegalMoves(state, state.currentPlayer, 1)[0])
+    expect(state.currentPlayer).toBe(2)
+
+    state = GameService.placePiece(state, enumerateLegalMoves(state, state.currentPlayer, 1)[0])
+    expect(state.currentPlayer).toBe(3)
+
+    // Players 1 and 2 have nothing left to place, so player 3 moves again
+    state = GameService.placePiece(state, enumerateLegalMoves(state, state.currentPlayer, 1)[0])
+    expect(state.currentPlayer).toBe(3)
+
+    state = GameService.placePiece(state, enumerateLegalMoves(state, state.currentPlayer, 1)[0])
+    expect(state.phase).toBe(GAME_PHASES.GAME_OVER)
+    expect(Object.keys(state.finalScores)).toEqual(['player1', 'player2', 'player3'])
+  })
+
+  test('the highest score wins, and ties go to fewer pieces left', () => {
+    const gameState = GameService.createNew(8, 8, { seed: 6, playerCount: 3, draftFormat: 'prebuilt', prebuiltArsenals: ARSENALS })
+    Object.assign(gameState.scoring, { player1Score: 4, player2Score: 9, player3Score: 6 })
+
+    expect(ScoringService.decideByScore(gameState)).toMatchObject({
+      winner: 2,
+      reason: 'Player 2 wins with 9 points vs 6 and 4 points'
+    })
+    expect(ScoringService.rankPlayers(gameState, [1, 2, 3])).toEqual([2, 3, 1])
+
+    gameState.scoring.player3Score = 9
+    gameState.players[2].arsenal = {}
+    expect(ScoringService.decideByScore(gameState).winner).toBe(2)
+  })
+})
\ No newline at end of file
@@ -0,0 +1,87 @@
+/**
+ * Team Game Tests
+ * Test 2v2 seating, shared patterns, team scores and team results
+ */
+
+import { GameService } from '../../../src/core/game/GameService.js'
+import { getRivals } from '../../../src/core/game/GameState.js'
+import { getTeamId, describeSide } from '../../../src/core/game/Teams.js'
+import { findGameStateViolations } from '../../../src/core/game/GameStateValidator.js'
+import { PatternRecognizer } from '../../../src/core/scoring/PatternRecognizer.js'
+import { ScoringService } from '../../../src/core/scoring/ScoringService.js'
+import { createEmptyBoard, placePiece } from '../../../src/core/board/Board.js'
+
+/**
+ * Start a 2v2 game on an 8x8 board
+ */
+function createTeamGame(config = {}) {
+  return GameService.createNew(8, 8, { seed: 1, playerCount: 4, teamPlay: true, ...config })
+}
+
+describe('Team games', () => {
+  test('partners sit opposite each other, so turns alternate between the teams', () => {
+    const gameState = createTeamGame()
+
+    expect(gameState.scoring.teams).toEqual({ 1: { players: [1, 3], score: 0 }, 2: { players: [2, 4], score: 0 } })
+    expect([1, 2, 3, 4].map(playerId => getTeamId(gameState, playerId))).toEqual([1, 2, 1, 2])
+    expect(getRivals(gameState, 3)).toEqual([4, 2])
+    expect(describeSide(gameState, 4)).toBe('Team 2')
+    expect(findGameStateViolations(gameState)).toEqual([])
+    expect(() => GameService.createNew(8, 8, { playerCount: 3, teamPlay: true }))
+      .toThrow('Team games are played by 4 players, not 3')
+  })
+
+  test('patterns built from both partners\' cells count for the team', () => {
+    const board = placePiece(placePiece(createEmptyBoard(8, 8), [[0, 0], [1, 0]], 1), [[2, 0], [3, 0]], 3)
+    const teams = { 1: { players: [1, 3], score: 0 }, 2: { players: [2, 4], score: 0 } }
+
+    const shared = new PatternRecognizer(board, { teams }).calculateNewPoints(3, [[2, 0], [3, 0]])
+    expect(shared.patterns.map(pattern => pattern.id)).toContain('SHORT_LINE_4')
+
+    const alone = new PatternRecognizer(board).calculateNewPoints(3, [[2, 0], [3, 0]])
+    expect(alone.patterns.map(pattern => pattern.id)).not.toContain('SHORT_LINE_4')
+  })
+
+  test('points go to the player who placed and to their team', () => {
+    const gameState = createTeamGame()
+    gameState.board = placePiece(placePiece(gameState.board, [[0, 0], [1, 0]], 1), [[2, 0], [3, 0]], 3)
+
+    const { gameState: scored, pointsEarned } = ScoringService.awardPoints(gameState, 3, [[2, 0], [3, 0]], 'move-1')
+
+    expect(pointsEarned).toBeGreaterThan(0)
+    expect(scored.scoring.player3Score).toBe(pointsEarned)
+    expect(scored.scoring.player1Score).toBe(0)
+    expect(scored.scoring.teams[1].score).toBe(pointsEarned)
+    expect(Object.keys(scored.scoring.patternIndex)).toEqual(['team1'])
+  })
+
+  test('the team with the higher total wins, and statistics cover each team', () => {
+    const gameState = createTeamGame()
+    Object.assign(gameState.scoring, { player1Score: 5, player2Score: 4, player3Score: 3, player4Score: 6 })
+    gameState.scoring.teams[1].score = 8
+    gameState.scoring.teams[2].score = 10
+    const teamViolations = () => findGameStateViolations(gameState).filter(({ path }) => path.startsWith('/scoring/teams'))
+
+    expect(teamViolations()).toEqual([])
+    expect(ScoringService.decideByScore(gameState)).toEqual({
+      winner: 2,
+      reason: 'Team 2 wins with 10 points vs 8 points'
+    })
+
+    const stats = ScoringService.getGameStatistics(gameState)
+    expect(stats.teams.team1).toMatchObject({ players: [1, 3], totalScore: 8, pointsByPlayer: { player1: 5, player3: 3 } })
+
+    gameState.scoring.teams[2].score = 9
+    expect(teamViolations()).toEqual([
+      { path: '/scoring/teams/2/score', message: 'is 9 but the partners\' scores add up to 10' }
+    ])
+  })
+
+  test('running out of time forfeits the game for the whole team', () => {
+    const gameState = createTeamGame({ timeControl: 'sudden_death', clockTime: 60 })
+    const ended = GameService.timeout(gameState, 1)
+
+    expect(getTeamId(ended, ended.winner)).toBe(2)
+    expect(ended.endReason).toBe('Team 2 wins - Player 1 ran out of time')
+  })
+})
\ No newline at end of file
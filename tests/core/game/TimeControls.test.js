@@ -0,0 +1,126 @@
+/**
+ * Time Control Tests
+ * Test chess clocks: charging turns, increments, pausing on save and timeouts
+ */
+
+import {
+  resolveTimeControl,
+  getRemainingTime,
+  hasTimedOut,
+  startClock,
+  formatClockTime
+} from '../../../src/core/game/TimeControls.js'
+import { GameService } from '../../../src/core/game/GameService.js'
+import { findGameStateViolations } from '../../../src/core/game/GameStateValidator.js'
+import { GAME_PHASES } from '../../../src/utils/constants.js'
+
+const ARSENALS = { 1: { T4: 1, L4: 1, I5: 1 }, 2: { O4: 1, Z5: 1, P5: 1 } }
+
+/**
+ * Start a timed game's clock as if the current player had been thinking for a while
+ */
+function thinkFor(gameState, ms) {
+  return { ...gameState, clock: { ...gameState.clock, runningSince: Date.now() - ms } }
+}
+
+describe('Time controls', () => {
+  test('resolve default times and reject impossible settings', () => {
+    expect(resolveTimeControl({})).toEqual({ timeControl: 'none', clockTime: null, clockIncrement: null })
+    expect(resolveTimeControl({ timeControl: 'fischer', clockTime: 60 }))
+      .toEqual({ timeControl: 'fischer', clockTime: 60, clockIncrement: 5 })
+    expect(() => resolveTimeControl({ timeControl: 'hourglass' })).toThrow('Unknown time control: hourglass')
+    expect(() => resolveTimeControl({ timeControl: 'per_move', clockTime: 0 }))
+      .toThrow('Per Move time control: times must be positive numbers of seconds')
+    expect(() => GameService.createNew(8, 8, { timeControl: 'sudden_death', timeoutAction: 'pass' }))
+      .toThrow('Running out of time cannot pass the turn with the Sudden Death time control')
+    expect(GameService.createNew(8, 8, { seed: 1 }).clock).toBeNull()
+  })
+
+  test('new clocks start paused with the full time', () => {
+    const gameState = GameService.createNew(8, 8, { seed: 1, timeControl: 'sudden_death', clockTime: 120 })
+
+    expect(gameState.clock).toEqual({ remaining: { 1: 120000, 2: 120000 }, runningSince: null })
+    expect(getRemainingTime(startClock(gameState, 1000), 1, 31000)).toBe(90000)
+    expect(getRemainingTime(startClock(gameState, 1000), 2, 31000)).toBe(120000)
+    expect(formatClockTime(90000)).toBe('1:30')
+    expect(formatClockTime(4001)).toBe('0:05')
+  })
+
+  test('a turn is charged to the player who took it, plus the Fischer increment', () => {
+    let gameState = GameService.createNew(8, 8, { seed: 1, timeControl: 'fischer', clockTime: 60, clockIncrement: 5 })
+    gameState = GameService.draftBuy(thinkFor(gameState, 10000), 1, 'T4')
+
+    expect(gameState.clock.remaining[1]).toBeGreaterThan(54900)
+    expect(gameState.clock.remaining[1]).toBeLessThanOrEqual(55000)
+    expect(gameState.clock.remaining[2]).toBe(60000)
+    expect(Date.now() - gameState.clock.runningSince).toBeLessThan(100)
+    expect(findGameStateViolations(gameState)).toEqual([])
+  })
+
+  test('per-move clocks start every turn afresh, and undo does not give time back', () => {
+    let gameState = GameService.createNew(8, 8, { seed: 1, timeControl: 'per_move', clockTime: 20 })
+    gameState = GameService.draftBuy(thinkFor(gameState, 15000), 1, 'T4')
+    expect(gameState.clock.remaining[1]).toBe(20000)
+
+    gameState = GameService.undo(thinkFor(gameState, 8000))
+    expect(gameState.currentPlayer).toBe(1)
+    expect(gameState.clock.remaining[1]).toBe(20000)
+    expect(gameState.clock.remaining[2]).toBeLessThanOrEqual(12000)
+    expect(gameState.clock.remaining[2]).toBeGreaterThan(11900)
+
+    // Redoing the turn does not refill the time player 1 spent since
+    gameState = GameService.redo(thinkFor(gameState, 5000))
+    expect(gameState.currentPlayer).toBe(2)
+    expect(gameState.clock.remaining[1]).toBeLessThanOrEqual(15000)
+    expect(gameState.clock.remaining[1]).toBeGreaterThan(14900)
+
+    const fischer = GameService.createNew(8, 8, { seed: 1, timeControl: 'fischer', clockTime: 60 })
+    const undone = GameService.undo(thinkFor(GameService.draftBuy(startClock(fischer, Date.now()), 1, 'T4'), 8000))
+    expect(undone.clock.remaining[2]).toBeLessThanOrEqual(52000)
+    expect(undone.clock.remaining[1]).toBeGreaterThan(64900)
+  })
+
+  test('saves pause the clock and keep the time used', () => {
+    const gameState = thinkFor(GameService.createNew(8, 8, { seed: 1, timeControl: 'sudden_death', clockTime: 60 }), 20000)
+    const loaded = GameService.load(GameService.save(gameState))
+
+    expect(loaded.clock.runningSince).toBeNull()
+    expect(loaded.clock.remaining[1]).toBeLessThanOrEqual(40000)
+    expect(loaded.clock.remaining[1]).toBeGreaterThan(39900)
+    expect(getRemainingTime(loaded, 1, Date.now() + 60000)).toBe(loaded.clock.remaining[1])
+  })
+
+  test('running out of time forfeits the game by default', () => {
+    const gameState = thinkFor(GameService.createNew(8, 8, { seed: 1, timeControl: 'sudden_death', clockTime: 5 }), 6000)
+    expect(hasTimedOut(gameState, Date.now())).toBe(true)
+
+    const ended = GameService.timeout(gameState, 1)
+    expect(ended.phase).toBe(GAME_PHASES.GAME_OVER)
+    expect(ended.winner).toBe(2)
+    expect(ended.endReason).toBe('Player 2 wins - Player 1 ran out of time')
+    expect(ended.clock.remaining[1]).toBe(0)
+    expect(hasTimedOut(ended, Date.now())).toBe(false)
+
+    const replayed = GameService.replay({ rows: 8, cols: 8, config: gameState.config }, ended.actionLog)
+    expect(replayed.winner).toBe(2)
+
+    // Taking the end of the game back starts the clock again
+    const undone = GameService.undo(ended)
+    expect(undone.phase).toBe(GAME_PHASES.DRAFT)
+    expect(undone.clock.runningSince).not.toBeNull()
+  })
+
+  test('running out of time can pass the turn instead', () => {
+    const config = { seed: 6, draftFormat: 'prebuilt', prebuiltArsenals: ARSENALS, timeControl: 'per_move', timeoutAction: 'pass' }
+
+    const draft = GameService.timeout(GameService.createNew(8, 8, { ...config, draftFormat: 'alternating' }), 1)
+    expect(draft.actionLog).toEqual([['P', 1]])
+    expect(draft.currentPlayer).toBe(2)
+
+    const placement = GameService.timeout(GameService.createNew(8, 8, config), 1)
+    expect(placement.phase).toBe(GAME_PHASES.PLACEMENT)
+    expect(placement.currentPlayer).toBe(2)
+    expect(placement.actionLog).toEqual([['T', 1]])
+    expect(findGameStateViolations(placement)).toEqual([])
+  })
+})
\ No newline at end of file
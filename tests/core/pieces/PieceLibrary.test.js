@@ -0,0 +1,109 @@
+/**
+ * Piece Library Tests
+ * Test the optional piece sets and custom piece registration
+ */
+
+import { PieceLibrary, pieceLibrary, getGamePieces } from '../../../src/core/pieces/PieceLibrary.js'
+import { HEXOMINOES, TROMINOES, getPieceSetConfig } from '../../../src/core/pieces/PieceDefinitions.js'
+import { GameService } from '../../../src/core/game/GameService.js'
+import { createMove, enumerateLegalMoves } from '../../../src/core/placement/PlacementService.js'
+
+/**
+ * Canonical key of a piece shape, the same for all its orientations
+ */
+function getShapeKey(library, pieceId) {
+  return library.getUniqueTransforms(pieceId)
+    .map(({ cells }) => JSON.stringify([...cells].sort((a, b) => a[0] - b[0] || a[1] - b[1])))
+    .sort()[0]
+}
+
+describe('PieceLibrary', () => {
+  test('hexominoes are the 35 distinct free hexominoes', () => {
+    const library = new PieceLibrary()
+    const ids = Object.keys(HEXOMINOES)
+
+    expect(ids).toHaveLength(35)
+    expect(new Set(ids.map(id => getShapeKey(library, id))).size).toBe(35)
+    expect(ids.every(id => HEXOMINOES[id].size === 6 && HEXOMINOES[id].cost === 7)).toBe(true)
+  })
+
+  test('trominoes have their unique orientations', () => {
+    expect(pieceLibrary.getUniqueTransforms('I3')).toHaveLength(2)
+    expect(pieceLibrary.getUniqueTransforms('V3')).toHaveLength(4)
+    expect(Object.values(TROMINOES).map(piece => piece.cost)).toEqual([3, 3])
+    expect(pieceLibrary.getByType('trominoes').map(piece => piece.id)).toEqual(['I3', 'V3'])
+  })
+
+  test('registers custom pieces with normalized cells and default cost', () => {
+    const library = new PieceLibrary()
+    const piece = library.registerPiece({ id: 'Plus', relCells: [[2, 1], [1, 2], [2, 2], [3, 2], [2, 3]] })
+
+    expect(piece.relCells).toEqual([[1, 0], [0, 1], [1, 1], [2, 1], [1, 2]])
+    expect(piece.cost).toBe(5)
+    expect(library.getUniqueTransforms('Plus')).toHaveLength(1)
+    expect(library.getByType('custom')).toEqual([piece])
+
+    // Registering the same piece again is a no-op
+    expect(library.registerPiece({ id: 'Plus', relCells: [[1, 0], [0, 1], [1, 1], [2, 1], [1, 2]] })).toBe(piece)
+  })
+
+  test('rejects invalid custom pieces and ID clashes', () => {
+    const library = new PieceLibrary()
+
+    expect(() => library.registerPiece({ relCells: [[0, 0]] })).toThrow('Custom piece needs a non-empty string id')
+    expect(() => library.registerPiece({ id: 'Gap', relCells: [[0, 0], [2, 0]] }))
+      .toThrow('Custom piece Gap: cells must be orthogonally connected')
+    expect(() => library.registerPiece({ id: 'Twice', relCells: [[0, 0], [0, 0]] }))
+      .toThrow('Custom piece Twice: cells must not repeat')
+    expect(() => library.registerPiece({ id: 'Free', relCells: [[0, 0]], cost: 0 }))
+      .toThrow('Custom piece Free: cost must be a positive integer')
+    expect(() => library.registerPiece({ id: 'I4', relCells: [[0, 0], [1, 0], [2, 0], [3, 0]] }))
+      .toThrow('Piece ID I4 is already used by a different piece')
+  })
+
+  test('new games stock the enabled sets and custom pieces', () => {
+    const gameState = GameService.createNew(8, 8, {
+      seed: 3,
+      ...getPieceSetConfig(['trominoes', 'hexominoes']),
+      customPieces: [{ id: 'Domino', relCells: [[0, 0], [1, 0]], cost: 1 }]
+    })
+    const stockIds = Object.keys(gameState.stock)
+
+    expect(stockIds).toHaveLength(2 + 35 + 1)
+    expect(stockIds).toContain('V3')
+    expect(stockIds).toContain('H17')
+    expect(stockIds).toContain('Domino')
+    expect(stockIds).not.toContain('T4')
+    expect(getGamePieces(gameState).getCost('Domino')).toBe(1)
+    expect(pieceLibrary.has('Domino')).toBe(false)
+  })
+
+  test('loading a save registers its custom pieces', () => {
+    const gameState = GameService.createNew(8, 8, { seed: 5 })
+    gameState.config.customPieces = [{ id: 'Corner6', relCells: [[0, 0], [0, 1], [0, 2], [1, 2], [2, 2], [3, 2]] }]
+    gameState.stock.Corner6 = 1
+
+    const loaded = GameService.load(GameService.save(gameState))
+    expect(loaded.stock.Corner6).toBe(1)
+    expect(getGamePieces(loaded).get('Corner6').size).toBe(6)
+    expect(getGamePieces(loaded).getUniqueTransforms('Corner6')).toHaveLength(8)
+    expect(pieceLibrary.has('Corner6')).toBe(false)
+  })
+
+  test('games may give the same ID to different custom pieces', () => {
+    const line = GameService.createNew(8, 8, { seed: 1, customPieces: [{ id: 'ZZ', relCells: [[0, 0], [1, 0]] }] })
+    const corner = GameService.createNew(8, 8, { seed: 1, customPieces: [{ id: 'ZZ', relCells: [[0, 0], [1, 0], [1, 1]] }] })
+
+    expect(getGamePieces(line).get('ZZ').size).toBe(2)
+    expect(getGamePieces(corner).get('ZZ').size).toBe(3)
+
+    for (const gameState of [line, corner]) {
+      gameState.players[1].arsenal = { ZZ: 1 }
+    }
+    const [lineMove] = enumerateLegalMoves(line, 1)
+    const [cornerMove] = enumerateLegalMoves(corner, 1)
+    expect(lineMove.absCells).toHaveLength(2)
+    expect(cornerMove.absCells).toHaveLength(3)
+    expect(createMove(1, 'ZZ', lineMove.transform, [0, 0], getGamePieces(corner)).absCells).toHaveLength(3)
+  })
+})
\ No newline at end of file
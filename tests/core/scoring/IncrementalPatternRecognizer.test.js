@@ -0,0 +1,149 @@
+/**
+ * Unit tests for Incremental Pattern Recognition
+ * Tests neighbourhood scoring, the per-player index and agreement with full scans
+ */
+
+import { IncrementalPatternRecognizer } from '../../../src/core/scoring/IncrementalPatternRecognizer.js'
+import { PatternRecognizer } from '../../../src/core/scoring/PatternRecognizer.js'
+import { ScoringService } from '../../../src/core/scoring/ScoringService.js'
+import { GameService } from '../../../src/core/game/GameService.js'
+import { createEmptyBoard } from '../../../src/core/board/Board.js'
+import { enumerateLegalMoves } from '../../../src/core/placement/PlacementService.js'
+import { SimpleAI } from '../../../src/ai/SimpleAI.js'
+import { createRandom, pickRandom } from '../../../src/utils/random.js'
+import { GAME_PHASES } from '../../../src/utils/constants.js'
+
+/**
+ * Place cells for a player and score them against an index
+ */
+function place(board, playerId, cells, index = null, options = {}) {
+  cells.forEach(([x, y]) => { board.grid[y][x] = playerId })
+  return new IncrementalPatternRecognizer(board, options).scoreMove(playerId, cells, index)
+}
+
+const ids = patterns => patterns.map(pattern => pattern.id).sort()
+
+/**
+ * Describe patterns independently of their order and the order of their cells
+ */
+const patternKeys = patterns => patterns
+  .map(pattern => `${pattern.id}:${pattern.cells.map(([x, y]) => `${x},${y}`).sort().join(' ')}`)
+  .sort()
+
+describe('IncrementalPatternRecognizer', () => {
+  test('scores a line through the new cells', () => {
+    const board = createEmptyBoard(10, 10)
+    const result = place(board, 1, [[3, 4], [4, 4], [5, 4], [6, 4]])
+
+    expect(ids(result.patterns)).toEqual(['SHORT_LINE_4'])
+    expect(result.totalPoints).toBe(5)
+    expect(result.index.patterns).toEqual(result.patterns)
+  })
+
+  test('replaces a held line that the move extends', () => {
+    const board = createEmptyBoard(10, 10)
+    const first = place(board, 1, [[3, 4], [4, 4], [5, 4], [6, 4]])
+    const second = place(board, 1, [[7, 4]], first.index)
+
+    expect(ids(second.patterns)).toEqual(['SHORT_LINE_5'])
+    expect(ids(second.allPatterns)).toEqual(['SHORT_LINE_5'])
+  })
+
+  test('scores rectangles completed by the move', () => {
+    const board = createEmptyBoard(10, 10)
+    const first = place(board, 1, [[4, 4], [5, 4], [6, 4]])
+    const second = place(board, 1, [[4, 5], [5, 5], [6, 5]], first.index)
+    const third = place(board, 1, [[4, 6], [5, 6], [6, 6]], second.index)
+
+    expect(ids(second.patterns)).toEqual(['EXTRA_LARGE_SQUARE'])
+    expect(ids(third.patterns)).toEqual(['MINI_SQUARE_3x3'])
+    expect(ids(third.allPatterns)).toEqual(['MINI_SQUARE_3x3'])
+  })
+
+  test('scores an enclosure sealed by the move and remembers the pocket', () => {
+    const board = createEmptyBoard(8, 8)
+    board.grid[3][3] = 2
+    const walls = [[2, 2], [3, 2], [4, 2], [2, 3], [4, 3], [2, 4], [4, 4]]
+    const first = place(board, 1, walls)
+    expect(ids(first.patterns)).not.toContain('ENCLOSURE')
+
+    const second = place(board, 1, [[3, 4]], first.index)
+    const enclosure = second.patterns.find(pattern => pattern.id === 'ENCLOSURE')
+    expect(enclosure.enclosedCells).toEqual([[3, 3]])
+    expect(second.index.pockets).toEqual([['3,3']])
+  })
+
+  test('builds the index with a full scan when the game has none', () => {
+    const board = createEmptyBoard(10, 10)
+    const first = place(board, 1, [[3, 4], [4, 4], [5, 4], [6, 4]])
+    const indexed = place(board, 1, [[7, 4]], first.index)
+
+    board.grid[4][7] = 0
+    const bootstrapped = place(board, 1, [[7, 4]])
+    expect(bootstrapped).toEqual(indexed)
+  })
+
+  test('finds the same new patterns as a full scan', () => {
+    const board = createEmptyBoard(10, 10)
+    const moves = [
+      [[0, 0], [1, 0], [2, 0]],
+      [[0, 1], [1, 1], [2, 1]],
+      [[0, 2], [1, 2], [2, 2], [3, 2]],
+      [[4, 4], [5, 4], [4, 5], [5, 5]]
+    ]
+
+    let index = null
+    for (const cells of moves) {
+      const result = place(board, 1, cells, index)
+      const fullScan = new PatternRecognizer(board).calculateNewPoints(1, cells)
+      expect(ids(result.patterns)).toEqual(ids(fullScan.patterns))
+      index = result.index
+    }
+  })
+
+  test('awardPoints keeps a pattern index per player in state', () => {
+    const gameState = GameService.createNew(10, 10, { seed: 4 })
+    const cells = [[3, 4], [4, 4], [5, 4], [6, 4]]
+    cells.forEach(([x, y]) => { gameState.board.grid[y][x] = 1 })
+
+    const scored = ScoringService.awardPoints(gameState, 1, cells, 'move-1').gameState
+    expect(scored.scoring.player1Score).toBe(5)
+    expect(ids(scored.scoring.patternIndex[1].patterns)).toEqual(['SHORT_LINE_4'])
+    expect(scored.scoring.patternIndex[2]).toBeUndefined()
+  })
+
+  test('matches a full scan on every placement of seeded Classic games', () => {
+    for (let seed = 1; seed <= 25; seed++) {
+      const random = createRandom(seed)
+      let gameState = GameService.createNew(10, 10, { seed, scoringPreset: 'classic' })
+
+      while (gameState.phase !== GAME_PHASES.GAME_OVER) {
+        const playerId = gameState.currentPlayer
+
+        if (gameState.phase === GAME_PHASES.DRAFT) {
+          const pieceId = SimpleAI.makeDraftDecision(gameState, playerId, { timeLimit: null })
+          gameState = pieceId
+            ? GameService.draftBuy(gameState, playerId, pieceId)
+            : GameService.draftPass(gameState, playerId)
+          continue
+        }
+
+        const move = pickRandom(random, enumerateLegalMoves(gameState, playerId))
+        const board = { ...gameState.board, grid: gameState.board.grid.map(row => row.slice()) }
+        move.absCells.forEach(([x, y]) => { board.grid[y][x] = playerId })
+        const fullScan = new PatternRecognizer(board).calculateNewPoints(playerId, move.absCells)
+
+        const scoreBefore = ScoringService.getScore(gameState, playerId)
+        const historyBefore = gameState.scoring.scoringHistory.length
+        gameState = GameService.placePiece(gameState, move)
+
+        const scored = gameState.scoring.scoringHistory.slice(historyBefore)
+          .map(entry => ({ id: entry.pattern, cells: entry.cells }))
+        const turn = gameState.history.length
+        expect({ seed, turn, patterns: patternKeys(scored) })
+          .toEqual({ seed, turn, patterns: patternKeys(fullScan.patterns) })
+        expect(ScoringService.getScore(gameState, playerId) - scoreBefore).toBe(fullScan.totalPoints)
+      }
+    }
+  })
+})
\ No newline at end of file
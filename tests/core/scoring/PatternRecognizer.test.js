@@ -5,6 +5,7 @@
 
 import { PatternRecognizer, PATTERN_DEFINITIONS } from '../../../src/core/scoring/PatternRecognizer.js'
 import { createEmptyBoard } from '../../../src/core/board/Board.js'
+import { BoardShapes } from '../../../src/core/board/BoardShapes.js'
 
 describe('PatternRecognizer', () => {
   let board
@@ -195,6 +196,119 @@ describe('PatternRecognizer', () => {
     })
   })
 
+  describe('Enclosure Detection', () => {
+    const place = (cells, playerId) => {
+      for (const [x, y] of cells) {
+        board.grid[y][x] = playerId
+      }
+      return cells
+    }
+
+    test('should detect an opponent group sealed in the open board', () => {
+      board.grid[4][4] = 2
+      const playerCells = place([[4, 3], [3, 4], [5, 4], [4, 5]], 1)
+
+      const patterns = recognizer.findEnclosures(playerCells)
+
+      expect(patterns.length).toBe(1)
+      expect(patterns[0].id).toBe('ENCLOSURE')
+      expect(patterns[0].points).toBe(PATTERN_DEFINITIONS.ENCLOSURE.points)
+      expect(patterns[0].enclosedCells).toEqual([[4, 4]])
+      expect(patterns[0].cells).toHaveLength(4)
+    })
+
+    test('should count board edges as part of the seal', () => {
+      board.grid[0][0] = 2
+      const playerCells = place([[1, 0], [0, 1]], 1)
+
+      const patterns = recognizer.findEnclosures(playerCells)
+
+      expect(patterns.length).toBe(1)
+      expect(patterns[0].enclosedCells).toEqual([[0, 0]])
+    })
+
+    test('should count holes as part of the seal', () => {
+      board.grid[4][4] = 2
+      board.grid[5][4] = -1
+      const playerCells = place([[4, 3], [3, 4], [5, 4]], 1)
+
+      const patterns = recognizer.findEnclosures(playerCells)
+
+      expect(patterns.length).toBe(1)
+      expect(patterns[0].cells).toHaveLength(3)
+    })
+
+    test('should not detect enclosures with a gap', () => {
+      board.grid[4][4] = 2
+      const playerCells = place([[4, 3], [3, 4], [5, 4]], 1)
+
+      expect(recognizer.findEnclosures(playerCells)).toEqual([])
+    })
+
+    test('should not score regions sealed only by holes and edges', () => {
+      board.grid[0][0] = 2
+      board.grid[0][1] = -1
+      board.grid[1][0] = -1
+      const playerCells = place([[5, 5]], 1)
+
+      expect(recognizer.findEnclosures(playerCells)).toEqual([])
+    })
+
+    test('should score empty regions only when enabled', () => {
+      const playerCells = place([[1, 0], [0, 1]], 1)
+
+      expect(recognizer.findEnclosures(playerCells)).toEqual([])
+
+      const emptyScoring = new PatternRecognizer(board, { scoreEmptyEnclosures: true })
+      const patterns = emptyScoring.findEnclosures(playerCells)
+      expect(patterns.length).toBe(1)
+      expect(patterns[0].enclosedCells).toEqual([[0, 0]])
+    })
+
+    test('should detect enclosures against the outline of a shaped board', () => {
+      const diamond = BoardShapes.createDiamondBoard(9)
+      diamond.grid[0][4] = 2 // Top tip, bordered by holes on both sides
+      diamond.grid[1][4] = 1
+
+      const shapedRecognizer = new PatternRecognizer(diamond)
+      const patterns = shapedRecognizer.findEnclosures([[4, 1]])
+
+      expect(patterns.length).toBe(1)
+      expect(patterns[0].enclosedCells).toEqual([[4, 0]])
+    })
+
+    test('should award enclosure points for the sealing move', () => {
+      board.grid[4][4] = 2
+      place([[4, 3], [3, 4], [5, 4]], 1)
+      const newCells = place([[4, 5]], 1)
+
+      const result = recognizer.calculateNewPoints(1, newCells)
+
+      expect(result.patterns.map(pattern => pattern.id)).toContain('ENCLOSURE')
+      expect(result.totalPoints).toBe(PATTERN_DEFINITIONS.ENCLOSURE.points)
+    })
+
+    test('should score a sealed region only on the move that seals it', () => {
+      board.grid[4][4] = 2
+      place([[4, 3], [5, 3], [3, 4], [6, 4], [4, 5]], 1)
+      const sealing = recognizer.calculateNewPoints(1, place([[5, 5]], 1))
+      expect(sealing.patterns.map(pattern => pattern.id)).toContain('ENCLOSURE')
+
+      // Playing inside the pocket makes it smaller and adds a wall cell, but seals nothing new
+      const inside = recognizer.calculateNewPoints(1, place([[5, 4]], 1))
+      expect(inside.patterns.map(pattern => pattern.id)).not.toContain('ENCLOSURE')
+      expect(inside.allPatterns.map(pattern => pattern.id)).toContain('ENCLOSURE')
+    })
+
+    test('should not score a region too large to be a pocket', () => {
+      // A wall down column 3 cuts the board in two: the smaller side is 30 cells, not a pocket
+      board.grid[0][0] = 2
+      const playerCells = place(Array.from({ length: 10 }, (_, y) => [3, y]), 1)
+
+      expect(recognizer.findEnclosures(playerCells)).toEqual([])
+    })
+  })
+
   describe('Pattern Overlap Resolution', () => {
     test('should prioritize higher-value patterns', () => {
       // Create cells that could form both a line and a rectangle
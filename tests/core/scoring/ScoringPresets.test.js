@@ -0,0 +1,83 @@
+/**
+ * Unit tests for Scoring Presets
+ * Tests preset lookup, family filtering, point overrides and last-move-wins games
+ */
+
+import {
+  SCORING_PRESETS,
+  PATTERN_DEFINITIONS,
+  getScoringPreset,
+  getPatternFamily,
+  describeScoringPreset
+} from '../../../src/core/scoring/ScoringPresets.js'
+import { PatternRecognizer } from '../../../src/core/scoring/PatternRecognizer.js'
+import { ScoringService } from '../../../src/core/scoring/ScoringService.js'
+import { GameService } from '../../../src/core/game/GameService.js'
+import { createEmptyBoard } from '../../../src/core/board/Board.js'
+
+/**
+ * Board with a 3x3 block for player 1 in the top-left corner
+ */
+function createCornerBlockBoard() {
+  const board = createEmptyBoard(10, 10)
+  for (let y = 0; y < 3; y++) {
+    for (let x = 0; x < 3; x++) {
+      board.grid[y][x] = 1
+    }
+  }
+  return board
+}
+
+const recognizedIds = (board, presetId) => {
+  const recognizer = new PatternRecognizer(board, { preset: getScoringPreset(presetId) })
+  return recognizer.recognizePatterns(recognizer.getAllPlayerCells(1)).map(pattern => pattern.id)
+}
+
+describe('Scoring Presets', () => {
+  test('games without a preset play Classic and unknown presets are rejected', () => {
+    expect(getScoringPreset(undefined)).toBe(SCORING_PRESETS.classic)
+    expect(() => getScoringPreset('bonus_round')).toThrow('Unknown scoring preset: bonus_round')
+  })
+
+  test('maps patterns to their families', () => {
+    expect(getPatternFamily('SHORT_LINE_4')).toBe('line')
+    expect(getPatternFamily('FULL_COLUMN')).toBe('complete')
+    expect(getPatternFamily('CENTER_DOMINANCE_5x5')).toBe('center')
+    expect(getPatternFamily('CUSTOM_RECTANGLE')).toBe('rectangle')
+  })
+
+  test('only recognizes the families a preset scores', () => {
+    const board = createCornerBlockBoard()
+
+    expect(recognizedIds(board, 'classic')).toEqual(expect.arrayContaining(['MINI_SQUARE_3x3', 'CORNER_CONTROL']))
+    expect(recognizedIds(board, 'lines_only')).toEqual([])
+    expect(recognizedIds(board, 'last_move_wins')).toEqual([])
+  })
+
+  test('applies preset point values', () => {
+    const board = createCornerBlockBoard()
+    const recognizer = new PatternRecognizer(board, { preset: getScoringPreset('territory_heavy') })
+    const corner = recognizer.findCornerControl(recognizer.getAllPlayerCells(1))[0]
+
+    expect(corner.points).toBe(2 * PATTERN_DEFINITIONS.CORNER_CONTROL.points)
+  })
+
+  test('describes the legend of a preset', () => {
+    const legend = describeScoringPreset(getScoringPreset('lines_only'))
+
+    expect(legend.map(family => family.id)).toEqual(['line', 'diagonal', 'complete'])
+    expect(legend[0]).toEqual({ id: 'line', name: 'Lines', minPoints: 5, maxPoints: 20, open: true })
+    expect(legend[2]).toEqual({ id: 'complete', name: 'Full Rows & Columns', minPoints: 25, maxPoints: 25, open: false })
+    expect(describeScoringPreset(getScoringPreset('last_move_wins'))).toEqual([])
+  })
+
+  test('last-move-wins games go to the player who placed the last piece', () => {
+    const gameState = GameService.createNew(6, 6, { seed: 5, scoringPreset: 'last_move_wins' })
+    gameState.history = [{ player: 1, pieceId: 'I4' }, { player: 2, pieceId: 'O4' }]
+    gameState.scoring.player1Score = 40
+
+    const result = ScoringService.checkGameEnd(gameState, () => false)
+    expect(result.winner).toBe(2)
+    expect(result.reason).toBe('Player 2 wins by placing the last piece')
+  })
+})
\ No newline at end of file
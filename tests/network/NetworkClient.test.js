@@ -0,0 +1,119 @@
+/**
+ * Network Client Tests
+ * Test room joining, state diffs and reconnection with a fake WebSocket
+ */
+
+import { NetworkClient } from '../../src/network/NetworkClient.js'
+import { encodeMessage } from '../../src/network/Protocol.js'
+import { GameService } from '../../src/core/game/GameService.js'
+
+/**
+ * Fake WebSocket that records sent messages
+ */
+class FakeWebSocket {
+  constructor(url) {
+    this.url = url
+    this.sent = []
+    FakeWebSocket.instances.push(this)
+  }
+
+  send(text) {
+    this.sent.push(JSON.parse(text))
+  }
+
+  close() {
+    this.onclose()
+  }
+
+  receive(type, payload) {
+    this.onmessage({ data: encodeMessage(type, payload) })
+  }
+}
+
+/**
+ * In-memory sessionStorage
+ */
+function createStorage() {
+  const items = {}
+  return {
+    getItem: key => items[key] ?? null,
+    setItem: (key, value) => { items[key] = value }
+  }
+}
+
+describe('NetworkClient', () => {
+  let client, states, storage
+
+  beforeEach(() => {
+    FakeWebSocket.instances = []
+    states = []
+    storage = createStorage()
+    client = new NetworkClient('ws://localhost:8787', { onState: state => states.push(state) },
+      { WebSocket: FakeWebSocket, storage })
+  })
+
+  afterEach(() => {
+    client.close()
+  })
+
+  test('connects on demand and sends queued messages once open', () => {
+    client.createRoom({ boardShape: 'rectangular' })
+    const socket = FakeWebSocket.instances[0]
+    expect(socket.sent).toEqual([])
+
+    socket.onopen()
+    expect(socket.sent).toEqual([{ type: 'createRoom', config: { boardShape: 'rectangular' } }])
+  })
+
+  test('applies diffs in order and requests a sync after a gap', () => {
+    client.joinRoom('abcde')
+    const socket = FakeWebSocket.instances[0]
+    socket.onopen()
+
+    const state = GameService.createNew(6, 6, { seed: 1 })
+    socket.receive('state', { revision: 0, state })
+    socket.receive('diff', { revision: 1, diff: [{ path: ['currentPlayer'], value: 2 }] })
+    expect(states[1]).toEqual({ ...state, currentPlayer: 2 })
+
+    socket.receive('diff', { revision: 3, diff: [{ path: ['currentPlayer'], value: 1 }] })
+    expect(states).toHaveLength(2)
+    expect(socket.sent[socket.sent.length - 1]).toEqual({ type: 'sync' })
+  })
+
+  test('rejects invalid states and resyncs when a diff breaks the state', () => {
+    const errors = []
+    client.handlers.onError = message => errors.push(message)
+    client.joinRoom('abcde')
+    const socket = FakeWebSocket.instances[0]
+    socket.onopen()
+
+    socket.receive('state', { revision: 0, state: { turn: 1, phase: 'draft' } })
+    expect(states).toHaveLength(0)
+    expect(errors[0]).toContain('invalid game state')
+
+    socket.receive('state', { revision: 0, state: GameService.createNew(6, 6, { seed: 1 }) })
+    socket.receive('diff', { revision: 1, diff: [{ path: ['board', 'grid', 0, 0], value: 7 }] })
+    expect(states).toHaveLength(1)
+    expect(client.revision).toBe(0)
+    expect(socket.sent[socket.sent.length - 1]).toEqual({ type: 'sync' })
+  })
+
+  test('rejoins its seat after reconnecting and on a later join of the same room', () => {
+    client.joinRoom('ABCDE')
+    const socket = FakeWebSocket.instances[0]
+    socket.onopen()
+    socket.receive('joined', { code: 'ABCDE', playerId: 2, token: 'seat-token' })
+
+    socket.onclose()
+    client.connect()
+    const reconnected = FakeWebSocket.instances[1]
+    reconnected.onopen()
+    expect(reconnected.sent[0]).toEqual({ type: 'rejoinRoom', code: 'ABCDE', token: 'seat-token' })
+
+    const reloaded = new NetworkClient('ws://localhost:8787', {}, { WebSocket: FakeWebSocket, storage })
+    reloaded.joinRoom('abcde')
+    FakeWebSocket.instances[2].onopen()
+    expect(FakeWebSocket.instances[2].sent[0]).toEqual({ type: 'rejoinRoom', code: 'ABCDE', token: 'seat-token' })
+    reloaded.close()
+  })
+})
\ No newline at end of file
@@ -0,0 +1,62 @@
+/**
+ * Network Protocol Tests
+ * Test message encoding and state diffs
+ */
+
+import {
+  encodeMessage,
+  decodeMessage,
+  normalizeJoinCode,
+  createStateDiff,
+  applyStateDiff
+} from '../../src/network/Protocol.js'
+import { GameService } from '../../src/core/game/GameService.js'
+
+describe('Network Protocol', () => {
+  test('round-trips messages', () => {
+    const message = decodeMessage(encodeMessage('joinRoom', { code: 'ABCDE' }))
+    expect(message).toEqual({ type: 'joinRoom', code: 'ABCDE' })
+  })
+
+  test('rejects malformed messages', () => {
+    expect(() => decodeMessage('not json')).toThrow('Invalid message')
+    expect(() => decodeMessage('{"code":"ABCDE"}')).toThrow('missing type')
+  })
+
+  test('normalizes typed join codes', () => {
+    expect(normalizeJoinCode(' ab c de ')).toBe('ABCDE')
+  })
+
+  test('diff of equal states is empty', () => {
+    const state = { a: 1, b: { c: [1, 2] } }
+    expect(createStateDiff(state, JSON.parse(JSON.stringify(state)))).toEqual([])
+  })
+
+  test('diff covers changed, added and removed keys', () => {
+    const previous = { a: 1, b: { c: 2, d: 3 }, list: [1, 2] }
+    const next = { a: 1, b: { c: 5, e: 6 }, list: [1, 2, 3] }
+    const diff = createStateDiff(previous, next)
+
+    expect(diff).toContainEqual({ path: ['b', 'c'], value: 5 })
+    expect(diff).toContainEqual({ path: ['b', 'e'], value: 6 })
+    expect(diff).toContainEqual({ path: ['b', 'd'], remove: true })
+    expect(diff).toContainEqual({ path: ['list'], value: [1, 2, 3] })
+    expect(applyStateDiff(previous, diff)).toEqual(next)
+  })
+
+  test('diff of a game action rebuilds the next state without copying it whole', () => {
+    const previous = JSON.parse(JSON.stringify(GameService.createNew(10, 10, { seed: 3 })))
+    const next = JSON.parse(JSON.stringify(GameService.draftBuy(previous, 1, 'I4')))
+    const diff = createStateDiff(previous, next)
+
+    expect(applyStateDiff(previous, diff)).toEqual(next)
+    expect(diff.some(operation => operation.path.length === 0)).toBe(false)
+    expect(diff.some(operation => operation.path[0] === 'board')).toBe(false)
+  })
+
+  test('applying a diff does not modify the original state', () => {
+    const previous = { a: { b: 1 } }
+    applyStateDiff(previous, [{ path: ['a', 'b'], value: 2 }])
+    expect(previous.a.b).toBe(1)
+  })
+})
\ No newline at end of file
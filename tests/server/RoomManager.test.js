@@ -0,0 +1,261 @@
+/**
+ * Room Manager Tests
+ * Test rooms, seats, action validation and state broadcasts with fake connections
+ */
+
+import { RoomManager } from '../../src/server/RoomManager.js'
+import { applyStateDiff } from '../../src/network/Protocol.js'
+import { encodeDraftBuy, encodeDraftPass, encodeDraftBid, encodePlacement, encodeTimeout } from '../../src/core/game/ActionLog.js'
+import { createMove } from '../../src/core/placement/PlacementService.js'
+import { GAME_PHASES } from '../../src/utils/constants.js'
+import { createEmptyBoard } from '../../src/core/board/Board.js'
+import { encodeBoard } from '../../src/core/board/CustomBoards.js'
+
+/**
+ * Fake connection that records the messages it receives
+ */
+function createConnection() {
+  return {
+    messages: [],
+    closed: false,
+    send(text) {
+      this.messages.push(JSON.parse(text))
+    },
+    close() {
+      this.closed = true
+    },
+    last(type) {
+      return [...this.messages].reverse().find(message => message.type === type)
+    }
+  }
+}
+
+/**
+ * Send a protocol message from a fake connection
+ */
+function send(rooms, connection, message) {
+  rooms.handleMessage(connection, JSON.stringify(message))
+}
+
+describe('RoomManager', () => {
+  let rooms, host, guest, code
+
+  beforeEach(() => {
+    rooms = new RoomManager()
+    host = createConnection()
+    guest = createConnection()
+
+    send(rooms, host, { type: 'createRoom', config: { seed: 11 } })
+    code = host.last('joined').code
+    send(rooms, guest, { type: 'joinRoom', code: code.toLowerCase() })
+  })
+
+  test('seats the creator as Player 1 and the joining player as Player 2', () => {
+    expect(code).toMatch(/^[A-Z2-9]{5}$/)
+    expect(host.last('joined').playerId).toBe(1)
+    expect(guest.last('joined').playerId).toBe(2)
+    expect(guest.last('state').state.config.seed).toBe(11)
+    expect(host.last('presence').connected).toEqual({ 1: true, 2: true })
+  })
+
+  test('refuses a third player and unknown rooms', () => {
+    const third = createConnection()
+    send(rooms, third, { type: 'joinRoom', code })
+    expect(third.last('error').message).toMatch(/full/)
+
+    send(rooms, third, { type: 'joinRoom', code: 'ZZZZZ' })
+    expect(third.last('error').message).toMatch(/Room not found/)
+  })
+
+  test('broadcasts a diff that rebuilds the authoritative state', () => {
+    const clientState = guest.last('state').state
+
+    send(rooms, host, { type: 'action', action: encodeDraftBuy(1, 'I4') })
+
+    for (const connection of [host, guest]) {
+      const update = connection.last('diff')
+      expect(update.revision).toBe(1)
+      expect(applyStateDiff(clientState, update.diff)).toEqual(rooms.rooms.get(code).gameState)
+    }
+    expect(rooms.rooms.get(code).gameState.players[1].arsenal.I4).toBe(1)
+  })
+
+  test('rejects actions for the other seat, out of turn or against the rules', () => {
+    send(rooms, host, { type: 'action', action: encodeDraftBuy(2, 'I4') })
+    expect(host.last('error').message).toMatch(/own seat/)
+
+    send(rooms, guest, { type: 'action', action: encodeDraftBuy(2, 'I4') })
+    expect(guest.last('error').message).toBe('Not your turn')
+
+    send(rooms, host, { type: 'action', action: encodeDraftBuy(1, 'NOPE') })
+    expect(host.last('error').message).toMatch(/Cannot buy/)
+
+    expect(rooms.rooms.get(code).revision).toBe(0)
+    expect(host.last('diff')).toBeUndefined()
+  })
+
+  test('validates placements with isValidMove', () => {
+    send(rooms, host, { type: 'action', action: encodeDraftBuy(1, 'I4') })
+    send(rooms, guest, { type: 'action', action: encodeDraftBuy(2, 'O4') })
+    send(rooms, host, { type: 'action', action: encodeDraftPass(1) })
+    send(rooms, guest, { type: 'action', action: encodeDraftPass(2) })
+    expect(rooms.rooms.get(code).gameState.phase).toBe(GAME_PHASES.PLACEMENT)
+
+    const outside = createMove(1, 'I4', { rot: 0, flipX: false }, [8, 0])
+    send(rooms, host, { type: 'action', action: encodePlacement(outside) })
+    expect(host.last('error').message).toBe('Invalid move')
+
+    const move = createMove(1, 'I4', { rot: 0, flipX: false }, [0, 0])
+    send(rooms, host, { type: 'action', action: encodePlacement(move) })
+    expect(rooms.rooms.get(code).gameState.board.grid[0][0]).toBe(1)
+    expect(rooms.rooms.get(code).gameState.undoStack).toEqual([])
+  })
+
+  test('restores a seat on reconnect with its token', () => {
+    const token = host.last('joined').token
+    rooms.handleDisconnect(host)
+    expect(guest.last('presence').connected).toEqual({ 1: false, 2: true })
+
+    const reconnected = createConnection()
+    send(rooms, reconnected, { type: 'rejoinRoom', code, token })
+
+    expect(reconnected.last('joined').playerId).toBe(1)
+    expect(reconnected.last('state').revision).toBe(0)
+    expect(guest.last('presence').connected).toEqual({ 1: true, 2: true })
+
+    send(rooms, reconnected, { type: 'action', action: encodeDraftBuy(1, 'I4') })
+    expect(guest.last('diff').revision).toBe(1)
+  })
+
+  test('rejects unknown seat tokens', () => {
+    const stranger = createConnection()
+    send(rooms, stranger, { type: 'rejoinRoom', code, token: 'not-a-token' })
+    expect(stranger.last('error').message).toMatch(/Seat not found/)
+  })
+
+  test('hides other players\' blind picks until the round is revealed', () => {
+    const picker = createConnection()
+    const rival = createConnection()
+    send(rooms, picker, { type: 'createRoom', config: { seed: 3, draftFormat: 'blind' } })
+    send(rooms, rival, { type: 'joinRoom', code: picker.last('joined').code })
+    const room = rooms.rooms.get(picker.last('joined').code)
+    const rivalState = rival.last('state').state
+
+    send(rooms, picker, { type: 'action', action: encodeDraftBuy(1, 'I4') })
+    const sealed = applyStateDiff(rivalState, rival.last('diff').diff)
+    expect(sealed.draftState.blindPicks).toEqual([{ player: 1, pieceId: null, sealed: true }])
+    expect(sealed.actionLog).toEqual([['B', 1, null]])
+    expect(JSON.stringify(rival.last('diff'))).not.toContain('I4')
+    expect(applyStateDiff(picker.last('state').state, picker.last('diff').diff).draftState.blindPicks)
+      .toEqual([{ player: 1, pieceId: 'I4' }])
+
+    send(rooms, rival, { type: 'sync' })
+    expect(rival.last('state').state.draftState.blindPicks[0].pieceId).toBeNull()
+
+    send(rooms, rival, { type: 'action', action: encodeDraftPass(2) })
+    const revealed = applyStateDiff(sealed, rival.last('diff').diff)
+    expect(revealed).toEqual(room.gameState)
+    expect(revealed.actionLog).toEqual([['B', 1, 'I4'], ['P', 2]])
+  })
+
+  test('hides other players\' auction bids until the lot is decided', () => {
+    const bidder = createConnection()
+    const rival = createConnection()
+    send(rooms, bidder, { type: 'createRoom', config: { seed: 3, costModel: 'auction' } })
+    send(rooms, rival, { type: 'joinRoom', code: bidder.last('joined').code })
+    const rivalState = rival.last('state').state
+
+    send(rooms, bidder, { type: 'action', action: encodeDraftBid(1, 7) })
+    const sealed = applyStateDiff(rivalState, rival.last('diff').diff)
+    expect(sealed.draftState.auction.bids).toEqual([{ player: 1, amount: 0, sealed: true }])
+    expect(sealed.actionLog).toEqual([['A', 1, null]])
+    expect(applyStateDiff(bidder.last('state').state, bidder.last('diff').diff).draftState.auction.bids)
+      .toEqual([{ player: 1, amount: 7 }])
+
+    send(rooms, rival, { type: 'action', action: encodeDraftBid(2, 3) })
+    const decided = applyStateDiff(sealed, rival.last('diff').diff)
+    expect(decided.draftState.lastLot.bids).toEqual([{ player: 1, amount: 7 }, { player: 2, amount: 3 }])
+    expect(decided.actionLog).toEqual([['A', 1, 7], ['A', 2, 3]])
+  })
+
+  test('sends the full state on sync', () => {
+    send(rooms, host, { type: 'action', action: encodeDraftBuy(1, 'I4') })
+    send(rooms, guest, { type: 'sync' })
+    expect(guest.last('state').revision).toBe(1)
+  })
+
+  test('removes rooms that stay empty', () => {
+    rooms.handleDisconnect(host)
+    expect(rooms.pruneRooms(Date.now() + 2 * 60 * 60 * 1000)).toBe(0)
+
+    rooms.handleDisconnect(guest)
+    expect(rooms.pruneRooms(Date.now())).toBe(0)
+    expect(rooms.pruneRooms(Date.now() + 2 * 60 * 60 * 1000)).toBe(1)
+    expect(rooms.rooms.size).toBe(0)
+  })
+
+  test('starts the clocks once both seats are taken and calls timeouts', () => {
+    const timed = new RoomManager()
+    const first = createConnection()
+    const second = createConnection()
+
+    send(timed, first, { type: 'createRoom', config: { seed: 11, timeControl: 'per_move', clockTime: 30 } })
+    const timedCode = first.last('joined').code
+    expect(first.last('state').state.clock.runningSince).toBeNull()
+
+    send(timed, second, { type: 'joinRoom', code: timedCode })
+    const { state, serverTime } = first.last('state')
+    expect(state.clock.runningSince).not.toBeNull()
+    expect(typeof serverTime).toBe('number')
+
+    send(timed, first, { type: 'action', action: encodeTimeout(1) })
+    expect(first.last('error').message).toBe('There is still time on the clock')
+    expect(timed.checkClocks(Date.now())).toBe(0)
+
+    expect(timed.checkClocks(Date.now() + 31 * 1000)).toBe(1)
+    const room = timed.rooms.get(timedCode)
+    expect(room.gameState.phase).toBe(GAME_PHASES.GAME_OVER)
+    expect(room.gameState.winner).toBe(2)
+    expect(second.last('diff').revision).toBe(room.revision)
+  })
+  test('keeps checking clocks when a timeout fails in one room', () => {
+    const timed = new RoomManager()
+    const codes = []
+    for (let index = 0; index < 2; index++) {
+      const first = createConnection()
+      send(timed, first, { type: 'createRoom', config: { seed: 11, timeControl: 'per_move', clockTime: 30 } })
+      codes.push(first.last('joined').code)
+      send(timed, createConnection(), { type: 'joinRoom', code: codes[index] })
+    }
+
+    const applyRoomAction = timed.applyRoomAction.bind(timed)
+    timed.applyRoomAction = (room, action) => {
+      if (room.code === codes[0]) throw new Error('Broken room')
+      applyRoomAction(room, action)
+    }
+    const logError = console.error
+    console.error = () => {}
+    try {
+      expect(timed.checkClocks(Date.now() + 31 * 1000)).toBe(1)
+    } finally {
+      console.error = logError
+    }
+    expect(timed.rooms.get(codes[1]).gameState.phase).toBe(GAME_PHASES.GAME_OVER)
+  })
+
+  test('creates rooms on custom board strings and rejects broken ones', () => {
+    const creator = createConnection()
+    const board = createEmptyBoard(6, 9)
+    board.grid[3][4] = -1
+
+    send(rooms, creator, { type: 'createRoom', config: { boardShape: 'custom', customBoard: encodeBoard(board) } })
+    expect(creator.last('state').state.board).toEqual(board)
+
+    board.grid.forEach(row => { row[2] = -1 })
+    send(rooms, creator, { type: 'createRoom', config: { boardShape: 'custom', customBoard: encodeBoard(board) } })
+    expect(creator.last('error').message).toBe('Invalid custom board: 12 playable cells are cut off from the rest of the board')
+
+    send(rooms, creator, { type: 'createRoom', config: { boardShape: 'custom', customBoard: 'b1.9x6' } })
+    expect(creator.last('error').message).toMatch(/^Invalid board string/)
+  })
+})
\ No newline at end of file
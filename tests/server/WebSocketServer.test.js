@@ -0,0 +1,170 @@
+/**
+ * WebSocket Framing Tests
+ * Test the handshake key and frame encoding used by the game server
+ */
+
+import { EventEmitter } from 'events'
+import { connect } from 'net'
+import {
+  createWebSocketServer,
+  createAcceptValue,
+  encodeFrame,
+  decodeFrames,
+  WebSocketConnection,
+  OPCODES,
+  CLOSE_CODES
+} from '../../src/server/WebSocketServer.js'
+
+const MASK = Buffer.from([1, 2, 3, 4])
+
+/**
+ * Fake socket that records what the server writes and how it was closed
+ */
+function createSocket() {
+  const socket = new EventEmitter()
+  socket.written = []
+  socket.write = data => socket.written.push(data)
+  socket.end = data => socket.written.push(data)
+  socket.destroy = () => { socket.destroyed = true }
+  return socket
+}
+
+/**
+ * Read the status code of the close frame a socket was sent
+ */
+function closeCode(socket) {
+  const { frames } = decodeFrames(Buffer.concat(socket.written))
+  const close = frames.find(frame => frame.opcode === OPCODES.CLOSE)
+  return close ? close.payload.readUInt16BE(0) : null
+}
+
+describe('WebSocket framing', () => {
+  test('computes the handshake accept value from RFC 6455', () => {
+    expect(createAcceptValue('dGhlIHNhbXBsZSBub25jZQ==')).toBe('s3pPLMBiTxaQ9kYGzzhZRbK+xOo=')
+  })
+
+  test('decodes masked client frames of every length encoding', () => {
+    const mask = Buffer.from([1, 2, 3, 4])
+
+    for (const length of [5, 300, 70000]) {
+      const text = 'x'.repeat(length)
+      const { frames, rest } = decodeFrames(encodeFrame(OPCODES.TEXT, text, mask))
+
+      expect(frames).toHaveLength(1)
+      expect(frames[0].fin).toBe(true)
+      expect(frames[0].opcode).toBe(OPCODES.TEXT)
+      expect(frames[0].payload.toString()).toBe(text)
+      expect(rest.length).toBe(0)
+    }
+  })
+
+  test('keeps incomplete frames for the next read', () => {
+    const frame = encodeFrame(OPCODES.TEXT, 'hello')
+    const both = Buffer.concat([frame, frame.subarray(0, 3)])
+    const { frames, rest } = decodeFrames(both)
+
+    expect(frames).toHaveLength(1)
+    expect(rest.length).toBe(3)
+  })
+
+  test('refuses oversized frames', () => {
+    const header = Buffer.from([0x81, 127, 0, 0, 0, 0, 0x10, 0, 0, 0])
+    expect(() => decodeFrames(header)).toThrow('Frame too large')
+  })})
+
+describe('WebSocketConnection', () => {
+  test('joins fragments into one message', () => {
+    const socket = createSocket()
+    const connection = new WebSocketConnection(socket)
+    const messages = []
+    connection.on('message', message => messages.push(message))
+
+    const first = encodeFrame(OPCODES.TEXT, 'hel', MASK)
+    first[0] &= 0x7F // not final
+    socket.emit('data', Buffer.concat([first, encodeFrame(OPCODES.CONTINUATION, 'lo', MASK)]))
+
+    expect(messages).toEqual(['hello'])
+    expect(connection.closed).toBe(false)
+  })
+
+  test('closes with 1002 when a client frame is not masked', () => {
+    const socket = createSocket()
+    const connection = new WebSocketConnection(socket)
+    const messages = []
+    connection.on('message', message => messages.push(message))
+
+    socket.emit('data', encodeFrame(OPCODES.TEXT, 'hello'))
+
+    expect(messages).toEqual([])
+    expect(connection.closed).toBe(true)
+    expect(closeCode(socket)).toBe(CLOSE_CODES.PROTOCOL_ERROR)
+  })
+
+  test('closes with 1009 when fragments add up to more than the message limit', () => {
+    const socket = createSocket()
+    const connection = new WebSocketConnection(socket)
+    const fragment = encodeFrame(OPCODES.TEXT, Buffer.alloc(600 * 1024), MASK)
+    fragment[0] &= 0x7F
+    const continuation = encodeFrame(OPCODES.CONTINUATION, Buffer.alloc(600 * 1024), MASK)
+    continuation[0] &= 0x7F
+
+    socket.emit('data', fragment)
+    expect(connection.closed).toBe(false)
+
+    socket.emit('data', continuation)
+    expect(connection.closed).toBe(true)
+    expect(connection.fragments).toHaveLength(1)
+    expect(closeCode(socket)).toBe(CLOSE_CODES.MESSAGE_TOO_BIG)
+  })
+
+  test('destroys the socket only after the close frame is flushed', () => {
+    const socket = createSocket()
+    const connection = new WebSocketConnection(socket)
+
+    connection.close()
+    expect(connection.closed).toBe(true)
+    expect(socket.destroyed).toBeUndefined()
+
+    socket.emit('finish')
+    expect(socket.destroyed).toBe(true)
+    expect(closeCode(socket)).toBe(CLOSE_CODES.NORMAL)
+  })
+
+  test('reads frames sent along with the upgrade request and delivers the close frame', async () => {
+    const server = createWebSocketServer(connection => {
+      connection.on('message', message => {
+        connection.send(`echo ${message}`)
+        connection.close()
+      })
+    })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+
+    const received = await new Promise((resolve, reject) => {
+      const client = connect(server.address().port, '127.0.0.1')
+      const chunks = []
+      client.on('data', data => chunks.push(data))
+      client.on('close', () => resolve(Buffer.concat(chunks)))
+      client.on('error', reject)
+      client.setTimeout(2000, () => client.destroy())
+      client.write(Buffer.concat([
+        Buffer.from([
+          'GET / HTTP/1.1',
+          'Host: localhost',
+          'Upgrade: websocket',
+          'Connection: Upgrade',
+          'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+          'Sec-WebSocket-Version: 13',
+          '',
+          ''
+        ].join('\r\n')),
+        encodeFrame(OPCODES.TEXT, 'hello', MASK)
+      ]))
+    })
+    await new Promise(resolve => server.close(resolve))
+
+    const { frames } = decodeFrames(received.subarray(received.indexOf('\r\n\r\n') + 4))
+    expect(frames.map(frame => frame.opcode)).toEqual([OPCODES.TEXT, OPCODES.CLOSE])
+    expect(frames[0].payload.toString()).toBe('echo hello')
+    expect(frames[1].payload.readUInt16BE(0)).toBe(CLOSE_CODES.NORMAL)
+  })
+})
\ No newline at end of file
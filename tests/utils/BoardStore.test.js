@@ -0,0 +1,68 @@
+/**
+ * Saved Board Storage Tests
+ * Test saving, listing and deleting custom boards by name
+ */
+
+import { BoardStore, MAX_SAVED_BOARDS } from '../../src/utils/BoardStore.js'
+import { createEmptyBoard } from '../../src/core/board/Board.js'
+
+/**
+ * In-memory localStorage
+ */
+function createStorage() {
+  const items = {}
+  return {
+    getItem: key => items[key] ?? null,
+    setItem: (key, value) => { items[key] = value }
+  }
+}
+
+describe('BoardStore', () => {
+  let store
+
+  beforeEach(() => {
+    store = new BoardStore({ localStorage: createStorage() })
+  })
+
+  test('saves and loads a board by name', () => {
+    const board = createEmptyBoard(6, 7)
+    board.grid[2][3] = -1
+
+    const record = store.save('  Donut  ', board)
+    expect(record.name).toBe('Donut')
+    expect(record.board).toMatch(/^b1\.7x6\./)
+    expect(store.load('Donut')).toEqual(board)
+  })
+
+  test('replaces boards of the same name and lists the newest first', () => {
+    store.save('first', createEmptyBoard(6, 6))
+    store.save('second', createEmptyBoard(8, 8))
+    store.save('first', createEmptyBoard(10, 10))
+
+    const names = store.list().map(record => record.name)
+    expect(names.sort()).toEqual(['first', 'second'])
+    expect(store.load('first').rows).toBe(10)
+  })
+
+  test('keeps at most MAX_SAVED_BOARDS boards', () => {
+    for (let index = 0; index <= MAX_SAVED_BOARDS; index++) {
+      store.save(`board ${index}`, createEmptyBoard(6, 6))
+    }
+    expect(store.list()).toHaveLength(MAX_SAVED_BOARDS)
+  })
+
+  test('deletes boards and reports missing names', () => {
+    store.save('gone', createEmptyBoard(6, 6))
+    store.delete('gone')
+
+    expect(store.list()).toEqual([])
+    expect(() => store.load('gone')).toThrow('Saved board not found: gone')
+    expect(() => store.save('   ', createEmptyBoard(6, 6))).toThrow('Give the board a name')
+  })
+
+  test('refuses to save without storage', () => {
+    const offline = new BoardStore({ localStorage: null })
+    expect(offline.list()).toEqual([])
+    expect(() => offline.save('board', createEmptyBoard(6, 6))).toThrow('No storage available for saved boards')
+  })
+})
\ No newline at end of file
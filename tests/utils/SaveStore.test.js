@@ -0,0 +1,129 @@
+/**
+ * Saved Game Storage Tests
+ * Test save slots, metadata and migration of old saves (localStorage backend)
+ */
+
+import { SaveStore, describeSave, createSlotId, MAX_SAVE_SLOTS } from '../../src/utils/SaveStore.js'
+import { GameService } from '../../src/core/game/GameService.js'
+
+/**
+ * In-memory localStorage
+ */
+function createStorage() {
+  const items = {}
+  return {
+    getItem: key => items[key] ?? null,
+    setItem: (key, value) => { items[key] = value },
+    removeItem: key => { delete items[key] },
+    keys: () => Object.keys(items)
+  }
+}
+
+describe('SaveStore', () => {
+  let storage, store
+
+  beforeEach(() => {
+    storage = createStorage()
+    store = new SaveStore({ indexedDB: null, localStorage: storage })
+  })
+
+  test('saves and loads a game by slot', async () => {
+    const gameState = GameService.draftBuy(GameService.createNew(10, 10, { seed: 4 }), 1, 'I4')
+    await store.save('slot-a', gameState)
+
+    const loaded = await store.load('slot-a')
+    expect(loaded.players[1].arsenal.I4).toBe(1)
+    expect(loaded.config.seed).toBe(4)
+  })
+
+  test('lists slots with metadata, most recent first', async () => {
+    await store.save('older', GameService.createNew(10, 10, { boardShape: 'rectangular' }))
+    await new Promise(resolve => setTimeout(resolve, 5))
+    const newer = GameService.createNew(8, 9, { boardShape: 'varied' })
+    await store.save('newer', newer)
+
+    const slots = await store.list()
+    expect(slots.map(slot => slot.id)).toEqual(['newer', 'older'])
+    expect(slots[0].meta).toMatchObject({ boardShape: 'varied', rows: newer.board.rows, cols: newer.board.cols, turn: 1 })
+    expect(slots[0].meta.scores).toEqual({ player1: 0, player2: 0 })
+  })
+
+  test('keeps the creation time when a slot is saved again', async () => {
+    const gameState = GameService.createNew(10, 10)
+    await store.save('slot', gameState)
+    const [first] = await store.list()
+
+    await store.save('slot', GameService.draftPass(gameState, 1))
+    const [second] = await store.list()
+    expect(second.createdAt).toBe(first.createdAt)
+    expect(second.meta.turn).toBeGreaterThanOrEqual(first.meta.turn)
+  })
+
+  test('drops the oldest slots beyond the limit', async () => {
+    const gameState = GameService.createNew(8, 8)
+    for (let i = 0; i <= MAX_SAVE_SLOTS; i++) {
+      await store.save(`slot-${i}`, gameState)
+    }
+
+    expect(await store.list()).toHaveLength(MAX_SAVE_SLOTS)
+  })
+
+  test('saves without reading the other games', async () => {
+    const gameState = GameService.createNew(8, 8)
+    await store.save('a', gameState)
+    await store.save('b', gameState)
+
+    const readKeys = []
+    const getItem = storage.getItem
+    storage.getItem = key => { readKeys.push(key); return getItem(key) }
+    await store.save('b', GameService.draftPass(gameState, 1))
+
+    expect(readKeys.every(key => key === 'sumzero-saves')).toBe(true)
+  })
+
+  test('removes the game data with its slot', async () => {
+    await store.save('slot', GameService.createNew(8, 8))
+    await store.delete('slot')
+
+    expect(storage.keys()).toEqual(['sumzero-saves'])
+  })
+
+  test('migrates old saves on load', async () => {
+    const oldState = JSON.parse(JSON.stringify(GameService.createNew(10, 10)))
+    oldState.version = '1.2'
+    delete oldState.scoring
+    storage.setItem('sumzero-saves', JSON.stringify({
+      old: { id: 'old', createdAt: 1, updatedAt: 1, meta: describeSave({ ...oldState, scoring: null }), data: JSON.stringify(oldState) }
+    }))
+
+    const loaded = await store.load('old')
+    expect(loaded.version).toBe('1.3')
+    expect(JSON.parse(storage.getItem('sumzero-saves')).old.data).toBeUndefined()
+    expect(loaded.scoring.player1Score).toBe(0)
+  })
+
+  test('deletes slots and reports missing ones', async () => {
+    await store.save('slot', GameService.createNew(8, 8))
+    await store.delete('slot')
+
+    expect(await store.list()).toEqual([])
+    await expect(store.load('slot')).rejects.toThrow('Saved game not found')
+  })
+
+  test('reduces save metadata to plain strings and numbers', () => {
+    const gameState = JSON.parse(JSON.stringify(GameService.createNew(8, 8)))
+    gameState.config.boardShape = '<img src=x>'
+    gameState.config.seats = { 1: { type: 'ai', difficulty: ['<b>hard</b>'] }, 2: null }
+    gameState.board.rows = '8'
+
+    const meta = describeSave(gameState)
+    expect(meta.boardShape).toBe('<img src=x>')
+    expect(meta.rows).toBe(8)
+    expect(meta.seats).toEqual({ 1: { type: 'ai', difficulty: '<b>hard</b>' }, 2: { type: 'undefined', difficulty: null } })
+    expect(describeSave({ ...gameState, config: { boardShape: 7 } }).boardShape).toBe('7')
+  })
+
+  test('creates distinct slot IDs', () => {
+    expect(createSlotId()).not.toBe(createSlotId())
+  })
+})
\ No newline at end of file
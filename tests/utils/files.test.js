@@ -0,0 +1,40 @@
+/**
+ * Browser File Helper Tests
+ * Test the file picker with a stand-in document
+ */
+
+import { pickTextFile } from '../../src/utils/files.js'
+
+describe('pickTextFile', () => {
+  let input
+
+  beforeEach(() => {
+    input = null
+    globalThis.document = {
+      createElement: () => {
+        input = { click: () => {} }
+        return input
+      }
+    }
+  })
+
+  afterEach(() => {
+    delete globalThis.document
+  })
+
+  test('resolves with the content of the picked file', async () => {
+    const picked = pickTextFile('.json')
+    input.files = [{ text: async () => '{"version":"1.3"}' }]
+    input.onchange()
+
+    await expect(picked).resolves.toBe('{"version":"1.3"}')
+    expect(input.accept).toBe('.json')
+  })
+
+  test('resolves null when the picker is cancelled', async () => {
+    const picked = pickTextFile()
+    input.oncancel()
+
+    await expect(picked).resolves.toBeNull()
+  })
+})
\ No newline at end of file
@@ -0,0 +1,17 @@
+/**
+ * HTML Helpers Tests
+ * Test escaping of text put into markup
+ */
+
+import { escapeHtml } from '../../src/utils/html.js'
+
+describe('escapeHtml', () => {
+  test('escapes markup characters', () => {
+    expect(escapeHtml('<img src="x" onerror=\'a&b\'>')).toBe('&#60;img src=&#34;x&#34; onerror=&#39;a&#38;b&#39;&#62;')
+  })
+
+  test('converts other values to strings', () => {
+    expect(escapeHtml(12)).toBe('12')
+    expect(escapeHtml(null)).toBe('null')
+  })
+})
\ No newline at end of file
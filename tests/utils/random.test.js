@@ -0,0 +1,79 @@
+/**
+ * Seeded Random Tests
+ * Test that seeds reproduce boards, game setup and AI decisions
+ */
+
+import { createRandom, deriveSeed, nextRandomState } from '../../src/utils/random.js'
+import { BoardShapes } from '../../src/core/board/BoardShapes.js'
+import { GameService } from '../../src/core/game/GameService.js'
+import { SimpleAI } from '../../src/ai/SimpleAI.js'
+
+describe('Seeded Random', () => {
+  test('same seed produces the same sequence', () => {
+    const a = createRandom(42)
+    const b = createRandom(42)
+
+    for (let i = 0; i < 20; i++) {
+      const value = a()
+      expect(value).toBe(b())
+      expect(value).toBeGreaterThanOrEqual(0)
+      expect(value).toBeLessThan(1)
+    }
+  })
+
+  test('different seeds produce different sequences', () => {
+    expect(createRandom(1)()).not.toBe(createRandom(2)())
+    expect(deriveSeed(7, 1)).not.toBe(deriveSeed(7, 2))
+    expect(nextRandomState(7)).not.toBe(7)
+  })
+
+  test('seeded varied boards are reproducible', () => {
+    const build = (seed) => {
+      const random = createRandom(seed)
+      const config = BoardShapes.getRandomVariedConfig(random)
+      return BoardShapes.createShapedBoard(config.shape, config.size, true, random)
+    }
+
+    expect(build(1234)).toEqual(build(1234))
+  })
+
+  test('createNew draws varied boards from the seed', () => {
+    const board = GameService.createNew(10, 10, { seed: 1234, boardShape: 'varied' }).board
+
+    expect(GameService.createNew(10, 10, { seed: 1234, boardShape: 'varied' }).board).toEqual(board)
+    expect(board.grid.flat()).toContain(-1)
+  })
+
+  test('createNew resolves and stores a seed', () => {
+    const seeded = GameService.createNew(8, 8, { seed: 99 })
+    expect(seeded.config.seed).toBe(99)
+    expect(seeded.rngState).toBe(99)
+
+    const unseeded = GameService.createNew(8, 8)
+    expect(typeof unseeded.config.seed).toBe('number')
+  })
+
+  test('actions advance the generator state', () => {
+    const gameState = GameService.createNew(8, 8, { seed: 5 })
+    const afterBuy = GameService.draftBuy(gameState, 1, 'T4')
+
+    expect(afterBuy.rngState).toBe(nextRandomState(5))
+  })
+
+  test('AI decisions are reproducible for the same seed', () => {
+    const play = () => {
+      let gameState = GameService.createNew(8, 8, { seed: 2024, aiDifficulty: 'easy' })
+      const picks = []
+      for (let i = 0; i < 6; i++) {
+        const pieceId = SimpleAI.makeDraftDecision(gameState, gameState.currentPlayer)
+        picks.push(pieceId)
+        gameState = pieceId
+          ? GameService.draftBuy(gameState, gameState.currentPlayer, pieceId)
+          : GameService.draftPass(gameState, gameState.currentPlayer)
+      }
+      return picks
+    }
+
+    expect(play()).toEqual(play())
+  })
+})
\ No newline at end of file